@@ -10,6 +10,17 @@ import { SpectralAnalyzer } from './processing/spectral.js';
 import { SignalGenerator } from './signalGenerator/basicWaves.js';
 import { DataLoader } from './utils/dataLoader.js';
 import { FFTProcessor } from './processing/fft.js';
+import { WindowFunctions } from './processing/windows.js';
+import { DigitalFilter } from './processing/filters.js';
+import { FilterAnalyzer } from './processing/filterAnalysis.js';
+import { Resampler } from './processing/resample.js';
+import { DynamicMetrics } from './processing/dynamicMetrics.js';
+import { OctaveBandAnalyzer } from './processing/octaveBands.js';
+import { Preprocessor } from './processing/preprocess.js';
+import { CepstrumAnalyzer } from './processing/cepstrum.js';
+import { HilbertTransform } from './processing/hilbert.js';
+import { GoertzelDetector } from './processing/goertzel.js';
+import { WaveletTransform } from './processing/wavelet.js';
 import { ExportUtils } from './utils/export.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
@@ -24,7 +35,18 @@ document.addEventListener('DOMContentLoaded', async () => {
             { name: 'SpectralAnalyzer', class: SpectralAnalyzer },
             { name: 'SignalGenerator', class: SignalGenerator },
             { name: 'DataLoader', class: DataLoader },
-            { name: 'FFTProcessor', class: FFTProcessor }
+            { name: 'FFTProcessor', class: FFTProcessor },
+            { name: 'WindowFunctions', class: WindowFunctions },
+            { name: 'DigitalFilter', class: DigitalFilter },
+            { name: 'FilterAnalyzer', class: FilterAnalyzer },
+            { name: 'Resampler', class: Resampler },
+            { name: 'DynamicMetrics', class: DynamicMetrics },
+            { name: 'OctaveBandAnalyzer', class: OctaveBandAnalyzer },
+            { name: 'Preprocessor', class: Preprocessor },
+            { name: 'CepstrumAnalyzer', class: CepstrumAnalyzer },
+            { name: 'HilbertTransform', class: HilbertTransform },
+            { name: 'GoertzelDetector', class: GoertzelDetector },
+            { name: 'WaveletTransform', class: WaveletTransform }
         ];
 
         for (const { name, class: classRef } of requiredClasses) {
@@ -66,80 +88,1418 @@ document.addEventListener('DOMContentLoaded', async () => {
     const durationInput = document.getElementById('duration');
     const sampleRateInput = document.getElementById('sampleRate');
     const windowTypeSelect = document.getElementById('windowType');
+    const windowParamControls = document.getElementById('windowParamControls');
+    const windowParamLabel = document.getElementById('windowParamLabel');
+    const windowParamInput = document.getElementById('windowParam');
+    const windowPeriodicCheckbox = document.getElementById('windowPeriodic');
+    const windowMetricsText = document.getElementById('windowMetrics');
     const dataFileInput = document.getElementById('dataFile');
     const sampleRateFileInput = document.getElementById('sampleRateFile');
+    const fileSignalColumnSelect = document.getElementById('fileSignalColumn');
+    const fileResponseColumnSelect = document.getElementById('fileResponseColumn');
     const peakThresholdInput = document.getElementById('peakThreshold');
+    const peakInterpolationSelect = document.getElementById('peakInterpolation');
+    const peakMinSeparationInput = document.getElementById('peakMinSeparation');
+    const peakMaxCountInput = document.getElementById('peakMaxCount');
+    const peakThresholdDbInput = document.getElementById('peakThresholdDb');
+    const peakProminenceInput = document.getElementById('peakProminence');
+    const fftPaddingSelect = document.getElementById('fftPadding');
+    const spectrumScalingSelect = document.getElementById('spectrumScaling');
+    const dbReferenceControls = document.getElementById('dbReferenceControls');
+    const dbReferenceLabel = document.getElementById('dbReferenceLabel');
+    const dbReferenceInput = document.getElementById('dbReference');
     const logScaleCheckbox = document.getElementById('logScale');
     const exportFFTButton = document.getElementById('exportFFT');
     const exportPeaksButton = document.getElementById('exportPeaks');
+    const exportPSDButton = document.getElementById('exportPSD');
+    const verifyReconstructionButton = document.getElementById('verifyReconstruction');
+    const reconstructionStatus = document.getElementById('reconstructionStatus');
     const addFrequencyButton = document.getElementById('addFrequency');
     
+    // Get Welch PSD controls
+    const psdSegmentLengthInput = document.getElementById('psdSegmentLength');
+    const psdOverlapInput = document.getElementById('psdOverlap');
+    const psdWindowSelect = document.getElementById('psdWindow');
+    const psdDetrendSelect = document.getElementById('psdDetrend');
+    const psdAverageSelect = document.getElementById('psdAverage');
+    const psdConfidenceInput = document.getElementById('psdConfidence');
+    const psdInfoText = document.getElementById('psdInfo');
+
+    // Get phase analysis controls
+    const phaseGateInput = document.getElementById('phaseGate');
+    const phaseInfoText = document.getElementById('phaseInfo');
+
+    // Get pre-processing controls
+    const preprocessEnableCheckbox = document.getElementById('preprocessEnable');
+    const preprocessGapsSelect = document.getElementById('preprocessGaps');
+    const preprocessDetrendSelect = document.getElementById('preprocessDetrend');
+    const preprocessOrderControls = document.getElementById('preprocessOrderControls');
+    const preprocessOrderInput = document.getElementById('preprocessOrder');
+    const preprocessNormalizeSelect = document.getElementById('preprocessNormalize');
+    const preprocessOutliersCheckbox = document.getElementById('preprocessOutliers');
+    const preprocessOutlierControls = document.getElementById('preprocessOutlierControls');
+    const preprocessOutlierThresholdInput = document.getElementById('preprocessOutlierThreshold');
+    const preprocessOutlierWidthInput = document.getElementById('preprocessOutlierWidth');
+    const preprocessClippingCheckbox = document.getElementById('preprocessClipping');
+    const preprocessLogList = document.getElementById('preprocessLog');
+
+    // Get resampling controls
+    const resampleEnableCheckbox = document.getElementById('resampleEnable');
+    const resampleMethodSelect = document.getElementById('resampleMethod');
+    const resampleRateControls = document.getElementById('resampleRateControls');
+    const resampleRateInput = document.getElementById('resampleRate');
+    const resampleFactorControls = document.getElementById('resampleFactorControls');
+    const resampleFactorInput = document.getElementById('resampleFactor');
+    const resampleFilterControls = document.getElementById('resampleFilterControls');
+    const resampleFilterSelect = document.getElementById('resampleFilter');
+    const resampleInfoText = document.getElementById('resampleInfo');
+
+    // Get filter controls
+    const filterEnableCheckbox = document.getElementById('filterEnable');
+    const filterDesignSelect = document.getElementById('filterDesign');
+    const filterResponseControls = document.getElementById('filterResponseControls');
+    const filterResponseSelect = document.getElementById('filterResponse');
+    const filterCutoffControls = document.getElementById('filterCutoffControls');
+    const filterCutoffLabel = document.getElementById('filterCutoffLabel');
+    const filterCutoffInput = document.getElementById('filterCutoff');
+    const filterCutoffHighControls = document.getElementById('filterCutoffHighControls');
+    const filterCutoffHighInput = document.getElementById('filterCutoffHigh');
+    const filterOrderControls = document.getElementById('filterOrderControls');
+    const filterOrderInput = document.getElementById('filterOrder');
+    const filterTapsControls = document.getElementById('filterTapsControls');
+    const filterTapsInput = document.getElementById('filterTaps');
+    const filterRippleControls = document.getElementById('filterRippleControls');
+    const filterRippleInput = document.getElementById('filterRipple');
+    const filterAttenuationControls = document.getElementById('filterAttenuationControls');
+    const filterAttenuationInput = document.getElementById('filterAttenuation');
+    const filterWindowControls = document.getElementById('filterWindowControls');
+    const filterWindowSelect = document.getElementById('filterWindow');
+    const filterTransitionControls = document.getElementById('filterTransitionControls');
+    const filterTransitionInput = document.getElementById('filterTransition');
+    const filterQControls = document.getElementById('filterQControls');
+    const filterQInput = document.getElementById('filterQ');
+    const filterImportControls = document.getElementById('filterImportControls');
+    const filterCoefficientsFileInput = document.getElementById('filterCoefficientsFile');
+    const filterCoefficientsLoadButton = document.getElementById('filterCoefficientsLoad');
+    const filterModeSelect = document.getElementById('filterMode');
+    const filterCompareCheckbox = document.getElementById('filterCompare');
+    const filterInfoText = document.getElementById('filterInfo');
+
+    // Get envelope analysis controls
+    const envelopeEnableCheckbox = document.getElementById('envelopeEnable');
+    const envelopeLowInput = document.getElementById('envelopeLow');
+    const envelopeHighInput = document.getElementById('envelopeHigh');
+    const envelopeOrderInput = document.getElementById('envelopeOrder');
+    const envelopeOverlayCheckbox = document.getElementById('envelopeOverlay');
+    const envelopeInfoText = document.getElementById('envelopeInfo');
+
+    // Get filter analysis controls
+    const filterResponsePointsSelect = document.getElementById('filterResponsePoints');
+    const filterResponseLengthInput = document.getElementById('filterResponseLength');
+    const filterAnalysisInfoText = document.getElementById('filterAnalysisInfo');
+
+    // Get second channel controls
+    const channel2SourceSelect = document.getElementById('channel2Source');
+    const channel2FileControls = document.getElementById('channel2FileControls');
+    const channel2GeneratedControls = document.getElementById('channel2GeneratedControls');
+    const channel2FileInput = document.getElementById('channel2File');
+    const channel2SampleRateInput = document.getElementById('channel2SampleRate');
+    const channel2LoadButton = document.getElementById('channel2Load');
+    const channel2GainInput = document.getElementById('channel2Gain');
+    const channel2DelayInput = document.getElementById('channel2Delay');
+    const channel2NoiseInput = document.getElementById('channel2Noise');
+    const channel2StatusText = document.getElementById('channel2Status');
+    const coherenceCard = document.getElementById('coherenceCard');
+    const coherenceInfoText = document.getElementById('coherenceInfo');
+    const transferFunctionCard = document.getElementById('transferFunctionCard');
+    const frfEstimatorSelect = document.getElementById('frfEstimator');
+    const exportFRFButton = document.getElementById('exportFRF');
+    const transferFunctionInfoText = document.getElementById('transferFunctionInfo');
+
+    // Get fractional-octave band controls
+    const octaveBandsPerOctaveSelect = document.getElementById('octaveBandsPerOctave');
+    const octaveWeightingSelect = document.getElementById('octaveWeighting');
+    const octaveMethodSelect = document.getElementById('octaveMethod');
+    const octaveMinFrequencyInput = document.getElementById('octaveMinFrequency');
+    const octaveIntervalInput = document.getElementById('octaveInterval');
+    const octaveReferenceInput = document.getElementById('octaveReference');
+    const exportOctaveButton = document.getElementById('exportOctave');
+    const octaveInfoText = document.getElementById('octaveInfo');
+
+    // Get dynamic performance controls
+    const metricsWindowSelect = document.getElementById('metricsWindow');
+    const metricsHarmonicsInput = document.getElementById('metricsHarmonics');
+    const metricsFundamentalInput = document.getElementById('metricsFundamental');
+    const metricsFullScaleInput = document.getElementById('metricsFullScale');
+    const metricsLeakageInput = document.getElementById('metricsLeakage');
+    const exportMetricsButton = document.getElementById('exportMetrics');
+    const metricsInfoText = document.getElementById('metricsInfo');
+
+    // Get correlation controls
+    const correlationModeSelect = document.getElementById('correlationMode');
+    const correlationScalingSelect = document.getElementById('correlationScaling');
+    const correlationWeightingSelect = document.getElementById('correlationWeighting');
+    const correlationMaxLagInput = document.getElementById('correlationMaxLag');
+    const correlationInfoText = document.getElementById('correlationInfo');
+
+    // Get tone tracking controls
+    const toneModeSelect = document.getElementById('toneMode');
+    const toneFrequencyControls = document.getElementById('toneFrequencyControls');
+    const toneFrequenciesInput = document.getElementById('toneFrequencies');
+    const toneTrackerSelect = document.getElementById('toneTracker');
+    const toneBlockInput = document.getElementById('toneBlock');
+    const toneMinDurationInput = document.getElementById('toneMinDuration');
+    const toneInfoText = document.getElementById('toneInfo');
+
+    // Get STFT controls
+    const stftFrameSizeInput = document.getElementById('stftFrameSize');
+    const stftHopInput = document.getElementById('stftHop');
+    const stftWindowSelect = document.getElementById('stftWindow');
+    const stftZeroPaddingSelect = document.getElementById('stftZeroPadding');
+    const stftCenterCheckbox = document.getElementById('stftCenter');
+    const verifyISTFTButton = document.getElementById('verifyISTFT');
+    const stftInfoText = document.getElementById('stftInfo');
+
+    // Get partial tracking controls
+    const partialEnableCheckbox = document.getElementById('partialEnable');
+    const partialMaxJumpInput = document.getElementById('partialMaxJump');
+    const partialMaxGapInput = document.getElementById('partialMaxGap');
+    const partialMinLengthInput = document.getElementById('partialMinLength');
+    const partialRangeInput = document.getElementById('partialRange');
+    const exportPartialsButton = document.getElementById('exportPartials');
+    const partialInfoText = document.getElementById('partialInfo');
+
+    // Get time-frequency view controls (wavelet scalogram and filter-bank spectrograms)
+    const tfViewSelect = document.getElementById('tfView');
+    const cwtWaveletSelect = document.getElementById('cwtWavelet');
+    const cwtVoicesInput = document.getElementById('cwtVoices');
+    const melBandsInput = document.getElementById('melBands');
+    const cqtBinsPerOctaveInput = document.getElementById('cqtBinsPerOctave');
+    const mfccCountInput = document.getElementById('mfccCount');
+    const tfMinFrequencyInput = document.getElementById('tfMinFrequency');
+    const tfMaxFrequencyInput = document.getElementById('tfMaxFrequency');
+    const tfRangeInput = document.getElementById('tfRange');
+    const tfControls = document.querySelectorAll('.tf-control');
+
+    // Get cepstrum and pitch controls
+    const cepstrumTypeSelect = document.getElementById('cepstrumType');
+    const lifterTypeSelect = document.getElementById('lifterType');
+    const lifterCutoffInput = document.getElementById('lifterCutoff');
+    const cepstrumInfoText = document.getElementById('cepstrumInfo');
+    const pitchMinF0Input = document.getElementById('pitchMinF0');
+    const pitchMaxF0Input = document.getElementById('pitchMaxF0');
+    const pitchYinThresholdInput = document.getElementById('pitchYinThreshold');
+    const pitchSilenceInput = document.getElementById('pitchSilence');
+    const pitchInfoText = document.getElementById('pitchInfo');
+
+    // Get zoom FFT controls
+    const zoomStartInput = document.getElementById('zoomStart');
+    const zoomEndInput = document.getElementById('zoomEnd');
+    const zoomPointsInput = document.getElementById('zoomPoints');
+    const zoomApplyButton = document.getElementById('zoomApply');
+    const zoomResetButton = document.getElementById('zoomReset');
+
     // Get advanced visualization controls
     const spectrogramColormap = document.getElementById('spectrogramColormap');
     const visType = document.getElementById('visType');
     const basicTab = document.getElementById('basic-tab');
     const advancedTab = document.getElementById('advanced-tab');
+    const filterTab = document.getElementById('filter-tab');
     const threeDContainer = document.getElementById('threeDContainer');
 
-    let currentFrequencies = [];
-    let lastFFTResult = null;
-    let currentSignal = null;
-    let currentTimePoints = null;
-    let currentSampleRate = null;
+    let currentFrequencies = [];
+    let lastFFTResult = null;
+    let currentSignal = null;
+    let currentTimePoints = null;
+    let currentSampleRate = null;
+    let zoomBand = null;
+    let secondChannel = null;
+    let loadedResponse = null;
+    let loadedTable = null;
+    let importedFilter = null;
+    let pitchCache = null;
+
+    /**
+     * Create a frequency component input group
+     * @param {number} index - Component index
+     * @returns {HTMLElement} Component input group
+     */
+    function createFrequencyComponent(index) {
+        const div = document.createElement('div');
+        div.className = 'frequency-component mb-3 border p-2';
+        div.innerHTML = `
+            <div class="mb-2">
+                <label class="form-label">Component ${index + 1}</label>
+                <button type="button" class="btn btn-sm btn-danger float-end remove-freq">Remove</button>
+            </div>
+            <div class="mb-2">
+                <label class="form-label">Frequency (Hz)</label>
+                <input type="number" class="form-control freq-input" value="10" step="any">
+            </div>
+            <div class="mb-2">
+                <label class="form-label">Amplitude</label>
+                <input type="number" class="form-control amp-input" value="1" step="any">
+            </div>
+            <div class="mb-2">
+                <label class="form-label">Phase (degrees)</label>
+                <input type="number" class="form-control phase-input" value="0" step="any">
+            </div>
+        `;
+
+        const removeButton = div.querySelector('.remove-freq');
+        removeButton.addEventListener('click', () => {
+            div.remove();
+            currentFrequencies = collectFrequencyComponents();
+        });
+
+        return div;
+    }
+
+    /**
+     * Collect frequency component values
+     * @returns {Array} Array of frequency component objects
+     */
+    function collectFrequencyComponents() {
+        const components = [];
+        const componentDivs = document.querySelectorAll('.frequency-component');
+        
+        componentDivs.forEach(div => {
+            components.push({
+                frequency: parseFloat(div.querySelector('.freq-input').value),
+                amplitude: parseFloat(div.querySelector('.amp-input').value),
+                phase: parseFloat(div.querySelector('.phase-input').value)
+            });
+        });
+        
+        return components;
+    }
+
+    /**
+     * Collect the window parameters from the window function panel
+     * @returns {Object} Window options for WindowFunctions.generate
+     */
+    function getWindowOptions() {
+        const options = { periodic: windowPeriodicCheckbox.checked };
+        const parameter = WindowFunctions.getParameter(windowTypeSelect.value);
+        if (parameter) {
+            const value = parseFloat(windowParamInput.value);
+            options[parameter.name] = isNaN(value) ? parameter.defaultValue : value;
+        }
+        return options;
+    }
+
+    /**
+     * Show the parameter input for the selected window type
+     */
+    function updateWindowParamControls() {
+        const parameter = WindowFunctions.getParameter(windowTypeSelect.value);
+        windowParamControls.style.display = parameter ? 'block' : 'none';
+        if (parameter) {
+            windowParamLabel.textContent = parameter.label;
+            windowParamInput.value = parameter.defaultValue;
+            windowParamInput.min = parameter.min ?? '';
+            windowParamInput.max = parameter.max ?? '';
+            windowParamInput.step = parameter.step ?? 'any';
+        }
+    }
+
+    /**
+     * Display the figures of merit of the current window
+     * @param {number} length - Window length
+     */
+    function updateWindowMetrics(length) {
+        try {
+            const metrics = WindowFunctions.getMetrics(windowTypeSelect.value, length, getWindowOptions());
+            windowMetricsText.textContent =
+                `Coherent gain ${metrics.coherentGain.toFixed(3)}, ` +
+                `ENBW ${metrics.enbw.toFixed(2)} bins, ` +
+                `scalloping loss ${metrics.scallopingLoss.toFixed(2)} dB, ` +
+                `highest sidelobe ${metrics.highestSidelobe.toFixed(1)} dB`;
+        } catch (error) {
+            console.error('Error computing window metrics:', error);
+            windowMetricsText.textContent = '';
+        }
+    }
+
+    /**
+     * Show the inputs used by the selected pre-processing steps
+     */
+    function updatePreprocessControls() {
+        preprocessOrderControls.style.display = preprocessDetrendSelect.value === 'polynomial' ? 'block' : 'none';
+        preprocessOutlierControls.style.display = preprocessOutliersCheckbox.checked ? 'flex' : 'none';
+    }
+
+    /**
+     * Collect the pre-processing options
+     * @returns {Object} Options for Preprocessor.process
+     */
+    function getPreprocessOptions() {
+        const order = parseInt(preprocessOrderInput.value, 10);
+        const threshold = parseFloat(preprocessOutlierThresholdInput.value);
+        const halfWidth = parseInt(preprocessOutlierWidthInput.value, 10);
+        return {
+            gaps: preprocessGapsSelect.value,
+            detectClipping: preprocessClippingCheckbox.checked,
+            removeOutliers: preprocessOutliersCheckbox.checked,
+            outlierThreshold: threshold > 0 ? threshold : 3,
+            outlierHalfWidth: halfWidth >= 1 ? halfWidth : 3,
+            detrend: preprocessDetrendSelect.value,
+            order: isNaN(order) ? 2 : Math.min(Math.max(order, 0), 10),
+            normalize: preprocessNormalizeSelect.value
+        };
+    }
+
+    /**
+     * Pre-process a signal with the panel settings
+     * With pre-processing off, missing samples are still interpolated so that no NaN reaches the analysis.
+     * @param {Array} signal - Signal data array (may contain NaN)
+     * @returns {Object} Result of Preprocessor.process ({ signal, log, ... })
+     */
+    function preprocessSignal(signal) {
+        if (preprocessEnableCheckbox.checked) {
+            return Preprocessor.process(signal, getPreprocessOptions());
+        }
+        const repaired = Preprocessor.repairGaps(signal, 'interpolate');
+        return {
+            signal: repaired.signal,
+            log: repaired.count > 0 ?
+                [{ step: 'gaps', message: `${repaired.count} non-finite samples filled by linear interpolation (pre-processing is off)` }] :
+                []
+        };
+    }
+
+    /**
+     * Run a signal through the pre-processing stage and list the changes in the panel
+     * An error is reported in the panel and the signal passes through unchanged.
+     * @param {Array} signal - Signal data array
+     * @returns {Object} { signal, log }
+     */
+    function runPreprocessStage(signal) {
+        let log;
+        let output = signal;
+        try {
+            const result = preprocessSignal(signal);
+            output = Array.from(result.signal);
+            log = result.log.map(entry => entry.message);
+            if (log.length === 0) {
+                log.push(preprocessEnableCheckbox.checked ? 'Nothing to change' : 'No pre-processing applied');
+            }
+        } catch (error) {
+            console.error('Error pre-processing signal:', error);
+            log = [`Not pre-processed: ${error.message}`];
+        }
+
+        preprocessLogList.innerHTML = '';
+        log.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            preprocessLogList.appendChild(item);
+        });
+        return { signal: output, log };
+    }
+
+    /**
+     * Show the inputs used by the selected resampling method
+     */
+    function updateResampleControls() {
+        const method = resampleMethodSelect.value;
+        resampleRateControls.style.display = method === 'rate' ? 'block' : 'none';
+        resampleFactorControls.style.display = method === 'rate' ? 'none' : 'block';
+        resampleFilterControls.style.display = method === 'decimate' ? 'block' : 'none';
+    }
+
+    /**
+     * Run a signal through the resampling stage
+     * An invalid setting is reported in the resampling panel and the signal passes through unchanged.
+     * @param {Array} signal - Signal data array
+     * @param {number} sampleRate - Source sample rate in Hz
+     * @returns {Object} { signal, sampleRate, resampled }
+     */
+    function runResampleStage(signal, sampleRate) {
+        if (!resampleEnableCheckbox.checked) {
+            resampleInfoText.textContent = 'Analysis at the source rate';
+            return { signal, sampleRate, resampled: false };
+        }
+
+        try {
+            const method = resampleMethodSelect.value;
+            const factor = parseInt(resampleFactorInput.value, 10);
+            let result;
+            let info;
+            if (method === 'rate') {
+                const { signal: resampled, sampleRate: newRate, up, down, exact } =
+                    Resampler.resample(signal, sampleRate, parseFloat(resampleRateInput.value));
+                result = { signal: resampled, sampleRate: newRate };
+                info = `L/M = ${up}/${down}` + (exact ? '' : ' (nearest ratio)');
+            } else if (method === 'decimate') {
+                result = {
+                    signal: Resampler.decimate(signal, factor, { type: resampleFilterSelect.value }),
+                    sampleRate: sampleRate / factor
+                };
+                info = `decimated by ${factor}`;
+            } else {
+                result = { signal: Resampler.interpolate(signal, factor), sampleRate: sampleRate * factor };
+                info = `interpolated by ${factor}`;
+            }
+
+            resampleInfoText.textContent =
+                `${sampleRate} Hz → ${+result.sampleRate.toFixed(6)} Hz, ${info}; ` +
+                `${signal.length} → ${result.signal.length} samples`;
+            return { signal: Array.from(result.signal), sampleRate: result.sampleRate, resampled: true };
+        } catch (error) {
+            console.error('Error resampling signal:', error);
+            resampleInfoText.textContent = `Not resampled: ${error.message}`;
+            return { signal, sampleRate, resampled: false };
+        }
+    }
+
+    /**
+     * Show the inputs used by the selected filter design
+     */
+    function updateFilterControls() {
+        const design = filterDesignSelect.value;
+        const isFIR = design === 'fir-window' || design === 'fir-remez';
+        const isNotch = design === 'notch';
+        const isImported = design === 'imported';
+        const response = filterResponseSelect.value;
+        const isBand = !isNotch && (response === 'bandpass' || response === 'bandstop');
+
+        filterResponseControls.style.display = isNotch || isImported ? 'none' : 'block';
+        filterCutoffControls.style.display = isImported ? 'none' : 'flex';
+        filterCutoffHighControls.style.display = isBand ? 'block' : 'none';
+        if (isNotch) {
+            filterCutoffLabel.textContent = 'Notch Frequency (Hz)';
+        } else if (design === 'chebyshev2') {
+            filterCutoffLabel.textContent = isBand ? 'Lower Stopband Edge (Hz)' : 'Stopband Edge (Hz)';
+        } else {
+            filterCutoffLabel.textContent = isBand ? 'Lower Cutoff (Hz)' : 'Cutoff (Hz)';
+        }
+        filterOrderControls.style.display = isFIR || isNotch || isImported ? 'none' : 'block';
+        filterTapsControls.style.display = isFIR ? 'block' : 'none';
+        filterRippleControls.style.display = design === 'chebyshev1' || design === 'elliptic' ? 'block' : 'none';
+        filterAttenuationControls.style.display = design === 'chebyshev2' || design === 'elliptic' ? 'block' : 'none';
+        filterWindowControls.style.display = design === 'fir-window' ? 'block' : 'none';
+        filterTransitionControls.style.display = design === 'fir-remez' ? 'block' : 'none';
+        filterQControls.style.display = isNotch ? 'block' : 'none';
+        filterImportControls.style.display = isImported ? 'block' : 'none';
+    }
+
+    /**
+     * Design the filter selected in the filter panel
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} Filter from DigitalFilter
+     */
+    function designFilter(sampleRate) {
+        const design = filterDesignSelect.value;
+        const response = filterResponseSelect.value;
+        const lowCutoff = parseFloat(filterCutoffInput.value);
+        const cutoff = response === 'bandpass' || response === 'bandstop' ?
+            [lowCutoff, parseFloat(filterCutoffHighInput.value)] : lowCutoff;
+
+        switch (design) {
+            case 'imported':
+                if (!importedFilter) {
+                    throw new Error('Load a coefficient file first');
+                }
+                return importedFilter;
+            case 'notch':
+                return DigitalFilter.designNotch({
+                    frequency: lowCutoff,
+                    q: parseFloat(filterQInput.value),
+                    sampleRate
+                });
+            case 'fir-window':
+                return DigitalFilter.designFIR({
+                    response,
+                    cutoff,
+                    sampleRate,
+                    numTaps: parseInt(filterTapsInput.value, 10),
+                    windowType: filterWindowSelect.value
+                });
+            case 'fir-remez':
+                return DigitalFilter.designRemez({
+                    response,
+                    cutoff,
+                    sampleRate,
+                    numTaps: parseInt(filterTapsInput.value, 10),
+                    transitionWidth: parseFloat(filterTransitionInput.value)
+                });
+            default:
+                return DigitalFilter.designIIR({
+                    family: design,
+                    response,
+                    cutoff,
+                    sampleRate,
+                    order: parseInt(filterOrderInput.value, 10),
+                    ripple: parseFloat(filterRippleInput.value),
+                    attenuation: parseFloat(filterAttenuationInput.value)
+                });
+        }
+    }
+
+    /**
+     * Run a signal through the filter stage
+     * A design error is reported in the filter panel and the signal passes through unfiltered.
+     * @param {Array} signal - Signal data array
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { signal, filter, zeroPhase }; filter is null when nothing was applied
+     */
+    function runFilterStage(signal, sampleRate) {
+        const zeroPhase = filterModeSelect.value === 'zero-phase';
+        if (!filterEnableCheckbox.checked) {
+            filterInfoText.textContent = 'No filter applied';
+            return { signal, filter: null, zeroPhase };
+        }
+
+        try {
+            const filter = designFilter(sampleRate);
+            const filtered = Array.from(DigitalFilter.apply(filter, signal, { zeroPhase }));
+
+            let info = DigitalFilter.describe(filter);
+            if (filter.method === 'remez') {
+                info += `, ripple ${(20 * Math.log10(filter.deviation)).toFixed(1)} dB` +
+                    (filter.converged ? '' : ' (did not converge)');
+            }
+            if (zeroPhase) {
+                info += '; zero-phase, magnitude response applied twice';
+            } else if (filter.kind === 'fir') {
+                info += `; forward, delay ${(1000 * filter.delay / sampleRate).toFixed(2)} ms`;
+            } else {
+                info += '; forward';
+            }
+            filterInfoText.textContent = info;
+            return { signal: filtered, filter, zeroPhase };
+        } catch (error) {
+            console.error('Error applying filter:', error);
+            filterInfoText.textContent = `Filter not applied: ${error.message}`;
+            return { signal, filter: null, zeroPhase };
+        }
+    }
+
+    /**
+     * Run the envelope-analysis stage: band-pass, demodulate and take the spectrum of the envelope
+     * With the stage off, the envelope is still computed when it is to be overlaid on the time plot.
+     * @param {Array} signal - Signal after the filter stage
+     * @param {number} sampleRate - Analysis sampling rate in Hz
+     * @param {Object} fftOptions - Options for FFTProcessor.computeFFT
+     * @returns {Object} { signal (analysis signal), timeSignal (plotted signal), envelope (overlay or null),
+     *                   spectrum (envelope spectrum or null), band }
+     */
+    function runEnvelopeStage(signal, sampleRate, fftOptions) {
+        const passThrough = { signal, timeSignal: signal, envelope: null, spectrum: null, band: null };
+        if (!envelopeEnableCheckbox.checked) {
+            envelopeInfoText.textContent = 'Spectrum of the signal itself';
+            if (envelopeOverlayCheckbox.checked) {
+                try {
+                    passThrough.envelope = HilbertTransform.instantaneous(signal, sampleRate).envelope;
+                } catch (error) {
+                    console.error('Error computing envelope:', error);
+                }
+            }
+            return passThrough;
+        }
+
+        try {
+            const low = parseFloat(envelopeLowInput.value);
+            const high = parseFloat(envelopeHighInput.value);
+            const order = parseInt(envelopeOrderInput.value, 10);
+            const band = low > 0 && high > 0 ? [low, high] : null;
+            const result = HilbertTransform.envelopeSpectrum(signal, sampleRate, {
+                band,
+                order: isNaN(order) ? undefined : order,
+                fftOptions
+            });
+            if (!result.spectrum) {
+                throw new Error('FFT of the envelope failed');
+            }
+
+            envelopeInfoText.textContent =
+                (result.band ? `Band-pass ${result.band[0]}-${result.band[1]} Hz (Butterworth, order ${result.filter.order}, zero-phase)` :
+                    'No band-pass (enter both edges to select a resonance band)') +
+                `; envelope mean ${result.mean.toPrecision(4)} removed`;
+            return {
+                signal: Array.from(result.demodulated),
+                timeSignal: Array.from(result.bandpassed),
+                envelope: envelopeOverlayCheckbox.checked ? result.envelope : null,
+                spectrum: result.spectrum,
+                band: result.band
+            };
+        } catch (error) {
+            console.error('Error in envelope analysis:', error);
+            envelopeInfoText.textContent = `Envelope analysis not applied: ${error.message}`;
+            return passThrough;
+        }
+    }
+
+    /**
+     * Collect the spectrum scaling options
+     * @returns {Object} Scaling options for FFTProcessor.computeFFT
+     */
+    function getScalingOptions() {
+        const scaling = spectrumScalingSelect.value;
+        const referenceValue = parseFloat(dbReferenceInput.value);
+        const reference = isNaN(referenceValue) || referenceValue <= 0 ? 1 : referenceValue;
+        return scaling === 'dbfs' ? { scaling, fullScale: reference } : { scaling, reference };
+    }
+
+    /**
+     * Collect the peak detector options (empty inputs disable the matching criterion)
+     * @returns {Object} Peak options for FFTProcessor.computeFFT
+     */
+    function getPeakOptions() {
+        const readNumber = (input) => {
+            const value = parseFloat(input.value);
+            return isNaN(value) ? null : value;
+        };
+        const minSeparation = readNumber(peakMinSeparationInput);
+        const maxPeaks = readNumber(peakMaxCountInput);
+        return {
+            interpolation: peakInterpolationSelect.value,
+            minSeparation: minSeparation !== null && minSeparation > 0 ? minSeparation : 0,
+            maxPeaks: maxPeaks !== null && maxPeaks >= 1 ? Math.floor(maxPeaks) : Infinity,
+            thresholdDb: readNumber(peakThresholdDbInput),
+            prominence: readNumber(peakProminenceInput)
+        };
+    }
+
+    /**
+     * Collect the options for the main FFT
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} Options for FFTProcessor.computeFFT
+     */
+    function getFFTOptions(sampleRate) {
+        return {
+            windowType: windowTypeSelect.value,
+            windowOptions: getWindowOptions(),
+            sampleRate: sampleRate,
+            peakThreshold: parseFloat(peakThresholdInput.value),
+            peakOptions: getPeakOptions(),
+            padding: fftPaddingSelect.value,
+            ...getScalingOptions()
+        };
+    }
+
+    /**
+     * Collect the Welch PSD options
+     * @returns {Object} Options for SpectralAnalyzer.computeWelchPSD
+     */
+    function getPSDOptions() {
+        const segmentLength = parseInt(psdSegmentLengthInput.value);
+        const overlap = parseFloat(psdOverlapInput.value);
+        const confidence = parseFloat(psdConfidenceInput.value);
+        return {
+            segmentLength: isNaN(segmentLength) || segmentLength < 8 ? 1024 : segmentLength,
+            overlap: isNaN(overlap) ? 0.5 : Math.min(Math.max(overlap, 0), 95) / 100,
+            windowType: psdWindowSelect.value,
+            detrend: psdDetrendSelect.value,
+            average: psdAverageSelect.value,
+            confidence: isNaN(confidence) ? 0.95 : Math.min(Math.max(confidence, 50), 99.9) / 100
+        };
+    }
+
+    /**
+     * Recompute and plot the Welch PSD of the current signal
+     */
+    function updatePSD() {
+        if (!lastFFTResult || !currentSignal) return;
+
+        const psdResult = spectralAnalyzer.computeWelchPSD(currentSignal, currentSampleRate, getPSDOptions());
+        lastFFTResult.psd = psdResult;
+        if (!psdResult) {
+            psdInfoText.textContent = 'PSD could not be computed, see console for details';
+            return;
+        }
+
+        plotManager.updatePSDPlot(psdResult);
+        psdInfoText.textContent =
+            `${psdResult.segments} segments of ${psdResult.segmentLength} samples, ` +
+            `${(psdResult.overlap * 100).toFixed(1)}% overlap, ` +
+            `resolution ${psdResult.resolution.toFixed(3)} Hz (ENBW), ` +
+            `${psdResult.degreesOfFreedom.toFixed(1)} degrees of freedom`;
+    }
+
+    /**
+     * Measure THD, SNR, SINAD, SFDR and ENOB of the current signal
+     */
+    function updateDynamicMetrics() {
+        if (!lastFFTResult || !currentSignal) return;
+
+        const harmonics = parseInt(metricsHarmonicsInput.value, 10);
+        const fundamental = parseFloat(metricsFundamentalInput.value);
+        const fullScale = parseFloat(metricsFullScaleInput.value);
+        const leakageBins = parseInt(metricsLeakageInput.value, 10);
+        const metrics = DynamicMetrics.measure(currentSignal, {
+            sampleRate: currentSampleRate,
+            windowType: metricsWindowSelect.value,
+            harmonics: isNaN(harmonics) ? 10 : Math.min(Math.max(harmonics, 2), 50),
+            fundamental: fundamental > 0 ? fundamental : null,
+            fullScale: fullScale > 0 ? fullScale : null,
+            leakageBins: leakageBins >= 0 ? leakageBins : undefined
+        });
+        lastFFTResult.dynamicMetrics = metrics;
+        if (!metrics) {
+            metricsInfoText.textContent = 'Metrics could not be computed, see console for details';
+            return;
+        }
+
+        plotManager.updateMetricsTable(metrics);
+        const aliased = metrics.harmonics.filter(h => h.aliased).length;
+        metricsInfoText.textContent =
+            `${metrics.windowType} window, ±${metrics.leakageBins} bins per tone, ` +
+            `resolution ${metrics.resolution.toFixed(3)} Hz` +
+            (aliased > 0 ? `; ${aliased} harmonics folded back from above Nyquist` : '');
+    }
+
+    /**
+     * Recompute and plot the fractional-octave band levels of the current signal
+     */
+    function updateOctaveBands() {
+        if (!lastFFTResult || !currentSignal) return;
+
+        try {
+            const minFrequency = parseFloat(octaveMinFrequencyInput.value);
+            const intervalMs = parseFloat(octaveIntervalInput.value);
+            const reference = parseFloat(octaveReferenceInput.value);
+            const result = OctaveBandAnalyzer.analyze(currentSignal, currentSampleRate, {
+                bandsPerOctave: parseInt(octaveBandsPerOctaveSelect.value, 10),
+                weighting: octaveWeightingSelect.value,
+                method: octaveMethodSelect.value,
+                minFrequency: minFrequency > 0 ? minFrequency : undefined,
+                interval: intervalMs > 0 ? intervalMs / 1000 : undefined,
+                reference: reference > 0 ? reference : undefined
+            });
+            lastFFTResult.octaveBands = result;
+
+            plotManager.updateOctaveBandPlot(result);
+            const { bands, overall, weighting } = result;
+            const unresolved = bands.filter(band => !band.resolved).length;
+            octaveInfoText.textContent =
+                `${bands.length} bands from ${bands[0].nominal} to ${bands[bands.length - 1].nominal} Hz, ` +
+                `overall L${weighting}eq ${overall.leq.toFixed(1)} dB, L${weighting}max ${overall.lmax.toFixed(1)} dB ` +
+                `over ${result.times.length} intervals of ${(result.interval * 1000).toFixed(1)} ms` +
+                (unresolved > 0 ? `; ${unresolved} bands narrower than the FFT interval resolves (faded)` : '');
+        } catch (error) {
+            console.error('Error computing octave bands:', error);
+            lastFFTResult.octaveBands = null;
+            octaveInfoText.textContent = `Band analysis failed: ${error.message}`;
+        }
+    }
+
+    /**
+     * Recompute and plot the phase, group delay and phase delay of the current signal
+     */
+    function updatePhaseAnalysis() {
+        if (!lastFFTResult || !currentSignal) return;
+
+        const gate = parseFloat(phaseGateInput.value);
+        const phaseData = spectralAnalyzer.computeGroupDelay(currentSignal, currentSampleRate, {
+            gateDb: isNaN(gate) ? -60 : Math.min(gate, 0)
+        });
+        lastFFTResult.phaseAnalysis = phaseData;
+        if (!phaseData) {
+            phaseInfoText.textContent = 'Phase analysis failed, see console for details';
+            return;
+        }
+
+        plotManager.updatePhasePlot(phaseData);
+        const validBins = phaseData.valid.reduce((count, v) => count + v, 0);
+        phaseInfoText.textContent =
+            `${validBins} of ${phaseData.valid.length} bins above the ${phaseData.gateDb} dB gate; ` +
+            'delays are referenced to the first sample';
+    }
+
+    /**
+     * Show the controls of the selected second channel source
+     */
+    function updateChannel2Controls() {
+        const source = channel2SourceSelect.value;
+        channel2FileControls.style.display = source === 'file' ? 'block' : 'none';
+        channel2GeneratedControls.style.display = source === 'generated' ? 'block' : 'none';
+    }
+
+    /**
+     * Resolve the second channel from the selected source
+     */
+    function refreshSecondChannel() {
+        const source = channel2SourceSelect.value;
+        secondChannel = null;
+
+        if (source === 'file' && loadedResponse) {
+            // The response is brought to the analysis rate, then passes through the same filter as the primary channel
+            const responseRate = loadedResponse.sampleRate || (lastFFTResult ? lastFFTResult.sampleRate : currentSampleRate);
+            let response = Array.from(preprocessSignal(loadedResponse.signal).signal);
+            const notes = [];
+            if (preprocessEnableCheckbox.checked) {
+                notes.push('pre-processed like the primary channel');
+            }
+            if (currentSampleRate && responseRate !== currentSampleRate) {
+                response = Array.from(Resampler.resample(response, responseRate, currentSampleRate).signal);
+                notes.push(`resampled from ${responseRate} Hz`);
+            }
+            const filterStage = lastFFTResult ? lastFFTResult.filterStage : null;
+            if (filterStage && filterStage.filter) {
+                response = Array.from(DigitalFilter.apply(filterStage.filter, response, { zeroPhase: filterStage.zeroPhase }));
+                notes.push('filtered like the primary channel');
+            }
+            secondChannel = response;
+            channel2StatusText.textContent = `${loadedResponse.name}: ${secondChannel.length} samples` +
+                (notes.length > 0 ? `, ${notes.join(', ')}` : '');
+        } else if (source === 'file') {
+            channel2StatusText.textContent = 'Choose a response file and click Load Response';
+        } else if (source === 'generated' && currentSignal) {
+            const gain = parseFloat(channel2GainInput.value);
+            const delayMs = parseFloat(channel2DelayInput.value);
+            const noiseLevel = parseFloat(channel2NoiseInput.value);
+            secondChannel = SignalGenerator.generateResponse(currentSignal, {
+                gain: isNaN(gain) ? 1 : gain,
+                delay: isNaN(delayMs) ? 0 : Math.max(0, delayMs) / 1000,
+                noiseLevel: isNaN(noiseLevel) ? 0 : Math.max(0, noiseLevel),
+                sampleRate: currentSampleRate
+            });
+            channel2StatusText.textContent = `Generated response: ${secondChannel.length} samples`;
+        } else {
+            channel2StatusText.textContent = 'No second channel';
+        }
+
+        const crossOption = correlationModeSelect.querySelector('option[value="cross"]');
+        crossOption.disabled = !secondChannel;
+        crossOption.textContent = secondChannel ? 'Cross-correlation (primary → response)' :
+            'Cross-correlation (needs second channel)';
+        if (!secondChannel && correlationModeSelect.value === 'cross') {
+            correlationModeSelect.value = 'auto';
+        }
+    }
+
+    /**
+     * Recompute and plot the coherence between the primary signal and the second channel
+     */
+    function updateCoherence() {
+        if (!lastFFTResult || !currentSignal || !secondChannel) {
+            if (lastFFTResult) {
+                lastFFTResult.coherence = null;
+            }
+            coherenceCard.style.display = 'none';
+            return;
+        }
+
+        const { segmentLength, overlap, windowType, detrend, confidence } = getPSDOptions();
+        const coherenceResult = spectralAnalyzer.computeCoherence(currentSignal, secondChannel, currentSampleRate, {
+            segmentLength, overlap, windowType, detrend, confidence
+        });
+        lastFFTResult.coherence = coherenceResult;
+        coherenceCard.style.display = 'block';
+        if (!coherenceResult) {
+            coherenceInfoText.textContent = 'Coherence could not be computed, see console for details';
+            return;
+        }
+
+        plotManager.updateCoherencePlot(coherenceResult);
+        const lengthNote = currentSignal.length !== secondChannel.length ?
+            ` (channels truncated to ${Math.min(currentSignal.length, secondChannel.length)} samples)` : '';
+        coherenceInfoText.textContent =
+            `${coherenceResult.segments} segments of ${coherenceResult.segmentLength} samples; ` +
+            `coherence above ${coherenceResult.significance.toFixed(3)} is significant at ` +
+            `${Math.round(coherenceResult.confidence * 1000) / 10}%${lengthNote}`;
+    }
+
+    /**
+     * Recompute the transfer function from the primary signal (excitation) to the second channel (response)
+     */
+    function updateTransferFunction() {
+        if (!lastFFTResult || !currentSignal || !secondChannel) {
+            if (lastFFTResult) {
+                lastFFTResult.transferFunction = null;
+            }
+            transferFunctionCard.style.display = 'none';
+            return;
+        }
+
+        const { segmentLength, overlap, windowType, detrend, confidence } = getPSDOptions();
+        const transferFunction = spectralAnalyzer.computeTransferFunction(currentSignal, secondChannel, currentSampleRate, {
+            segmentLength, overlap, windowType, detrend, confidence
+        });
+        lastFFTResult.transferFunction = transferFunction;
+        transferFunctionCard.style.display = 'block';
+        if (!transferFunction) {
+            transferFunctionInfoText.textContent = 'Transfer function could not be computed, see console for details';
+            return;
+        }
+
+        displayTransferFunction();
+    }
+
+    /**
+     * Plot the selected transfer function estimator
+     */
+    function displayTransferFunction() {
+        const transferFunction = lastFFTResult && lastFFTResult.transferFunction;
+        if (!transferFunction) return;
+
+        plotManager.updateBodePlot(transferFunction, frfEstimatorSelect.value);
+        transferFunctionInfoText.textContent =
+            `${transferFunction.segments} averages of ${transferFunction.segmentLength} samples; ` +
+            `phase is shown where the coherence exceeds ${transferFunction.significance.toFixed(3)}`;
+    }
+
+    /**
+     * Recompute every two-channel result
+     */
+    function updateTwoChannelAnalysis() {
+        refreshSecondChannel();
+        updateCoherence();
+        updateTransferFunction();
+        updateCorrelation();
+        if (advancedTab.classList.contains('active') && visType.value === 'coherence') {
+            updateAdvancedVisualizations();
+        }
+    }
+
+    /**
+     * Recompute and plot the correlation of the current signal(s)
+     */
+    function updateCorrelation() {
+        if (!lastFFTResult || !currentSignal) return;
+
+        const maxLagMs = parseFloat(correlationMaxLagInput.value);
+        const options = {
+            sampleRate: currentSampleRate,
+            scaling: correlationScalingSelect.value,
+            weighting: correlationWeightingSelect.value
+        };
+        if (!isNaN(maxLagMs) && maxLagMs >= 0) {
+            options.maxLag = Math.round(maxLagMs * currentSampleRate / 1000);
+        }
+
+        const correlationResult = correlationModeSelect.value === 'cross' && secondChannel ?
+            spectralAnalyzer.computeCrossCorrelation(currentSignal, secondChannel, options) :
+            spectralAnalyzer.computeAutoCorrelation(currentSignal, options);
+        lastFFTResult.correlation = correlationResult;
+        if (!correlationResult) {
+            correlationInfoText.textContent = 'Correlation failed, see console for details';
+            return;
+        }
+
+        plotManager.updateCorrelationPlot(correlationResult);
+        const { delay, period } = correlationResult;
+        const mode = correlationModeSelect.options[correlationModeSelect.selectedIndex].text;
+        if (delay) {
+            correlationInfoText.textContent = `${mode}: ` +
+                `peak at ${(delay.time * 1000).toFixed(4)} ms (${delay.lag.toFixed(3)} samples), value ${delay.peak.toPrecision(4)}`;
+        } else if (period) {
+            correlationInfoText.textContent = `${mode}: ` +
+                `period ${(period.time * 1000).toFixed(4)} ms (${period.lag.toFixed(3)} samples, ` +
+                `${(1 / period.time).toFixed(2)} Hz), value ${period.peak.toPrecision(4)}`;
+        } else {
+            correlationInfoText.textContent = `${mode}: no repeating pattern within the lag range`;
+        }
+    }
+
+    /**
+     * Show the frequency list for custom tone plans
+     */
+    function updateToneControls() {
+        toneFrequencyControls.style.display = toneModeSelect.value === 'custom' ? 'block' : 'none';
+    }
+
+    /**
+     * Track the selected tones and decode them into symbols
+     */
+    function updateToneDetection() {
+        if (!lastFFTResult || !currentSignal) return;
+
+        const nyquist = currentSampleRate / 2;
+        const skipDecoding = (message) => {
+            lastFFTResult.tones = null;
+            plotManager.updateTonePlot({ times: [], frequencies: [], levelsDb: [] });
+            plotManager.updateToneTable([]);
+            toneInfoText.textContent = message;
+        };
+
+        try {
+            let plan = GoertzelDetector.dtmfPlan;
+            let dropped = [];
+            if (toneModeSelect.value === 'custom') {
+                const frequencies = toneFrequenciesInput.value.split(/[\s,;]+/)
+                    .map(parseFloat)
+                    .filter(f => f > 0);
+                if (frequencies.length === 0) {
+                    throw new Error('Enter at least one tone frequency');
+                }
+
+                // Tones above the Nyquist frequency cannot be tracked; decode the rest
+                dropped = frequencies.filter(f => f > nyquist);
+                const kept = frequencies.filter(f => f <= nyquist);
+                if (kept.length === 0) {
+                    skipDecoding(`All tones lie above the Nyquist frequency (${nyquist} Hz); decoding skipped`);
+                    return;
+                }
+                plan = GoertzelDetector.singleTonePlan(kept);
+            } else if (GoertzelDetector.minSampleRate(plan) > currentSampleRate) {
+                const needed = GoertzelDetector.minSampleRate(plan) / 1000;
+                skipDecoding(`DTMF needs fs ≥ ${needed.toFixed(1)} kHz (current fs ${currentSampleRate} Hz); ` +
+                    'decoding skipped');
+                return;
+            }
+
+            const blockMs = parseFloat(toneBlockInput.value);
+            const minDurationMs = parseFloat(toneMinDurationInput.value);
+            const decoded = GoertzelDetector.decode(currentSignal, currentSampleRate, {
+                plan,
+                blockDuration: blockMs > 0 ? blockMs / 1000 : undefined,
+                minDuration: minDurationMs >= 0 ? minDurationMs / 1000 : undefined
+            });
+            lastFFTResult.tones = decoded;
+
+            const { track } = decoded;
+            const trace = toneTrackerSelect.value === 'sliding' ?
+                GoertzelDetector.slidingDFT(currentSignal, currentSampleRate, track.frequencies, {
+                    length: track.blockSize,
+                    step: track.hop
+                }) :
+                track;
+            plotManager.updateTonePlot(trace);
+            plotManager.updateToneTable(decoded.detections);
+
+            toneInfoText.textContent =
+                `${plan.name}: blocks of ${track.blockSize} samples (${track.resolution.toFixed(1)} Hz resolution), ` +
+                `hop ${track.hop}; ` +
+                (decoded.detections.length ? `decoded "${decoded.sequence}"` : 'no tones detected') +
+                (dropped.length ? `; ${dropped.join(', ')} Hz above Nyquist (${nyquist} Hz) skipped` : '');
+        } catch (error) {
+            console.error('Error detecting tones:', error);
+            plotManager.updateToneTable([]);
+            toneInfoText.textContent = `Tone detection failed: ${error.message}`;
+        }
+    }
+
+    /**
+     * Analyze and plot the filter selected in the filter panel
+     * Uses the current signal's sample rate, or the generator's before any signal was processed.
+     */
+    function updateFilterAnalysis() {
+        const sampleRate = currentSampleRate || parseFloat(sampleRateInput.value);
+
+        let filter;
+        try {
+            filter = designFilter(sampleRate);
+        } catch (error) {
+            filterAnalysisInfoText.textContent = `No filter to analyze: ${error.message}`;
+            return;
+        }
+
+        const length = parseInt(filterResponseLengthInput.value, 10);
+        const analysis = FilterAnalyzer.analyze(filter, sampleRate, {
+            points: parseInt(filterResponsePointsSelect.value, 10),
+            length: length >= 2 ? length : undefined
+        });
+        if (!analysis) {
+            filterAnalysisInfoText.textContent = 'Filter analysis failed, see console for details';
+            return;
+        }
+
+        plotManager.updateFilterPlots(analysis);
+
+        // Group delay range over the -3 dB passband
+        const { magnitudeDb, groupDelay } = analysis.response;
+        const peakDb = Math.max(...magnitudeDb.filter(isFinite));
+        const passbandDelays = Array.from(groupDelay).filter((delay, k) =>
+            isFinite(delay) && magnitudeDb[k] >= peakDb - 3);
+        const delayRange = passbandDelays.length > 0 ?
+            `, passband group delay ${Math.min(...passbandDelays).toFixed(2)} to ${Math.max(...passbandDelays).toFixed(2)} samples` :
+            '';
+        filterAnalysisInfoText.textContent =
+            `${DigitalFilter.describe(filter)} at ${sampleRate} Hz: ` +
+            `${analysis.stable ? 'stable' : 'UNSTABLE'}, max pole radius ${analysis.maxPoleRadius.toFixed(6)}${delayRange}`;
+    }
+
+    /**
+     * Collect the STFT options from the spectrogram controls
+     * @returns {Object} Options for SpectralAnalyzer.computeSTFT
+     */
+    function getSTFTOptions() {
+        const parsedFrameSize = parseInt(stftFrameSizeInput.value);
+        const frameSize = isNaN(parsedFrameSize) || parsedFrameSize < 8 ? 512 : parsedFrameSize;
+        const parsedHop = parseInt(stftHopInput.value);
+        const hop = isNaN(parsedHop) || parsedHop < 1 ? Math.max(1, Math.round(frameSize / 10)) : Math.min(parsedHop, frameSize);
+        return {
+            frameSize,
+            hop,
+            windowType: stftWindowSelect.value,
+            nfft: frameSize * (parseInt(stftZeroPaddingSelect.value) || 1),
+            center: stftCenterCheckbox.checked
+        };
+    }
+
+    /**
+     * Show the reference input for the dB scalings
+     */
+    function updateScalingControls() {
+        const scaling = spectrumScalingSelect.value;
+        dbReferenceControls.style.display = scaling === 'db' || scaling === 'dbfs' ? 'block' : 'none';
+        dbReferenceLabel.textContent = scaling === 'dbfs' ?
+            'Full-Scale Amplitude (peak)' : 'Reference Amplitude (peak)';
+    }
+
+    /**
+     * Compute, lifter and plot the cepstrum of the current signal
+     */
+    function updateCepstrum() {
+        if (!currentSignal || !currentSampleRate) return;
+
+        try {
+            const result = CepstrumAnalyzer.cepstrum(currentSignal, currentSampleRate, {
+                type: cepstrumTypeSelect.value
+            });
+            const cutoff = parseFloat(lifterCutoffInput.value) / 1000;
+            const liftered = cutoff > 0 ?
+                CepstrumAnalyzer.lifter(result, { type: lifterTypeSelect.value, cutoff }) : null;
+            plotManager.updateCepstrumPlot(result, liftered);
+
+            // Strongest rahmonic within the pitch search range
+            const minFrequency = parseFloat(pitchMinF0Input.value);
+            const maxFrequency = parseFloat(pitchMaxF0Input.value);
+            const peak = CepstrumAnalyzer.cepstralPeak(result,
+                minFrequency > 0 ? minFrequency : undefined,
+                maxFrequency > 0 ? maxFrequency : undefined);
+            cepstrumInfoText.textContent =
+                `FFT ${result.nfft}, quefrency step ${(1000 / currentSampleRate).toFixed(3)} ms; ` +
+                (peak ?
+                    `largest peak in the F0 range at ${(1000 * peak.quefrency).toFixed(3)} ms ` +
+                    `(${peak.frequency.toFixed(2)} Hz)` :
+                    'the F0 range holds no quefrencies of this record');
+        } catch (error) {
+            console.error('Error computing cepstrum:', error);
+            cepstrumInfoText.textContent = 'Cepstrum could not be computed, see console for details';
+        }
+    }
+
+    /**
+     * Track F0 over the spectrogram frames with every estimator
+     * The tracks are kept per signal and settings, so refreshing other views does not run the estimators again.
+     */
+    function updatePitchTracks() {
+        if (!lastFFTResult || !currentSignal) return;
+
+        try {
+            const stftOptions = getSTFTOptions();
+            const minFrequency = parseFloat(pitchMinF0Input.value);
+            const maxFrequency = parseFloat(pitchMaxF0Input.value);
+            const threshold = parseFloat(pitchYinThresholdInput.value);
+            const silenceDb = parseFloat(pitchSilenceInput.value);
+            const options = {
+                minFrequency: minFrequency > 0 ? minFrequency : undefined,
+                maxFrequency: maxFrequency > 0 ? maxFrequency : undefined,
+                silenceDb: isNaN(silenceDb) ? undefined : Math.min(silenceDb, 0)
+            };
+            const key = JSON.stringify({ stftOptions, options, threshold, sampleRate: currentSampleRate });
+            if (pitchCache && pitchCache.signal === currentSignal && pitchCache.key === key) {
+                lastFFTResult.pitch = pitchCache.tracks;
+                return;
+            }
+
+            const stft = spectralAnalyzer.computeSTFT(currentSignal, currentSampleRate, stftOptions);
+            const tracks = CepstrumAnalyzer.pitchMethods.map(method => CepstrumAnalyzer.pitchTrack(stft, currentSignal, {
+                ...options,
+                method,
+                threshold: method === 'yin' && threshold > 0 ? threshold : undefined
+            }));
+            pitchCache = { signal: currentSignal, key, tracks };
+            lastFFTResult.pitch = tracks;
+            plotManager.updatePitchPlot(tracks);
+
+            const yin = tracks.find(track => track.method === 'yin');
+            const median = (track) => {
+                const voiced = Array.from(track.f0).filter(isFinite).sort((a, b) => a - b);
+                return voiced.length ? voiced[Math.floor(voiced.length / 2)].toFixed(2) : '-';
+            };
+            pitchInfoText.textContent =
+                `${stft.times.length} frames of ${stft.frameSize} samples; median F0 ` +
+                tracks.map(track => `${track.method.toUpperCase()} ${median(track)} Hz`).join(', ') +
+                `; ${yin.voiced.reduce((sum, v) => sum + v, 0)} frames voiced (YIN)`;
+        } catch (error) {
+            console.error('Error tracking F0:', error);
+            pitchInfoText.textContent = 'F0 tracking failed, see console for details';
+        }
+    }
+
+    /**
+     * Show the STFT spectrogram of the current signal
+     */
+    function updateSTFTSpectrogram() {
+        // Compute and validate spectrogram data
+        const spectrogramData = spectralAnalyzer.computeSpectrogram(currentSignal, currentSampleRate, getSTFTOptions());
+        console.log('Spectrogram computation result:', spectrogramData ?
+            `Success - ${spectrogramData.data.length} time steps` : 'Failed');
+
+        if (spectrogramData && Array.isArray(spectrogramData.data) && spectrogramData.data.length > 0) {
+            spectrogram.update(spectrogramData.data, currentSampleRate, {
+                frequencies: spectrogramData.frequencies,
+                times: spectrogramData.times,
+                tracks: lastFFTResult.partials?.tracks
+            });
+            const { timeSteps, frameSize, hop, nfft, timeResolution, cola } = spectrogramData;
+            const overlapAdd = cola.cola ? 'COLA' : (cola.nola ? 'not COLA (invertible)' : 'not invertible (NOLA fails)');
+            stftInfoText.textContent =
+                `${timeSteps} frames of ${frameSize} samples (FFT ${nfft}), hop ${hop} ` +
+                `(${(timeResolution * 1000).toFixed(2)} ms), ` +
+                `bin spacing ${(currentSampleRate / nfft).toFixed(2)} Hz, ${overlapAdd}`;
+        } else {
+            console.error('Invalid spectrogram data structure:', spectrogramData);
+        }
+    }
+
+    /**
+     * Show the continuous wavelet transform of the current signal on a log-frequency axis
+     */
+    function updateScalogram() {
+        const voices = parseInt(cwtVoicesInput.value, 10);
+        const minFrequency = parseFloat(tfMinFrequencyInput.value);
+        const maxFrequency = parseFloat(tfMaxFrequencyInput.value);
+        const range = parseFloat(tfRangeInput.value);
+
+        // About 600 columns are plenty for the canvas
+        const step = Math.max(1, Math.ceil(currentSignal.length / 600));
+        const result = WaveletTransform.transform(currentSignal, currentSampleRate, {
+            wavelet: cwtWaveletSelect.value,
+            voicesPerOctave: voices >= 1 ? Math.min(voices, 48) : undefined,
+            minFrequency: minFrequency > 0 ? minFrequency : undefined,
+            maxFrequency: maxFrequency > 0 ? maxFrequency : undefined,
+            step
+        });
+        lastFFTResult.scalogram = result;
+
+        spectrogram.update(WaveletTransform.toDecibels(result), currentSampleRate, {
+            frequencies: result.frequencies,
+            times: result.times,
+            frequencyScale: 'log',
+            coi: result.coi,
+            dynamicRange: range > 0 ? range : 60,
+            tracks: lastFFTResult.partials?.tracks
+        });
+        const { frequencies } = result;
+        stftInfoText.textContent =
+            `${result.wavelet} wavelet, ${frequencies.length} scales (${result.voicesPerOctave} per octave) ` +
+            `from ${frequencies[0].toFixed(2)} to ${frequencies[frequencies.length - 1].toFixed(2)} Hz, ` +
+            `${result.times.length} time steps of ${(1000 * step / currentSampleRate).toFixed(2)} ms; ` +
+            'shaded: outside the cone of influence';
+    }
+
+    /**
+     * Show the mel, constant-Q or MFCC view of the current signal, computed from the STFT frames
+     */
+    function updateFilterBankSpectrogram() {
+        const view = tfViewSelect.value;
+        const nyquist = currentSampleRate / 2;
+        const bands = parseInt(melBandsInput.value, 10);
+        const binsPerOctave = parseInt(cqtBinsPerOctaveInput.value, 10);
+        const count = parseInt(mfccCountInput.value, 10);
+        const minFrequency = parseFloat(tfMinFrequencyInput.value);
+        const maxFrequency = parseFloat(tfMaxFrequencyInput.value);
+        const range = parseFloat(tfRangeInput.value);
+        const options = {
+            ...getSTFTOptions(),
+            bands: bands >= 1 ? Math.min(bands, 256) : undefined,
+            binsPerOctave: binsPerOctave >= 1 ? Math.min(binsPerOctave, 96) : undefined,
+            coefficients: count >= 2 ? Math.min(count, 64) : undefined,
+            minFrequency: minFrequency >= 0 && minFrequency < nyquist ? minFrequency : undefined,
+            maxFrequency: maxFrequency > 0 ? Math.min(maxFrequency, nyquist) : undefined
+        };
+
+        if (view === 'mfcc') {
+            const result = spectralAnalyzer.computeMFCC(currentSignal, currentSampleRate, options);
+            if (!result || result.count < 2) {
+                stftInfoText.textContent = 'MFCCs could not be computed for these settings (see console)';
+                return;
+            }
+            lastFFTResult.mfcc = result;
+
+            // c_0 (overall log energy) would swamp the colour scale, so rows start at c_1
+            const rows = Array.from(result.coefficients, frame => Array.from(frame.slice(1)));
+            spectrogram.update(rows, currentSampleRate, {
+                frequencies: Array.from({ length: result.count - 1 }, (_, n) => n + 1),
+                times: result.times,
+                label: 'MFCC',
+                autoScale: true
+            });
+            const { mel } = result;
+            stftInfoText.textContent =
+                `${result.count} MFCCs (c1-c${result.count - 1} shown) from ${mel.bands} mel bands ` +
+                `(${mel.edges[0].toFixed(0)}-${mel.edges[mel.edges.length - 1].toFixed(0)} Hz), ` +
+                `${result.times.length} frames, hop ${(mel.timeResolution * 1000).toFixed(2)} ms`;
+            return;
+        }
+
+        const result = view === 'cqt' ?
+            spectralAnalyzer.computeConstantQSpectrogram(currentSignal, currentSampleRate, options) :
+            spectralAnalyzer.computeMelSpectrogram(currentSignal, currentSampleRate, options);
+        if (!result) {
+            stftInfoText.textContent = 'The filter bank could not be computed for these settings (see console)';
+            return;
+        }
+        lastFFTResult.filterBankSpectrogram = result;
+
+        spectrogram.update(result.data, currentSampleRate, {
+            frequencies: result.frequencies,
+            times: result.times,
+            frequencyScale: result.scale,
+            dynamicRange: range > 0 ? range : 60,
+            tracks: lastFFTResult.partials?.tracks
+        });
+        const { frequencies } = result;
+        const span = `from ${frequencies[0].toFixed(2)} to ${frequencies[frequencies.length - 1].toFixed(2)} Hz`;
+        const frames = `${result.timeSteps} frames, hop ${(result.timeResolution * 1000).toFixed(2)} ms`;
+        if (view === 'cqt') {
+            const unresolved = result.unresolved > 0 ?
+                `; lowest ${result.unresolved} bins narrower than the FFT bin spacing (use a longer frame)` : '';
+            stftInfoText.textContent =
+                `${frequencies.length} constant-Q bins (${result.binsPerOctave} per octave, Q ${result.q.toFixed(1)}) ` +
+                `${span}, ${frames}${unresolved}`;
+        } else {
+            const empty = result.empty > 0 ? `; ${result.empty} bands hold no FFT bin (use fewer bands)` : '';
+            stftInfoText.textContent = `${result.bands} mel bands centred ${span}, ${frames}${empty}`;
+        }
+    }
 
     /**
-     * Create a frequency component input group
-     * @param {number} index - Component index
-     * @returns {HTMLElement} Component input group
+     * Track partials through the STFT frames of the current signal for the spectrogram overlay
      */
-    function createFrequencyComponent(index) {
-        const div = document.createElement('div');
-        div.className = 'frequency-component mb-3 border p-2';
-        div.innerHTML = `
-            <div class="mb-2">
-                <label class="form-label">Component ${index + 1}</label>
-                <button type="button" class="btn btn-sm btn-danger float-end remove-freq">Remove</button>
-            </div>
-            <div class="mb-2">
-                <label class="form-label">Frequency (Hz)</label>
-                <input type="number" class="form-control freq-input" value="10" step="any">
-            </div>
-            <div class="mb-2">
-                <label class="form-label">Amplitude</label>
-                <input type="number" class="form-control amp-input" value="1" step="any">
-            </div>
-            <div class="mb-2">
-                <label class="form-label">Phase (degrees)</label>
-                <input type="number" class="form-control phase-input" value="0" step="any">
-            </div>
-        `;
+    function updatePartialTracks() {
+        lastFFTResult.partials = null;
+        if (!partialEnableCheckbox.checked) return;
 
-        const removeButton = div.querySelector('.remove-freq');
-        removeButton.addEventListener('click', () => {
-            div.remove();
-            currentFrequencies = collectFrequencyComponents();
+        const maxJump = parseFloat(partialMaxJumpInput.value);
+        const maxGap = parseInt(partialMaxGapInput.value, 10);
+        const minLength = parseInt(partialMinLengthInput.value, 10);
+        const range = parseFloat(partialRangeInput.value);
+        const result = spectralAnalyzer.computePartialTracks(currentSignal, currentSampleRate, {
+            ...getSTFTOptions(),
+            maxFrequencyJump: maxJump > 0 ? maxJump : undefined,
+            maxGap: maxGap >= 0 ? maxGap : undefined,
+            minLength: minLength >= 1 ? minLength : undefined,
+            dynamicRange: range > 0 ? range : undefined
         });
+        if (!result) {
+            partialInfoText.textContent = 'Partial tracking failed, see console for details';
+            return;
+        }
+        lastFFTResult.partials = result;
 
-        return div;
+        const bridged = result.tracks.filter(track => track.interpolated.includes(true)).length;
+        partialInfoText.textContent =
+            `${result.tracks.length} tracks from ${result.peakCount} peaks in ${result.times.length} frames ` +
+            `(steps up to ${result.maxFrequencyJump.toFixed(1)} Hz and ${result.maxLevelJump} dB per frame, ` +
+            `gaps up to ${result.maxGap} frames, ${bridged} tracks bridged)` +
+            (tfViewSelect.value === 'mfcc' ? '; not drawn on the MFCC view' : '');
     }
 
     /**
-     * Collect frequency component values
-     * @returns {Array} Array of frequency component objects
+     * Show the controls of the selected time-frequency view
      */
-    function collectFrequencyComponents() {
-        const components = [];
-        const componentDivs = document.querySelectorAll('.frequency-component');
-        
-        componentDivs.forEach(div => {
-            components.push({
-                frequency: parseFloat(div.querySelector('.freq-input').value),
-                amplitude: parseFloat(div.querySelector('.amp-input').value),
-                phase: parseFloat(div.querySelector('.phase-input').value)
-            });
+    function updateTimeFrequencyControls() {
+        const view = tfViewSelect.value;
+        tfControls.forEach(control => {
+            control.style.display = control.classList.contains(`tf-${view}`) ? 'block' : 'none';
         });
-        
-        return components;
     }
 
     /**
@@ -158,25 +1518,26 @@ document.addEventListener('DOMContentLoaded', async () => {
                 return;
             }
 
-            // Update spectrogram
+            // Update spectrogram (STFT, wavelet scalogram or filter bank)
             try {
                 // Update spectrogram options
                 spectrogram.updateOptions({ colormap: spectrogramColormap.value });
-                
-                // Compute and validate spectrogram data
-                const spectrogramData = spectralAnalyzer.computeSpectrogram(currentSignal, currentSampleRate);
-                console.log('Spectrogram computation result:', spectrogramData ?
-                    `Success - ${spectrogramData.data.length} time steps` : 'Failed');
-                
-                if (spectrogramData && Array.isArray(spectrogramData.data) && spectrogramData.data.length > 0) {
-                    spectrogram.update(spectrogramData.data, currentSampleRate);
+                updatePartialTracks();
+
+                if (tfViewSelect.value === 'cwt') {
+                    updateScalogram();
+                } else if (['mel', 'cqt', 'mfcc'].includes(tfViewSelect.value)) {
+                    updateFilterBankSpectrogram();
                 } else {
-                    console.error('Invalid spectrogram data structure:', spectrogramData);
+                    updateSTFTSpectrogram();
                 }
             } catch (err) {
                 console.error('Error updating spectrogram:', err);
             }
 
+            updateCepstrum();
+            updatePitchTracks();
+
             // Update 3D visualization based on selected type
             if (!visType || !visType.value) return;
 
@@ -193,7 +1554,8 @@ document.addEventListener('DOMContentLoaded', async () => {
                         }
                         break;
                     case 'phase-delay':
-                        const phaseData = spectralAnalyzer.computeGroupDelay(currentSignal, currentSampleRate);
+                        const phaseData = lastFFTResult.phaseAnalysis ||
+                            spectralAnalyzer.computeGroupDelay(currentSignal, currentSampleRate);
                         if (phaseData) {
                             threeDVis.createPhaseDelayVis(phaseData);
                         }
@@ -212,6 +1574,96 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    /**
+     * Show the full spectrum of the last FFT in the frequency plot and peak table
+     */
+    function displayFullSpectrum() {
+        const { frequencies, magnitudes, phases, peaks, scale, unfiltered, filterStage } = lastFFTResult;
+        plotManager.updateFreqPlot(frequencies, magnitudes, {
+            phases,
+            logScale: logScaleCheckbox.checked,
+            peaks,
+            scale,
+            label: filterStage.filter ? 'Filtered Spectrum' : 'Frequency Spectrum',
+            reference: unfiltered ? { ...unfiltered, label: 'Unfiltered Spectrum' } : null
+        });
+        plotManager.updatePeakTable(peaks, scale);
+    }
+
+    /**
+     * Show the zoom FFT of the current band in the frequency plot and peak table
+     * @returns {boolean} True if the zoomed spectrum could be computed
+     */
+    function displayZoomSpectrum() {
+        const zoomResult = FFTProcessor.zoomFFT(currentSignal, {
+            sampleRate: currentSampleRate,
+            f1: zoomBand.f1,
+            f2: zoomBand.f2,
+            points: zoomBand.points,
+            windowType: windowTypeSelect.value,
+            windowOptions: getWindowOptions(),
+            peakThreshold: parseFloat(peakThresholdInput.value),
+            peakOptions: getPeakOptions(),
+            ...getScalingOptions()
+        });
+        if (!zoomResult) {
+            return false;
+        }
+
+        const { frequencies, magnitudes, phases, peaks, scale } = zoomResult;
+        plotManager.updateFreqPlot(frequencies, magnitudes, {
+            phases,
+            logScale: logScaleCheckbox.checked,
+            peaks,
+            scale
+        });
+        plotManager.updatePeakTable(peaks, scale);
+        plotManager.updatePlotOptions({
+            freqTitle: `Zoom FFT ${zoomBand.f1.toFixed(2)}-${zoomBand.f2.toFixed(2)} Hz ` +
+                `(${zoomResult.band.resolution.toPrecision(3)} Hz spacing)`
+        });
+        return true;
+    }
+
+    /**
+     * Refresh the frequency plot, zoomed if a zoom band is active
+     */
+    function displaySpectrum() {
+        if (zoomBand && displayZoomSpectrum()) {
+            return;
+        }
+        displayFullSpectrum();
+    }
+
+    /**
+     * Zoom the frequency plot into a band
+     * @param {number} f1 - Start of the band in Hz
+     * @param {number} f2 - End of the band in Hz
+     */
+    function zoomToBand(f1, f2) {
+        if (!currentSignal) return;
+
+        const nyquist = currentSampleRate / 2;
+        const points = parseInt(zoomPointsInput.value, 10);
+        const band = {
+            f1: Math.max(0, Math.min(f1, f2)),
+            f2: Math.min(nyquist, Math.max(f1, f2)),
+            points: isNaN(points) ? 1024 : points
+        };
+        if (!(band.f2 > band.f1)) {
+            alert(`Zoom band must lie between 0 and ${nyquist} Hz`);
+            return;
+        }
+
+        zoomStartInput.value = band.f1.toFixed(3);
+        zoomEndInput.value = band.f2.toFixed(3);
+        zoomBand = band;
+        if (!displayZoomSpectrum()) {
+            zoomBand = null;
+            alert('Zoom FFT failed. Please check the console for details.');
+        }
+    }
+
     /**
      * Process and display signal
      * @param {Array} signal - Signal data array
@@ -221,49 +1673,77 @@ document.addEventListener('DOMContentLoaded', async () => {
      */
     function processAndDisplaySignal(signal, timePoints, sampleRate, title) {
             try {
-                currentSignal = signal;
-                currentTimePoints = timePoints;
-                currentSampleRate = sampleRate;
-    
-                // Get peak threshold
-                const peakThreshold = parseFloat(peakThresholdInput.value);
-                
-                // Compute FFT and store original data
+                // Pre-process, then resample; everything downstream runs at the analysis rate
+                const preprocessStage = runPreprocessStage(signal);
+                const resampleStage = runResampleStage(preprocessStage.signal, sampleRate);
+                const analysisRate = resampleStage.sampleRate;
+                const analysisTimePoints = resampleStage.resampled || resampleStage.signal.length !== timePoints.length ?
+                    DataLoader.generateTimePoints(resampleStage.signal.length, analysisRate) :
+                    timePoints;
+
+                const filterStage = runFilterStage(resampleStage.signal, analysisRate);
+                const fftOptions = getFFTOptions(analysisRate);
+                const envelopeStage = runEnvelopeStage(filterStage.signal, analysisRate, fftOptions);
+                currentSignal = envelopeStage.signal;
+                currentTimePoints = analysisTimePoints;
+                currentSampleRate = analysisRate;
+
+                // Compute FFT of the filtered signal (or take the envelope spectrum) and store the original data
                 lastFFTResult = {
-                    ...FFTProcessor.computeFFT(signal, {
-                        windowType: windowTypeSelect.value,
-                        sampleRate: sampleRate,
-                        peakThreshold: peakThreshold
-                    }),
+                    ...(envelopeStage.spectrum || FFTProcessor.computeFFT(currentSignal, fftOptions)),
                     signal,
                     timePoints,
                     sampleRate,
-                    title
+                    title,
+                    filterStage: { filter: filterStage.filter, zeroPhase: filterStage.zeroPhase },
+                    envelopeBand: envelopeStage.band
                 };
-    
-                const { frequencies, magnitudes, phases, peaks } = lastFFTResult;
 
+                // Spectrum before the filter stage, for comparison (not comparable with an envelope spectrum)
+                if (filterStage.filter && filterCompareCheckbox.checked && !envelopeStage.spectrum) {
+                    const unfiltered = FFTProcessor.computeFFT(resampleStage.signal, fftOptions);
+                    if (unfiltered) {
+                        const { frequencies, magnitudes, phases } = unfiltered;
+                        lastFFTResult.unfiltered = { frequencies, magnitudes, phases };
+                    }
+                }
+    
             // Update basic plots
-            plotManager.updateTimePlot(timePoints, signal);
-            plotManager.updateFreqPlot(frequencies, magnitudes, {
-                phases,
-                logScale: logScaleCheckbox.checked,
-                peaks
+            plotManager.updateTimePlot(analysisTimePoints, envelopeStage.timeSignal, {
+                label: envelopeStage.band ? 'Band-passed Signal' : 'Time Domain Signal',
+                envelope: envelopeStage.envelope ? { values: envelopeStage.envelope, label: 'Envelope' } : null
             });
 
-            // Update peak table
-            plotManager.updatePeakTable(peaks);
-
             // Update plot titles
+            const filterNote = filterStage.filter ? ' (filtered)' : '';
+            const resampleNote = resampleStage.resampled ? ` at ${+analysisRate.toFixed(3)} Hz` : '';
+            const bandNote = envelopeStage.band ? ` (band-passed ${envelopeStage.band[0]}-${envelopeStage.band[1]} Hz)` : '';
+            const spectrumName = envelopeStage.spectrum ? 'Envelope Spectrum' : 'Frequency Spectrum';
             plotManager.updatePlotOptions({
-                timeTitle: `${title} - Time Domain`,
-                freqTitle: `Frequency Spectrum - ${windowTypeSelect.value.charAt(0).toUpperCase() + windowTypeSelect.value.slice(1)} Window`
+                timeTitle: `${title}${filterNote}${bandNote}${resampleNote} - Time Domain`,
+                freqTitle: `${spectrumName} - ${windowTypeSelect.value.charAt(0).toUpperCase() + windowTypeSelect.value.slice(1)} Window`
             });
 
+            // Update frequency plot (zoomed if a band is selected) and peak table
+            displaySpectrum();
+            updateWindowMetrics(currentSignal.length);
+            updatePSD();
+            updateOctaveBands();
+            updateDynamicMetrics();
+            updatePhaseAnalysis();
+            refreshSecondChannel();
+            updateCoherence();
+            updateTransferFunction();
+            updateCorrelation();
+            updateToneDetection();
+
             // Update advanced visualizations if tab is active
             if (advancedTab.classList.contains('active')) {
                 updateAdvancedVisualizations();
             }
+            if (filterTab.classList.contains('active')) {
+                updateFilterAnalysis();
+            }
 
         } catch (error) {
             console.error('Error processing signal:', error);
@@ -337,10 +1817,34 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         try {
             // Load and validate data
-            const signal = await DataLoader.loadFile(file);
+            if (!loadedTable || loadedTable.file !== file) {
+                loadedTable = { file, table: await DataLoader.loadColumns(file) };
+                populateColumnSelects(loadedTable.table);
+            }
+            const { table } = loadedTable;
+            const signalColumn = parseInt(fileSignalColumnSelect.value);
+            const responseColumn = parseInt(fileResponseColumnSelect.value);
+            const hasResponse = !isNaN(responseColumn) && responseColumn !== signalColumn;
+
+            // Missing cells are kept as gaps for the pre-processing stage to repair in place
+            const [signal, response] = DataLoader.selectColumns(
+                table,
+                hasResponse ? [signalColumn, responseColumn] : [signalColumn],
+                { keepGaps: true }
+            );
             const validatedSignal = DataLoader.validateData(signal);
             const timePoints = DataLoader.generateTimePoints(validatedSignal.length, sampleRate);
 
+            if (hasResponse) {
+                loadedResponse = {
+                    signal: DataLoader.validateData(response),
+                    name: `${file.name} [${table.headers[responseColumn]}]`,
+                    sampleRate
+                };
+                channel2SourceSelect.value = 'file';
+                updateChannel2Controls();
+            }
+
             // Process and display signal
             processAndDisplaySignal(
                 validatedSignal,
@@ -355,6 +1859,25 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    /**
+     * Fill the column selects from a loaded table (the last column is the default signal)
+     * @param {Object} table - Result of DataLoader.loadColumns
+     */
+    function populateColumnSelects(table) {
+        const fill = (select, includeNone) => {
+            select.innerHTML = '';
+            if (includeNone) {
+                select.add(new Option('None', ''));
+            }
+            table.headers.forEach((header, index) => select.add(new Option(header, String(index))));
+        };
+        fill(fileSignalColumnSelect, false);
+        fill(fileResponseColumnSelect, true);
+        fileSignalColumnSelect.value = String(table.headers.length - 1);
+        fileSignalColumnSelect.disabled = false;
+        fileResponseColumnSelect.disabled = table.headers.length < 2;
+    }
+
     /**
      * Validate signal generation parameters
      * @param {Object} params - Signal parameters
@@ -421,33 +1944,399 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Add first frequency component for multi-sine
     addFrequencyButton.click();
+    updateWindowParamControls();
+    updateScalingControls();
+    updateChannel2Controls();
+    updatePreprocessControls();
+    updateResampleControls();
+    updateFilterControls();
+    updateToneControls();
+    updateTimeFrequencyControls();
 
     // FFT controls event listeners
     windowTypeSelect.addEventListener('change', () => {
+        updateWindowParamControls();
         if (lastFFTResult && lastFFTResult.signal) {
             const { signal, timePoints, sampleRate, title } = lastFFTResult;
             processAndDisplaySignal(signal, timePoints, sampleRate, title);
         }
     });
 
+    [preprocessDetrendSelect, preprocessOutliersCheckbox].forEach(control => {
+        control.addEventListener('change', updatePreprocessControls);
+    });
+
+    [
+        preprocessEnableCheckbox,
+        preprocessGapsSelect,
+        preprocessDetrendSelect,
+        preprocessOrderInput,
+        preprocessNormalizeSelect,
+        preprocessOutliersCheckbox,
+        preprocessOutlierThresholdInput,
+        preprocessOutlierWidthInput,
+        preprocessClippingCheckbox
+    ].forEach(control => {
+        control.addEventListener('change', () => {
+            if (lastFFTResult && lastFFTResult.signal) {
+                const { signal, timePoints, sampleRate, title } = lastFFTResult;
+                processAndDisplaySignal(signal, timePoints, sampleRate, title);
+            }
+        });
+    });
+
+    resampleMethodSelect.addEventListener('change', updateResampleControls);
+
+    [
+        resampleEnableCheckbox,
+        resampleMethodSelect,
+        resampleRateInput,
+        resampleFactorInput,
+        resampleFilterSelect
+    ].forEach(control => {
+        control.addEventListener('change', () => {
+            if (lastFFTResult && lastFFTResult.signal) {
+                const { signal, timePoints, sampleRate, title } = lastFFTResult;
+                processAndDisplaySignal(signal, timePoints, sampleRate, title);
+            }
+        });
+    });
+
+    [filterDesignSelect, filterResponseSelect].forEach(control => {
+        control.addEventListener('change', updateFilterControls);
+    });
+
+    [
+        envelopeEnableCheckbox,
+        envelopeLowInput,
+        envelopeHighInput,
+        envelopeOrderInput,
+        envelopeOverlayCheckbox
+    ].forEach(control => {
+        control.addEventListener('change', () => {
+            if (lastFFTResult && lastFFTResult.signal) {
+                const { signal, timePoints, sampleRate, title } = lastFFTResult;
+                processAndDisplaySignal(signal, timePoints, sampleRate, title);
+            }
+        });
+    });
+
+    filterCoefficientsLoadButton.addEventListener('click', async () => {
+        const file = filterCoefficientsFileInput.files[0];
+        if (!file) {
+            alert('Please select a coefficient file');
+            return;
+        }
+
+        try {
+            const coefficients = await DataLoader.loadCoefficients(file);
+            importedFilter = coefficients.sos ?
+                DigitalFilter.fromSOS(coefficients.sos) :
+                DigitalFilter.fromTransferFunction(coefficients.b, coefficients.a);
+            updateFilterAnalysis();
+            if (lastFFTResult && lastFFTResult.signal) {
+                const { signal, timePoints, sampleRate, title } = lastFFTResult;
+                processAndDisplaySignal(signal, timePoints, sampleRate, title);
+            }
+        } catch (error) {
+            console.error('Error loading filter coefficients:', error);
+            alert(`Error loading filter coefficients: ${error.message}`);
+        }
+    });
+
+    [
+        filterEnableCheckbox,
+        filterDesignSelect,
+        filterResponseSelect,
+        filterCutoffInput,
+        filterCutoffHighInput,
+        filterOrderInput,
+        filterTapsInput,
+        filterRippleInput,
+        filterAttenuationInput,
+        filterWindowSelect,
+        filterTransitionInput,
+        filterQInput,
+        filterModeSelect,
+        filterCompareCheckbox
+    ].forEach(control => {
+        control.addEventListener('change', () => {
+            if (filterTab.classList.contains('active')) {
+                updateFilterAnalysis();
+            }
+            if (lastFFTResult && lastFFTResult.signal) {
+                const { signal, timePoints, sampleRate, title } = lastFFTResult;
+                processAndDisplaySignal(signal, timePoints, sampleRate, title);
+            }
+        });
+    });
+
+    [windowParamInput, windowPeriodicCheckbox].forEach(control => {
+        control.addEventListener('change', () => {
+            if (lastFFTResult && lastFFTResult.signal) {
+                const { signal, timePoints, sampleRate, title } = lastFFTResult;
+                processAndDisplaySignal(signal, timePoints, sampleRate, title);
+            }
+        });
+    });
+
     logScaleCheckbox.addEventListener('change', () => {
         if (lastFFTResult) {
-            const { frequencies, magnitudes, phases, peaks } = lastFFTResult;
-            plotManager.updateFreqPlot(frequencies, magnitudes, {
-                phases,
-                logScale: logScaleCheckbox.checked,
-                peaks
-            });
+            displaySpectrum();
+        }
+    });
+
+    // Zoom FFT controls event listeners
+    plotManager.enableBandSelection(zoomToBand);
+
+    zoomApplyButton.addEventListener('click', () => {
+        zoomToBand(parseFloat(zoomStartInput.value), parseFloat(zoomEndInput.value));
+    });
+
+    zoomResetButton.addEventListener('click', () => {
+        zoomBand = null;
+        if (lastFFTResult && lastFFTResult.signal) {
+            const { signal, timePoints, sampleRate, title } = lastFFTResult;
+            processAndDisplaySignal(signal, timePoints, sampleRate, title);
         }
     });
 
-    peakThresholdInput.addEventListener('change', () => {
+    spectrumScalingSelect.addEventListener('change', updateScalingControls);
+
+    [spectrumScalingSelect, dbReferenceInput].forEach(control => {
+        control.addEventListener('change', () => {
+            if (lastFFTResult && lastFFTResult.signal) {
+                const { signal, timePoints, sampleRate, title } = lastFFTResult;
+                processAndDisplaySignal(signal, timePoints, sampleRate, title);
+            }
+        });
+    });
+
+    fftPaddingSelect.addEventListener('change', () => {
         if (lastFFTResult && lastFFTResult.signal) {
             const { signal, timePoints, sampleRate, title } = lastFFTResult;
             processAndDisplaySignal(signal, timePoints, sampleRate, title);
         }
     });
 
+    [
+        peakThresholdInput,
+        peakInterpolationSelect,
+        peakMinSeparationInput,
+        peakMaxCountInput,
+        peakThresholdDbInput,
+        peakProminenceInput
+    ].forEach(control => {
+        control.addEventListener('change', () => {
+            if (lastFFTResult && lastFFTResult.signal) {
+                const { signal, timePoints, sampleRate, title } = lastFFTResult;
+                processAndDisplaySignal(signal, timePoints, sampleRate, title);
+            }
+        });
+    });
+
+    [
+        psdSegmentLengthInput,
+        psdOverlapInput,
+        psdWindowSelect,
+        psdDetrendSelect,
+        psdAverageSelect,
+        psdConfidenceInput
+    ].forEach(control => {
+        control.addEventListener('change', () => {
+            updatePSD();
+            updateCoherence();
+            updateTransferFunction();
+        });
+    });
+
+    dataFileInput.addEventListener('change', async () => {
+        const file = dataFileInput.files[0];
+        loadedTable = null;
+        if (!file) return;
+
+        try {
+            loadedTable = { file, table: await DataLoader.loadColumns(file) };
+            populateColumnSelects(loadedTable.table);
+        } catch (error) {
+            console.error('Error reading file columns:', error);
+            fileSignalColumnSelect.disabled = true;
+            fileResponseColumnSelect.disabled = true;
+        }
+    });
+
+    frfEstimatorSelect.addEventListener('change', displayTransferFunction);
+
+    exportFRFButton.addEventListener('click', () => {
+        if (lastFFTResult && lastFFTResult.transferFunction) {
+            ExportUtils.exportSignalData({ transferFunction: lastFFTResult.transferFunction }, 'frf');
+        }
+    });
+
+    channel2SourceSelect.addEventListener('change', () => {
+        updateChannel2Controls();
+        updateTwoChannelAnalysis();
+    });
+
+    [channel2GainInput, channel2DelayInput, channel2NoiseInput].forEach(control => {
+        control.addEventListener('change', updateTwoChannelAnalysis);
+    });
+
+    channel2LoadButton.addEventListener('click', async () => {
+        const file = channel2FileInput.files[0];
+        if (!file) {
+            alert('Please select a response file');
+            return;
+        }
+
+        try {
+            const signal = DataLoader.validateData(await DataLoader.loadFile(file));
+            const sampleRate = parseFloat(channel2SampleRateInput.value);
+            loadedResponse = { signal, name: file.name, sampleRate: sampleRate > 0 ? sampleRate : null };
+            updateTwoChannelAnalysis();
+        } catch (error) {
+            console.error('Error loading response file:', error);
+            alert(`Error loading response file: ${error.message}`);
+        }
+    });
+
+    phaseGateInput.addEventListener('change', () => {
+        updatePhaseAnalysis();
+        if (advancedTab.classList.contains('active') && visType.value === 'phase-delay') {
+            updateAdvancedVisualizations();
+        }
+    });
+
+    [
+        metricsWindowSelect,
+        metricsHarmonicsInput,
+        metricsFundamentalInput,
+        metricsFullScaleInput,
+        metricsLeakageInput
+    ].forEach(control => {
+        control.addEventListener('change', updateDynamicMetrics);
+    });
+
+    [
+        octaveBandsPerOctaveSelect,
+        octaveWeightingSelect,
+        octaveMethodSelect,
+        octaveMinFrequencyInput,
+        octaveIntervalInput,
+        octaveReferenceInput
+    ].forEach(control => {
+        control.addEventListener('change', updateOctaveBands);
+    });
+
+    exportOctaveButton.addEventListener('click', () => {
+        if (lastFFTResult && lastFFTResult.octaveBands) {
+            ExportUtils.exportSignalData({ octaveBands: lastFFTResult.octaveBands }, 'octave');
+        }
+    });
+
+    exportMetricsButton.addEventListener('click', () => {
+        if (lastFFTResult && lastFFTResult.dynamicMetrics) {
+            ExportUtils.exportSignalData({ metrics: lastFFTResult.dynamicMetrics }, 'metrics');
+        }
+    });
+
+    [
+        correlationModeSelect,
+        correlationScalingSelect,
+        correlationWeightingSelect,
+        correlationMaxLagInput
+    ].forEach(control => {
+        control.addEventListener('change', updateCorrelation);
+    });
+
+    [
+        stftFrameSizeInput,
+        stftHopInput,
+        stftWindowSelect,
+        stftZeroPaddingSelect,
+        stftCenterCheckbox,
+        partialEnableCheckbox,
+        partialMaxJumpInput,
+        partialMaxGapInput,
+        partialMinLengthInput,
+        partialRangeInput
+    ].forEach(control => {
+        control.addEventListener('change', () => {
+            if (lastFFTResult && lastFFTResult.signal) {
+                updateAdvancedVisualizations();
+            }
+        });
+    });
+
+    [cepstrumTypeSelect, lifterTypeSelect, lifterCutoffInput].forEach(control => {
+        control.addEventListener('change', updateCepstrum);
+    });
+
+    [pitchMinF0Input, pitchMaxF0Input, pitchYinThresholdInput, pitchSilenceInput].forEach(control => {
+        control.addEventListener('change', updatePitchTracks);
+    });
+
+    // The cepstrum info reports its peak within the F0 search range
+    [pitchMinF0Input, pitchMaxF0Input].forEach(control => {
+        control.addEventListener('change', updateCepstrum);
+    });
+
+    tfViewSelect.addEventListener('change', updateTimeFrequencyControls);
+
+    [
+        tfViewSelect,
+        cwtWaveletSelect,
+        cwtVoicesInput,
+        melBandsInput,
+        cqtBinsPerOctaveInput,
+        mfccCountInput,
+        tfMinFrequencyInput,
+        tfMaxFrequencyInput,
+        tfRangeInput
+    ].forEach(control => {
+        control.addEventListener('change', () => {
+            if (lastFFTResult && lastFFTResult.signal) {
+                updateAdvancedVisualizations();
+            }
+        });
+    });
+
+    toneModeSelect.addEventListener('change', updateToneControls);
+
+    [
+        toneModeSelect,
+        toneFrequenciesInput,
+        toneTrackerSelect,
+        toneBlockInput,
+        toneMinDurationInput
+    ].forEach(control => {
+        control.addEventListener('change', updateToneDetection);
+    });
+
+    exportPartialsButton.addEventListener('click', () => {
+        if (lastFFTResult && lastFFTResult.partials) {
+            ExportUtils.exportSignalData({ partials: lastFFTResult.partials }, 'partials');
+        }
+    });
+
+    verifyISTFTButton.addEventListener('click', () => {
+        if (!currentSignal || !currentSampleRate) return;
+
+        try {
+            const stft = spectralAnalyzer.computeSTFT(currentSignal, currentSampleRate, getSTFTOptions());
+            const resynthesized = spectralAnalyzer.computeISTFT(stft);
+            const report = FFTProcessor.reconstructionError(currentSignal, Array.from(resynthesized));
+
+            const excluded = report.excludedSamples > 0 ?
+                ` (${report.excludedSamples} samples not covered by any window)` : '';
+            stftInfoText.textContent =
+                `ISTFT max error ${report.maxAbsError.toExponential(2)}, RMS error ${report.rmsError.toExponential(2)}${excluded}`;
+        } catch (error) {
+            console.error('Error resynthesizing signal:', error);
+            stftInfoText.textContent = 'ISTFT failed, see console for details';
+        }
+    });
+
     // Advanced visualization controls event listeners
     spectrogramColormap.addEventListener('change', () => {
         if (lastFFTResult && lastFFTResult.signal) {
@@ -461,18 +2350,48 @@ document.addEventListener('DOMContentLoaded', async () => {
         updateAdvancedVisualizations();
         handleResize();
     });
+    filterTab.addEventListener('shown.bs.tab', updateFilterAnalysis);
+
+    [filterResponsePointsSelect, filterResponseLengthInput].forEach(control => {
+        control.addEventListener('change', updateFilterAnalysis);
+    });
 
     // Export buttons event listeners
     exportFFTButton.addEventListener('click', () => {
         if (lastFFTResult) {
-            const { frequencies, magnitudes, phases } = lastFFTResult;
-            ExportUtils.exportSignalData({ frequencies, magnitudes, phases }, 'fft');
+            const { frequencies, magnitudes, phases, scale } = lastFFTResult;
+            const magnitudeLabel = plotManager.getAxisLabel(scale, false);
+            ExportUtils.exportSignalData({ frequencies, magnitudes, phases, magnitudeLabel }, 'fft');
         }
     });
 
     exportPeaksButton.addEventListener('click', () => {
         if (lastFFTResult) {
-            ExportUtils.exportSignalData({ peaks: lastFFTResult.peaks }, 'peaks');
+            const magnitudeLabel = plotManager.getAxisLabel(lastFFTResult.scale, false);
+            ExportUtils.exportSignalData({ peaks: lastFFTResult.peaks, magnitudeLabel }, 'peaks');
+        }
+    });
+
+    exportPSDButton.addEventListener('click', () => {
+        if (lastFFTResult && lastFFTResult.psd) {
+            ExportUtils.exportSignalData({ psd: lastFFTResult.psd }, 'psd');
+        }
+    });
+
+    verifyReconstructionButton.addEventListener('click', () => {
+        if (!lastFFTResult || !lastFFTResult.spectrum) return;
+
+        try {
+            const reconstructed = FFTProcessor.reconstructSignal(lastFFTResult);
+            const report = FFTProcessor.reconstructionError(currentSignal, reconstructed);
+
+            const excluded = report.excludedSamples > 0 ?
+                ` (${report.excludedSamples} samples at window zeros skipped)` : '';
+            reconstructionStatus.textContent =
+                `Max error ${report.maxAbsError.toExponential(2)}, RMS error ${report.rmsError.toExponential(2)}${excluded}`;
+        } catch (error) {
+            console.error('Error reconstructing signal:', error);
+            reconstructionStatus.textContent = 'Reconstruction failed, see console for details';
         }
     });
 
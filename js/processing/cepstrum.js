@@ -0,0 +1,487 @@
+/**
+ * Cepstrum Module
+ * Real and power cepstrum, liftering, and frame-wise fundamental-frequency (pitch) estimation
+ * with the cepstral peak, the harmonic product spectrum and YIN
+ */
+import { FFTProcessor } from './fft.js';
+import { WindowFunctions } from './windows.js';
+import { PeakDetector } from './peakDetection.js';
+import { Statistics } from '../utils/statistics.js';
+
+// Magnitudes below this fraction of the largest one are clamped before taking the logarithm
+const LOG_FLOOR = 1e-10;
+
+// Default pitch search range in Hz
+const DEFAULT_MIN_F0 = 50;
+const DEFAULT_MAX_F0 = 1000;
+
+// Frames this far (dB) below the loudest frame are treated as silent (no F0)
+const DEFAULT_SILENCE_DB = -40;
+
+// Default voicing thresholds: cepstral peak height, HPS peak above the range mean per harmonic (nepers),
+// and YIN's cumulative mean normalized difference
+const DEFAULT_THRESHOLDS = { cepstrum: 0.05, hps: 1, yin: 0.15 };
+
+// Number of spectra (downsampled by 1..R) multiplied in the harmonic product spectrum
+const DEFAULT_HPS_HARMONICS = 5;
+
+// An HPS peak an octave below the best one wins when it is at most this much lower per harmonic (nepers)
+const HPS_OCTAVE_TOLERANCE = 0.25;
+
+// An HPS candidate needs a spectral level at its F0 this far (dB) above the median level of the frame,
+// and at most HPS_SUPPORT_RANGE_DB below its strongest bin (window leakage of a loud tone is not support)
+const HPS_SUPPORT_DB = 20;
+const HPS_SUPPORT_RANGE_DB = 30;
+
+// The HPS reads the log spectrum floored this far (dB) below its strongest bin, so that the deep, erratic
+// leakage skirts of a clean tone do not decide between candidates
+const HPS_FLOOR_DB = 60;
+
+export class CepstrumAnalyzer {
+    /**
+     * Supported pitch estimators
+     * @returns {Array} Method identifiers
+     */
+    static get pitchMethods() {
+        return ['cepstrum', 'hps', 'yin'];
+    }
+
+    /**
+     * Cepstrum of a whole record
+     * The real cepstrum is c[n] = IFFT(ln|X[k]|); the power cepstrum is |IFFT(ln|X[k]|^2)|^2 = (2 c[n])^2.
+     * A harmonic family with spacing F0 shows up as a peak at quefrency 1 / F0.
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - Options
+     * @param {string} options.type - 'real' or 'power'
+     * @param {string} options.windowType - Window applied before the FFT (default 'hanning')
+     * @param {Object} options.windowOptions - Window parameters
+     * @param {number} options.nfft - FFT length (default: next power of 2 of the signal length)
+     * @returns {Object} { quefrencies (s), cepstrum (one-sided, in the requested type), real (full real cepstrum),
+     *                   frequencies, spectrumDb (log magnitude spectrum), type, nfft, sampleRate }
+     */
+    static cepstrum(signal, sampleRate, options = {}) {
+        const { type = 'real', windowType = 'hanning', windowOptions = {} } = options;
+        if (!signal || signal.length < 4) {
+            throw new Error('The cepstrum needs at least 4 samples');
+        }
+        if (!(sampleRate > 0)) {
+            throw new Error('Invalid sample rate');
+        }
+        if (type !== 'real' && type !== 'power') {
+            throw new Error(`Unsupported cepstrum type: ${type}`);
+        }
+
+        const nfft = Math.max(signal.length, Math.floor(options.nfft || FFTProcessor.nextPowerOf2(signal.length)));
+        const window = WindowFunctions.generate(windowType, signal.length, windowOptions);
+        const buffer = new Float64Array(nfft);
+        for (let i = 0; i < signal.length; i++) {
+            buffer[i] = isFinite(signal[i]) ? signal[i] * window[i] : 0;
+        }
+
+        const { re, im } = FFTProcessor.realTransform(buffer);
+        const logMagnitude = this._logMagnitude(re, im);
+        const real = this._inverseReal(logMagnitude, nfft);
+
+        return {
+            ...this._describe(real, type, sampleRate),
+            real,
+            frequencies: Float64Array.from(logMagnitude, (_, k) => (k * sampleRate) / nfft),
+            spectrumDb: logMagnitude.map(v => (20 * v) / Math.LN10),
+            type,
+            nfft,
+            sampleRate
+        };
+    }
+
+    /**
+     * Lifter a cepstrum: keep the low (spectral envelope) or high (harmonic fine structure) quefrencies
+     * @param {Object} result - Result of cepstrum
+     * @param {Object} options - Options
+     * @param {string} options.type - 'lowpass' or 'highpass'
+     * @param {number} options.cutoff - Cutoff quefrency in seconds
+     * @returns {Object} { quefrencies, cepstrum, real, spectrumDb (log spectrum of the liftered cepstrum),
+     *                   frequencies, type, cutoff }
+     */
+    static lifter(result, options = {}) {
+        const { type = 'lowpass', cutoff } = options;
+        if (type !== 'lowpass' && type !== 'highpass') {
+            throw new Error(`Unsupported lifter type: ${type}`);
+        }
+        if (!(cutoff > 0)) {
+            throw new Error('The lifter cutoff quefrency must be positive');
+        }
+
+        const { real, nfft, sampleRate } = result;
+        const cutoffSamples = cutoff * sampleRate;
+        const liftered = new Float64Array(nfft);
+        for (let n = 0; n < nfft; n++) {
+            // Quefrency of sample n of the (even) real cepstrum
+            const q = Math.min(n, nfft - n);
+            const keep = type === 'lowpass' ? q < cutoffSamples : q >= cutoffSamples;
+            liftered[n] = keep ? real[n] : 0;
+        }
+
+        // Back to a log spectrum: FFT of the even, real cepstrum is real
+        const { re } = FFTProcessor.realTransform(liftered);
+        return {
+            ...this._describe(liftered, result.type, sampleRate),
+            real: liftered,
+            frequencies: result.frequencies,
+            spectrumDb: re.map(v => (20 * v) / Math.LN10),
+            type,
+            cutoff
+        };
+    }
+
+    /**
+     * Strongest rahmonic of a cepstrum within an F0 range
+     * @param {Object} result - Result of cepstrum
+     * @param {number} minFrequency - Lowest F0 in Hz (default 50)
+     * @param {number} maxFrequency - Highest F0 in Hz (default 1000, limited to the Nyquist frequency)
+     * @returns {Object|null} { quefrency (s), frequency (Hz), value (real cepstrum) }, or null when the range
+     *                        holds no quefrency samples
+     */
+    static cepstralPeak(result, minFrequency = DEFAULT_MIN_F0, maxFrequency = DEFAULT_MAX_F0) {
+        const { real, nfft, sampleRate } = result;
+        const highest = Math.min(maxFrequency, sampleRate / 2);
+        if (!(minFrequency > 0) || !(highest > minFrequency)) {
+            throw new Error('The pitch range needs 0 < minimum < maximum <= Nyquist');
+        }
+
+        const peak = this._rahmonicPeak(real, nfft, sampleRate, minFrequency, highest);
+        if (!peak) return null;
+        return {
+            quefrency: peak.position / sampleRate,
+            frequency: sampleRate / peak.position,
+            value: peak.value
+        };
+    }
+
+    /**
+     * Frame-wise fundamental frequency over the frames of an STFT
+     * - cepstrum: largest real-cepstrum peak in the quefrency range 1/maxF0..1/minF0
+     * - hps: peak of the harmonic product spectrum prod_r |X(r f)|, r = 1..harmonics
+     * - yin: first dip of the cumulative mean normalized difference function below the threshold
+     *   (needs the time signal, read with the STFT's frame layout)
+     * Peaks are refined by parabolic interpolation. Silent frames and frames below the voicing threshold get NaN.
+     * @param {Object} stft - Result of SpectralAnalyzer.computeSTFT
+     * @param {Array|Float32Array} signal - The signal the STFT was computed from (used by 'yin')
+     * @param {Object} options - Options
+     * @param {string} options.method - 'cepstrum', 'hps' or 'yin'
+     * @param {number} options.minFrequency - Lowest F0 in Hz
+     * @param {number} options.maxFrequency - Highest F0 in Hz
+     * @param {number} options.threshold - Voicing threshold (cepstral peak height, HPS peak height per harmonic,
+     *                                     or YIN dip depth)
+     * @param {number} options.harmonics - Spectra multiplied by the HPS
+     * @param {number} options.silenceDb - Frames this far below the loudest are silent
+     * @returns {Object} { times, f0 (Hz, NaN when unvoiced), confidence, voiced (Uint8Array), method,
+     *                   minFrequency, maxFrequency }
+     */
+    static pitchTrack(stft, signal, options = {}) {
+        const {
+            method = 'yin',
+            silenceDb = DEFAULT_SILENCE_DB,
+            harmonics = DEFAULT_HPS_HARMONICS
+        } = options;
+        if (!this.pitchMethods.includes(method)) {
+            throw new Error(`Unsupported pitch estimator: ${method}`);
+        }
+
+        const { re, im, sampleRate, frameSize, nfft } = stft;
+        const minFrequency = options.minFrequency ?? DEFAULT_MIN_F0;
+        const maxFrequency = Math.min(options.maxFrequency ?? DEFAULT_MAX_F0, sampleRate / 2);
+        if (!(minFrequency > 0) || !(maxFrequency > minFrequency)) {
+            throw new Error('The pitch range needs 0 < minimum < maximum <= Nyquist');
+        }
+        if (sampleRate / minFrequency > frameSize / 2) {
+            console.warn(`Frames of ${frameSize} samples hold less than two periods of ${minFrequency} Hz; ` +
+                'low F0 values cannot be found');
+        }
+
+        const threshold = options.threshold ?? DEFAULT_THRESHOLDS[method];
+
+        // Frame energies for the silence gate
+        const energies = re.map((frameRe, m) => frameRe.reduce((sum, v, k) => sum + v * v + im[m][k] * im[m][k], 0));
+        const maxEnergy = energies.reduce((max, e) => Math.max(max, e), 0);
+        const gate = maxEnergy * Math.pow(10, silenceDb / 10);
+
+        const frames = re.length;
+        const f0 = new Float64Array(frames).fill(NaN);
+        const confidence = new Float64Array(frames);
+        const voiced = new Uint8Array(frames);
+        for (let m = 0; m < frames; m++) {
+            if (!(energies[m] > gate)) continue;
+
+            let estimate;
+            if (method === 'cepstrum') {
+                estimate = this._cepstralPitch(re[m], im[m], nfft, sampleRate, minFrequency, maxFrequency, threshold);
+            } else if (method === 'hps') {
+                estimate = this._hpsPitch(re[m], im[m], nfft, sampleRate, minFrequency, maxFrequency, harmonics,
+                    threshold);
+            } else {
+                const frame = this._frame(signal, stft, m);
+                estimate = this._yinPitch(frame, sampleRate, minFrequency, maxFrequency, threshold);
+            }
+            if (!estimate) continue;
+
+            confidence[m] = estimate.confidence;
+            if (estimate.voiced) {
+                f0[m] = estimate.frequency;
+                voiced[m] = 1;
+            }
+        }
+
+        return {
+            times: stft.times,
+            f0,
+            confidence,
+            voiced,
+            method,
+            minFrequency,
+            maxFrequency
+        };
+    }
+
+    /**
+     * Display form of a full real cepstrum: one-sided, in the requested type
+     * @private
+     */
+    static _describe(real, type, sampleRate) {
+        const half = Math.floor(real.length / 2) + 1;
+        const quefrencies = new Float64Array(half);
+        const cepstrum = new Float64Array(half);
+        for (let n = 0; n < half; n++) {
+            quefrencies[n] = n / sampleRate;
+            cepstrum[n] = type === 'power' ? 4 * real[n] * real[n] : real[n];
+        }
+        return { quefrencies, cepstrum };
+    }
+
+    /**
+     * Natural log of a one-sided magnitude spectrum, floored relative to its maximum
+     * @private
+     */
+    static _logMagnitude(re, im) {
+        const magnitude = Float64Array.from(re, (v, k) => Math.hypot(v, im[k]));
+        const floor = magnitude.reduce((max, v) => Math.max(max, v), 0) * LOG_FLOOR || LOG_FLOOR;
+        return magnitude.map(v => Math.log(Math.max(v, floor)));
+    }
+
+    /**
+     * Inverse FFT of a real, even one-sided spectrum
+     * @private
+     */
+    static _inverseReal(oneSided, nfft) {
+        const full = FFTProcessor.expandHermitian(oneSided, new Float64Array(oneSided.length), nfft);
+        return FFTProcessor.ifft(full.re, full.im).re;
+    }
+
+    /**
+     * Parabolic refinement of a peak (or dip, with sign -1) at index i
+     * @private
+     */
+    static _refine(values, i, sign = 1) {
+        if (i <= 0 || i >= values.length - 1) return { position: i, value: values[i] };
+        const neighbourhood = [sign * values[i - 1], sign * values[i], sign * values[i + 1]];
+        const { offset, amplitude } = PeakDetector.interpolate(neighbourhood, 1, 'parabolic');
+        return { position: i + offset, value: sign * amplitude };
+    }
+
+    /**
+     * F0 from the real-cepstrum peak of one STFT frame
+     * @private
+     */
+    static _cepstralPitch(re, im, nfft, sampleRate, minFrequency, maxFrequency, threshold) {
+        const cepstrum = this._inverseReal(this._logMagnitude(re, im), nfft);
+        const peak = this._rahmonicPeak(cepstrum, nfft, sampleRate, minFrequency, maxFrequency);
+        if (!peak) return null;
+        const { position, value } = peak;
+        return { frequency: sampleRate / position, confidence: value, voiced: value >= threshold };
+    }
+
+    /**
+     * Largest real-cepstrum value in the quefrency range 1/maxFrequency..1/minFrequency, refined
+     * @private
+     */
+    static _rahmonicPeak(cepstrum, nfft, sampleRate, minFrequency, maxFrequency) {
+        const first = Math.max(1, Math.floor(sampleRate / maxFrequency));
+        const last = Math.min(Math.floor(nfft / 2) - 1, Math.ceil(sampleRate / minFrequency));
+        if (last <= first) return null;
+
+        let best = first;
+        for (let n = first + 1; n <= last; n++) {
+            if (cepstrum[n] > cepstrum[best]) best = n;
+        }
+        return this._refine(cepstrum, best);
+    }
+
+    /**
+     * F0 from the harmonic product spectrum of one STFT frame (summed log magnitudes)
+     * Candidates are spaced 1/harmonics bin apart and every harmonic r p is read from the log spectrum between
+     * bins, so all harmonics follow the same fractional position. The spectrum is floored HPS_FLOOR_DB below its
+     * peak, and only candidates with a spectral peak of their own at F0 are taken.
+     * @private
+     */
+    static _hpsPitch(re, im, nfft, sampleRate, minFrequency, maxFrequency, harmonics, threshold) {
+        const toNepers = Math.LN10 / 20;
+        const raw = this._logMagnitude(re, im);
+        const top = raw.reduce((max, v) => Math.max(max, v), -Infinity);
+        const logMagnitude = raw.map(v => Math.max(v, top - HPS_FLOOR_DB * toNepers));
+        const bins = logMagnitude.length;
+        const first = Math.max(1, (minFrequency * nfft) / sampleRate);
+        const last = Math.min((maxFrequency * nfft) / sampleRate, (bins - 1) / harmonics);
+        if (last <= first) return null;
+
+        // Log magnitude between bins: the parabola through a peak bin and its neighbours follows a peak that
+        // lies between bins, elsewhere (where a parabola would overshoot) linear interpolation
+        const at = (position) => {
+            const k = Math.max(1, Math.min(Math.round(position), bins - 2));
+            const [a, b, c] = [logMagnitude[k - 1], logMagnitude[k], logMagnitude[k + 1]];
+            if (b >= a && b >= c) {
+                const d = position - k;
+                return b + 0.5 * d * (c - a) + 0.5 * d * d * (a - 2 * b + c);
+            }
+            const low = Math.min(Math.floor(position), bins - 2);
+            return logMagnitude[low] + (position - low) * (logMagnitude[low + 1] - logMagnitude[low]);
+        };
+        const step = 1 / harmonics;
+        const product = new Float64Array(Math.floor((last - first) / step) + 1);
+        product.forEach((_, j) => {
+            for (let r = 1; r <= harmonics; r++) {
+                product[j] += at(r * (first + j * step));
+            }
+        });
+
+        // Spectral support: a spectral peak at the candidate F0 itself. Every subharmonic of a pure tone scores as high
+        // as the tone, but has none; the best supported candidate wins, and without one the frame is unvoiced.
+        const supportLevel = Math.max(Statistics.median(logMagnitude) + HPS_SUPPORT_DB * toNepers,
+            top - HPS_SUPPORT_RANGE_DB * toNepers);
+        const isPeak = (k) => k >= 1 && k <= bins - 2 &&
+            logMagnitude[k] >= logMagnitude[k - 1] && logMagnitude[k] >= logMagnitude[k + 1];
+        const supported = (j) => {
+            const position = first + j * step;
+            return (isPeak(Math.floor(position)) || isPeak(Math.ceil(position))) && at(position) >= supportLevel;
+        };
+
+        let best = -1;
+        for (let j = 0; j < product.length; j++) {
+            if (supported(j) && (best < 0 || product[j] > product[best])) best = j;
+        }
+        if (best < 0) {
+            best = 0;
+            for (let j = 1; j < product.length; j++) {
+                if (product[j] > product[best]) best = j;
+            }
+        }
+
+        // With upper harmonics as strong as the lower ones the octave above scores as high as F0;
+        // prefer the lower octave while it comes within the tolerance and has support of its own
+        for (;;) {
+            const half = Math.round((first + best * step) / 2 / step - first / step);
+            if (half < 1 || half >= product.length - 1) break;
+            const candidate = [half - 1, half, half + 1].reduce((a, b) => (product[b] > product[a] ? b : a));
+            if (product[candidate] < product[best] - HPS_OCTAVE_TOLERANCE * harmonics || !supported(candidate)) break;
+            best = candidate;
+        }
+        const { position } = this._refine(product, best);
+
+        // Confidence: how far the peak stands above the average of the searched range, per harmonic (nepers)
+        const mean = product.reduce((sum, v) => sum + v, 0) / product.length;
+        const confidence = (product[best] - mean) / harmonics;
+        return {
+            frequency: ((first + position * step) * sampleRate) / nfft,
+            confidence,
+            voiced: confidence >= threshold && supported(best)
+        };
+    }
+
+    /**
+     * F0 of one time-domain frame with YIN (de Cheveigné & Kawahara, 2002)
+     * d(τ) = sum_j (x_j - x_{j+τ})^2 over a window of W = frameSize - τmax samples, with the cross term from the FFT.
+     * @private
+     */
+    static _yinPitch(frame, sampleRate, minFrequency, maxFrequency, threshold) {
+        const size = frame.length;
+        const maxLag = Math.min(Math.floor(sampleRate / minFrequency), Math.floor(size / 2));
+        const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+        if (maxLag <= minLag + 1) return null;
+        const width = size - maxLag;
+
+        // r(τ) = sum_{j<W} x_j x_{j+τ} as a cross-correlation through the FFT
+        const length = FFTProcessor.nextPowerOf2(size + width);
+        const a = new Float64Array(length);
+        const b = new Float64Array(length);
+        a.set(frame.subarray(0, width));
+        b.set(frame);
+        const A = FFTProcessor.realTransform(a);
+        const B = FFTProcessor.realTransform(b);
+        const crossRe = A.re.map((v, k) => v * B.re[k] + A.im[k] * B.im[k]);
+        const crossIm = A.re.map((v, k) => v * B.im[k] - A.im[k] * B.re[k]);
+        const r = this._inverseComplex(crossRe, crossIm, length);
+
+        // Energies of the sliding windows from a running sum of squares
+        const squares = new Float64Array(size + 1);
+        for (let i = 0; i < size; i++) squares[i + 1] = squares[i] + frame[i] * frame[i];
+        const energy = (start) => squares[start + width] - squares[start];
+
+        // Cumulative mean normalized difference d'(τ)
+        const normalized = new Float64Array(maxLag + 1);
+        normalized[0] = 1;
+        let runningSum = 0;
+        for (let tau = 1; tau <= maxLag; tau++) {
+            const difference = Math.max(0, energy(0) + energy(tau) - 2 * r[tau]);
+            runningSum += difference;
+            normalized[tau] = runningSum > 0 ? (difference * tau) / runningSum : 1;
+        }
+
+        // First dip below the threshold, followed down to its minimum; else the global minimum (unvoiced)
+        let lag = -1;
+        for (let tau = minLag; tau <= maxLag; tau++) {
+            if (normalized[tau] < threshold) {
+                while (tau + 1 <= maxLag && normalized[tau + 1] < normalized[tau]) tau++;
+                lag = tau;
+                break;
+            }
+        }
+        const voiced = lag >= 0;
+        if (!voiced) {
+            lag = minLag;
+            for (let tau = minLag + 1; tau <= maxLag; tau++) {
+                if (normalized[tau] < normalized[lag]) lag = tau;
+            }
+        }
+
+        const { position, value } = this._refine(normalized, lag, -1);
+        return { frequency: sampleRate / position, confidence: 1 - value, voiced };
+    }
+
+    /**
+     * Real part of the inverse FFT of a one-sided (Hermitian) spectrum
+     * @private
+     */
+    static _inverseComplex(re, im, n) {
+        const full = FFTProcessor.expandHermitian(re, im, n);
+        return FFTProcessor.ifft(full.re, full.im).re;
+    }
+
+    /**
+     * Time samples of STFT frame m (zeros outside the signal), unwindowed
+     * @private
+     */
+    static _frame(signal, stft, m) {
+        if (!signal) {
+            throw new Error('YIN needs the time signal the STFT was computed from');
+        }
+        const { frameSize, hop, center } = stft;
+        const start = m * hop - (center ? Math.floor(frameSize / 2) : 0);
+        const frame = new Float64Array(frameSize);
+        for (let i = 0; i < frameSize; i++) {
+            const index = start + i;
+            if (index >= 0 && index < signal.length && isFinite(signal[index])) {
+                frame[i] = signal[index];
+            }
+        }
+        return frame;
+    }
+}
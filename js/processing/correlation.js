@@ -0,0 +1,231 @@
+/**
+ * Correlation Module
+ * FFT-based auto- and cross-correlation with time-delay estimation
+ */
+import { FFTProcessor } from './fft.js';
+import { PeakDetector } from './peakDetection.js';
+
+// Cross-spectrum magnitudes below this fraction of the largest one get no PHAT weight
+const PHAT_FLOOR = 1e-12;
+
+// An autocorrelation peak below this fraction of the lag-0 value is not reported as a period
+const MIN_PERIOD_CORRELATION = 0.2;
+
+export class Correlator {
+    /**
+     * Supported scalings
+     * @returns {Array} Scaling identifiers
+     */
+    static get scalings() {
+        return ['none', 'biased', 'unbiased', 'normalized'];
+    }
+
+    /**
+     * Cross-correlation r[l] = sum_n x[n] * y[n + l]
+     * A positive lag means the second signal lags the first: if y[n] = x[n - D], the peak is at l = D.
+     * @param {Array|Float32Array} signal1 - First signal x
+     * @param {Array|Float32Array} signal2 - Second signal y
+     * @param {Object} options - Correlation options
+     * @param {number} options.sampleRate - Sampling rate in Hz (for the lag axis in seconds)
+     * @param {string} options.scaling - 'none', 'biased' (1/N), 'unbiased' (1/(N-|l|)) or 'normalized' (peak of 1 for identical signals)
+     * @param {string} options.weighting - 'none' or 'phat' (GCC-PHAT: whitened cross-spectrum; scaling is then ignored)
+     * @param {number} options.maxLag - Largest lag to return in samples (default: all lags)
+     * @param {boolean} options.removeMean - Subtract each signal's mean first
+     * @returns {Object} { lags (samples), lagTimes (seconds), correlation, delay: { lag, time, peak, index },
+     *                   scaling, weighting }; the delay is picked on the unscaled correlation, since the unbiased
+     *                   scaling divides the few-sample products at the end lags by almost nothing
+     */
+    static crossCorrelate(signal1, signal2, options = {}) {
+        const { sampleRate = 1 } = options;
+        const { raw, ...result } = this._correlate(signal1, signal2, options);
+        return { ...result, delay: this.estimateDelay(result.correlation, result.lags[0], sampleRate, raw) };
+    }
+
+    /**
+     * Autocorrelation r[l] = sum_n x[n] * x[n + l]
+     * The lag-0 maximum says nothing, so the reported peak is the period: the largest (unscaled) value at a
+     * positive lag past the first minimum of the central lobe, if it reaches MIN_PERIOD_CORRELATION of lag 0.
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {Object} options - Same options as crossCorrelate
+     * @returns {Object} Correlation result as crossCorrelate, with period ({ lag, time, peak, index }, or null
+     *                   for a signal without a repeating pattern in the lag range) in place of delay
+     */
+    static autoCorrelate(signal, options = {}) {
+        const { sampleRate = 1 } = options;
+        const { raw, ...result } = this._correlate(signal, signal, options);
+        const zero = -result.lags[0];
+
+        let start = zero + 1;
+        while (start < raw.length && raw[start] < raw[start - 1]) start++;
+        let index = -1;
+        for (let i = start; i < raw.length; i++) {
+            if (raw[i] > 0 && (index < 0 || raw[i] > raw[index])) index = i;
+        }
+
+        return {
+            ...result,
+            period: index < 0 || raw[index] < MIN_PERIOD_CORRELATION * raw[zero] ? null : this._refinePeak(result.correlation, index, result.lags[0], sampleRate)
+        };
+    }
+
+    /**
+     * Locate the correlation peak with parabolic sub-sample interpolation
+     * The largest absolute value is used, so an inverted copy is still found (with a negative peak).
+     * @param {ArrayLike<number>} correlation - Correlation values
+     * @param {number} firstLag - Lag of the first value in samples
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {ArrayLike<number>} search - Values the peak is picked from (default: correlation); the position is
+     *                                     refined and the peak read on correlation
+     * @returns {Object} { lag (fractional samples), time (seconds), peak (interpolated value), index }
+     */
+    static estimateDelay(correlation, firstLag, sampleRate = 1, search = correlation) {
+        let index = 0;
+        for (let i = 1; i < search.length; i++) {
+            if (Math.abs(search[i]) > Math.abs(search[index])) index = i;
+        }
+        return this._refinePeak(correlation, index, firstLag, sampleRate);
+    }
+
+    /**
+     * Correlation values at every lag, scaled, with the unscaled values alongside
+     * @private
+     */
+    static _correlate(signal1, signal2, options) {
+        const {
+            sampleRate = 1,
+            scaling = 'biased',
+            weighting = 'none',
+            removeMean = true
+        } = options;
+
+        if (!signal1 || !signal2 || signal1.length === 0 || signal2.length === 0) {
+            throw new Error('Cross-correlation requires two non-empty signals');
+        }
+        if (!this.scalings.includes(scaling)) {
+            throw new Error(`Unsupported correlation scaling: ${scaling}`);
+        }
+        if (weighting !== 'none' && weighting !== 'phat') {
+            throw new Error(`Unsupported correlation weighting: ${weighting}`);
+        }
+
+        const n1 = signal1.length;
+        const n2 = signal2.length;
+        const n = Math.max(n1, n2);
+        const maxLag = Math.min(n - 1, Math.max(0, Math.floor(options.maxLag ?? n - 1)));
+
+        // Zero-pad to avoid circular wrap-around of any returned lag
+        const fftLength = FFTProcessor.nextPowerOf2(2 * n - 1);
+        const x = this._prepare(signal1, fftLength, removeMean);
+        const y = this._prepare(signal2, fftLength, removeMean);
+        const energy1 = x.reduce((sum, v) => sum + v * v, 0);
+        const energy2 = y.reduce((sum, v) => sum + v * v, 0);
+
+        const X = FFTProcessor.realTransform(x);
+        const Y = FFTProcessor.realTransform(y);
+
+        // Cross-spectrum conj(X) * Y on the one-sided bins
+        const bins = X.re.length;
+        const crossRe = new Float64Array(bins);
+        const crossIm = new Float64Array(bins);
+        let maxCross = 0;
+        for (let k = 0; k < bins; k++) {
+            crossRe[k] = X.re[k] * Y.re[k] + X.im[k] * Y.im[k];
+            crossIm[k] = X.re[k] * Y.im[k] - X.im[k] * Y.re[k];
+            maxCross = Math.max(maxCross, Math.hypot(crossRe[k], crossIm[k]));
+        }
+
+        if (weighting === 'phat') {
+            for (let k = 0; k < bins; k++) {
+                const magnitude = Math.hypot(crossRe[k], crossIm[k]);
+                const weight = magnitude > maxCross * PHAT_FLOOR ? 1 / magnitude : 0;
+                crossRe[k] *= weight;
+                crossIm[k] *= weight;
+            }
+        }
+
+        const full = FFTProcessor.expandHermitian(crossRe, crossIm, fftLength);
+        const circular = FFTProcessor.ifft(full.re, full.im).re;
+
+        const count = 2 * maxLag + 1;
+        const lags = new Int32Array(count);
+        const lagTimes = new Float64Array(count);
+        const correlation = new Float64Array(count);
+        const raw = new Float64Array(count);
+        const normalization = Math.sqrt(energy1 * energy2);
+
+        for (let j = 0; j < count; j++) {
+            const lag = j - maxLag;
+            let value = circular[(lag + fftLength) % fftLength];
+            raw[j] = value;
+
+            if (weighting === 'none') {
+                if (scaling === 'biased') {
+                    value /= n;
+                } else if (scaling === 'unbiased') {
+                    value /= n - Math.abs(lag);
+                } else if (scaling === 'normalized') {
+                    value = normalization > 0 ? value / normalization : 0;
+                }
+            }
+
+            lags[j] = lag;
+            lagTimes[j] = lag / sampleRate;
+            correlation[j] = value;
+        }
+
+        return {
+            lags,
+            lagTimes,
+            correlation,
+            raw,
+            scaling: weighting === 'phat' ? 'none' : scaling,
+            weighting
+        };
+    }
+
+    /**
+     * Parabolic sub-sample refinement of the correlation extremum at an index
+     * @private
+     */
+    static _refinePeak(correlation, index, firstLag, sampleRate) {
+        let offset = 0;
+        let peak = correlation[index];
+        if (index > 0 && index < correlation.length - 1) {
+            const sign = peak < 0 ? -1 : 1;
+            const neighbourhood = [
+                sign * correlation[index - 1],
+                sign * correlation[index],
+                sign * correlation[index + 1]
+            ];
+            const refined = PeakDetector.interpolate(neighbourhood, 1, 'parabolic');
+            offset = refined.offset;
+            peak = sign * refined.amplitude;
+        }
+
+        const lag = firstLag + index + offset;
+        return { lag, time: lag / sampleRate, peak, index };
+    }
+
+    /**
+     * Copy a signal into a zero-padded buffer
+     * @private
+     */
+    static _prepare(signal, length, removeMean) {
+        const buffer = new Float64Array(length);
+        let mean = 0;
+        if (removeMean) {
+            let count = 0;
+            for (let i = 0; i < signal.length; i++) {
+                if (isFinite(signal[i])) {
+                    mean += signal[i];
+                    count++;
+                }
+            }
+            mean = count > 0 ? mean / count : 0;
+        }
+        for (let i = 0; i < signal.length; i++) {
+            buffer[i] = isFinite(signal[i]) ? signal[i] - mean : 0;
+        }
+        return buffer;
+    }
+}
@@ -0,0 +1,247 @@
+/**
+ * Dynamic Performance Module
+ * Single-tone converter metrics (THD, THD+N, SNR, SINAD, SFDR, ENOB) from a windowed FFT
+ */
+import { FFTProcessor } from './fft.js';
+import { WindowFunctions } from './windows.js';
+
+// Shortest record that leaves room for a tone, its harmonics and a noise estimate
+const MIN_RECORD_LENGTH = 16;
+
+// Highest harmonic order included by default
+const DEFAULT_HARMONICS = 10;
+
+// Bins added to the window's main-lobe half-width to cover an off-bin tone
+const LEAKAGE_MARGIN = 1;
+
+// dB per effective bit and the quantization-noise offset of a full-scale sine (6.02 N + 1.76 dB)
+const DB_PER_BIT = 6.02;
+const SINE_QUANTIZATION_OFFSET = 1.76;
+
+export class DynamicMetrics {
+    /**
+     * Measure the dynamic performance of a single-tone record
+     * The one-sided spectrum is scaled so that each bin holds mean-square power, which makes the sum over a
+     * tone's leakage bins its power whatever the window. DC, the fundamental and each harmonic own
+     * ± leakageBins around their peak; harmonics above Nyquist are folded back to their aliased frequency.
+     * Noise is the power in the remaining bins, with the excluded bins credited at the mean noise power per bin.
+     * @param {Array|Float32Array} signal - Input record
+     * @param {Object} options - Measurement options
+     * @param {number} options.sampleRate - Sampling rate in Hz
+     * @param {string} options.windowType - Window (default 'blackman-harris'; 'rectangular' for coherent sampling)
+     * @param {Object} options.windowOptions - Window parameters (see WindowFunctions.generate)
+     * @param {number} options.harmonics - Highest harmonic order counted as distortion (default 10)
+     * @param {number} options.fundamental - Fundamental frequency in Hz (default: largest non-DC bin)
+     * @param {number} options.leakageBins - Bins on each side of a tone (default: window main-lobe half-width + 1)
+     * @param {number} options.fullScale - Full-scale peak amplitude; adds dBFS levels and full-scale ENOB
+     * @returns {Object} { fundamental, harmonics, spur, thd, thdPercent, thdN, thdNPercent, snr, sinad, sfdr, enob,
+     *                   enobFullScale, noisePower, noiseFloor, distortionPower, leakageBins, resolution, ... },
+     *                   or null on failure
+     */
+    static measure(signal, options = {}) {
+        const {
+            sampleRate,
+            windowType = 'blackman-harris',
+            windowOptions = {},
+            harmonics = DEFAULT_HARMONICS,
+            fundamental = null,
+            fullScale = null
+        } = options;
+
+        try {
+            if (!signal || signal.length < MIN_RECORD_LENGTH) {
+                throw new Error(`Dynamic metrics need at least ${MIN_RECORD_LENGTH} samples`);
+            }
+            if (!(sampleRate > 0)) {
+                throw new Error('Invalid sample rate');
+            }
+            if (!Number.isInteger(harmonics) || harmonics < 2) {
+                throw new Error('The highest harmonic order must be an integer of at least 2');
+            }
+
+            const n = signal.length;
+            const power = this.powerSpectrum(signal, windowType, windowOptions);
+            const bins = power.length;
+            const resolution = sampleRate / n;
+            const leakageBins = options.leakageBins ?? Math.ceil(
+                WindowFunctions.getMetrics(windowType, n, windowOptions).mainLobeHalfWidth) + LEAKAGE_MARGIN;
+
+            // Bin ownership: -1 noise, 0 DC, 1 fundamental, h >= 2 harmonic h
+            const owner = new Int16Array(bins).fill(-1);
+            const claim = (center, id) => {
+                let sum = 0;
+                for (let k = Math.max(0, center - leakageBins); k <= Math.min(bins - 1, center + leakageBins); k++) {
+                    if (owner[k] === -1) {
+                        owner[k] = id;
+                        sum += power[k];
+                    }
+                }
+                return sum;
+            };
+            const dcPower = claim(0, 0);
+
+            // Fundamental: largest bin outside DC, or the largest near the given frequency
+            const searchFrom = fundamental ? Math.round(fundamental / resolution) - leakageBins : leakageBins + 1;
+            const searchTo = fundamental ? Math.round(fundamental / resolution) + leakageBins : bins - 1;
+            const k0 = this._largestBin(power, Math.max(leakageBins + 1, searchFrom), Math.min(bins - 1, searchTo));
+            if (k0 < 0) {
+                throw new Error('No fundamental found outside the DC bins');
+            }
+            const fundamentalPower = claim(k0, 1);
+            if (!(fundamentalPower > 0)) {
+                throw new Error('The fundamental has no power');
+            }
+            const f0 = this._centroid(power, owner, 1) * resolution;
+
+            // Harmonics, folded into the first Nyquist zone
+            const harmonicList = [];
+            for (let h = 2; h <= harmonics; h++) {
+                const expectedFrequency = h * f0;
+                let frequency = expectedFrequency % sampleRate;
+                if (frequency > sampleRate / 2) frequency = sampleRate - frequency;
+                const expectedBin = Math.min(bins - 1, Math.round(frequency / resolution));
+                const bin = this._largestBin(power, Math.max(0, expectedBin - 1), Math.min(bins - 1, expectedBin + 1));
+
+                // A harmonic landing on DC or the fundamental cannot be told apart from them
+                const overlapping = owner[bin] === 0 || owner[bin] === 1;
+                const harmonicPower = overlapping ? 0 : claim(bin, h);
+                harmonicList.push({
+                    order: h,
+                    frequency,
+                    expectedFrequency,
+                    aliased: expectedFrequency > sampleRate / 2,
+                    bin,
+                    power: harmonicPower,
+                    levelDbc: overlapping ? null : 10 * Math.log10(harmonicPower / fundamentalPower),
+                    overlapping
+                });
+            }
+            const distortionPower = harmonicList.reduce((sum, h) => sum + h.power, 0);
+
+            // Noise from the unclaimed bins, with the claimed ones filled in at the mean level
+            let noiseSum = 0;
+            let noiseBins = 0;
+            for (let k = 0; k < bins; k++) {
+                if (owner[k] === -1) {
+                    noiseSum += power[k];
+                    noiseBins++;
+                }
+            }
+            if (noiseBins === 0) {
+                throw new Error('No bins left for the noise estimate; use a longer record or fewer harmonics');
+            }
+            const meanNoise = noiseSum / noiseBins;
+            const noisePower = noiseSum + meanNoise * (bins - noiseBins);
+
+            // Largest spur: any bin outside DC and the fundamental, harmonics included
+            let spurBin = -1;
+            for (let k = 0; k < bins; k++) {
+                if (owner[k] !== 0 && owner[k] !== 1 && (spurBin < 0 || power[k] > power[spurBin])) {
+                    spurBin = k;
+                }
+            }
+
+            const toDb = (ratio) => 10 * Math.log10(ratio);
+            const amplitude = Math.sqrt(2 * fundamentalPower);
+            const sinad = toDb(fundamentalPower / (noisePower + distortionPower));
+            const result = {
+                fundamental: {
+                    frequency: f0,
+                    bin: k0,
+                    amplitude,
+                    power: fundamentalPower,
+                    levelDbfs: fullScale > 0 ? 20 * Math.log10(amplitude / fullScale) : null
+                },
+                harmonics: harmonicList,
+                spur: spurBin < 0 ? null : {
+                    frequency: spurBin * resolution,
+                    bin: spurBin,
+                    levelDbc: toDb(power[spurBin] / power[k0]),
+                    harmonic: owner[spurBin] >= 2 ? owner[spurBin] : null
+                },
+                dcPower,
+                distortionPower,
+                noisePower,
+                noiseFloor: toDb(meanNoise / fundamentalPower),
+                thd: toDb(distortionPower / fundamentalPower),
+                thdPercent: 100 * Math.sqrt(distortionPower / fundamentalPower),
+                thdN: toDb((distortionPower + noisePower) / fundamentalPower),
+                thdNPercent: 100 * Math.sqrt((distortionPower + noisePower) / fundamentalPower),
+                snr: toDb(fundamentalPower / noisePower),
+                sinad,
+                sfdr: spurBin < 0 ? Infinity : toDb(power[k0] / power[spurBin]),
+                enob: (sinad - SINE_QUANTIZATION_OFFSET) / DB_PER_BIT,
+                enobFullScale: null,
+                leakageBins,
+                resolution,
+                windowType,
+                sampleRate
+            };
+
+            // Referred to a full-scale input, as converter datasheets quote them
+            if (result.fundamental.levelDbfs !== null) {
+                result.enobFullScale = (sinad - result.fundamental.levelDbfs - SINE_QUANTIZATION_OFFSET) / DB_PER_BIT;
+            }
+            return result;
+        } catch (err) {
+            console.error('Error measuring dynamic performance:', err);
+            return null;
+        }
+    }
+
+    /**
+     * One-sided power spectrum with mean-square power per bin
+     * P[k] = sides * |X[k]|^2 / (N * sum(w^2)): a sinusoid of amplitude A sums to A^2 / 2 over its leakage bins
+     * and white noise of variance s^2 sums to s^2 over all bins.
+     * @param {Array|Float32Array} signal - Input record
+     * @param {string} windowType - Window type
+     * @param {Object} windowOptions - Window parameters
+     * @returns {Float64Array} Power per bin for bins 0..floor(N/2)
+     */
+    static powerSpectrum(signal, windowType = 'blackman-harris', windowOptions = {}) {
+        const n = signal.length;
+        const window = WindowFunctions.generate(windowType, n, windowOptions);
+        const windowed = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            windowed[i] = isFinite(signal[i]) ? signal[i] * window[i] : 0;
+        }
+
+        const { re, im } = FFTProcessor.realTransform(windowed);
+        const { sumOfSquares } = WindowFunctions.getGains(window);
+        const power = new Float64Array(re.length);
+        for (let k = 0; k < re.length; k++) {
+            // DC and the Nyquist bin of an even length are not mirrored
+            const sides = k === 0 || 2 * k === n ? 1 : 2;
+            power[k] = (sides * (re[k] * re[k] + im[k] * im[k])) / (n * sumOfSquares);
+        }
+        return power;
+    }
+
+    /**
+     * Index of the largest value in power[from..to], or -1 for an empty range
+     * @private
+     */
+    static _largestBin(power, from, to) {
+        let best = -1;
+        for (let k = from; k <= to; k++) {
+            if (best < 0 || power[k] > power[best]) best = k;
+        }
+        return best;
+    }
+
+    /**
+     * Power-weighted mean bin of the bins owned by one component
+     * @private
+     */
+    static _centroid(power, owner, id) {
+        let weighted = 0;
+        let total = 0;
+        for (let k = 0; k < power.length; k++) {
+            if (owner[k] === id) {
+                weighted += k * power[k];
+                total += power[k];
+            }
+        }
+        return weighted / total;
+    }
+}
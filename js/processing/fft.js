@@ -2,20 +2,56 @@
  * FFT Processing Module
  * Implements FFT analysis and related functionality
  */
+import { WindowFunctions } from './windows.js';
+import { PeakDetector } from './peakDetection.js';
+
+// Largest prime factor handled by the mixed-radix engine; other sizes use Bluestein
+const MAX_RADIX = 7;
+
+// Transform plans keyed by FFT size, shared by every caller; the least recently used plan is dropped
+// once PLAN_CACHE_SIZE are held, so sweeping through many sizes does not keep their tables alive
+const PLAN_CACHE_SIZE = 16;
+const planCache = new Map();
+
+// Window values below this cannot be divided out when reconstructing a signal
+const WINDOW_INVERSION_FLOOR = 1e-8;
+
+// Level reported for empty bins in the dB scalings
+const DB_FLOOR = -300;
+
+// Output scalings supported by computeFFT
+const SPECTRUM_SCALINGS = {
+    raw: { label: 'Magnitude', unit: '', kind: 'amplitude' },
+    peak: { label: 'Amplitude (peak)', unit: 'units', kind: 'amplitude' },
+    rms: { label: 'Amplitude (RMS)', unit: 'units RMS', kind: 'amplitude' },
+    power: { label: 'Power', unit: 'units²', kind: 'power' },
+    psd: { label: 'PSD', unit: 'units²/Hz', kind: 'power' },
+    db: { label: 'Level', unit: 'dB re reference', kind: 'decibel' },
+    dbfs: { label: 'Level', unit: 'dBFS', kind: 'decibel' }
+};
+
 export class FFTProcessor {
     /**
      * Compute FFT of a signal
      * @param {Array} signal - Input signal array
      * @param {Object} options - FFT options
      * @param {string} options.windowType - Type of window function to apply
+     * @param {Object} options.windowOptions - Window parameters (see WindowFunctions.generate)
      * @param {number} options.sampleRate - Sample rate in Hz
      * @param {number} options.peakThreshold - Peak detection threshold (percentage of max magnitude)
-     * @returns {Object} Object containing frequency, magnitude, and phase arrays, plus detected peaks
+     * @param {Object} options.peakOptions - Further peak detection options (see PeakDetector.detect)
+     * @param {string|number} options.padding - Zero padding: 'none' (exact length), 'pow2' (next power of 2) or an explicit FFT length
+     * @param {string} options.scaling - Magnitude scaling (see scaleSpectrum), defaults to 'raw'
+     * @param {number} options.reference - Reference amplitude for the 'db' scaling
+     * @param {number} options.fullScale - Full-scale peak amplitude for the 'dbfs' scaling
+     * @returns {Object} Object containing frequency, magnitude, and phase arrays, detected peaks,
+     *                   the scale description, the full complex spectrum and what is needed to
+     *                   invert it (see reconstructSignal)
      */
     static computeFFT(signal, options) {
         try {
             // Validate input signal
-            if (!signal || !Array.isArray(signal) && !(signal instanceof Float32Array)) {
+            if (!signal || !Array.isArray(signal) && !ArrayBuffer.isView(signal)) {
                 throw new Error('Invalid input signal');
             }
 
@@ -28,34 +64,81 @@ export class FFTProcessor {
                 throw new Error('Invalid options');
             }
 
-            const { windowType = 'none', sampleRate, peakThreshold = 10 } = options;
+            const {
+                windowType = 'none',
+                windowOptions = {},
+                sampleRate,
+                peakThreshold = 10,
+                peakOptions = {},
+                padding = 'none',
+                scaling = 'raw',
+                reference = 1,
+                fullScale = 1
+            } = options;
+
+            const scale = this.getScaleInfo(scaling);
 
             if (!sampleRate || sampleRate <= 0) {
                 throw new Error('Invalid sample rate');
             }
 
             // Apply window function if specified
-            const windowedSignal = this.applyWindow(signal, windowType);
+            const windowedSignal = this.applyWindow(signal, windowType, windowOptions);
             
-            // Pad array to power of 2 if needed
-            const paddedLength = this.nextPowerOf2(signal.length);
-            const paddedSignal = this.padSignal(windowedSignal, paddedLength);
-            
-            // Prepare complex input for FFT
-            const complexSignal = paddedSignal.map(x => [isFinite(x) ? x : 0, 0]);
+            // Pad only when requested, so the bins stay on multiples of sampleRate / N by default
+            const paddedLength = this.getFFTLength(signal.length, padding);
+            const paddedSignal = new Float64Array(paddedLength);
+            let nonFinite = 0;
+            for (let i = 0; i < windowedSignal.length; i++) {
+                const x = windowedSignal[i];
+                if (isFinite(x)) {
+                    paddedSignal[i] = x;
+                } else {
+                    nonFinite++;
+                }
+            }
+            if (nonFinite > 0) {
+                console.warn(`computeFFT: ${nonFinite} non-finite samples treated as 0; repair gaps before the FFT (Preprocessor.repairGaps)`);
+            }
             
             // Compute FFT
-            const fftResult = this.fft(complexSignal);
-            if (!fftResult) {
+            const spectrum = this.realTransform(paddedSignal);
+            if (!spectrum) {
                 throw new Error('FFT computation failed');
             }
             
             // Calculate frequencies, magnitudes, and phases
             const frequencies = this.calculateFrequencies(paddedLength, sampleRate);
-            const { magnitudes, phases } = this.calculateMagnitudesAndPhases(fftResult);
+            const { phases } = this.calculateMagnitudesAndPhases(spectrum.re, spectrum.im, paddedLength);
+
+            // Peaks are detected on a linear spectrum; the dB scalings are derived from peak amplitude
+            const window = this.getWindow(signal.length, windowType, windowOptions);
+            const linearScaling = scale.kind === 'decibel' ? 'peak' : scaling;
+            const linearMagnitudes = this.scaleSpectrum(spectrum.re, spectrum.im, {
+                scaling: linearScaling,
+                fftLength: paddedLength,
+                window,
+                sampleRate
+            });
             
             // Detect peaks
-            const peaks = this.detectPeaks(frequencies, magnitudes, phases, peakThreshold);
+            const peaks = this.detectPeaks(frequencies, linearMagnitudes, phases, peakThreshold, {
+                ...peakOptions,
+                isPower: scale.kind === 'power',
+                spectrum,
+                windowType,
+                windowOptions,
+                binScale: signal.length / paddedLength
+            });
+
+            let magnitudes = linearMagnitudes;
+            if (scale.kind === 'decibel') {
+                const dbReference = scaling === 'dbfs' ? fullScale : reference;
+                magnitudes = linearMagnitudes.map(m => this.toDecibels(m, dbReference));
+                peaks.forEach(peak => {
+                    peak.magnitude = this.toDecibels(peak.magnitude, dbReference);
+                });
+            }
 
             // Validate output
             if (!magnitudes || !phases || !frequencies || !peaks) {
@@ -66,7 +149,13 @@ export class FFTProcessor {
                 frequencies,
                 magnitudes: magnitudes.map(m => isFinite(m) ? m : 0),
                 phases: phases.map(p => isFinite(p) ? p : 0),
-                peaks
+                peaks,
+                scale,
+                spectrum: this.expandHermitian(spectrum.re, spectrum.im, paddedLength),
+                fftLength: paddedLength,
+                signalLength: signal.length,
+                windowType,
+                windowOptions
             };
         } catch (err) {
             console.error('Error in FFT computation:', err);
@@ -75,6 +164,321 @@ export class FFTProcessor {
         }
     }
 
+    /**
+     * Zoom FFT: evaluate the spectrum densely over a frequency band
+     * Uses the chirp-z transform, so the band is sampled at `points` evenly spaced
+     * frequencies independently of the signal length.
+     * @param {Array} signal - Input signal array
+     * @param {Object} options - Zoom options
+     * @param {number} options.sampleRate - Sample rate in Hz
+     * @param {number} options.f1 - Start of the band in Hz
+     * @param {number} options.f2 - End of the band in Hz
+     * @param {number} options.points - Number of frequency points in the band
+     * @param {string} options.windowType - Type of window function to apply
+     * @param {Object} options.windowOptions - Window parameters (see WindowFunctions.generate)
+     * @param {number} options.peakThreshold - Peak detection threshold (percentage of max magnitude)
+     * @param {Object} options.peakOptions - Further peak detection options (see PeakDetector.detect)
+     * @param {string} options.scaling - Magnitude scaling (see computeFFT)
+     * @param {number} options.reference - Reference amplitude for the 'db' scaling
+     * @param {number} options.fullScale - Full-scale peak amplitude for the 'dbfs' scaling
+     * @returns {Object} Object containing frequency, magnitude and phase arrays, peaks, scale and the band
+     */
+    static zoomFFT(signal, options) {
+        try {
+            if (!signal || !Array.isArray(signal) && !ArrayBuffer.isView(signal) || signal.length === 0) {
+                throw new Error('Invalid input signal');
+            }
+
+            const {
+                sampleRate,
+                points = 1024,
+                windowType = 'none',
+                windowOptions = {},
+                peakThreshold = 10,
+                peakOptions = {},
+                scaling = 'raw',
+                reference = 1,
+                fullScale = 1
+            } = options || {};
+            const f1 = Math.min(options.f1, options.f2);
+            const f2 = Math.max(options.f1, options.f2);
+
+            if (!sampleRate || sampleRate <= 0) {
+                throw new Error('Invalid sample rate');
+            }
+            if (!isFinite(f1) || !isFinite(f2) || f1 < 0 || f2 > sampleRate / 2 || f1 === f2) {
+                throw new Error(`Invalid zoom band [${f1}, ${f2}] Hz`);
+            }
+            if (!Number.isInteger(points) || points < 2) {
+                throw new Error('Zoom FFT needs at least 2 points');
+            }
+
+            const scale = this.getScaleInfo(scaling);
+            const window = this.getWindow(signal.length, windowType, windowOptions);
+            const windowed = new Float64Array(signal.length);
+            for (let i = 0; i < signal.length; i++) {
+                const x = signal[i] * window[i];
+                windowed[i] = isFinite(x) ? x : 0;
+            }
+
+            // Points on the unit circle from f1 to f2
+            const step = (f2 - f1) / (points - 1);
+            const { re, im } = this.chirpZ(windowed, points, -2 * Math.PI * step / sampleRate, 2 * Math.PI * f1 / sampleRate);
+
+            const { sum, sumOfSquares } = WindowFunctions.getGains(window);
+            const linearScaling = scale.kind === 'decibel' ? 'peak' : scaling;
+            const frequencies = new Array(points);
+            const linearMagnitudes = new Array(points);
+            const phases = new Array(points);
+            for (let k = 0; k < points; k++) {
+                frequencies[k] = f1 + k * step;
+                linearMagnitudes[k] = this.scaleMagnitude(Math.hypot(re[k], im[k]), linearScaling, {
+                    sides: frequencies[k] === 0 ? 1 : 2,
+                    sum,
+                    sumOfSquares,
+                    sampleRate,
+                    fftLength: signal.length
+                });
+                phases[k] = Math.atan2(im[k], re[k]) * 180 / Math.PI;
+            }
+
+            // The complex grid is not a DFT grid, so Jacobsen falls back to log-parabolic interpolation
+            const peaks = this.detectPeaks(frequencies, linearMagnitudes, phases, peakThreshold, {
+                ...peakOptions,
+                isPower: scale.kind === 'power',
+                windowType,
+                windowOptions,
+                binScale: step * signal.length / sampleRate
+            });
+
+            let magnitudes = linearMagnitudes;
+            if (scale.kind === 'decibel') {
+                const dbReference = scaling === 'dbfs' ? fullScale : reference;
+                magnitudes = linearMagnitudes.map(m => this.toDecibels(m, dbReference));
+                peaks.forEach(peak => {
+                    peak.magnitude = this.toDecibels(peak.magnitude, dbReference);
+                });
+            }
+
+            return {
+                frequencies,
+                magnitudes,
+                phases,
+                peaks,
+                scale,
+                band: { f1, f2, points, resolution: step }
+            };
+        } catch (err) {
+            console.error('Error in zoom FFT computation:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Describe an output scaling
+     * @param {string} scaling - Scaling identifier
+     * @returns {Object} Scale description { scaling, label, unit, kind } where kind is
+     *                   'amplitude', 'power' or 'decibel'
+     */
+    static getScaleInfo(scaling) {
+        const info = SPECTRUM_SCALINGS[scaling];
+        if (!info) {
+            throw new Error(`Unsupported spectrum scaling: ${scaling}`);
+        }
+        return { scaling, ...info };
+    }
+
+    /**
+     * Scale the one-sided spectrum of a windowed real signal
+     * - raw: |X| / fftLength (uncalibrated)
+     * - peak: amplitude of each sinusoid, 2|X| / sum(w)
+     * - rms: peak / sqrt(2)
+     * - power: mean-square value of each component, rms^2
+     * - psd: power / (ENBW in Hz), i.e. 2|X|^2 / (fs * sum(w^2))
+     * DC is a single-sided term and is not doubled.
+     * @param {Float64Array} re - Real parts of the spectrum
+     * @param {Float64Array} im - Imaginary parts of the spectrum
+     * @param {Object} options - Scaling options
+     * @param {string} options.scaling - 'raw', 'peak', 'rms', 'power' or 'psd'
+     * @param {number} options.fftLength - FFT size
+     * @param {ArrayLike<number>} options.window - Window coefficients applied to the signal (before padding)
+     * @param {number} options.sampleRate - Sample rate in Hz (for 'psd')
+     * @returns {Array} Scaled magnitudes for bins 0..ceil(fftLength/2) - 1
+     */
+    static scaleSpectrum(re, im, options) {
+        const { scaling = 'raw', fftLength, window, sampleRate } = options;
+        const numBins = Math.ceil(fftLength / 2);
+        const { sum, sumOfSquares } = WindowFunctions.getGains(window);
+        const values = new Array(numBins);
+
+        for (let k = 0; k < numBins; k++) {
+            const magnitude = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+            values[k] = this.scaleMagnitude(magnitude, scaling, {
+                sides: k === 0 ? 1 : 2,
+                sum,
+                sumOfSquares,
+                sampleRate,
+                fftLength
+            });
+        }
+
+        return values;
+    }
+
+    /**
+     * Scale a single spectral magnitude |X(f)| (see scaleSpectrum)
+     * @param {number} magnitude - Unscaled magnitude
+     * @param {string} scaling - 'raw', 'peak', 'rms', 'power' or 'psd'
+     * @param {Object} context - { sides (1 for DC, else 2), sum and sumOfSquares of the window, sampleRate, fftLength }
+     * @returns {number} Scaled magnitude
+     */
+    static scaleMagnitude(magnitude, scaling, context) {
+        const { sides, sum, sumOfSquares, sampleRate, fftLength } = context;
+        switch (scaling) {
+            case 'raw':
+                return magnitude / fftLength;
+            case 'peak':
+                return sides * magnitude / sum;
+            case 'rms':
+                return sides * magnitude / sum / (sides === 1 ? 1 : Math.SQRT2);
+            case 'power':
+                return sides * magnitude * magnitude / (sum * sum);
+            case 'psd':
+                return sides * magnitude * magnitude / (sampleRate * sumOfSquares);
+            default:
+                throw new Error(`Unsupported linear spectrum scaling: ${scaling}`);
+        }
+    }
+
+    /**
+     * Convert an amplitude to dB relative to a reference amplitude
+     * @param {number} value - Amplitude
+     * @param {number} reference - Reference amplitude
+     * @returns {number} Level in dB, DB_FLOOR for zero amplitude
+     */
+    static toDecibels(value, reference = 1) {
+        return value > 0 ? Math.max(DB_FLOOR, 20 * Math.log10(value / reference)) : DB_FLOOR;
+    }
+
+    /**
+     * Inverse FFT
+     * @param {ArrayLike<number>} re - Real parts of the spectrum
+     * @param {ArrayLike<number>} im - Imaginary parts of the spectrum
+     * @returns {Object} Time-domain sequence { re, im }, scaled by 1/n
+     */
+    static ifft(re, im) {
+        const n = re.length;
+        const outRe = Float64Array.from(re);
+        const outIm = Float64Array.from(im);
+
+        this.transform(outRe, outIm, true);
+        for (let i = 0; i < n; i++) {
+            outRe[i] /= n;
+            outIm[i] /= n;
+        }
+
+        return { re: outRe, im: outIm };
+    }
+
+    /**
+     * Rebuild the full spectrum of a real signal from its one-sided half
+     * @param {Float64Array} re - Real parts of bins 0..floor(n/2)
+     * @param {Float64Array} im - Imaginary parts of bins 0..floor(n/2)
+     * @param {number} n - FFT size
+     * @returns {Object} Full complex spectrum { re, im } of length n
+     */
+    static expandHermitian(re, im, n) {
+        const fullRe = new Float64Array(n);
+        const fullIm = new Float64Array(n);
+        const half = Math.floor(n / 2);
+
+        for (let k = 0; k <= half; k++) {
+            fullRe[k] = re[k];
+            fullIm[k] = im[k];
+        }
+        // X[n - k] = conj(X[k]) for real input
+        for (let k = 1; k < n - half; k++) {
+            fullRe[n - k] = re[k];
+            fullIm[n - k] = -im[k];
+        }
+
+        return { re: fullRe, im: fullIm };
+    }
+
+    /**
+     * Reconstruct the time signal from a computeFFT result
+     * Removes the zero padding and, optionally, divides out the analysis window.
+     * Samples where the window is (close to) zero cannot be recovered and are returned as NaN.
+     * @param {Object} fftResult - Result of computeFFT (needs spectrum, signalLength, windowType and windowOptions)
+     * @param {Object} options - Reconstruction options
+     * @param {boolean} options.undoWindow - Divide out the analysis window
+     * @returns {Array} Reconstructed signal
+     */
+    static reconstructSignal(fftResult, options = {}) {
+        const { undoWindow = true } = options;
+
+        if (!fftResult || !fftResult.spectrum) {
+            throw new Error('FFT result does not contain a complex spectrum');
+        }
+
+        const { spectrum, signalLength, windowType = 'none', windowOptions = {} } = fftResult;
+        const { re } = this.ifft(spectrum.re, spectrum.im);
+        const length = signalLength || re.length;
+        const signal = Array.from(re.subarray(0, length));
+
+        if (undoWindow && windowType !== 'none') {
+            const window = this.getWindow(length, windowType, windowOptions);
+            for (let i = 0; i < length; i++) {
+                signal[i] = Math.abs(window[i]) > WINDOW_INVERSION_FLOOR ? signal[i] / window[i] : NaN;
+            }
+        }
+
+        return signal;
+    }
+
+    /**
+     * Compare a reconstructed signal against the original
+     * NaN samples in the reconstruction (see reconstructSignal) are excluded and counted.
+     * @param {ArrayLike<number>} original - Original signal
+     * @param {ArrayLike<number>} reconstructed - Reconstructed signal
+     * @returns {Object} Error report: max and RMS error, relative RMS error, SNR in dB and excluded sample count
+     */
+    static reconstructionError(original, reconstructed) {
+        if (!original || !reconstructed || original.length !== reconstructed.length) {
+            throw new Error('Signals must have the same length');
+        }
+
+        let maxAbsError = 0;
+        let errorEnergy = 0;
+        let signalEnergy = 0;
+        let count = 0;
+        let excludedSamples = 0;
+
+        for (let i = 0; i < original.length; i++) {
+            if (!isFinite(reconstructed[i]) || !isFinite(original[i])) {
+                excludedSamples++;
+                continue;
+            }
+            const error = reconstructed[i] - original[i];
+            maxAbsError = Math.max(maxAbsError, Math.abs(error));
+            errorEnergy += error * error;
+            signalEnergy += original[i] * original[i];
+            count++;
+        }
+
+        const rmsError = count > 0 ? Math.sqrt(errorEnergy / count) : NaN;
+        const relativeRmsError = signalEnergy > 0 ? Math.sqrt(errorEnergy / signalEnergy) : NaN;
+
+        return {
+            maxAbsError,
+            rmsError,
+            relativeRmsError,
+            snrDb: errorEnergy > 0 ? 10 * Math.log10(signalEnergy / errorEnergy) : Infinity,
+            comparedSamples: count,
+            excludedSamples
+        };
+    }
+
     /**
      * Calculate next power of 2
      * @param {number} n - Input number
@@ -84,6 +488,47 @@ export class FFTProcessor {
         return Math.pow(2, Math.ceil(Math.log2(n)));
     }
 
+    /**
+     * Resolve the FFT length for a signal according to the padding option
+     * @param {number} n - Signal length
+     * @param {string|number} padding - 'none', 'pow2' or an explicit FFT length
+     * @returns {number} FFT length
+     */
+    static getFFTLength(n, padding) {
+        if (padding === 'pow2') {
+            return this.nextPowerOf2(n);
+        }
+        if (typeof padding === 'number' && isFinite(padding)) {
+            if (padding < n) {
+                throw new Error(`FFT length ${padding} is shorter than the signal (${n})`);
+            }
+            return Math.floor(padding);
+        }
+        return n;
+    }
+
+    /**
+     * Check whether a number is a power of 2
+     * @param {number} n - Input number
+     * @returns {boolean} True if n is a power of 2
+     */
+    static isPowerOf2(n) {
+        return n > 0 && (n & (n - 1)) === 0;
+    }
+
+    /**
+     * Find the smallest prime factor of a number
+     * @param {number} n - Input number (n >= 2)
+     * @returns {number} Smallest prime factor
+     */
+    static smallestFactor(n) {
+        if (n % 2 === 0) return 2;
+        for (let f = 3; f * f <= n; f += 2) {
+            if (n % f === 0) return f;
+        }
+        return n;
+    }
+
     /**
      * Pad signal array to desired length
      * @param {Array} signal - Input signal array
@@ -94,69 +539,483 @@ export class FFTProcessor {
         if (signal.length >= targetLength) return signal;
         
         const padded = new Array(targetLength).fill(0);
-        padded.splice(0, signal.length, ...signal);
+        for (let i = 0; i < signal.length; i++) {
+            padded[i] = signal[i];
+        }
         return padded;
     }
 
     /**
-     * FFT implementation (Cooley-Tukey algorithm)
+     * FFT of any length on nested complex arrays
+     * Kept for callers that work with [[real, imag],...] data; the work is done by transform()
      * @param {Array} input - Complex input array [[real, imag],...]
      * @returns {Array} Complex output array
      */
     static fft(input) {
         const n = input.length;
-        
-        // Base case
-        if (n <= 1) return input;
-        
-        // Split into even and odd
-        const even = Array(n/2);
-        const odd = Array(n/2);
-        for (let i = 0; i < n/2; i++) {
-            even[i] = input[i*2];
-            odd[i] = input[i*2+1];
+        const re = new Float64Array(n);
+        const im = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            re[i] = input[i][0];
+            im[i] = input[i][1];
         }
-        
-        // Recursive FFT on even and odd
-        const evenFFT = this.fft(even);
-        const oddFFT = this.fft(odd);
-        
-        // Combine results
-        const result = Array(n);
-        for (let k = 0; k < n/2; k++) {
-            const angle = -2 * Math.PI * k / n;
-            const t = [
-                Math.cos(angle) * oddFFT[k][0] - Math.sin(angle) * oddFFT[k][1],
-                Math.cos(angle) * oddFFT[k][1] + Math.sin(angle) * oddFFT[k][0]
-            ];
-            
-            result[k] = [
-                evenFFT[k][0] + t[0],
-                evenFFT[k][1] + t[1]
-            ];
-            
-            result[k + n/2] = [
-                evenFFT[k][0] - t[0],
-                evenFFT[k][1] - t[1]
-            ];
+
+        this.transform(re, im);
+
+        const result = new Array(n);
+        for (let i = 0; i < n; i++) {
+            result[i] = [re[i], im[i]];
         }
-        
         return result;
     }
 
+    /**
+     * In-place complex FFT of any length
+     * Smooth lengths (prime factors up to MAX_RADIX) run an iterative mixed-radix
+     * decimation-in-time transform, other lengths use Bluestein's chirp-z algorithm.
+     * The inverse is unscaled; divide by n to recover the input.
+     * @param {Float64Array} re - Real parts, overwritten with the result
+     * @param {Float64Array} im - Imaginary parts, overwritten with the result
+     * @param {boolean} inverse - Compute the (unscaled) inverse transform
+     */
+    static transform(re, im, inverse = false) {
+        if (re.length !== im.length) {
+            throw new Error('Real and imaginary buffers must have the same length');
+        }
+        if (re.length <= 1) return;
+
+        // Swapping real and imaginary parts turns the forward transform into the inverse
+        if (inverse) {
+            this.transform(im, re);
+            return;
+        }
+
+        const plan = this.getPlan(re.length);
+        if (plan.type === 'bluestein') {
+            this._bluesteinTransform(plan, re, im);
+        } else {
+            this._radixTransform(plan, re, im);
+        }
+    }
+
+    /**
+     * FFT of a real signal
+     * Even lengths are packed into a half-length complex transform.
+     * @param {ArrayLike<number>} signal - Real input signal
+     * @returns {Object} One-sided spectrum { re, im } with floor(n/2) + 1 bins, and the FFT length n
+     */
+    static realTransform(signal) {
+        const n = signal.length;
+        const numBins = Math.floor(n / 2) + 1;
+        const outRe = new Float64Array(numBins);
+        const outIm = new Float64Array(numBins);
+
+        if (n < 4 || n % 2 !== 0) {
+            const re = Float64Array.from(signal);
+            const im = new Float64Array(n);
+            this.transform(re, im);
+            outRe.set(re.subarray(0, numBins));
+            outIm.set(im.subarray(0, numBins));
+            return { re: outRe, im: outIm, n };
+        }
+
+        // z[k] = x[2k] + i*x[2k+1]
+        const half = n / 2;
+        const zRe = new Float64Array(half);
+        const zIm = new Float64Array(half);
+        for (let k = 0; k < half; k++) {
+            zRe[k] = signal[2 * k];
+            zIm[k] = signal[2 * k + 1];
+        }
+        this.transform(zRe, zIm);
+
+        // Split Z into the spectra of the even and odd samples and recombine
+        const { cos, sin } = this.getRealPlan(n);
+        for (let k = 0; k <= half; k++) {
+            const a = k % half;
+            const b = (half - k) % half;
+            const evenRe = (zRe[a] + zRe[b]) / 2;
+            const evenIm = (zIm[a] - zIm[b]) / 2;
+            const oddRe = (zIm[a] + zIm[b]) / 2;
+            const oddIm = -(zRe[a] - zRe[b]) / 2;
+            outRe[k] = evenRe + cos[k] * oddRe - sin[k] * oddIm;
+            outIm[k] = evenIm + cos[k] * oddIm + sin[k] * oddRe;
+        }
+
+        return { re: outRe, im: outIm, n };
+    }
+
+    /**
+     * Chirp-z transform on the unit circle
+     * X[k] = sum_n x[n] * exp(i*n*(startAngle + k*angleStep)), k = 0..m-1,
+     * evaluated as a convolution with Bluestein's identity nk = (n^2 + k^2 - (k-n)^2) / 2.
+     * @param {ArrayLike<number>} signal - Real input signal
+     * @param {number} m - Number of output points
+     * @param {number} angleStep - Angular step between points in radians/sample (negative for the forward DFT direction)
+     * @param {number} startAngle - Angle of the first point in radians/sample (the FFT sign is applied internally)
+     * @returns {Object} Complex output { re, im } of length m
+     */
+    static chirpZ(signal, m, angleStep, startAngle = 0) {
+        const n = signal.length;
+        const length = this.nextPowerOf2(n + m - 1);
+        const maxIndex = Math.max(n, m);
+
+        // chirp[j] = exp(i * angleStep * j^2 / 2)
+        const chirpRe = new Float64Array(maxIndex);
+        const chirpIm = new Float64Array(maxIndex);
+        for (let j = 0; j < maxIndex; j++) {
+            const angle = angleStep * j * j / 2;
+            chirpRe[j] = Math.cos(angle);
+            chirpIm[j] = Math.sin(angle);
+        }
+
+        // y[n] = x[n] * exp(-i*n*startAngle) * chirp[n]
+        const yRe = new Float64Array(length);
+        const yIm = new Float64Array(length);
+        for (let j = 0; j < n; j++) {
+            const angle = -startAngle * j;
+            const aRe = Math.cos(angle) * chirpRe[j] - Math.sin(angle) * chirpIm[j];
+            const aIm = Math.cos(angle) * chirpIm[j] + Math.sin(angle) * chirpRe[j];
+            yRe[j] = signal[j] * aRe;
+            yIm[j] = signal[j] * aIm;
+        }
+
+        // v[j] = conj(chirp[|j|]) for j = -(n-1)..m-1, negative indices wrapped
+        const vRe = new Float64Array(length);
+        const vIm = new Float64Array(length);
+        for (let j = 0; j < m; j++) {
+            vRe[j] = chirpRe[j];
+            vIm[j] = -chirpIm[j];
+        }
+        for (let j = 1; j < n; j++) {
+            vRe[length - j] = chirpRe[j];
+            vIm[length - j] = -chirpIm[j];
+        }
+
+        this.transform(yRe, yIm);
+        this.transform(vRe, vIm);
+        for (let k = 0; k < length; k++) {
+            const r = yRe[k] * vRe[k] - yIm[k] * vIm[k];
+            const i = yRe[k] * vIm[k] + yIm[k] * vRe[k];
+            yRe[k] = r;
+            yIm[k] = i;
+        }
+        this.transform(yRe, yIm, true);
+
+        const re = new Float64Array(m);
+        const im = new Float64Array(m);
+        for (let k = 0; k < m; k++) {
+            const cr = yRe[k] / length;
+            const ci = yIm[k] / length;
+            re[k] = cr * chirpRe[k] - ci * chirpIm[k];
+            im[k] = cr * chirpIm[k] + ci * chirpRe[k];
+        }
+
+        return { re, im };
+    }
+
+    /**
+     * Get (and cache) the transform plan for a given FFT size
+     * @param {number} n - FFT size
+     * @returns {Object} Transform plan
+     */
+    static getPlan(n) {
+        let plan = this._cachedPlan(n);
+        if (plan) return plan;
+
+        const factors = this.factorize(n);
+        if (factors[factors.length - 1] <= MAX_RADIX) {
+            plan = this._createRadixPlan(n, factors);
+        } else {
+            plan = this._createBluesteinPlan(n);
+        }
+
+        this._cachePlan(n, plan);
+        return plan;
+    }
+
+    /**
+     * Get (and cache) the post-processing twiddles for an even-length real FFT
+     * @param {number} n - FFT size (even)
+     * @returns {Object} Twiddle tables { cos, sin } of length n/2 + 1
+     */
+    static getRealPlan(n) {
+        const key = `real:${n}`;
+        let plan = this._cachedPlan(key);
+        if (plan) return plan;
+
+        const half = n / 2;
+        const cos = new Float64Array(half + 1);
+        const sin = new Float64Array(half + 1);
+        for (let k = 0; k <= half; k++) {
+            const angle = -2 * Math.PI * k / n;
+            cos[k] = Math.cos(angle);
+            sin[k] = Math.sin(angle);
+        }
+
+        plan = { cos, sin };
+        this._cachePlan(key, plan);
+        return plan;
+    }
+
+    /**
+     * Drop all cached transform plans
+     */
+    static clearPlanCache() {
+        planCache.clear();
+    }
+
+    /**
+     * Look up a cached plan and mark it as most recently used
+     * @private
+     */
+    static _cachedPlan(key) {
+        const plan = planCache.get(key);
+        if (plan) {
+            planCache.delete(key);
+            planCache.set(key, plan);
+        }
+        return plan;
+    }
+
+    /**
+     * Cache a plan, evicting the least recently used one when the cache is full
+     * @private
+     */
+    static _cachePlan(key, plan) {
+        planCache.set(key, plan);
+        if (planCache.size > PLAN_CACHE_SIZE) {
+            planCache.delete(planCache.keys().next().value);
+        }
+    }
+
+    /**
+     * Split a number into its prime factors
+     * @param {number} n - Input number
+     * @returns {Array} Prime factors in ascending order
+     */
+    static factorize(n) {
+        const factors = [];
+        let remaining = n;
+        while (remaining > 1) {
+            const factor = this.smallestFactor(remaining);
+            factors.push(factor);
+            remaining /= factor;
+        }
+        return factors;
+    }
+
+    /**
+     * Build a mixed-radix plan: digit-reversal permutation plus twiddle table
+     * @private
+     */
+    static _createRadixPlan(n, factors) {
+        // The transform splits by factors[0] first, then factors[1], ... (decimation in time).
+        // Input index i = d0 + f0*(d1 + f1*(d2 + ...)) lands at sum(d_s * n / (f0*...*f_s)).
+        const permutation = new Uint32Array(n);
+        for (let i = 0; i < n; i++) {
+            let rest = i;
+            let span = n;
+            let position = 0;
+            for (const factor of factors) {
+                span /= factor;
+                position += (rest % factor) * span;
+                rest = Math.floor(rest / factor);
+            }
+            permutation[i] = position;
+        }
+
+        const cos = new Float64Array(n);
+        const sin = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            const angle = -2 * Math.PI * k / n;
+            cos[k] = Math.cos(angle);
+            sin[k] = Math.sin(angle);
+        }
+
+        const maxRadix = factors[factors.length - 1];
+        return {
+            type: 'radix',
+            n,
+            factors,
+            permutation,
+            // Powers of 2 use the bit-reversal permutation, which can be applied by swapping
+            inPlacePermutation: maxRadix === 2,
+            cos,
+            sin,
+            scratchRe: new Float64Array(n),
+            scratchIm: new Float64Array(n),
+            butterflyRe: new Float64Array(maxRadix),
+            butterflyIm: new Float64Array(maxRadix)
+        };
+    }
+
+    /**
+     * Build a Bluestein plan: chirp, transformed convolution kernel and work buffers
+     * @private
+     */
+    static _createBluesteinPlan(n) {
+        const m = this.nextPowerOf2(2 * n - 1);
+
+        // Chirp w[k] = exp(-i*pi*k^2/n); k^2 is reduced mod 2n to keep the angle accurate
+        const chirpRe = new Float64Array(n);
+        const chirpIm = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            const angle = -Math.PI * ((k * k) % (2 * n)) / n;
+            chirpRe[k] = Math.cos(angle);
+            chirpIm[k] = Math.sin(angle);
+        }
+
+        // Kernel b[k] = conj(w[|k|]), wrapped around for negative k
+        const kernelRe = new Float64Array(m);
+        const kernelIm = new Float64Array(m);
+        for (let k = 0; k < n; k++) {
+            kernelRe[k] = chirpRe[k];
+            kernelIm[k] = -chirpIm[k];
+            if (k > 0) {
+                kernelRe[m - k] = chirpRe[k];
+                kernelIm[m - k] = -chirpIm[k];
+            }
+        }
+        this.transform(kernelRe, kernelIm);
+
+        return {
+            type: 'bluestein',
+            n,
+            m,
+            chirpRe,
+            chirpIm,
+            kernelRe,
+            kernelIm,
+            workRe: new Float64Array(m),
+            workIm: new Float64Array(m)
+        };
+    }
+
+    /**
+     * Iterative mixed-radix transform
+     * @private
+     */
+    static _radixTransform(plan, re, im) {
+        const { n, factors, permutation, cos, sin, scratchRe, scratchIm, butterflyRe, butterflyIm } = plan;
+
+        // Reorder input so that the innermost sub-transforms are contiguous
+        if (plan.inPlacePermutation) {
+            for (let i = 0; i < n; i++) {
+                const j = permutation[i];
+                if (j > i) {
+                    let t = re[i]; re[i] = re[j]; re[j] = t;
+                    t = im[i]; im[i] = im[j]; im[j] = t;
+                }
+            }
+        } else {
+            for (let i = 0; i < n; i++) {
+                scratchRe[permutation[i]] = re[i];
+                scratchIm[permutation[i]] = im[i];
+            }
+            re.set(scratchRe);
+            im.set(scratchIm);
+        }
+
+        // Combine sub-transforms from the innermost factor outwards
+        let m = 1;
+        for (let s = factors.length - 1; s >= 0; s--) {
+            const radix = factors[s];
+            const length = radix * m;
+            const stride = n / length;
+
+            if (radix === 2) {
+                for (let block = 0; block < n; block += length) {
+                    for (let j = 0; j < m; j++) {
+                        const a = block + j;
+                        const b = a + m;
+                        const w = j * stride;
+                        const tRe = re[b] * cos[w] - im[b] * sin[w];
+                        const tIm = re[b] * sin[w] + im[b] * cos[w];
+                        re[b] = re[a] - tRe;
+                        im[b] = im[a] - tIm;
+                        re[a] += tRe;
+                        im[a] += tIm;
+                    }
+                }
+            } else {
+                const radixStride = n / radix;
+                for (let block = 0; block < n; block += length) {
+                    for (let j = 0; j < m; j++) {
+                        // Twiddle the inputs of this butterfly
+                        for (let r = 0; r < radix; r++) {
+                            const idx = block + r * m + j;
+                            const w = r * j * stride;
+                            butterflyRe[r] = re[idx] * cos[w] - im[idx] * sin[w];
+                            butterflyIm[r] = re[idx] * sin[w] + im[idx] * cos[w];
+                        }
+                        // radix-point DFT
+                        for (let q = 0; q < radix; q++) {
+                            let sumRe = 0;
+                            let sumIm = 0;
+                            for (let r = 0; r < radix; r++) {
+                                const w = ((r * q) % radix) * radixStride;
+                                sumRe += butterflyRe[r] * cos[w] - butterflyIm[r] * sin[w];
+                                sumIm += butterflyRe[r] * sin[w] + butterflyIm[r] * cos[w];
+                            }
+                            const idx = block + q * m + j;
+                            re[idx] = sumRe;
+                            im[idx] = sumIm;
+                        }
+                    }
+                }
+            }
+
+            m = length;
+        }
+    }
+
+    /**
+     * Bluestein transform: the DFT as a circular convolution with a chirp
+     * @private
+     */
+    static _bluesteinTransform(plan, re, im) {
+        const { n, m, chirpRe, chirpIm, kernelRe, kernelIm, workRe, workIm } = plan;
+
+        workRe.fill(0);
+        workIm.fill(0);
+        for (let k = 0; k < n; k++) {
+            workRe[k] = re[k] * chirpRe[k] - im[k] * chirpIm[k];
+            workIm[k] = re[k] * chirpIm[k] + im[k] * chirpRe[k];
+        }
+
+        this.transform(workRe, workIm);
+        for (let k = 0; k < m; k++) {
+            const ar = workRe[k];
+            const ai = workIm[k];
+            workRe[k] = ar * kernelRe[k] - ai * kernelIm[k];
+            workIm[k] = ar * kernelIm[k] + ai * kernelRe[k];
+        }
+        this.transform(workRe, workIm, true);
+
+        for (let k = 0; k < n; k++) {
+            const cr = workRe[k] / m;
+            const ci = workIm[k] / m;
+            re[k] = cr * chirpRe[k] - ci * chirpIm[k];
+            im[k] = cr * chirpIm[k] + ci * chirpRe[k];
+        }
+    }
+
     /**
      * Calculate magnitudes and phases from FFT result
-     * @param {Array} fftResult - Complex FFT result array
+     * @param {Float64Array} re - Real parts of the spectrum
+     * @param {Float64Array} im - Imaginary parts of the spectrum
+     * @param {number} n - FFT size
      * @returns {Object} Object containing magnitude and phase arrays
      */
-    static calculateMagnitudesAndPhases(fftResult) {
-        const n = fftResult.length;
-        const magnitudes = new Array(n/2);
-        const phases = new Array(n/2);
+    static calculateMagnitudesAndPhases(re, im, n) {
+        const numBins = Math.ceil(n / 2);
+        const magnitudes = new Array(numBins);
+        const phases = new Array(numBins);
         
-        for (let i = 0; i < n/2; i++) {
-            const real = fftResult[i][0];
-            const imag = fftResult[i][1];
+        for (let i = 0; i < numBins; i++) {
+            const real = re[i];
+            const imag = im[i];
             magnitudes[i] = Math.sqrt(real*real + imag*imag) / n;
             phases[i] = Math.atan2(imag, real) * 180 / Math.PI; // Convert to degrees
         }
@@ -171,10 +1030,11 @@ export class FFTProcessor {
      * @returns {Array} Frequency array
      */
     static calculateFrequencies(n, sampleRate) {
-        const frequencies = new Array(n/2);
+        const numBins = Math.ceil(n / 2);
+        const frequencies = new Array(numBins);
         const df = sampleRate / n;
         
-        for (let i = 0; i < n/2; i++) {
+        for (let i = 0; i < numBins; i++) {
             frequencies[i] = i * df;
         }
         
@@ -187,73 +1047,32 @@ export class FFTProcessor {
      * @param {Array} magnitudes - Magnitude array
      * @param {Array} phases - Phase array
      * @param {number} threshold - Peak detection threshold (percentage of max magnitude)
+     * @param {Object} options - Further detection options (see PeakDetector.detect)
      * @returns {Array} Array of peak objects
      */
-    static detectPeaks(frequencies, magnitudes, phases, threshold) {
-        const peaks = [];
-        const maxMagnitude = Math.max(...magnitudes);
-        const thresholdValue = maxMagnitude * (threshold / 100);
-        
-        // First and last points cannot be peaks
-        for (let i = 1; i < magnitudes.length - 1; i++) {
-            if (magnitudes[i] > thresholdValue &&
-                magnitudes[i] > magnitudes[i-1] &&
-                magnitudes[i] > magnitudes[i+1]) {
-                
-                peaks.push({
-                    frequency: frequencies[i],
-                    magnitude: magnitudes[i],
-                    phase: phases[i]
-                });
-            }
-        }
-        
-        // Sort peaks by magnitude (descending)
-        return peaks.sort((a, b) => b.magnitude - a.magnitude);
+    static detectPeaks(frequencies, magnitudes, phases, threshold, options = {}) {
+        return PeakDetector.detect(frequencies, magnitudes, phases, { ...options, threshold });
+    }
+
+    /**
+     * Get the coefficients of a window function
+     * @param {number} n - Window length
+     * @param {string} windowType - Type of window function
+     * @param {Object} windowOptions - Window parameters (see WindowFunctions.generate)
+     * @returns {Float64Array} Window coefficients (all ones for 'none')
+     */
+    static getWindow(n, windowType, windowOptions = {}) {
+        return WindowFunctions.generate(windowType, n, windowOptions);
     }
 
     /**
      * Apply window function to signal
      * @param {Array} signal - Input signal array
      * @param {string} windowType - Type of window function
+     * @param {Object} windowOptions - Window parameters (see WindowFunctions.generate)
      * @returns {Array} Windowed signal array
      */
-    static applyWindow(signal, windowType) {
-        const n = signal.length;
-        const windowed = new Array(n);
-        
-        if (windowType === 'none') {
-            return signal;
-        }
-        
-        for (let i = 0; i < n; i++) {
-            let windowValue;
-            switch (windowType) {
-                case 'rectangular':
-                    windowValue = 1;
-                    break;
-                case 'hamming':
-                    windowValue = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (n - 1));
-                    break;
-                case 'hanning':
-                    windowValue = 0.5 * (1 - Math.cos(2 * Math.PI * i / (n - 1)));
-                    break;
-                case 'blackman':
-                    windowValue = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)) 
-                               + 0.08 * Math.cos(4 * Math.PI * i / (n - 1));
-                    break;
-                case 'kaiser':
-                    // Simple approximation of Kaiser window
-                    const beta = 3.0;
-                    const r = 2 * i / (n - 1) - 1;
-                    windowValue = Math.sqrt(1 - r * r);
-                    break;
-                default:
-                    return signal;
-            }
-            windowed[i] = signal[i] * windowValue;
-        }
-        
-        return windowed;
+    static applyWindow(signal, windowType, windowOptions = {}) {
+        return WindowFunctions.apply(signal, windowType, windowOptions);
     }
 }
\ No newline at end of file
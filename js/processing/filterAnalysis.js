@@ -0,0 +1,226 @@
+/**
+ * Filter Analysis Module
+ * Frequency response, group delay, pole-zero locations and time responses of digital filters
+ */
+import { FFTProcessor } from './fft.js';
+import { PhaseAnalyzer } from './phase.js';
+import { DigitalFilter } from './filters.js';
+
+// Default number of frequency points between DC and Nyquist
+const DEFAULT_RESPONSE_POINTS = 1024;
+
+// Bins where a section's numerator or denominator is this small have no defined group delay
+const RESPONSE_FLOOR = 1e-12;
+
+// Time responses run until the slowest pole has decayed to this level
+const DECAY_LEVEL = 1e-4;
+
+// Bounds of the automatic impulse/step response length in samples
+const MIN_RESPONSE_LENGTH = 32;
+const MAX_RESPONSE_LENGTH = 8192;
+
+export class FilterAnalyzer {
+    /**
+     * Complex frequency response and group delay on a uniform grid from DC to Nyquist
+     * Every numerator and denominator polynomial is transformed with the FFT; the group delay of
+     * each is Re{ DFT(n p[n]) / DFT(p[n]) }, so no phase differentiation is needed.
+     * @param {Object} filter - Filter from DigitalFilter
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - Options
+     * @param {number} options.points - Approximate number of frequency points
+     * @returns {Object} { frequencies, re, im, magnitude, magnitudeDb, phase and unwrappedPhase (degrees),
+     *                   groupDelay (samples), groupDelaySeconds, fftLength }
+     */
+    static frequencyResponse(filter, sampleRate, options = {}) {
+        const { points = DEFAULT_RESPONSE_POINTS } = options;
+        const { numerators, denominators } = this._polynomials(filter);
+        const longest = Math.max(...numerators.map(p => p.length), ...denominators.map(p => p.length));
+        const fftLength = FFTProcessor.nextPowerOf2(Math.max(2 * (points - 1), longest, 2));
+        const bins = fftLength / 2 + 1;
+
+        const re = new Float64Array(bins).fill(1);
+        const im = new Float64Array(bins);
+        const delay = new Float64Array(bins);
+
+        const accumulate = (polynomial, sign) => {
+            const padded = new Float64Array(fftLength);
+            const ramp = new Float64Array(fftLength);
+            for (let i = 0; i < polynomial.length; i++) {
+                padded[i] = polynomial[i];
+                ramp[i] = i * polynomial[i];
+            }
+            const P = FFTProcessor.realTransform(padded);
+            const R = FFTProcessor.realTransform(ramp);
+
+            for (let k = 0; k < bins; k++) {
+                const c = P.re[k];
+                const d = P.im[k];
+                const power = c * c + d * d;
+
+                // H *= P (numerator) or H /= P (denominator)
+                const hRe = re[k];
+                const hIm = im[k];
+                if (sign > 0) {
+                    re[k] = hRe * c - hIm * d;
+                    im[k] = hRe * d + hIm * c;
+                } else {
+                    re[k] = (hRe * c + hIm * d) / power;
+                    im[k] = (hIm * c - hRe * d) / power;
+                }
+
+                delay[k] = power > RESPONSE_FLOOR * RESPONSE_FLOOR ?
+                    delay[k] + sign * (R.re[k] * c + R.im[k] * d) / power :
+                    NaN;
+            }
+        };
+        numerators.forEach(p => accumulate(p, 1));
+        denominators.forEach(p => accumulate(p, -1));
+
+        const frequencies = new Float64Array(bins);
+        const magnitude = new Float64Array(bins);
+        const magnitudeDb = new Float64Array(bins);
+        const wrapped = new Float64Array(bins);
+        const slopes = new Float64Array(bins);
+        const mask = new Uint8Array(bins);
+        for (let k = 0; k < bins; k++) {
+            frequencies[k] = (k * sampleRate) / fftLength;
+            magnitude[k] = Math.hypot(re[k], im[k]);
+            magnitudeDb[k] = FFTProcessor.toDecibels(magnitude[k]);
+            wrapped[k] = Math.atan2(im[k], re[k]);
+            mask[k] = magnitude[k] > 0 && isFinite(delay[k]) ? 1 : 0;
+            slopes[k] = isFinite(delay[k]) ? -2 * Math.PI * delay[k] / fftLength : 0;
+        }
+
+        // Unwrap along the group delay; bins at zeros on the unit circle are left out
+        const unwrapped = PhaseAnalyzer.unwrap(wrapped, { mask, slopes });
+
+        const toDegrees = 180 / Math.PI;
+        return {
+            frequencies,
+            re,
+            im,
+            magnitude,
+            magnitudeDb,
+            phase: wrapped.map(p => p * toDegrees),
+            unwrappedPhase: unwrapped.map(p => p * toDegrees),
+            groupDelay: delay,
+            groupDelaySeconds: delay.map(d => d / sampleRate),
+            fftLength
+        };
+    }
+
+    /**
+     * Zeros and poles of a filter
+     * FIR filters have all their poles at the origin.
+     * @param {Object} filter - Filter from DigitalFilter
+     * @returns {Object} { zeros, poles, maxPoleRadius, stable }
+     */
+    static polesZeros(filter) {
+        let zeros;
+        let poles;
+        if (filter.kind === 'fir') {
+            zeros = DigitalFilter.roots(filter.b);
+            poles = Array.from({ length: filter.b.length - 1 }, () => ({ re: 0, im: 0 }));
+        } else {
+            zeros = filter.zeros;
+            poles = filter.poles;
+        }
+
+        const maxPoleRadius = poles.reduce((max, p) => Math.max(max, Math.hypot(p.re, p.im)), 0);
+        return { zeros, poles, maxPoleRadius, stable: maxPoleRadius < 1 };
+    }
+
+    /**
+     * Impulse response
+     * @param {Object} filter - Filter from DigitalFilter
+     * @param {number} length - Number of samples
+     * @returns {Float64Array} h[n]
+     */
+    static impulseResponse(filter, length) {
+        const impulse = new Float64Array(length);
+        impulse[0] = 1;
+        return DigitalFilter.filter(filter, impulse);
+    }
+
+    /**
+     * Step response
+     * @param {Object} filter - Filter from DigitalFilter
+     * @param {number} length - Number of samples
+     * @returns {Float64Array} s[n]
+     */
+    static stepResponse(filter, length) {
+        return DigitalFilter.filter(filter, new Float64Array(length).fill(1));
+    }
+
+    /**
+     * Number of samples that covers a filter's transient
+     * FIR filters need their length; IIR filters need the slowest pole to decay to DECAY_LEVEL.
+     * @param {Object} filter - Filter from DigitalFilter
+     * @returns {number} Response length in samples
+     */
+    static responseLength(filter) {
+        let length;
+        if (filter.kind === 'fir') {
+            length = 2 * filter.b.length;
+        } else {
+            const { maxPoleRadius } = this.polesZeros(filter);
+            length = maxPoleRadius > 0 && maxPoleRadius < 1 ?
+                Math.ceil(Math.log(DECAY_LEVEL) / Math.log(maxPoleRadius)) :
+                MAX_RESPONSE_LENGTH;
+        }
+        return Math.min(MAX_RESPONSE_LENGTH, Math.max(MIN_RESPONSE_LENGTH, length));
+    }
+
+    /**
+     * Full analysis of a filter for display
+     * @param {Object} filter - Filter from DigitalFilter
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - Options
+     * @param {number} options.points - Number of frequency points (see frequencyResponse)
+     * @param {number} options.length - Impulse/step response length in samples (default: responseLength)
+     * @returns {Object} { response, zeros, poles, maxPoleRadius, stable, time, impulse, step, sampleRate },
+     *                   or null on failure
+     */
+    static analyze(filter, sampleRate, options = {}) {
+        if (!filter || !(sampleRate > 0)) {
+            console.error('Invalid input to FilterAnalyzer.analyze');
+            return null;
+        }
+
+        try {
+            const length = Math.floor(options.length || this.responseLength(filter));
+            const response = this.frequencyResponse(filter, sampleRate, options);
+            const { zeros, poles, maxPoleRadius, stable } = this.polesZeros(filter);
+            const time = Float64Array.from({ length }, (_, i) => i / sampleRate);
+
+            return {
+                response,
+                zeros,
+                poles,
+                maxPoleRadius,
+                stable,
+                time,
+                impulse: this.impulseResponse(filter, length),
+                step: this.stepResponse(filter, length),
+                sampleRate
+            };
+        } catch (err) {
+            console.error('Error analyzing filter:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Numerator and denominator polynomials (in z^-1) of a filter
+     * @private
+     */
+    static _polynomials(filter) {
+        if (filter.kind === 'fir') {
+            return { numerators: [filter.b], denominators: [] };
+        }
+        return {
+            numerators: filter.sos.map(section => section.slice(0, 3)),
+            denominators: filter.sos.map(section => section.slice(3, 6))
+        };
+    }
+}
@@ -0,0 +1,237 @@
+/**
+ * Filter Bank Module
+ * Mel and constant-Q filter banks applied to STFT frames, and mel-frequency cepstral coefficients
+ */
+
+// HTK mel scale: mel = 2595 log10(1 + f / 700)
+const MEL_FACTOR = 2595;
+const MEL_BREAK_FREQUENCY = 700;
+
+// Default mel bank and MFCC settings
+const DEFAULT_MEL_BANDS = 40;
+const DEFAULT_MFCC_COEFFICIENTS = 13;
+
+// Default constant-Q resolution and lowest centre frequency (C1)
+const DEFAULT_BINS_PER_OCTAVE = 12;
+const DEFAULT_CQ_MIN_FREQUENCY = 32.703;
+
+// Band powers are floored here before taking logarithms
+const POWER_FLOOR = 1e-20;
+
+export class FilterBank {
+    /**
+     * Convert frequency to mel (HTK formula)
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} Mel value
+     */
+    static hzToMel(frequency) {
+        return MEL_FACTOR * Math.log10(1 + frequency / MEL_BREAK_FREQUENCY);
+    }
+
+    /**
+     * Convert mel to frequency (HTK formula)
+     * @param {number} mel - Mel value
+     * @returns {number} Frequency in Hz
+     */
+    static melToHz(mel) {
+        return MEL_BREAK_FREQUENCY * (Math.pow(10, mel / MEL_FACTOR) - 1);
+    }
+
+    /**
+     * Triangular mel filter bank on the bins of an FFT
+     * Band k rises from edge k to its centre (edge k + 1) and falls to edge k + 2, the edges being equally
+     * spaced in mel between minFrequency and maxFrequency.
+     * @param {number} nfft - FFT length of the frames
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - Options
+     * @param {number} options.bands - Number of mel bands (default 40)
+     * @param {number} options.minFrequency - Lower edge of the first band in Hz (default 0)
+     * @param {number} options.maxFrequency - Upper edge of the last band in Hz (default Nyquist)
+     * @param {string} options.normalize - 'peak' (triangles of height 1) or 'area' (unit-area triangles,
+     *                                     so every band has the same gain for white noise)
+     * @returns {Object} { filters [{ start, weights }], frequencies (centres), edges, empty (bands holding no bin),
+     *                   scale: 'mel' }
+     */
+    static melFilters(nfft, sampleRate, options = {}) {
+        const { bands = DEFAULT_MEL_BANDS, minFrequency = 0, normalize = 'peak' } = options;
+        const maxFrequency = options.maxFrequency ?? sampleRate / 2;
+        this._validateRange(minFrequency, maxFrequency, sampleRate);
+        if (!Number.isInteger(bands) || bands < 1) {
+            throw new Error('The number of mel bands must be a positive integer');
+        }
+
+        const melLow = this.hzToMel(minFrequency);
+        const melHigh = this.hzToMel(maxFrequency);
+        const edges = Float64Array.from({ length: bands + 2 },
+            (_, i) => this.melToHz(melLow + ((melHigh - melLow) * i) / (bands + 1)));
+
+        let empty = 0;
+        const filters = Array.from({ length: bands }, (_, k) => {
+            const [left, centre, right] = [edges[k], edges[k + 1], edges[k + 2]];
+            const weight = (f) => (f <= left || f >= right ? 0 :
+                f <= centre ? (f - left) / (centre - left) : (right - f) / (right - centre));
+            const filter = this._sampleKernel(weight, left, right, nfft, sampleRate);
+            if (filter.weights.length === 0) empty++;
+            if (normalize === 'area') {
+                const scale = 2 / (right - left);
+                filter.weights = filter.weights.map(w => w * scale);
+            }
+            return filter;
+        });
+        if (empty > 0) {
+            console.warn(`${empty} mel bands fall between FFT bins; use fewer bands or a longer FFT`);
+        }
+
+        return {
+            filters,
+            frequencies: edges.slice(1, bands + 1),
+            edges,
+            empty,
+            scale: 'mel'
+        };
+    }
+
+    /**
+     * Constant-Q filter bank on the bins of an FFT
+     * Centre frequencies are f_k = minFrequency 2^(k / binsPerOctave) and each band is a Hann-shaped kernel
+     * whose half-power bandwidth is f_k / Q, Q = 1 / (2^(1 / binsPerOctave) - 1). Where that bandwidth is
+     * narrower than the FFT bin spacing the kernel is widened to one bin on each side, so those bands are
+     * no longer constant-Q; their count is reported as unresolved.
+     * @param {number} nfft - FFT length of the frames
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - Options
+     * @param {number} options.binsPerOctave - Bands per octave (default 12)
+     * @param {number} options.minFrequency - Lowest centre frequency in Hz (default 32.7 Hz, C1)
+     * @param {number} options.maxFrequency - Highest centre frequency in Hz (default: Nyquist / 2^(1/binsPerOctave))
+     * @returns {Object} { filters [{ start, weights }], frequencies (centres), q, unresolved, scale: 'log' }
+     */
+    static constantQFilters(nfft, sampleRate, options = {}) {
+        const { binsPerOctave = DEFAULT_BINS_PER_OCTAVE, minFrequency = DEFAULT_CQ_MIN_FREQUENCY } = options;
+        if (!Number.isInteger(binsPerOctave) || binsPerOctave < 1) {
+            throw new Error('Bins per octave must be a positive integer');
+        }
+        const ratio = Math.pow(2, 1 / binsPerOctave);
+        const maxFrequency = options.maxFrequency ?? sampleRate / 2 / ratio;
+        this._validateRange(minFrequency, maxFrequency, sampleRate);
+
+        const q = 1 / (ratio - 1);
+        const binSpacing = sampleRate / nfft;
+        const count = Math.floor(binsPerOctave * Math.log2(maxFrequency / minFrequency) + 1e-9) + 1;
+        const frequencies = Float64Array.from({ length: count }, (_, k) => minFrequency * Math.pow(ratio, k));
+
+        let unresolved = 0;
+        const filters = Array.from(frequencies, (centre) => {
+            // A Hann kernel of half-width w is at half height at +-w/2, so w is the half-power bandwidth
+            let halfWidth = centre / q;
+            if (halfWidth < binSpacing) {
+                halfWidth = binSpacing;
+                unresolved++;
+            }
+            const weight = (f) => {
+                const x = (f - centre) / halfWidth;
+                return Math.abs(x) >= 1 ? 0 : 0.5 + 0.5 * Math.cos(Math.PI * x);
+            };
+            return this._sampleKernel(weight, centre - halfWidth, Math.min(centre + halfWidth, sampleRate / 2),
+                nfft, sampleRate);
+        });
+
+        return { filters, frequencies, q, unresolved, scale: 'log' };
+    }
+
+    /**
+     * Apply a filter bank to the power spectra of STFT frames
+     * @param {Object} stft - Result of SpectralAnalyzer.computeSTFT
+     * @param {Object} bank - Result of melFilters or constantQFilters
+     * @returns {Array} Band powers, one Float64Array per frame; bins are scaled as |X| / frameSize,
+     *                  like SpectralAnalyzer.computeSpectrogram
+     */
+    static apply(stft, bank) {
+        const { re, im, frameSize } = stft;
+        const scale = 1 / (frameSize * frameSize);
+        return re.map((frameRe, m) => {
+            const frameIm = im[m];
+            return Float64Array.from(bank.filters, ({ start, weights }) => {
+                let sum = 0;
+                for (let i = 0; i < weights.length; i++) {
+                    const k = start + i;
+                    sum += weights[i] * (frameRe[k] * frameRe[k] + frameIm[k] * frameIm[k]);
+                }
+                return sum * scale;
+            });
+        });
+    }
+
+    /**
+     * Mel-frequency cepstral coefficients from mel band powers
+     * c_n = sqrt(2 / B) sum_b ln(P_b) cos(π n (b + 1/2) / B) (orthonormal DCT-II, c_0 scaled by 1/sqrt(2)),
+     * optionally liftered by 1 + (L / 2) sin(π n / L).
+     * @param {Array} melPowers - Band powers per frame (from apply with a mel bank)
+     * @param {Object} options - Options
+     * @param {number} options.coefficients - Coefficients kept per frame, c_0 included (default 13)
+     * @param {number} options.lifter - Sinusoidal lifter length L (0 for none)
+     * @returns {Array} Coefficients, one Float64Array per frame
+     */
+    static mfcc(melPowers, options = {}) {
+        const { lifter = 0 } = options;
+        const bands = melPowers.length > 0 ? melPowers[0].length : 0;
+        const count = Math.min(options.coefficients ?? DEFAULT_MFCC_COEFFICIENTS, bands);
+        if (!(count >= 1)) {
+            throw new Error('MFCCs need at least one mel band and one coefficient');
+        }
+
+        // DCT-II basis and lifter, shared by all frames
+        const basis = Array.from({ length: count }, (_, n) => Float64Array.from({ length: bands }, (_, b) =>
+            Math.sqrt((n === 0 ? 1 : 2) / bands) * Math.cos((Math.PI * n * (b + 0.5)) / bands)));
+        const lifterGain = Float64Array.from({ length: count },
+            (_, n) => (lifter > 0 ? 1 + (lifter / 2) * Math.sin((Math.PI * n) / lifter) : 1));
+
+        return melPowers.map(powers => {
+            const logPowers = powers.map(p => Math.log(Math.max(p, POWER_FLOOR)));
+            return Float64Array.from(basis, (row, n) =>
+                lifterGain[n] * row.reduce((sum, w, b) => sum + w * logPowers[b], 0));
+        });
+    }
+
+    /**
+     * Band powers in dB
+     * @param {Array} bandPowers - Powers per frame
+     * @returns {Array} [frame][band] levels in dB as plain arrays (for the Spectrogram view)
+     */
+    static toDecibels(bandPowers) {
+        return bandPowers.map(powers => Array.from(powers, p => 10 * Math.log10(Math.max(p, POWER_FLOOR))));
+    }
+
+    /**
+     * Sample a kernel defined on frequency at the FFT bins between two frequencies
+     * @private
+     */
+    static _sampleKernel(weight, low, high, nfft, sampleRate) {
+        const lastBin = Math.floor(nfft / 2);
+        const first = Math.max(0, Math.ceil((low * nfft) / sampleRate));
+        const last = Math.min(lastBin, Math.floor((high * nfft) / sampleRate));
+        const values = [];
+        for (let k = first; k <= last; k++) {
+            values.push(weight((k * sampleRate) / nfft));
+        }
+
+        // Trim zero weights at the ends
+        let start = 0;
+        let end = values.length;
+        while (start < end && values[start] === 0) start++;
+        while (end > start && values[end - 1] === 0) end--;
+        return { start: first + start, weights: Float64Array.from(values.slice(start, end)) };
+    }
+
+    /**
+     * Check a frequency range against the Nyquist frequency
+     * @private
+     */
+    static _validateRange(minFrequency, maxFrequency, sampleRate) {
+        if (!(sampleRate > 0)) {
+            throw new Error('Invalid sample rate');
+        }
+        if (!(minFrequency >= 0) || !(maxFrequency > minFrequency) || maxFrequency > sampleRate / 2) {
+            throw new Error(`The frequency range needs 0 <= minimum < maximum <= ${sampleRate / 2} Hz`);
+        }
+    }
+}
@@ -0,0 +1,1358 @@
+/**
+ * Digital Filters Module
+ * FIR (windowed-sinc, Parks-McClellan) and IIR (Butterworth, Chebyshev I/II, elliptic)
+ * design, with forward and zero-phase (forward-backward) application
+ */
+import { FFTProcessor } from './fft.js';
+import { WindowFunctions } from './windows.js';
+
+// Imaginary parts and moduli below this are treated as zero when classifying poles and zeros
+const ROOT_EPSILON = 1e-10;
+
+// Highest supported IIR prototype order (band-pass and band-stop designs double it)
+const MAX_IIR_ORDER = 24;
+
+// Parks-McClellan: dense-grid points per approximating function, iteration cap, convergence tolerance
+const REMEZ_GRID_DENSITY = 16;
+const REMEZ_MAX_ITERATIONS = 40;
+const REMEZ_TOLERANCE = 1e-6;
+
+// FIR filters with more taps than this are applied by FFT convolution
+const FFT_CONVOLUTION_THRESHOLD = 64;
+
+// Carlson elliptic integral: relative tolerance of the duplication steps
+const CARLSON_TOLERANCE = 1e-3;
+
+// Number of terms in the nome series of the elliptic degree equation
+const ELLIPDEG_TERMS = 7;
+
+// Polynomial root finding: iteration cap and relative step at which the roots are accepted
+const ROOTS_MAX_ITERATIONS = 500;
+const ROOTS_TOLERANCE = 1e-14;
+
+// Minimal complex arithmetic on { re, im } pairs for the pole/zero transformations
+const complex = (re, im = 0) => ({ re, im });
+const cAdd = (a, b) => complex(a.re + b.re, a.im + b.im);
+const cSub = (a, b) => complex(a.re - b.re, a.im - b.im);
+const cMul = (a, b) => complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+const cScale = (a, s) => complex(a.re * s, a.im * s);
+const cConj = (a) => complex(a.re, -a.im);
+const cDiv = (a, b) => {
+    const d = b.re * b.re + b.im * b.im;
+    return complex((a.re * b.re + a.im * b.im) / d, (a.im * b.re - a.re * b.im) / d);
+};
+const cSqrt = (a) => {
+    const r = Math.hypot(a.re, a.im);
+    const re = Math.sqrt(Math.max(0, (r + a.re) / 2));
+    const im = Math.sqrt(Math.max(0, (r - a.re) / 2));
+    return complex(re, a.im < 0 ? -im : im);
+};
+const cProduct = (values) => values.reduce((acc, v) => cMul(acc, v), complex(1));
+
+export class DigitalFilter {
+    /**
+     * Supported IIR families
+     * @returns {Array} Family identifiers
+     */
+    static get families() {
+        return ['butterworth', 'chebyshev1', 'chebyshev2', 'elliptic'];
+    }
+
+    /**
+     * Supported frequency responses
+     * @returns {Array} Response identifiers
+     */
+    static get responses() {
+        return ['lowpass', 'highpass', 'bandpass', 'bandstop'];
+    }
+
+    /**
+     * Design a linear-phase FIR filter by the window method (windowed sinc)
+     * High-pass and band-stop designs need an odd number of taps (a type I filter);
+     * an even count is increased by one.
+     * @param {Object} options - Design options
+     * @param {string} options.response - 'lowpass', 'highpass', 'bandpass' or 'bandstop'
+     * @param {number|Array} options.cutoff - Cutoff in Hz (-6 dB point), or [low, high] for band filters
+     * @param {number} options.sampleRate - Sampling rate in Hz
+     * @param {number} options.numTaps - Filter length
+     * @param {string} options.windowType - Window applied to the ideal impulse response
+     * @param {Object} options.windowOptions - Window parameters (see WindowFunctions.generate)
+     * @returns {Object} FIR filter { kind: 'fir', b, a, numTaps, delay (samples), response, cutoff, sampleRate, method }
+     */
+    static designFIR(options = {}) {
+        const {
+            response = 'lowpass',
+            sampleRate,
+            windowType = 'hamming',
+            windowOptions = {}
+        } = options;
+
+        const edges = this._normalizeCutoff(response, options.cutoff, sampleRate);
+        let numTaps = this._validateTaps(options.numTaps ?? 101);
+        if ((response === 'highpass' || response === 'bandstop') && numTaps % 2 === 0) {
+            console.warn(`A ${response} FIR filter needs an odd length; using ${numTaps + 1} taps`);
+            numTaps++;
+        }
+
+        // Ideal response as a sum of low-pass kernels, with delta[m] for the all-pass part
+        const center = (numTaps - 1) / 2;
+        const lowpass = (fc, m) => (m === 0 ? 2 * fc : Math.sin(2 * Math.PI * fc * m) / (Math.PI * m));
+        const ideal = (m) => {
+            switch (response) {
+                case 'lowpass':
+                    return lowpass(edges[0], m);
+                case 'highpass':
+                    return (m === 0 ? 1 : 0) - lowpass(edges[0], m);
+                case 'bandpass':
+                    return lowpass(edges[1], m) - lowpass(edges[0], m);
+                default:
+                    return (m === 0 ? 1 : 0) - lowpass(edges[1], m) + lowpass(edges[0], m);
+            }
+        };
+
+        const window = WindowFunctions.generate(windowType, numTaps, windowOptions);
+        const b = new Float64Array(numTaps);
+        for (let i = 0; i < numTaps; i++) {
+            b[i] = ideal(i - center) * window[i];
+        }
+
+        // Unity gain at the centre of the passband
+        const reference = response === 'lowpass' || response === 'bandstop' ? 0 :
+            response === 'highpass' ? 0.5 : 0.5 * (edges[0] + edges[1]);
+        const gain = this._linearPhaseAmplitude(b, reference);
+        if (Math.abs(gain) > ROOT_EPSILON) {
+            for (let i = 0; i < numTaps; i++) b[i] /= gain;
+        }
+
+        return this._firResult(b, {
+            response,
+            cutoff: edges.map(f => f * sampleRate),
+            sampleRate,
+            method: 'window',
+            windowType
+        });
+    }
+
+    /**
+     * Design an equiripple linear-phase FIR filter with the Parks-McClellan (Remez exchange) algorithm
+     * Bands are given either explicitly, or derived from a response, cutoff and transition width
+     * (the transition band is centred on each cutoff). Only odd lengths (type I) are designed;
+     * an even count is increased by one.
+     * @param {Object} options - Design options
+     * @param {number} options.numTaps - Filter length
+     * @param {number} options.sampleRate - Sampling rate in Hz
+     * @param {Array} options.bands - Band edges in Hz as [[start, end], ...] (optional)
+     * @param {Array} options.desired - Desired gain of each band
+     * @param {Array} options.weights - Error weight of each band (default 1)
+     * @param {string} options.response - Response used when bands are omitted
+     * @param {number|Array} options.cutoff - Cutoff(s) in Hz used when bands are omitted
+     * @param {number} options.transitionWidth - Transition band width in Hz used when bands are omitted
+     * @param {number} options.maxIterations - Remez iteration cap
+     * @returns {Object} FIR filter (see designFIR) plus { bands, desired, weights, deviation, iterations, converged }
+     */
+    static designRemez(options = {}) {
+        const { sampleRate, maxIterations = REMEZ_MAX_ITERATIONS } = options;
+
+        if (!(sampleRate > 0)) {
+            throw new Error('Filter design requires a positive sample rate');
+        }
+
+        let numTaps = this._validateTaps(options.numTaps ?? 101);
+        if (numTaps % 2 === 0) {
+            console.warn(`Parks-McClellan design uses odd lengths; using ${numTaps + 1} taps`);
+            numTaps++;
+        }
+
+        const spec = options.bands ?
+            { bands: options.bands, desired: options.desired, response: options.response || 'custom' } :
+            this._remezSpec(options.response || 'lowpass', options.cutoff, options.transitionWidth, sampleRate);
+        const { bands, desired } = spec;
+        const weights = options.weights || bands.map(() => 1);
+
+        if (!Array.isArray(bands) || bands.length === 0 ||
+            !Array.isArray(desired) || desired.length !== bands.length || weights.length !== bands.length) {
+            throw new Error('Parks-McClellan design needs one desired gain and weight per band');
+        }
+
+        const nyquist = sampleRate / 2;
+        let previous = 0;
+        const normalized = bands.map(([start, end]) => {
+            if (!(start >= previous && end > start && end <= nyquist)) {
+                throw new Error(`Bands must be increasing and lie between 0 and ${nyquist} Hz`);
+            }
+            previous = end;
+            return [start / sampleRate, end / sampleRate];
+        });
+
+        const result = this._remez(numTaps, normalized, desired, weights, maxIterations);
+
+        return {
+            ...this._firResult(result.taps, {
+                response: spec.response,
+                cutoff: spec.cutoff ?? null,
+                sampleRate,
+                method: 'remez'
+            }),
+            bands: bands.map(band => band.slice()),
+            desired: desired.slice(),
+            weights: weights.slice(),
+            deviation: result.deviation,
+            iterations: result.iterations,
+            converged: result.converged
+        };
+    }
+
+    /**
+     * Design an IIR filter as cascaded second-order sections (biquads)
+     * The analog prototype is frequency-transformed at pre-warped edges and mapped with the
+     * bilinear transform. For Chebyshev II the cutoff is the stopband edge (where the attenuation
+     * is first reached); for the other families it is the passband edge (-3 dB for Butterworth,
+     * -ripple dB for Chebyshev I and elliptic).
+     * @param {Object} options - Design options
+     * @param {string} options.family - 'butterworth', 'chebyshev1', 'chebyshev2' or 'elliptic'
+     * @param {string} options.response - 'lowpass', 'highpass', 'bandpass' or 'bandstop'
+     * @param {number} options.order - Prototype order (band filters have twice as many poles)
+     * @param {number|Array} options.cutoff - Edge frequency in Hz, or [low, high] for band filters
+     * @param {number} options.sampleRate - Sampling rate in Hz
+     * @param {number} options.ripple - Passband ripple in dB (Chebyshev I, elliptic)
+     * @param {number} options.attenuation - Minimum stopband attenuation in dB (Chebyshev II, elliptic)
+     * @returns {Object} IIR filter { kind: 'iir', sos, zeros, poles, gain, order, family, response,
+     *                   cutoff, sampleRate, ripple, attenuation }
+     */
+    static designIIR(options = {}) {
+        const {
+            family = 'butterworth',
+            response = 'lowpass',
+            sampleRate,
+            ripple = 1,
+            attenuation = 60
+        } = options;
+        const order = Math.floor(options.order ?? 4);
+
+        if (!this.families.includes(family)) {
+            throw new Error(`Unsupported IIR family: ${family}`);
+        }
+        if (!(order >= 1 && order <= MAX_IIR_ORDER)) {
+            throw new Error(`IIR order must be between 1 and ${MAX_IIR_ORDER}`);
+        }
+        if ((family === 'chebyshev1' || family === 'elliptic') && !(ripple > 0)) {
+            throw new Error('Passband ripple must be positive');
+        }
+        if ((family === 'chebyshev2' || family === 'elliptic') && !(attenuation > 0)) {
+            throw new Error('Stopband attenuation must be positive');
+        }
+        if (family === 'elliptic' && !(attenuation > ripple)) {
+            throw new Error('Stopband attenuation must exceed the passband ripple');
+        }
+
+        const edges = this._normalizeCutoff(response, options.cutoff, sampleRate);
+        const prototype = this._analogPrototype(family, order, ripple, attenuation);
+
+        // Pre-warp the edges so they land on the requested digital frequencies (fs normalized to 1)
+        const warped = edges.map(f => 2 * Math.tan(Math.PI * f));
+        const analog = this._transformPrototype(prototype, response, warped);
+        const digital = this._bilinear(analog);
+
+        return {
+            kind: 'iir',
+            sos: this._zpkToSOS(digital),
+            zeros: digital.zeros,
+            poles: digital.poles,
+            gain: digital.gain,
+            order: digital.poles.length,
+            family,
+            response,
+            cutoff: edges.map(f => f * sampleRate),
+            sampleRate,
+            ripple: family === 'chebyshev1' || family === 'elliptic' ? ripple : null,
+            attenuation: family === 'chebyshev2' || family === 'elliptic' ? attenuation : null
+        };
+    }
+
+    /**
+     * Design a second-order IIR notch filter
+     * @param {Object} options - Design options
+     * @param {number} options.frequency - Notch frequency in Hz
+     * @param {number} options.q - Quality factor (notch frequency / -3 dB bandwidth)
+     * @param {number} options.sampleRate - Sampling rate in Hz
+     * @returns {Object} IIR filter (see designIIR) with family 'notch' and the -3 dB bandwidth
+     */
+    static designNotch(options = {}) {
+        const { frequency, q = 30, sampleRate } = options;
+
+        if (!(sampleRate > 0)) {
+            throw new Error('Filter design requires a positive sample rate');
+        }
+        if (!(frequency > 0 && frequency < sampleRate / 2)) {
+            throw new Error(`Notch frequency must lie between 0 and ${sampleRate / 2} Hz`);
+        }
+        if (!(q > 0)) {
+            throw new Error('Notch quality factor must be positive');
+        }
+
+        // Zeros on the unit circle at the notch, poles just inside at the same angle
+        const w0 = 2 * Math.PI * frequency / sampleRate;
+        const bandwidth = w0 / q;
+        const beta = Math.tan(bandwidth / 2);
+        const gain = 1 / (1 + beta);
+        const a2 = (1 - beta) / (1 + beta);
+        const section = Float64Array.from([
+            gain, -2 * Math.cos(w0) * gain, gain,
+            1, -2 * Math.cos(w0) * gain, a2
+        ]);
+
+        const zero = complex(Math.cos(w0), Math.sin(w0));
+        const poleRadius = Math.sqrt(a2);
+        const poleAngle = Math.acos(Math.max(-1, Math.min(1, Math.cos(w0) * gain / poleRadius)));
+        const pole = complex(poleRadius * Math.cos(poleAngle), poleRadius * Math.sin(poleAngle));
+
+        return {
+            kind: 'iir',
+            sos: [section],
+            zeros: [zero, cConj(zero)],
+            poles: [pole, cConj(pole)],
+            gain,
+            order: 2,
+            family: 'notch',
+            response: 'bandstop',
+            cutoff: [frequency],
+            bandwidth: bandwidth * sampleRate / (2 * Math.PI),
+            q,
+            sampleRate,
+            ripple: null,
+            attenuation: null
+        };
+    }
+
+    /**
+     * Apply a filter
+     * Forward filtering starts from rest and has the filter's phase response. Zero-phase
+     * filtering runs the filter forwards and then backwards over an odd (point-symmetric)
+     * extension of the signal, started from steady state, which squares the magnitude
+     * response and cancels the phase.
+     * @param {Object} filter - Filter from one of the design functions
+     * @param {ArrayLike<number>} signal - Input signal
+     * @param {Object} options - Application options
+     * @param {boolean} options.zeroPhase - Forward-backward (filtfilt) instead of forward filtering
+     * @returns {Float64Array} Filtered signal (same length as the input)
+     */
+    static apply(filter, signal, options = {}) {
+        const { zeroPhase = false } = options;
+        return zeroPhase ? this.filtfilt(filter, signal, options) : this.filter(filter, signal);
+    }
+
+    /**
+     * Causal filtering from rest
+     * @param {Object} filter - Filter from one of the design functions
+     * @param {ArrayLike<number>} signal - Input signal
+     * @returns {Float64Array} Filtered signal
+     */
+    static filter(filter, signal) {
+        this._validateFilter(filter);
+        return filter.kind === 'fir' ?
+            this.convolve(filter.b, signal) :
+            this.sosfilt(filter.sos, signal);
+    }
+
+    /**
+     * Zero-phase forward-backward filtering
+     * @param {Object} filter - Filter from one of the design functions
+     * @param {ArrayLike<number>} signal - Input signal
+     * @param {Object} options - Options
+     * @param {number} options.padLength - Samples of odd extension at each end
+     *                                     (default 3 x filter length, at most signal length - 1)
+     * @returns {Float64Array} Filtered signal
+     */
+    static filtfilt(filter, signal, options = {}) {
+        this._validateFilter(filter);
+
+        const n = signal.length;
+        const defaultPad = filter.kind === 'fir' ?
+            3 * filter.b.length :
+            3 * (2 * filter.sos.length + 1);
+        const padLength = Math.max(0, Math.min(n - 1, Math.floor(options.padLength ?? defaultPad)));
+
+        const extended = new Float64Array(n + 2 * padLength);
+        for (let i = 0; i < padLength; i++) {
+            extended[i] = 2 * signal[0] - signal[padLength - i];
+            extended[n + padLength + i] = 2 * signal[n - 1] - signal[n - 2 - i];
+        }
+        for (let i = 0; i < n; i++) {
+            extended[padLength + i] = signal[i];
+        }
+
+        let forward;
+        let backward;
+        if (filter.kind === 'fir') {
+            // The start-up transient (numTaps - 1 samples) falls inside the padding
+            forward = this.convolve(filter.b, extended).reverse();
+            backward = this.convolve(filter.b, forward).reverse();
+        } else {
+            const zi = this._sosSteadyState(filter.sos);
+            forward = this.sosfilt(filter.sos, extended, zi.map(s => s.map(v => v * extended[0])));
+            forward.reverse();
+            backward = this.sosfilt(filter.sos, forward, zi.map(s => s.map(v => v * forward[0])));
+            backward.reverse();
+        }
+
+        return backward.slice(padLength, padLength + n);
+    }
+
+    /**
+     * Filter a signal through cascaded biquads (transposed direct form II)
+     * @param {Array<Float64Array>} sos - Sections [b0, b1, b2, a0, a1, a2] with a0 = 1
+     * @param {ArrayLike<number>} signal - Input signal
+     * @param {Array} initialState - Per-section state [z1, z2] (default zeros)
+     * @returns {Float64Array} Filtered signal
+     */
+    static sosfilt(sos, signal, initialState = null) {
+        const output = Float64Array.from(signal);
+
+        sos.forEach((section, s) => {
+            const [b0, b1, b2, , a1, a2] = section;
+            let z1 = initialState ? initialState[s][0] : 0;
+            let z2 = initialState ? initialState[s][1] : 0;
+            for (let i = 0; i < output.length; i++) {
+                const x = output[i];
+                const y = b0 * x + z1;
+                z1 = b1 * x - a1 * y + z2;
+                z2 = b2 * x - a2 * y;
+                output[i] = y;
+            }
+        });
+
+        return output;
+    }
+
+    /**
+     * Causal FIR filtering (the first signal-length samples of the linear convolution)
+     * Long filters are applied by FFT convolution.
+     * @param {ArrayLike<number>} taps - FIR coefficients
+     * @param {ArrayLike<number>} signal - Input signal
+     * @returns {Float64Array} Filtered signal
+     */
+    static convolve(taps, signal) {
+        const n = signal.length;
+        const m = taps.length;
+        const output = new Float64Array(n);
+
+        if (m <= FFT_CONVOLUTION_THRESHOLD) {
+            for (let i = 0; i < n; i++) {
+                let sum = 0;
+                const last = Math.min(m - 1, i);
+                for (let k = 0; k <= last; k++) {
+                    sum += taps[k] * signal[i - k];
+                }
+                output[i] = sum;
+            }
+            return output;
+        }
+
+        const length = FFTProcessor.nextPowerOf2(n + m - 1);
+        const x = new Float64Array(length);
+        const h = new Float64Array(length);
+        x.set(signal);
+        h.set(taps);
+
+        const X = FFTProcessor.realTransform(x);
+        const H = FFTProcessor.realTransform(h);
+        const bins = X.re.length;
+        const re = new Float64Array(bins);
+        const im = new Float64Array(bins);
+        for (let k = 0; k < bins; k++) {
+            re[k] = X.re[k] * H.re[k] - X.im[k] * H.im[k];
+            im[k] = X.re[k] * H.im[k] + X.im[k] * H.re[k];
+        }
+
+        const full = FFTProcessor.expandHermitian(re, im, length);
+        output.set(FFTProcessor.ifft(full.re, full.im).re.subarray(0, n));
+        return output;
+    }
+
+    /**
+     * Build a filter from transfer function coefficients
+     * H(z) = (b0 + b1 z^-1 + ...) / (a0 + a1 z^-1 + ...). A denominator of order zero gives an
+     * FIR filter; otherwise the zeros and poles are found and regrouped into biquads.
+     * @param {ArrayLike<number>} b - Numerator coefficients
+     * @param {ArrayLike<number>} a - Denominator coefficients (default [1])
+     * @returns {Object} Filter with family (IIR) or method (FIR) 'imported'
+     */
+    static fromTransferFunction(b, a = [1]) {
+        const numerator = this._validateCoefficients(b, 'Numerator');
+        let denominator = this._validateCoefficients(a, 'Denominator');
+        if (denominator[0] === 0) {
+            throw new Error('The first denominator coefficient must be non-zero');
+        }
+
+        // Normalize to a0 = 1 and drop trailing zero denominator terms
+        const a0 = denominator[0];
+        let end = denominator.length;
+        while (end > 1 && denominator[end - 1] === 0) end--;
+        denominator = denominator.slice(0, end).map(v => v / a0);
+        const normalized = numerator.map(v => v / a0);
+
+        if (denominator.length === 1) {
+            return this._firResult(Float64Array.from(normalized), {
+                response: 'custom',
+                cutoff: null,
+                sampleRate: null,
+                method: 'imported'
+            });
+        }
+
+        // Both polynomials in z of the common degree L: sum_k c_k z^(L - k)
+        const degree = Math.max(normalized.length, denominator.length) - 1;
+        const padded = (values) => [...values, ...new Array(degree + 1 - values.length).fill(0)];
+        const zeros = this.roots(padded(normalized));
+        const poles = this.roots(padded(denominator));
+        const gain = normalized.find(v => v !== 0) ?? 0;
+
+        return this._importedIIR(this._zpkToSOS({ zeros, poles, gain }), zeros, poles, gain);
+    }
+
+    /**
+     * Build a filter from second-order sections
+     * @param {Array} sos - Rows [b0, b1, b2, a0, a1, a2]; each row is normalized by its a0
+     * @returns {Object} IIR filter with family 'imported'
+     */
+    static fromSOS(sos) {
+        if (!Array.isArray(sos) || sos.length === 0) {
+            throw new Error('At least one second-order section is required');
+        }
+
+        const zeros = [];
+        const poles = [];
+        let gain = 1;
+        const sections = sos.map((row, i) => {
+            const values = this._validateCoefficients(row, `Section ${i + 1}`);
+            if (values.length !== 6) {
+                throw new Error(`Section ${i + 1} must have 6 coefficients [b0, b1, b2, a0, a1, a2]`);
+            }
+            if (values[3] === 0) {
+                throw new Error(`Section ${i + 1} has a zero a0 coefficient`);
+            }
+            const section = Float64Array.from(values, v => v / values[3]);
+
+            // Each section is (b0 z^2 + b1 z + b2) / (z^2 + a1 z + a2)
+            zeros.push(...this.roots(section.slice(0, 3)));
+            poles.push(...this.roots(section.slice(3, 6)));
+            gain *= section[0] !== 0 ? section[0] : section[1] !== 0 ? section[1] : section[2];
+            return section;
+        });
+
+        return this._importedIIR(sections, zeros, poles, gain);
+    }
+
+    /**
+     * Roots of a polynomial c0 x^n + c1 x^(n-1) + ... + cn (Aberth-Ehrlich iteration)
+     * Leading zero coefficients lower the degree; trailing zeros give roots at the origin.
+     * Coefficients at rounding level relative to the largest one count as zero.
+     * @param {ArrayLike<number>} coefficients - Real coefficients, highest power first
+     * @returns {Array} Complex roots { re, im }
+     */
+    static roots(coefficients) {
+        const negligible = Number.EPSILON * coefficients.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+        let start = 0;
+        let end = coefficients.length;
+        while (start < end && Math.abs(coefficients[start]) <= negligible) start++;
+        while (end > start && Math.abs(coefficients[end - 1]) <= negligible) end--;
+
+        const originRoots = Array.from({ length: coefficients.length - end }, () => complex(0));
+        const p = Array.from(coefficients).slice(start, end).map((v, _, all) => v / all[0]);
+        const n = p.length - 1;
+        if (n <= 0) return start === end ? [] : originRoots;
+        if (n === 1) return [complex(-p[1]), ...originRoots];
+        if (n === 2) {
+            const discriminant = p[1] * p[1] - 4 * p[2];
+            const root = cSqrt(complex(discriminant));
+            return [
+                cScale(cSub(root, complex(p[1])), 0.5),
+                cScale(cAdd(root, complex(p[1])), -0.5),
+                ...originRoots
+            ];
+        }
+
+        // Start on a circle of the geometric-mean root radius, off the real axis
+        const radius = Math.pow(Math.abs(p[n]), 1 / n) || 1;
+        const z = Array.from({ length: n }, (_, k) => {
+            const angle = 2 * Math.PI * k / n + 0.4;
+            return complex(radius * Math.cos(angle), radius * Math.sin(angle));
+        });
+
+        for (let iteration = 0; iteration < ROOTS_MAX_ITERATIONS; iteration++) {
+            let largestStep = 0;
+            for (let k = 0; k < n; k++) {
+                // Horner evaluation of p and p'
+                let value = complex(1);
+                let derivative = complex(0);
+                for (let i = 1; i <= n; i++) {
+                    derivative = cAdd(cMul(derivative, z[k]), value);
+                    value = cAdd(cMul(value, z[k]), complex(p[i]));
+                }
+                const ratio = cDiv(value, derivative);
+                let repulsion = complex(0);
+                for (let j = 0; j < n; j++) {
+                    if (j !== k) repulsion = cAdd(repulsion, cDiv(complex(1), cSub(z[k], z[j])));
+                }
+                const step = cDiv(ratio, cSub(complex(1), cMul(ratio, repulsion)));
+                if (!isFinite(step.re) || !isFinite(step.im)) continue;
+                z[k] = cSub(z[k], step);
+                largestStep = Math.max(largestStep, Math.hypot(step.re, step.im) / Math.max(1, Math.hypot(z[k].re, z[k].im)));
+            }
+            if (largestStep < ROOTS_TOLERANCE) break;
+        }
+
+        // Real coefficients: snap nearly real roots onto the axis
+        return [
+            ...z.map(r => (Math.abs(r.im) <= ROOT_EPSILON * Math.max(1, Math.abs(r.re)) ? complex(r.re) : r)),
+            ...originRoots
+        ];
+    }
+
+    /**
+     * One-line description of a filter for status displays
+     * @param {Object} filter - Filter from one of the design functions
+     * @returns {string} Description
+     */
+    static describe(filter) {
+        const hz = (values) => values.map(f => `${+f.toPrecision(4)}`).join('-') + ' Hz';
+        const names = {
+            butterworth: 'Butterworth',
+            chebyshev1: 'Chebyshev I',
+            chebyshev2: 'Chebyshev II',
+            elliptic: 'Elliptic'
+        };
+
+        if (filter.kind === 'fir') {
+            if (filter.method === 'imported') {
+                return `Imported FIR, ${filter.numTaps} taps`;
+            }
+            const method = filter.method === 'remez' ? 'equiripple' : `${filter.windowType} window`;
+            const edges = filter.cutoff ? ` ${hz(filter.cutoff)}` : '';
+            return `FIR ${filter.response}${edges}, ${filter.numTaps} taps (${method})`;
+        }
+        if (filter.family === 'imported') {
+            const sections = filter.sos.length === 1 ? '1 biquad' : `${filter.sos.length} biquads`;
+            return `Imported IIR, order ${filter.order} (${sections})`;
+        }
+        if (filter.family === 'notch') {
+            return `Notch ${hz(filter.cutoff)}, Q ${filter.q} (${filter.bandwidth.toPrecision(3)} Hz wide)`;
+        }
+        return `${names[filter.family]} ${filter.response} ${hz(filter.cutoff)}, order ${filter.order} ` +
+            `(${filter.sos.length} biquads)`;
+    }
+
+    /**
+     * Assemble an imported IIR filter object
+     * @private
+     */
+    static _importedIIR(sos, zeros, poles, gain) {
+        return {
+            kind: 'iir',
+            sos,
+            zeros,
+            poles,
+            gain,
+            order: poles.length,
+            family: 'imported',
+            response: 'custom',
+            cutoff: null,
+            sampleRate: null,
+            ripple: null,
+            attenuation: null
+        };
+    }
+
+    /**
+     * Check a coefficient list and return it as a plain array
+     * @private
+     */
+    static _validateCoefficients(values, name) {
+        const array = values ? Array.from(values, Number) : [];
+        if (array.length === 0) {
+            throw new Error(`${name} coefficients are missing`);
+        }
+        if (!array.every(isFinite)) {
+            throw new Error(`${name} coefficients must be finite numbers`);
+        }
+        return array;
+    }
+
+    /**
+     * Check a filter object and its coefficients
+     * @private
+     */
+    static _validateFilter(filter) {
+        if (!filter || (filter.kind !== 'fir' && filter.kind !== 'iir')) {
+            throw new Error('Invalid filter');
+        }
+        if (filter.kind === 'fir' ? !filter.b || filter.b.length === 0 : !filter.sos || filter.sos.length === 0) {
+            throw new Error('Filter has no coefficients');
+        }
+    }
+
+    /**
+     * Check an FIR length
+     * @private
+     */
+    static _validateTaps(numTaps) {
+        const taps = Math.floor(numTaps);
+        if (!(taps >= 3)) {
+            throw new Error('FIR filters need at least 3 taps');
+        }
+        return taps;
+    }
+
+    /**
+     * Validate cutoff frequencies and normalize them to cycles/sample
+     * @private
+     */
+    static _normalizeCutoff(response, cutoff, sampleRate) {
+        if (!this.responses.includes(response)) {
+            throw new Error(`Unsupported filter response: ${response}`);
+        }
+        if (!(sampleRate > 0)) {
+            throw new Error('Filter design requires a positive sample rate');
+        }
+
+        const isBand = response === 'bandpass' || response === 'bandstop';
+        const edges = Array.isArray(cutoff) ? cutoff : [cutoff];
+        if (edges.length !== (isBand ? 2 : 1)) {
+            throw new Error(`A ${response} filter needs ${isBand ? 'two cutoff frequencies' : 'one cutoff frequency'}`);
+        }
+
+        const nyquist = sampleRate / 2;
+        if (!edges.every(f => f > 0 && f < nyquist) || (isBand && !(edges[1] > edges[0]))) {
+            throw new Error(`Cutoff frequencies must be increasing and lie between 0 and ${nyquist} Hz`);
+        }
+        return edges.map(f => f / sampleRate);
+    }
+
+    /**
+     * Assemble an FIR filter object
+     * @private
+     */
+    static _firResult(b, details) {
+        return {
+            kind: 'fir',
+            b,
+            a: Float64Array.from([1]),
+            numTaps: b.length,
+            delay: (b.length - 1) / 2,
+            ...details
+        };
+    }
+
+    /**
+     * Amplitude of a symmetric FIR filter at a normalized frequency (cycles/sample)
+     * @private
+     */
+    static _linearPhaseAmplitude(b, frequency) {
+        const center = (b.length - 1) / 2;
+        let sum = 0;
+        for (let i = 0; i < b.length; i++) {
+            sum += b[i] * Math.cos(2 * Math.PI * frequency * (i - center));
+        }
+        return sum;
+    }
+
+    /**
+     * Band edges and gains for a standard response with transition bands centred on the cutoffs
+     * @private
+     */
+    static _remezSpec(response, cutoff, transitionWidth, sampleRate) {
+        const edges = this._normalizeCutoff(response, cutoff, sampleRate).map(f => f * sampleRate);
+        const nyquist = sampleRate / 2;
+        const half = (transitionWidth ?? nyquist / 10) / 2;
+
+        if (!(half > 0)) {
+            throw new Error('Transition width must be positive');
+        }
+
+        let bands;
+        let desired;
+        switch (response) {
+            case 'lowpass':
+                bands = [[0, edges[0] - half], [edges[0] + half, nyquist]];
+                desired = [1, 0];
+                break;
+            case 'highpass':
+                bands = [[0, edges[0] - half], [edges[0] + half, nyquist]];
+                desired = [0, 1];
+                break;
+            case 'bandpass':
+                bands = [[0, edges[0] - half], [edges[0] + half, edges[1] - half], [edges[1] + half, nyquist]];
+                desired = [0, 1, 0];
+                break;
+            default:
+                bands = [[0, edges[0] - half], [edges[0] + half, edges[1] - half], [edges[1] + half, nyquist]];
+                desired = [1, 0, 1];
+        }
+
+        if (!bands.every(([start, end]) => end > start && start >= 0)) {
+            throw new Error('Transition width is too large for the cutoff frequencies');
+        }
+        return { bands, desired, response, cutoff: edges };
+    }
+
+    /**
+     * Remez exchange for a type I linear-phase filter
+     * The amplitude A(w) = sum_k c_k cos(k w) is a polynomial in x = cos(w); each iteration solves for the
+     * equiripple deviation on the current extremal set (barycentric form), then moves the set to the
+     * extrema of the weighted error until the error no longer exceeds the deviation.
+     * @private
+     */
+    static _remez(numTaps, bands, desired, weights, maxIterations) {
+        const half = (numTaps - 1) / 2;
+        const r = half + 1;
+
+        // Dense grid over the bands, including every band edge
+        const step = 0.5 / (REMEZ_GRID_DENSITY * r);
+        const grid = { omega: [], desired: [], weight: [], band: [] };
+        bands.forEach(([start, end], b) => {
+            const points = Math.max(2, Math.ceil((end - start) / step) + 1);
+            for (let i = 0; i < points; i++) {
+                grid.omega.push(2 * Math.PI * (start + (end - start) * i / (points - 1)));
+                grid.desired.push(desired[b]);
+                grid.weight.push(weights[b]);
+                grid.band.push(b);
+            }
+        });
+        const size = grid.omega.length;
+        const x = grid.omega.map(Math.cos);
+
+        if (size < r + 1) {
+            throw new Error('Bands are too narrow for the filter length');
+        }
+
+        let extremals = Array.from({ length: r + 1 }, (_, k) => Math.round(k * (size - 1) / r));
+        let solution = null;
+        let converged = false;
+        let iterations = 0;
+
+        while (iterations < maxIterations) {
+            iterations++;
+            solution = this._remezSolve(extremals, x, grid);
+
+            const error = new Float64Array(size);
+            let maxError = 0;
+            for (let j = 0; j < size; j++) {
+                error[j] = grid.weight[j] * (grid.desired[j] - solution.evaluate(x[j]));
+                maxError = Math.max(maxError, Math.abs(error[j]));
+            }
+
+            const deviation = Math.abs(solution.delta);
+            if (maxError - deviation <= REMEZ_TOLERANCE * Math.max(deviation, Number.EPSILON)) {
+                converged = true;
+                break;
+            }
+
+            const next = this._remezExtremals(error, grid.band, deviation, r + 1);
+            if (!next || next.every((j, k) => j === extremals[k])) {
+                converged = !!next;
+                break;
+            }
+            extremals = next;
+        }
+
+        // Impulse response from the amplitude sampled at w_k = 2 pi k / N (inverse DFT of a real, even sequence)
+        const amplitude = new Float64Array(r);
+        for (let k = 0; k < r; k++) {
+            amplitude[k] = solution.evaluate(Math.cos(2 * Math.PI * k / numTaps));
+        }
+        const taps = new Float64Array(numTaps);
+        for (let i = 0; i < numTaps; i++) {
+            let sum = amplitude[0];
+            for (let k = 1; k < r; k++) {
+                sum += 2 * amplitude[k] * Math.cos(2 * Math.PI * k * (i - half) / numTaps);
+            }
+            taps[i] = sum / numTaps;
+        }
+
+        return { taps, deviation: Math.abs(solution.delta), iterations, converged };
+    }
+
+    /**
+     * Equiripple deviation and interpolating amplitude on an extremal set
+     * @private
+     */
+    static _remezSolve(extremals, x, grid) {
+        const count = extremals.length;
+        const xs = extremals.map(j => x[j]);
+
+        // Barycentric weights; the factor 2 keeps the products in range for long filters
+        const weights = xs.map((xk, k) => {
+            let product = 1;
+            for (let i = 0; i < count; i++) {
+                if (i !== k) product *= 2 * (xk - xs[i]);
+            }
+            return 1 / product;
+        });
+
+        let numerator = 0;
+        let denominator = 0;
+        extremals.forEach((j, k) => {
+            const sign = k % 2 === 0 ? 1 : -1;
+            numerator += weights[k] * grid.desired[j];
+            denominator += sign * weights[k] / grid.weight[j];
+        });
+        const delta = numerator / denominator;
+
+        // Interpolate through the first count - 1 points, where A = D - (-1)^k delta / W
+        const last = count - 1;
+        const values = extremals.slice(0, last).map((j, k) =>
+            grid.desired[j] - (k % 2 === 0 ? 1 : -1) * delta / grid.weight[j]);
+        const interpolationWeights = weights.slice(0, last).map((w, k) => w * 2 * (xs[k] - xs[last]));
+
+        const evaluate = (value) => {
+            let num = 0;
+            let den = 0;
+            for (let k = 0; k < last; k++) {
+                const diff = value - xs[k];
+                if (Math.abs(diff) < 1e-14) return values[k];
+                const term = interpolationWeights[k] / diff;
+                num += term * values[k];
+                den += term;
+            }
+            return num / den;
+        };
+
+        return { delta, evaluate };
+    }
+
+    /**
+     * Pick a new alternating extremal set from the weighted error
+     * @private
+     */
+    static _remezExtremals(error, band, deviation, count) {
+        const size = error.length;
+        const candidates = [];
+        for (let j = 0; j < size; j++) {
+            const e = error[j];
+            const prev = j > 0 && band[j - 1] === band[j] ? error[j - 1] : null;
+            const next = j < size - 1 && band[j + 1] === band[j] ? error[j + 1] : null;
+            const isMax = e > 0 && (prev === null || e >= prev) && (next === null || e > next);
+            const isMin = e < 0 && (prev === null || e <= prev) && (next === null || e < next);
+            if (isMax || isMin) candidates.push(j);
+        }
+
+        // Keep one extremum per run of equal sign, the largest
+        const alternate = (pool) => {
+            const result = [];
+            for (const j of pool) {
+                const last = result[result.length - 1];
+                if (last !== undefined && Math.sign(error[j]) === Math.sign(error[last])) {
+                    if (Math.abs(error[j]) > Math.abs(error[last])) result[result.length - 1] = j;
+                } else {
+                    result.push(j);
+                }
+            }
+            return result;
+        };
+
+        // Prefer extrema that reach the current deviation; fall back to all of them
+        let alternating = alternate(candidates.filter(j => Math.abs(error[j]) >= deviation * (1 - 1e-9)));
+        if (alternating.length < count) {
+            alternating = alternate(candidates);
+        }
+
+        if (alternating.length < count) return null;
+        while (alternating.length > count) {
+            if (Math.abs(error[alternating[0]]) < Math.abs(error[alternating[alternating.length - 1]])) {
+                alternating.shift();
+            } else {
+                alternating.pop();
+            }
+        }
+        return alternating;
+    }
+
+    /**
+     * Normalized analog low-pass prototype (cutoff 1 rad/s)
+     * @private
+     */
+    static _analogPrototype(family, order, ripple, attenuation) {
+        // Angles of a Butterworth pole set, m = -N+1, -N+3, ..., N-1
+        const angles = Array.from({ length: order }, (_, i) => Math.PI * (-order + 1 + 2 * i) / (2 * order));
+
+        switch (family) {
+            case 'butterworth': {
+                const poles = angles.map(t => complex(-Math.cos(t), -Math.sin(t)));
+                return { zeros: [], poles, gain: 1 };
+            }
+            case 'chebyshev1': {
+                const eps = Math.sqrt(Math.pow(10, ripple / 10) - 1);
+                const mu = Math.asinh(1 / eps) / order;
+                const poles = angles.map(t => complex(-Math.sinh(mu) * Math.cos(t), -Math.cosh(mu) * Math.sin(t)));
+                let gain = cProduct(poles.map(p => cScale(p, -1))).re;
+                if (order % 2 === 0) gain /= Math.sqrt(1 + eps * eps);
+                return { zeros: [], poles, gain };
+            }
+            case 'chebyshev2': {
+                const eps = 1 / Math.sqrt(Math.pow(10, attenuation / 10) - 1);
+                const mu = Math.asinh(1 / eps) / order;
+                const zeros = angles
+                    .filter(t => Math.abs(Math.sin(t)) > ROOT_EPSILON)
+                    .map(t => complex(0, 1 / Math.sin(t)));
+                const poles = angles.map(t =>
+                    cDiv(complex(1), complex(-Math.sinh(mu) * Math.cos(t), -Math.cosh(mu) * Math.sin(t))));
+                const gain = cDiv(
+                    cProduct(poles.map(p => cScale(p, -1))),
+                    cProduct(zeros.map(z => cScale(z, -1)))
+                ).re;
+                return { zeros, poles, gain };
+            }
+            default:
+                return this._ellipticPrototype(order, ripple, attenuation);
+        }
+    }
+
+    /**
+     * Elliptic (Cauer) analog prototype
+     * The selectivity modulus follows from the degree equation; zeros and poles come from
+     * Jacobi elliptic functions at uniformly spaced arguments.
+     * @private
+     */
+    static _ellipticPrototype(order, ripple, attenuation) {
+        const eps = Math.sqrt(Math.pow(10, ripple / 10) - 1);
+        if (order === 1) {
+            const pole = -1 / eps;
+            return { zeros: [], poles: [complex(pole)], gain: -pole };
+        }
+
+        const k1 = eps / Math.sqrt(Math.pow(10, attenuation / 10) - 1);
+        const k1Squared = k1 * k1;
+        const K1 = this._ellipticK(k1Squared);
+        const m = this._ellipticDegree(order, k1Squared);
+        const K = this._ellipticK(m);
+
+        const zeros = [];
+        const poles = [];
+
+        // v0 solves sc(v, 1 - k1^2) = 1 / eps, scaled to the modulus m
+        const r = this._ellipticF(Math.atan(1 / eps), 1 - k1Squared, k1Squared);
+        const v0 = K * r / (order * K1);
+        const { sn: sv, cn: cv, dn: dv } = this._jacobi(v0, 1 - m);
+
+        for (let j = 1 - (order % 2); j < order; j += 2) {
+            const { sn: s, cn: c, dn: d } = this._jacobi(j * K / order, m);
+            if (Math.abs(s) > ROOT_EPSILON) {
+                const zero = complex(0, 1 / (Math.sqrt(m) * s));
+                zeros.push(zero, cConj(zero));
+            }
+
+            const denominator = 1 - (d * sv) * (d * sv);
+            const pole = complex(-c * d * sv * cv / denominator, -s * dv / denominator);
+            if (Math.abs(pole.im) > ROOT_EPSILON * Math.hypot(pole.re, pole.im)) {
+                poles.push(pole, cConj(pole));
+            } else {
+                poles.push(complex(pole.re));
+            }
+        }
+
+        let gain = cDiv(
+            cProduct(poles.map(p => cScale(p, -1))),
+            cProduct(zeros.map(z => cScale(z, -1)))
+        ).re;
+        if (order % 2 === 0) gain /= Math.sqrt(1 + eps * eps);
+        return { zeros, poles, gain };
+    }
+
+    /**
+     * Low-pass to low-pass, high-pass, band-pass or band-stop transformation of an analog prototype
+     * @private
+     */
+    static _transformPrototype(prototype, response, warped) {
+        const { zeros, poles, gain } = prototype;
+        const degree = poles.length - zeros.length;
+
+        switch (response) {
+            case 'lowpass': {
+                const w = warped[0];
+                return {
+                    zeros: zeros.map(z => cScale(z, w)),
+                    poles: poles.map(p => cScale(p, w)),
+                    gain: gain * Math.pow(w, degree)
+                };
+            }
+            case 'highpass': {
+                const w = complex(warped[0]);
+                return {
+                    zeros: [...zeros.map(z => cDiv(w, z)), ...Array.from({ length: degree }, () => complex(0))],
+                    poles: poles.map(p => cDiv(w, p)),
+                    gain: gain * cDiv(
+                        cProduct(zeros.map(z => cScale(z, -1))),
+                        cProduct(poles.map(p => cScale(p, -1)))
+                    ).re
+                };
+            }
+            case 'bandpass': {
+                const bw = warped[1] - warped[0];
+                const w0Squared = complex(warped[0] * warped[1]);
+                const split = (root) => {
+                    const scaled = cScale(root, bw / 2);
+                    const offset = cSqrt(cSub(cMul(scaled, scaled), w0Squared));
+                    return [cAdd(scaled, offset), cSub(scaled, offset)];
+                };
+                return {
+                    zeros: [...zeros.flatMap(split), ...Array.from({ length: degree }, () => complex(0))],
+                    poles: poles.flatMap(split),
+                    gain: gain * Math.pow(bw, degree)
+                };
+            }
+            default: {
+                const bw = warped[1] - warped[0];
+                const w0 = Math.sqrt(warped[0] * warped[1]);
+                const w0Squared = complex(w0 * w0);
+                const split = (root) => {
+                    const inverted = cDiv(complex(bw / 2), root);
+                    const offset = cSqrt(cSub(cMul(inverted, inverted), w0Squared));
+                    return [cAdd(inverted, offset), cSub(inverted, offset)];
+                };
+                const notchZeros = [];
+                for (let i = 0; i < degree; i++) {
+                    notchZeros.push(complex(0, w0), complex(0, -w0));
+                }
+                return {
+                    zeros: [...zeros.flatMap(split), ...notchZeros],
+                    poles: poles.flatMap(split),
+                    gain: gain * cDiv(
+                        cProduct(zeros.map(z => cScale(z, -1))),
+                        cProduct(poles.map(p => cScale(p, -1)))
+                    ).re
+                };
+            }
+        }
+    }
+
+    /**
+     * Bilinear transform s = 2 (z - 1) / (z + 1) of an analog zero-pole-gain system (fs normalized to 1)
+     * @private
+     */
+    static _bilinear(analog) {
+        const two = complex(2);
+        const map = (root) => cDiv(cAdd(two, root), cSub(two, root));
+        const degree = analog.poles.length - analog.zeros.length;
+
+        return {
+            zeros: [...analog.zeros.map(map), ...Array.from({ length: degree }, () => complex(-1))],
+            poles: analog.poles.map(map),
+            gain: analog.gain * cDiv(
+                cProduct(analog.zeros.map(z => cSub(two, z))),
+                cProduct(analog.poles.map(p => cSub(two, p)))
+            ).re
+        };
+    }
+
+    /**
+     * Group zeros and poles into second-order sections
+     * Poles closest to the unit circle are paired first with their nearest zeros and placed last
+     * in the cascade, which keeps intermediate signal levels low.
+     * @private
+     */
+    static _zpkToSOS({ zeros, poles, gain }) {
+        const groupRoots = (roots) => {
+            const groups = roots
+                .filter(r => r.im > ROOT_EPSILON)
+                .map(r => [r, cConj(r)]);
+            const reals = roots
+                .filter(r => Math.abs(r.im) <= ROOT_EPSILON)
+                .map(r => complex(r.re))
+                .sort((a, b) => Math.abs(b.re) - Math.abs(a.re));
+            return { groups, reals };
+        };
+
+        const poleSet = groupRoots(poles);
+        const zeroSet = groupRoots(zeros);
+        const poleGroups = [...poleSet.groups];
+        for (let i = 0; i < poleSet.reals.length; i += 2) {
+            poleGroups.push(poleSet.reals.slice(i, i + 2));
+        }
+
+        // A lone real pole needs a real zero, so it chooses first
+        const radius = (group) => Math.hypot(group[0].re, group[0].im);
+        poleGroups.sort((a, b) => (a.length - b.length) || (radius(b) - radius(a)));
+
+        const distance = (a, b) => Math.hypot(a.re - b.re, a.im - b.im);
+        const takeNearest = (list, target) => {
+            let best = 0;
+            list.forEach((item, i) => {
+                const root = Array.isArray(item) ? item[0] : item;
+                const bestRoot = Array.isArray(list[best]) ? list[best][0] : list[best];
+                if (distance(root, target) < distance(bestRoot, target)) best = i;
+            });
+            return list.splice(best, 1)[0];
+        };
+
+        const sections = poleGroups.map(group => {
+            const target = group[0];
+            let sectionZeros = [];
+            const useComplex = group.length === 2 && zeroSet.groups.length > 0 &&
+                (group[0].im > ROOT_EPSILON || zeroSet.reals.length < 2);
+            if (useComplex) {
+                sectionZeros = takeNearest(zeroSet.groups, target);
+            } else {
+                while (sectionZeros.length < group.length && zeroSet.reals.length > 0) {
+                    sectionZeros.push(takeNearest(zeroSet.reals, target));
+                }
+            }
+            return { poles: group, zeros: sectionZeros, radius: radius(group) };
+        });
+
+        // Zeros left over by the pairing go to sections that still have room
+        zeroSet.groups.forEach(pair => {
+            const section = sections.find(s => s.zeros.length === 0 && s.poles.length === 2) ||
+                sections.find(s => s.zeros.length === 0);
+            if (section) section.zeros = pair;
+        });
+        zeroSet.reals.forEach(zero => {
+            const section = sections.find(s => s.zeros.length < s.poles.length) ||
+                sections.find(s => s.zeros.length < 2);
+            if (section) section.zeros.push(zero);
+        });
+
+        // Closest to the unit circle last
+        sections.sort((a, b) => a.radius - b.radius);
+
+        // Coefficients in powers of z^-1; a section with fewer zeros than poles carries a delay
+        const polynomial = (roots, degree) => {
+            let coefficients = [1, 0, 0];
+            if (roots.length === 1) {
+                coefficients = [1, -roots[0].re, 0];
+            } else if (roots.length === 2) {
+                const sum = cAdd(roots[0], roots[1]);
+                const product = cMul(roots[0], roots[1]);
+                coefficients = [1, -sum.re, product.re];
+            }
+            const shift = Math.max(0, degree - roots.length);
+            return [...new Array(shift).fill(0), ...coefficients].slice(0, 3);
+        };
+
+        return sections.map((section, i) => {
+            const b = polynomial(section.zeros, section.poles.length);
+            const a = polynomial(section.poles, section.poles.length);
+            const scale = i === 0 ? gain : 1;
+            return Float64Array.from([b[0] * scale, b[1] * scale, b[2] * scale, a[0], a[1], a[2]]);
+        });
+    }
+
+    /**
+     * Per-section state of a biquad cascade in steady state for a unit step input
+     * @private
+     */
+    static _sosSteadyState(sos) {
+        let scale = 1;
+        return sos.map(([b0, b1, b2, , a1, a2]) => {
+            // Transposed direct form II with constant input: y = H(1), z2 = b2 - a2 y, z1 = b1 - a1 y + z2
+            const dc = (b0 + b1 + b2) / (1 + a1 + a2);
+            const z2 = b2 - a2 * dc;
+            const z1 = b1 - a1 * dc + z2;
+            const state = [z1 * scale, z2 * scale];
+            scale *= dc;
+            return state;
+        });
+    }
+
+    /**
+     * Complete elliptic integral of the first kind K(m), m = k^2
+     * @param {number} m - Parameter
+     * @param {number} complement - 1 - m, passed separately to keep precision when m is close to 1
+     * @private
+     */
+    static _ellipticK(m, complement = 1 - m) {
+        return this._carlsonRF(0, complement, 1);
+    }
+
+    /**
+     * Incomplete elliptic integral of the first kind F(phi | m)
+     * @param {number} complement - 1 - m, passed separately to keep precision when m is close to 1
+     * @private
+     */
+    static _ellipticF(phi, m, complement = 1 - m) {
+        const s = Math.sin(phi);
+        const c = Math.cos(phi);
+        return s * this._carlsonRF(c * c, c * c + complement * s * s, 1);
+    }
+
+    /**
+     * Carlson's symmetric elliptic integral R_F(x, y, z) by duplication
+     * @private
+     */
+    static _carlsonRF(x, y, z) {
+        let dx;
+        let dy;
+        let dz;
+        let mean;
+        do {
+            const sx = Math.sqrt(x);
+            const sy = Math.sqrt(y);
+            const sz = Math.sqrt(z);
+            const lambda = sx * (sy + sz) + sy * sz;
+            x = (x + lambda) / 4;
+            y = (y + lambda) / 4;
+            z = (z + lambda) / 4;
+            mean = (x + y + z) / 3;
+            dx = (mean - x) / mean;
+            dy = (mean - y) / mean;
+            dz = (mean - z) / mean;
+        } while (Math.max(Math.abs(dx), Math.abs(dy), Math.abs(dz)) > CARLSON_TOLERANCE);
+
+        const e2 = dx * dy - dz * dz;
+        const e3 = dx * dy * dz;
+        return (1 + (e2 / 24 - 0.1 - 3 * e3 / 44) * e2 + e3 / 14) / Math.sqrt(mean);
+    }
+
+    /**
+     * Solve the elliptic degree equation for the selectivity parameter m given N and m1
+     * (nome series, q = q1^(1/N))
+     * @private
+     */
+    static _ellipticDegree(order, m1) {
+        const K1 = this._ellipticK(m1);
+        const K1Complement = this._ellipticK(1 - m1, m1);
+        const q1 = Math.exp(-Math.PI * K1Complement / K1);
+        const q = Math.pow(q1, 1 / order);
+
+        let numerator = 0;
+        let denominator = 1;
+        for (let i = 0; i <= ELLIPDEG_TERMS; i++) {
+            numerator += Math.pow(q, i * (i + 1));
+            denominator += 2 * Math.pow(q, (i + 1) * (i + 1));
+        }
+        return 16 * q * Math.pow(numerator / denominator, 4);
+    }
+
+    /**
+     * Jacobi elliptic functions sn, cn and dn by the descending arithmetic-geometric mean
+     * @private
+     */
+    static _jacobi(u, m) {
+        if (m < Number.EPSILON) {
+            return { sn: Math.sin(u), cn: Math.cos(u), dn: 1 };
+        }
+        if (m > 1 - Number.EPSILON) {
+            const sech = 1 / Math.cosh(u);
+            return { sn: Math.tanh(u), cn: sech, dn: sech };
+        }
+
+        const a = [1];
+        const c = [Math.sqrt(m)];
+        let b = Math.sqrt(1 - m);
+        while (Math.abs(c[c.length - 1]) > Number.EPSILON && a.length < 32) {
+            const prev = a[a.length - 1];
+            a.push((prev + b) / 2);
+            c.push((prev - b) / 2);
+            b = Math.sqrt(prev * b);
+        }
+
+        const n = a.length - 1;
+        let phi = Math.pow(2, n) * a[n] * u;
+        for (let i = n; i > 0; i--) {
+            phi = (phi + Math.asin(c[i] * Math.sin(phi) / a[i])) / 2;
+        }
+
+        const sn = Math.sin(phi);
+        const cn = Math.cos(phi);
+        return { sn, cn, dn: Math.sqrt(1 - m * sn * sn) };
+    }
+}
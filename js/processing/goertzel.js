@@ -0,0 +1,387 @@
+/**
+ * Goertzel Module
+ * Targeted tone detection: Goertzel and sliding-DFT tracking of a few known frequencies,
+ * and a DTMF / tone-signaling decoder built on them
+ */
+import { WindowFunctions } from './windows.js';
+
+// DTMF keypad: row (low group) and column (high group) frequencies in Hz
+const DTMF_PLAN = {
+    name: 'DTMF',
+    groups: [
+        [697, 770, 852, 941],
+        [1209, 1336, 1477, 1633]
+    ],
+    symbols: [
+        ['1', '2', '3', 'A'],
+        ['4', '5', '6', 'B'],
+        ['7', '8', '9', 'C'],
+        ['*', '0', '#', 'D']
+    ]
+};
+
+// Default decoder block (205 samples at 8 kHz, the classic DTMF Goertzel block) and hop as a fraction of it
+const DEFAULT_BLOCK_DURATION = 0.025625;
+const DEFAULT_HOP_FRACTION = 0.5;
+
+// Shortest tone accepted as a symbol (ITU-T Q.24 accepts DTMF digits from 40 ms)
+const DEFAULT_MIN_DURATION = 0.04;
+
+// Default acceptance tests: the strongest tone of a group must beat the next one in that group by
+// this many dB, the tones must carry this fraction of the block's power, and the two groups may
+// differ in level by at most the twist
+const DEFAULT_MIN_DOMINANCE_DB = 6;
+const DEFAULT_MIN_POWER_RATIO = 0.5;
+const DEFAULT_MAX_TWIST_DB = 8;
+
+export class GoertzelDetector {
+    /**
+     * The DTMF frequency plan, in the form accepted by decode
+     * @returns {Object} { name, groups (frequencies in Hz), symbols (row x column) }
+     */
+    static get dtmfPlan() {
+        return DTMF_PLAN;
+    }
+
+    /**
+     * DFT of a block at a single (not necessarily bin-centred) frequency with the Goertzel recursion
+     * s[n] = w[n] x[n] + 2 cos(ω) s[n-1] - s[n-2]; X(ω) = e^{-jω(N-1)} (s[N-1] - e^{-jω} s[N-2]).
+     * The amplitude is scaled by the window sum, so a sinusoid at the frequency reads its peak amplitude.
+     * @param {ArrayLike<number>} signal - Input signal
+     * @param {number} frequency - Frequency in Hz
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - Options
+     * @param {number} options.start - First sample of the block (default 0)
+     * @param {number} options.length - Block length (default: to the end of the signal)
+     * @param {ArrayLike<number>} options.window - Window of the block length (default rectangular)
+     * @returns {Object} { re, im (the DFT value), amplitude, power (mean square of the tone) }
+     */
+    static goertzel(signal, frequency, sampleRate, options = {}) {
+        const { start = 0, window = null } = options;
+        const length = options.length ?? signal.length - start;
+        if (!(length > 0) || start < 0 || start + length > signal.length) {
+            throw new Error('The Goertzel block lies outside the signal');
+        }
+        if (!(sampleRate > 0)) {
+            throw new Error('Invalid sample rate');
+        }
+
+        const omega = (2 * Math.PI * frequency) / sampleRate;
+        const coefficient = 2 * Math.cos(omega);
+        let s1 = 0;
+        let s2 = 0;
+        let windowSum = 0;
+        for (let i = 0; i < length; i++) {
+            const w = window ? window[i] : 1;
+            const x = signal[start + i];
+            const s0 = (isFinite(x) ? w * x : 0) + coefficient * s1 - s2;
+            s2 = s1;
+            s1 = s0;
+            windowSum += w;
+        }
+
+        // y = s[N-1] - e^{-jω} s[N-2], then shift the phase reference to the first sample
+        const yRe = s1 - Math.cos(omega) * s2;
+        const yIm = Math.sin(omega) * s2;
+        const shift = -omega * (length - 1);
+        const re = yRe * Math.cos(shift) - yIm * Math.sin(shift);
+        const im = yRe * Math.sin(shift) + yIm * Math.cos(shift);
+
+        const amplitude = (2 * Math.hypot(re, im)) / windowSum;
+        return { re, im, amplitude, power: (amplitude * amplitude) / 2 };
+    }
+
+    /**
+     * Track the amplitude of a list of frequencies block by block
+     * @param {ArrayLike<number>} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Array} frequencies - Frequencies to track in Hz
+     * @param {Object} options - Options
+     * @param {number} options.blockSize - Samples per block (default: about 25.6 ms)
+     * @param {number} options.hop - Samples between block starts (default: half a block)
+     * @param {string} options.windowType - Block window (default 'rectangular')
+     * @param {Object} options.windowOptions - Window parameters
+     * @returns {Object} { times (block centres, s), frequencies, amplitudes (one Float64Array per frequency),
+     *                   levelsDb, blockPower (mean square of each block), blockSize, hop, resolution (Hz) }
+     */
+    static track(signal, sampleRate, frequencies, options = {}) {
+        const { windowType = 'rectangular', windowOptions = {} } = options;
+        const { blockSize, hop } = this._blocks(signal, sampleRate, options);
+        this._validateFrequencies(frequencies, sampleRate);
+
+        const window = WindowFunctions.generate(windowType, blockSize, windowOptions);
+        const blocks = Math.floor((signal.length - blockSize) / hop) + 1;
+        const times = new Float64Array(blocks);
+        const blockPower = new Float64Array(blocks);
+        const amplitudes = frequencies.map(() => new Float64Array(blocks));
+        for (let b = 0; b < blocks; b++) {
+            const start = b * hop;
+            times[b] = (start + (blockSize - 1) / 2) / sampleRate;
+
+            let sumOfSquares = 0;
+            for (let i = start; i < start + blockSize; i++) {
+                if (isFinite(signal[i])) sumOfSquares += signal[i] * signal[i];
+            }
+            blockPower[b] = sumOfSquares / blockSize;
+
+            frequencies.forEach((frequency, f) => {
+                amplitudes[f][b] = this.goertzel(signal, frequency, sampleRate, {
+                    start,
+                    length: blockSize,
+                    window
+                }).amplitude;
+            });
+        }
+
+        return {
+            times,
+            frequencies: [...frequencies],
+            amplitudes,
+            levelsDb: amplitudes.map(values => values.map(v => 20 * Math.log10(Math.max(v, Number.MIN_VALUE)))),
+            blockPower,
+            blockSize,
+            hop,
+            resolution: sampleRate / blockSize,
+            windowType
+        };
+    }
+
+    /**
+     * Sliding DFT: the amplitude at each frequency over a window that advances one sample at a time
+     * Y_n = Y_{n-1} + x[n] e^{-jωn} - x[n-N] e^{-jω(n-N)}, so each sample costs O(1) per frequency.
+     * The rotations are evaluated directly rather than recursively, which keeps the recursion from drifting.
+     * @param {ArrayLike<number>} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Array} frequencies - Frequencies to track in Hz
+     * @param {Object} options - Options
+     * @param {number} options.length - Window length in samples (default: about 25.6 ms)
+     * @param {number} options.step - Keep every step-th output (default 1)
+     * @returns {Object} { times (window centres, s), frequencies, amplitudes (one Float64Array per frequency),
+     *                   levelsDb, length, step, resolution (Hz) }
+     */
+    static slidingDFT(signal, sampleRate, frequencies, options = {}) {
+        const { blockSize: length } = this._blocks(signal, sampleRate, { blockSize: options.length });
+        const step = Math.max(1, Math.floor(options.step || 1));
+        this._validateFrequencies(frequencies, sampleRate);
+
+        const outputs = Math.floor((signal.length - length) / step) + 1;
+        const times = new Float64Array(outputs);
+        for (let m = 0; m < outputs; m++) {
+            times[m] = (m * step + (length - 1) / 2) / sampleRate;
+        }
+
+        const sample = (i) => (isFinite(signal[i]) ? signal[i] : 0);
+        const amplitudes = frequencies.map(frequency => {
+            const cycles = frequency / sampleRate;
+            // Phase of sample i reduced to one cycle before scaling, so it stays accurate for long signals
+            const angle = (i) => -2 * Math.PI * ((cycles * i) % 1);
+            const values = new Float64Array(outputs);
+            let re = 0;
+            let im = 0;
+            for (let n = 0; n < signal.length; n++) {
+                const a = angle(n);
+                re += sample(n) * Math.cos(a);
+                im += sample(n) * Math.sin(a);
+                if (n >= length) {
+                    const b = angle(n - length);
+                    re -= sample(n - length) * Math.cos(b);
+                    im -= sample(n - length) * Math.sin(b);
+                }
+                const first = n - length + 1;
+                if (first >= 0 && first % step === 0) {
+                    values[first / step] = (2 * Math.hypot(re, im)) / length;
+                }
+            }
+            return values;
+        });
+
+        return {
+            times,
+            frequencies: [...frequencies],
+            amplitudes,
+            levelsDb: amplitudes.map(values => values.map(v => 20 * Math.log10(Math.max(v, Number.MIN_VALUE)))),
+            length,
+            step,
+            resolution: sampleRate / length
+        };
+    }
+
+    /**
+     * Decode tone signaling into a timeline of symbols
+     * A plan has one group of frequencies (one tone per symbol) or two (DTMF-style tone pairs). In each
+     * block the strongest tone of every group must beat the runner-up of its group by minDominanceDb,
+     * the chosen tones must carry minPowerRatio of the block's power, and with two groups their levels
+     * may differ by at most maxTwistDb. Runs of blocks with the same symbol form one detection;
+     * runs shorter than minDuration are dropped.
+     * @param {ArrayLike<number>} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - Options
+     * @param {Object} options.plan - { name, groups, symbols } (default: dtmfPlan); symbols is indexed
+     *                                [i] for one group and [i][j] for two
+     * @param {number} options.blockDuration - Block length in seconds (default 25.6 ms)
+     * @param {number} options.hopDuration - Block hop in seconds (default half a block)
+     * @param {number} options.minDuration - Shortest accepted tone in seconds (default 40 ms)
+     * @param {number} options.minDominanceDb - Margin over the other tones of a group
+     * @param {number} options.minPowerRatio - Fraction of the block power in the detected tones
+     * @param {number} options.maxTwistDb - Largest level difference between the two groups
+     * @returns {Object} { detections [{ symbol, start, end, duration, frequencies, levelsDb, twistDb }],
+     *                   sequence (symbols in order), blockSymbols, track (see track), plan }
+     */
+    static decode(signal, sampleRate, options = {}) {
+        const {
+            plan = DTMF_PLAN,
+            minDuration = DEFAULT_MIN_DURATION,
+            minDominanceDb = DEFAULT_MIN_DOMINANCE_DB,
+            minPowerRatio = DEFAULT_MIN_POWER_RATIO,
+            maxTwistDb = DEFAULT_MAX_TWIST_DB
+        } = options;
+        const { groups, symbols } = plan;
+        if (!Array.isArray(groups) || groups.length < 1 || groups.length > 2 || groups.some(g => g.length < 1)) {
+            throw new Error('A tone plan needs one or two non-empty frequency groups');
+        }
+
+        const blockSize = Math.round((options.blockDuration || DEFAULT_BLOCK_DURATION) * sampleRate);
+        const hop = options.hopDuration ?
+            Math.round(options.hopDuration * sampleRate) :
+            Math.round(blockSize * DEFAULT_HOP_FRACTION);
+        const frequencies = groups.flat();
+        const track = this.track(signal, sampleRate, frequencies, { blockSize, hop });
+
+        // Per block: the symbol (or null) and the tones behind it
+        const offsets = groups.map((_, g) => groups.slice(0, g).reduce((sum, group) => sum + group.length, 0));
+        const blockSymbols = Array.from(track.times, (_, b) => {
+            const picks = groups.map((group, g) => {
+                const levels = group.map((_, i) => track.levelsDb[offsets[g] + i][b]);
+                const order = levels.map((_, i) => i).sort((i, j) => levels[j] - levels[i]);
+                const runnerUp = order.length > 1 ? levels[order[1]] : -Infinity;
+                return {
+                    index: order[0],
+                    levelDb: levels[order[0]],
+                    power: track.amplitudes[offsets[g] + order[0]][b] ** 2 / 2,
+                    dominant: levels[order[0]] - runnerUp >= minDominanceDb
+                };
+            });
+
+            const tonePower = picks.reduce((sum, p) => sum + p.power, 0);
+            const twistDb = picks.length === 2 ? picks[0].levelDb - picks[1].levelDb : 0;
+            if (!(track.blockPower[b] > 0) ||
+                !picks.every(p => p.dominant) ||
+                tonePower < minPowerRatio * track.blockPower[b] ||
+                Math.abs(twistDb) > maxTwistDb) {
+                return null;
+            }
+            return {
+                symbol: picks.length === 2 ? symbols[picks[0].index][picks[1].index] : symbols[picks[0].index],
+                frequencies: picks.map((p, g) => groups[g][p.index]),
+                levelsDb: picks.map(p => p.levelDb),
+                twistDb
+            };
+        });
+
+        // Merge runs of equal symbols; a run spans its blocks from the first start to the last end
+        const detections = [];
+        let run = null;
+        const closeRun = () => {
+            if (!run) return;
+            const start = (run.first * hop) / sampleRate;
+            const end = (run.last * hop + blockSize) / sampleRate;
+            if (end - start >= minDuration) {
+                const count = run.last - run.first + 1;
+                detections.push({
+                    symbol: run.symbol,
+                    start,
+                    end,
+                    duration: end - start,
+                    frequencies: run.frequencies,
+                    levelsDb: run.levelSums.map(sum => sum / count),
+                    twistDb: run.twistSum / count
+                });
+            }
+            run = null;
+        };
+        blockSymbols.forEach((detection, b) => {
+            if (run && (!detection || detection.symbol !== run.symbol)) closeRun();
+            if (!detection) return;
+            if (!run) {
+                run = {
+                    symbol: detection.symbol,
+                    frequencies: detection.frequencies,
+                    first: b,
+                    levelSums: detection.levelsDb.map(() => 0),
+                    twistSum: 0
+                };
+            }
+            run.last = b;
+            detection.levelsDb.forEach((level, i) => {
+                run.levelSums[i] += level;
+            });
+            run.twistSum += detection.twistDb;
+        });
+        closeRun();
+
+        return {
+            detections,
+            sequence: detections.map(d => d.symbol).join(''),
+            blockSymbols: blockSymbols.map(d => (d ? d.symbol : null)),
+            track,
+            plan
+        };
+    }
+
+    /**
+     * Tone plan with one symbol per frequency, for single-tone signaling
+     * @param {Array} frequencies - Signaling frequencies in Hz
+     * @returns {Object} Plan for decode
+     */
+    static singleTonePlan(frequencies) {
+        return {
+            name: 'Single tones',
+            groups: [[...frequencies]],
+            symbols: frequencies.map(f => `${f} Hz`)
+        };
+    }
+
+    /**
+     * Lowest sampling rate that puts every frequency of a plan at or below the Nyquist frequency
+     * @param {Object} plan - Tone plan (dtmfPlan or singleTonePlan)
+     * @returns {number} Sampling rate in Hz
+     */
+    static minSampleRate(plan) {
+        return 2 * Math.max(...plan.groups.flat());
+    }
+
+    /**
+     * Resolve and validate the block size and hop
+     * @private
+     */
+    static _blocks(signal, sampleRate, options) {
+        if (!(sampleRate > 0)) {
+            throw new Error('Invalid sample rate');
+        }
+        const blockSize = Math.floor(options.blockSize || Math.round(DEFAULT_BLOCK_DURATION * sampleRate));
+        const hop = Math.floor(options.hop || Math.max(1, Math.round(blockSize * DEFAULT_HOP_FRACTION)));
+        if (blockSize < 2) {
+            throw new Error('Blocks need at least 2 samples');
+        }
+        if (!signal || signal.length < blockSize) {
+            throw new Error(`The signal is shorter than one block (${blockSize} samples)`);
+        }
+        if (hop < 1) {
+            throw new Error('The hop must be at least one sample');
+        }
+        return { blockSize, hop };
+    }
+
+    /**
+     * Check the tracked frequencies
+     * @private
+     */
+    static _validateFrequencies(frequencies, sampleRate) {
+        if (!Array.isArray(frequencies) || frequencies.length === 0) {
+            throw new Error('Give at least one frequency to track');
+        }
+        if (!frequencies.every(f => f >= 0 && f <= sampleRate / 2)) {
+            throw new Error(`Tracked frequencies must lie between 0 and ${sampleRate / 2} Hz`);
+        }
+    }
+}
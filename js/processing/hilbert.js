@@ -0,0 +1,141 @@
+/**
+ * Hilbert Transform Module
+ * FFT-based analytic signal, instantaneous amplitude, phase and frequency, and envelope analysis
+ */
+import { FFTProcessor } from './fft.js';
+import { PhaseAnalyzer } from './phase.js';
+import { DigitalFilter } from './filters.js';
+
+// Default Butterworth order of the envelope-analysis band-pass (applied forwards and backwards)
+const DEFAULT_ENVELOPE_ORDER = 4;
+
+export class HilbertTransform {
+    /**
+     * Analytic signal z = x + j H{x}
+     * The one-sided spectrum is doubled and the negative frequencies zeroed; DC and, for an even
+     * length, the Nyquist bin are kept once. The result is periodic: a record that does not hold
+     * whole cycles shows edge ripple over the first and last few periods.
+     * @param {ArrayLike<number>} signal - Real input signal (non-finite samples are taken as 0)
+     * @returns {Object} { re (the input), im (its Hilbert transform) } as Float64Arrays
+     */
+    static analyticSignal(signal) {
+        const n = signal ? signal.length : 0;
+        if (n < 2) {
+            throw new Error('The analytic signal needs at least 2 samples');
+        }
+
+        const real = Float64Array.from(signal, v => (isFinite(v) ? v : 0));
+        const { re, im } = FFTProcessor.realTransform(real);
+        const fullRe = new Float64Array(n);
+        const fullIm = new Float64Array(n);
+        for (let k = 0; k < re.length; k++) {
+            const weight = k === 0 || 2 * k === n ? 1 : 2;
+            fullRe[k] = weight * re[k];
+            fullIm[k] = weight * im[k];
+        }
+        return FFTProcessor.ifft(fullRe, fullIm);
+    }
+
+    /**
+     * Hilbert transform H{x} (a -90 degree phase shift of every positive-frequency component)
+     * @param {ArrayLike<number>} signal - Real input signal
+     * @returns {Float64Array} Hilbert transform
+     */
+    static transform(signal) {
+        return this.analyticSignal(signal).im;
+    }
+
+    /**
+     * Instantaneous amplitude, phase and frequency from the analytic signal
+     * The frequency is the phase advance between neighbouring samples, taken as the angle of
+     * z[i+1] conj(z[i-1]) (one-sided at the ends), so it needs no unwrapping.
+     * @param {ArrayLike<number>} signal - Real input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @returns {Object} { analytic, envelope (instantaneous amplitude), phase (unwrapped, radians),
+     *                   frequency (Hz), sampleRate }
+     */
+    static instantaneous(signal, sampleRate) {
+        if (!(sampleRate > 0)) {
+            throw new Error('Invalid sample rate');
+        }
+
+        const analytic = this.analyticSignal(signal);
+        const { re, im } = analytic;
+        const n = re.length;
+        const envelope = new Float64Array(n);
+        const wrapped = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            envelope[i] = Math.hypot(re[i], im[i]);
+            wrapped[i] = Math.atan2(im[i], re[i]);
+        }
+
+        const frequency = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            const a = Math.max(0, i - 1);
+            const b = Math.min(n - 1, i + 1);
+            // z[b] conj(z[a])
+            const crossRe = re[b] * re[a] + im[b] * im[a];
+            const crossIm = im[b] * re[a] - re[b] * im[a];
+            frequency[i] = (Math.atan2(crossIm, crossRe) * sampleRate) / (2 * Math.PI * (b - a));
+        }
+
+        return {
+            analytic,
+            envelope,
+            phase: PhaseAnalyzer.unwrap(wrapped),
+            frequency,
+            sampleRate
+        };
+    }
+
+    /**
+     * Envelope analysis: band-pass, demodulate, then take the spectrum of the envelope
+     * The band isolates a structural resonance excited by repetitive impacts (e.g. a bearing defect);
+     * the envelope spectrum then shows the impact rate and its harmonics. The band-pass runs
+     * forwards and backwards so the envelope stays aligned with the signal.
+     * @param {ArrayLike<number>} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - Options
+     * @param {Array} options.band - [low, high] band-pass edges in Hz (null: demodulate the full band)
+     * @param {number} options.order - Butterworth band-pass order (default 4)
+     * @param {boolean} options.removeMean - Subtract the envelope mean before the FFT (default true)
+     * @param {Object} options.fftOptions - Options for FFTProcessor.computeFFT (sampleRate is filled in)
+     * @returns {Object} { bandpassed, envelope, demodulated (FFT input), filter, spectrum (computeFFT result),
+     *                   mean, band }
+     */
+    static envelopeSpectrum(signal, sampleRate, options = {}) {
+        const {
+            band = null,
+            order = DEFAULT_ENVELOPE_ORDER,
+            removeMean = true,
+            fftOptions = {}
+        } = options;
+
+        let filter = null;
+        let bandpassed = Float64Array.from(signal, v => (isFinite(v) ? v : 0));
+        if (band) {
+            filter = DigitalFilter.designIIR({
+                family: 'butterworth',
+                response: 'bandpass',
+                order,
+                cutoff: band,
+                sampleRate
+            });
+            bandpassed = DigitalFilter.filtfilt(filter, bandpassed);
+        }
+
+        const { envelope } = this.instantaneous(bandpassed, sampleRate);
+        const mean = envelope.reduce((sum, v) => sum + v, 0) / envelope.length;
+        const demodulated = removeMean ? envelope.map(v => v - mean) : envelope;
+
+        return {
+            bandpassed,
+            envelope,
+            demodulated,
+            filter,
+            spectrum: FFTProcessor.computeFFT(demodulated, { ...fftOptions, sampleRate }),
+            mean,
+            band: filter ? filter.cutoff : null
+        };
+    }
+}
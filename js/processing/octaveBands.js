@@ -0,0 +1,320 @@
+/**
+ * Octave Band Module
+ * Fractional-octave band levels with IEC 61260-1 band edges and IEC 61672-1 A, C and Z frequency weighting,
+ * from a Butterworth filter bank or from FFT power spectra, with Leq and Lmax over time intervals
+ */
+import { FFTProcessor } from './fft.js';
+import { WindowFunctions } from './windows.js';
+import { DigitalFilter } from './filters.js';
+
+// Base-ten octave ratio and reference frequency of IEC 61260-1
+const OCTAVE_RATIO = Math.pow(10, 3 / 10);
+const REFERENCE_FREQUENCY = 1000;
+
+// Nominal midband frequencies of the 1/1 and 1/3 octave bands: the R10 series (IEC 61260-1 Annex E)
+const R10_SERIES = [1, 1.25, 1.6, 2, 2.5, 3.15, 4, 5, 6.3, 8];
+
+// IEC 61672-1 weighting poles (Hz) and the offsets that make A and C 0 dB at 1 kHz
+const WEIGHTING_POLES = { low: 20.6, midLow: 107.7, midHigh: 737.9, high: 12194 };
+const A_WEIGHTING_OFFSET = 2.0;
+const C_WEIGHTING_OFFSET = 0.06;
+
+// Defaults: third-octave bands from 20 Hz, Fast-like 125 ms intervals, class 1 style filter order
+const DEFAULT_BANDS_PER_OCTAVE = 3;
+const DEFAULT_MIN_FREQUENCY = 20;
+const DEFAULT_INTERVAL = 0.125;
+const DEFAULT_FILTER_ORDER = 3;
+
+// Relative tolerance when matching a band's exact midband to the requested frequency limits
+const LIMIT_TOLERANCE = 0.02;
+
+// FFT bands narrower than the Hann main lobe (4 bins of the interval length) cannot be resolved
+const HANN_MAIN_LOBE_BINS = 4;
+
+// Level reported for zero mean-square values
+const DB_FLOOR = -300;
+
+export class OctaveBandAnalyzer {
+    /**
+     * Supported frequency weightings
+     * @returns {Array} Weighting identifiers
+     */
+    static get weightings() {
+        return ['A', 'C', 'Z'];
+    }
+
+    /**
+     * Supported band-level methods
+     * @returns {Array} Method identifiers
+     */
+    static get methods() {
+        return ['filter', 'fft'];
+    }
+
+    /**
+     * Fractional-octave bands per IEC 61260-1 (base ten)
+     * Midband frequencies are fm = 1000 G^(x/b) for odd b and 1000 G^((2x+1)/(2b)) for even b, G = 10^(3/10),
+     * with edges fm G^(∓1/(2b)). Bands are kept when their midband lies within the limits (2% tolerance,
+     * so that e.g. 20 Hz selects the 19.95 Hz band) and their upper edge is below Nyquist.
+     * @param {number} bandsPerOctave - b in 1/b octave (1, 3, 6, 12, 24, ...)
+     * @param {number} minFrequency - Lowest midband frequency in Hz
+     * @param {number} maxFrequency - Highest midband frequency in Hz
+     * @param {number} sampleRate - Sampling rate in Hz (bands must end below Nyquist)
+     * @returns {Array} Bands { index, nominal, center, lower, upper }, lowest first
+     */
+    static bands(bandsPerOctave, minFrequency, maxFrequency, sampleRate) {
+        const b = bandsPerOctave;
+        if (!Number.isInteger(b) || b < 1) {
+            throw new Error('Bands per octave must be a positive integer');
+        }
+        if (!(minFrequency > 0) || !(maxFrequency >= minFrequency)) {
+            throw new Error('The band range needs 0 < minimum <= maximum');
+        }
+
+        const exponent = (x) => (b % 2 === 1 ? x / b : (2 * x + 1) / (2 * b));
+        const indexOf = (f) => (b % 2 === 1 ?
+            b * Math.log(f / REFERENCE_FREQUENCY) / Math.log(OCTAVE_RATIO) :
+            (2 * b * Math.log(f / REFERENCE_FREQUENCY) / Math.log(OCTAVE_RATIO) - 1) / 2);
+        const halfBand = Math.pow(OCTAVE_RATIO, 1 / (2 * b));
+        const nyquist = sampleRate / 2;
+
+        const bands = [];
+        const first = Math.ceil(indexOf(minFrequency * (1 - LIMIT_TOLERANCE)));
+        const last = Math.floor(indexOf(maxFrequency * (1 + LIMIT_TOLERANCE)));
+        for (let x = first; x <= last; x++) {
+            const center = REFERENCE_FREQUENCY * Math.pow(OCTAVE_RATIO, exponent(x));
+            const upper = center * halfBand;
+            if (upper >= nyquist) break;
+            bands.push({
+                index: x,
+                nominal: this.nominalFrequency(center, b),
+                center,
+                lower: center / halfBand,
+                upper
+            });
+        }
+        return bands;
+    }
+
+    /**
+     * Nominal midband frequency used to label a band
+     * Octave and third-octave bands take the R10 value; finer bands the exact frequency to 3 significant digits.
+     * @param {number} center - Exact midband frequency in Hz
+     * @param {number} bandsPerOctave - b in 1/b octave
+     * @returns {number} Nominal frequency in Hz
+     */
+    static nominalFrequency(center, bandsPerOctave) {
+        if (bandsPerOctave === 1 || bandsPerOctave === 3) {
+            const step = Math.round(10 * Math.log10(center));
+            const decade = Math.floor(step / 10);
+            return +(R10_SERIES[step - 10 * decade] * Math.pow(10, decade)).toPrecision(3);
+        }
+        return +center.toPrecision(3);
+    }
+
+    /**
+     * Frequency weighting per IEC 61672-1
+     * @param {string} weighting - 'A', 'C' or 'Z'
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} Gain in dB (-Infinity at 0 Hz for A and C)
+     */
+    static weightingDb(weighting, frequency) {
+        const { low, midLow, midHigh, high } = WEIGHTING_POLES;
+        const f2 = frequency * frequency;
+        switch (weighting) {
+            case 'A': {
+                const response = (high * high * f2 * f2) /
+                    ((f2 + low * low) * Math.sqrt((f2 + midLow * midLow) * (f2 + midHigh * midHigh)) * (f2 + high * high));
+                return 20 * Math.log10(response) + A_WEIGHTING_OFFSET;
+            }
+            case 'C': {
+                const response = (high * high * f2) / ((f2 + low * low) * (f2 + high * high));
+                return 20 * Math.log10(response) + C_WEIGHTING_OFFSET;
+            }
+            case 'Z':
+                return 0;
+            default:
+                throw new Error(`Unsupported frequency weighting: ${weighting}`);
+        }
+    }
+
+    /**
+     * Fractional-octave band levels
+     * 'filter' passes the signal through a Butterworth band-pass per band (edges at the band edges, -3 dB) and
+     * weights each band by the weighting at its midband frequency, as weighted band levels are usually quoted.
+     * 'fft' splits the record into Hann-windowed intervals, scales each bin to mean-square power, applies the
+     * weighting per bin and sums the bins inside each band (edge bins in proportion to their overlap); bands
+     * narrower than the window's main lobe are marked unresolved. Leq is the level of the mean square over
+     * the whole record, Lmax the highest interval level (0.125 s intervals match Fast, 1 s Slow).
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - Options
+     * @param {number} options.bandsPerOctave - b in 1/b octave (default 3)
+     * @param {string} options.weighting - 'A', 'C' or 'Z' (default 'Z')
+     * @param {string} options.method - 'filter' or 'fft' (default 'filter')
+     * @param {number} options.minFrequency - Lowest midband frequency in Hz (default 20)
+     * @param {number} options.maxFrequency - Highest midband frequency in Hz (default: up to Nyquist)
+     * @param {number} options.interval - Interval length for the level history and Lmax in s (default 0.125)
+     * @param {number} options.reference - Reference value of 0 dB, e.g. 20e-6 for sound pressure in Pa (default 1)
+     * @param {number} options.order - Butterworth prototype order of the band filters (default 3)
+     * @returns {Object} { bands [{ index, nominal, center, lower, upper, leq, lmax, levels, resolved }],
+     *                   overall { leq, lmax, levels }, times (interval centres), weighting, method,
+     *                   bandsPerOctave, interval, reference, sampleRate }
+     */
+    static analyze(signal, sampleRate, options = {}) {
+        const {
+            bandsPerOctave = DEFAULT_BANDS_PER_OCTAVE,
+            weighting = 'Z',
+            method = 'filter',
+            minFrequency = DEFAULT_MIN_FREQUENCY,
+            reference = 1,
+            order = DEFAULT_FILTER_ORDER
+        } = options;
+        const n = signal ? signal.length : 0;
+        if (n < 2) {
+            throw new Error('Band analysis needs at least 2 samples');
+        }
+        if (!(sampleRate > 0)) {
+            throw new Error('Invalid sample rate');
+        }
+        if (!this.weightings.includes(weighting)) {
+            throw new Error(`Unsupported frequency weighting: ${weighting}`);
+        }
+        if (!this.methods.includes(method)) {
+            throw new Error(`Unsupported band analysis method: ${method}`);
+        }
+        if (!(reference > 0)) {
+            throw new Error('The reference value must be positive');
+        }
+
+        const bands = this.bands(bandsPerOctave, minFrequency, options.maxFrequency ?? sampleRate / 2, sampleRate);
+        if (bands.length === 0) {
+            throw new Error(`No complete band between ${minFrequency} Hz and Nyquist (${sampleRate / 2} Hz)`);
+        }
+
+        // Intervals of whole samples; a shorter last interval keeps its own length
+        const length = Math.min(n, Math.max(1, Math.round((options.interval || DEFAULT_INTERVAL) * sampleRate)));
+        const count = Math.ceil(n / length);
+        const times = Float64Array.from({ length: count },
+            (_, m) => (m * length + Math.min(length, n - m * length) / 2) / sampleRate);
+        const x = Float64Array.from(signal, v => (isFinite(v) ? v : 0));
+
+        const meanSquares = method === 'fft' ?
+            this._fftBandPowers(x, sampleRate, bands, weighting, length, count) :
+            this._filterBandPowers(x, sampleRate, bands, weighting, length, count, order);
+
+        // Interval durations weight the record mean square
+        const durations = Float64Array.from({ length: count }, (_, m) => Math.min(length, n - m * length));
+        const summarize = (powers) => {
+            const levels = powers.map(p => this._level(p, reference));
+            const total = powers.reduce((sum, p, m) => sum + p * durations[m], 0) / n;
+            return { leq: this._level(total, reference), lmax: Math.max(...levels), levels };
+        };
+
+        const resolution = sampleRate / length;
+        const results = bands.map((band, i) => ({
+            ...band,
+            ...summarize(meanSquares[i]),
+            resolved: method === 'filter' || band.upper - band.lower >= HANN_MAIN_LOBE_BINS * resolution
+        }));
+        const overallPowers = Float64Array.from({ length: count },
+            (_, m) => meanSquares.reduce((sum, powers) => sum + powers[m], 0));
+
+        return {
+            bands: results,
+            overall: summarize(overallPowers),
+            times,
+            weighting,
+            method,
+            bandsPerOctave,
+            interval: length / sampleRate,
+            reference,
+            sampleRate
+        };
+    }
+
+    /**
+     * Weighted mean square per band and interval from a Butterworth band-pass filter bank
+     * @private
+     */
+    static _filterBandPowers(x, sampleRate, bands, weighting, length, count, order) {
+        return bands.map(band => {
+            const filter = DigitalFilter.designIIR({
+                family: 'butterworth',
+                response: 'bandpass',
+                order,
+                cutoff: [band.lower, band.upper],
+                sampleRate
+            });
+            const y = DigitalFilter.filter(filter, x);
+            const gain = Math.pow(10, this.weightingDb(weighting, band.center) / 10);
+            return Float64Array.from({ length: count }, (_, m) => {
+                const end = Math.min(x.length, (m + 1) * length);
+                let sum = 0;
+                for (let i = m * length; i < end; i++) {
+                    sum += y[i] * y[i];
+                }
+                return (gain * sum) / (end - m * length);
+            });
+        });
+    }
+
+    /**
+     * Weighted mean square per band and interval from Hann-windowed FFT power spectra
+     * @private
+     */
+    static _fftBandPowers(x, sampleRate, bands, weighting, length, count) {
+        const nfft = FFTProcessor.nextPowerOf2(length);
+        const binSpacing = sampleRate / nfft;
+        const bins = Math.floor(nfft / 2) + 1;
+        const window = WindowFunctions.generate('hanning', length, { periodic: true });
+        const windowPower = window.reduce((sum, w) => sum + w * w, 0);
+
+        // Per band, the bins it overlaps and the overlapping fraction of each, with the weighting folded in
+        const kernels = bands.map(({ lower, upper }) => {
+            const first = Math.max(0, Math.floor(lower / binSpacing + 0.5));
+            const last = Math.min(bins - 1, Math.ceil(upper / binSpacing - 0.5));
+            const weights = [];
+            for (let k = first; k <= last; k++) {
+                const overlap = Math.min(upper, (k + 0.5) * binSpacing) - Math.max(lower, (k - 0.5) * binSpacing);
+                const gain = Math.pow(10, this.weightingDb(weighting, k * binSpacing) / 10);
+                weights.push(Math.max(0, overlap / binSpacing) * gain);
+            }
+            return { first, weights };
+        });
+
+        const powers = bands.map(() => new Float64Array(count));
+        const buffer = new Float64Array(nfft);
+        for (let m = 0; m < count; m++) {
+            const start = m * length;
+            const available = Math.min(length, x.length - start);
+            buffer.fill(0);
+            for (let i = 0; i < available; i++) {
+                buffer[i] = x[start + i] * window[i];
+            }
+
+            // Mean-square power per bin: sum |X|^2 over the full spectrum = nfft sum (x w)^2, over sum w^2
+            const { re, im } = FFTProcessor.realTransform(buffer);
+            const scale = available === length ? windowPower :
+                window.slice(0, available).reduce((sum, w) => sum + w * w, 0);
+            kernels.forEach(({ first, weights }, b) => {
+                let sum = 0;
+                weights.forEach((weight, j) => {
+                    const k = first + j;
+                    const sides = k === 0 || 2 * k === nfft ? 1 : 2;
+                    sum += weight * sides * (re[k] * re[k] + im[k] * im[k]);
+                });
+                powers[b][m] = scale > 0 ? sum / (nfft * scale) : 0;
+            });
+        }
+        return powers;
+    }
+
+    /**
+     * Level in dB of a mean square relative to reference²
+     * @private
+     */
+    static _level(meanSquare, reference) {
+        return meanSquare > 0 ? Math.max(DB_FLOOR, 10 * Math.log10(meanSquare / (reference * reference))) : DB_FLOOR;
+    }
+}
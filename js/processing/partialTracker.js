@@ -0,0 +1,228 @@
+/**
+ * Partial Tracking Module
+ * Frame-by-frame spectral peak picking on an STFT, linked into partial tracks by frequency and amplitude
+ * continuity, with births, deaths and bridging of short gaps
+ */
+import { PeakDetector } from './peakDetection.js';
+import { WindowFunctions } from './windows.js';
+
+// Default peak selection: strongest peaks per frame and the level range below the loudest peak of the STFT
+const DEFAULT_MAX_PEAKS = 20;
+const DEFAULT_DYNAMIC_RANGE = 60;
+
+// Default continuity limits: frequency step in resolution bins (sampleRate / frameSize) and level step in dB
+const DEFAULT_JUMP_BINS = 2;
+const DEFAULT_MAX_LEVEL_JUMP = 12;
+
+// Default frames a track may miss and still continue, and the detections a track needs to be kept
+const DEFAULT_MAX_GAP = 2;
+const DEFAULT_MIN_LENGTH = 5;
+
+export class PartialTracker {
+    /**
+     * Track partials through the frames of an STFT
+     * Each frame's amplitude spectrum (scaled so that a sinusoid reads its peak amplitude) goes through
+     * PeakDetector.detect. Peaks within the window's main lobe of a stronger one are dropped, and so are peaks
+     * further below the frame's strongest peak than the window's highest sidelobe, which keeps sidelobes of
+     * strong partials out of the tracks. Live tracks predict their next frequency from their last slope, and
+     * peaks are assigned greedily by normalized frequency and level distance. A track that finds no peak
+     * waits up to maxGap frames; when it resumes, the missed frames are filled by linear interpolation
+     * (marked interpolated), otherwise it dies. Unclaimed peaks start new tracks.
+     * @param {Object} stft - Result of SpectralAnalyzer.computeSTFT
+     * @param {Object} options - Options
+     * @param {number} options.maxPeaks - Peaks considered per frame (default 20)
+     * @param {number} options.dynamicRange - Ignore peaks this many dB below the loudest peak of the STFT (default 60)
+     * @param {number} options.frameRange - Ignore peaks this many dB below the frame's loudest peak
+     *                                      (default: the window's highest sidelobe level)
+     * @param {number} options.prominence - Minimum peak prominence in dB (default none)
+     * @param {string} options.interpolation - Sub-bin estimator (see PeakDetector.methods, default 'parabolic')
+     * @param {number} options.maxFrequencyJump - Largest frequency step from the predicted frequency per frame in Hz
+     *                                           (default 2 sampleRate / frameSize)
+     * @param {number} options.maxLevelJump - Largest level step per frame in dB (default 12)
+     * @param {number} options.maxGap - Frames a track may miss (default 2)
+     * @param {number} options.minLength - Detected frames a track needs to be reported (default 5)
+     * @returns {Object} { tracks [{ id, birth, death, frames, times, frequencies, amplitudes, levelsDb,
+     *                   interpolated }], times (frame times), peakCount, maxFrequencyJump, maxLevelJump, maxGap,
+     *                   minLength, resolution, sampleRate }
+     */
+    static track(stft, options = {}) {
+        if (!stft || !Array.isArray(stft.re) || stft.re.length === 0) {
+            throw new Error('Partial tracking needs an STFT with at least one frame');
+        }
+        const { re, im, frequencies, times, window, frameSize, nfft, sampleRate } = stft;
+        const resolution = sampleRate / frameSize;
+        const {
+            maxPeaks = DEFAULT_MAX_PEAKS,
+            dynamicRange = DEFAULT_DYNAMIC_RANGE,
+            prominence = null,
+            interpolation = 'parabolic',
+            maxFrequencyJump = DEFAULT_JUMP_BINS * resolution,
+            maxLevelJump = DEFAULT_MAX_LEVEL_JUMP,
+            maxGap = DEFAULT_MAX_GAP,
+            minLength = DEFAULT_MIN_LENGTH
+        } = options;
+        if (!(maxFrequencyJump > 0) || !(maxLevelJump > 0)) {
+            throw new Error('The frequency and level jump limits must be positive');
+        }
+        if (!(maxGap >= 0) || !(minLength >= 1)) {
+            throw new Error('The gap must be at least 0 frames and the minimum length at least 1 frame');
+        }
+
+        const metrics = WindowFunctions.getMetrics(stft.windowType, frameSize, stft.windowOptions);
+        const frameRange = options.frameRange ?? -metrics.highestSidelobe;
+        const peaksByFrame = this._framePeaks(re, im, frequencies, window, {
+            maxPeaks,
+            prominence,
+            interpolation,
+            minSeparation: metrics.mainLobeHalfWidth * resolution,
+            windowType: stft.windowType,
+            windowOptions: stft.windowOptions,
+            binScale: frameSize / nfft
+        });
+
+        // Level limits: below the loudest peak overall and below each frame's loudest peak
+        const loudest = peaksByFrame.reduce((max, peaks) => peaks.reduce((m, p) => Math.max(m, p.level), max), -Infinity);
+        peaksByFrame.forEach((peaks, m) => {
+            const frameTop = peaks.reduce((max, p) => Math.max(max, p.level), -Infinity);
+            peaksByFrame[m] = peaks.filter(p => p.level >= loudest - dynamicRange && p.level >= frameTop - frameRange);
+        });
+
+        const finished = [];
+        let live = [];
+        peaksByFrame.forEach((peaks, m) => {
+            const claimed = new Set();
+            const continued = new Set();
+
+            // Candidate links within the limits, cheapest first
+            const links = [];
+            live.forEach(track => {
+                const predicted = this._predict(track, m);
+                const last = track.levelsDb[track.levelsDb.length - 1];
+                peaks.forEach((peak, p) => {
+                    const frequencyStep = Math.abs(peak.frequency - predicted) / maxFrequencyJump;
+                    const levelStep = Math.abs(peak.level - last) / maxLevelJump;
+                    if (frequencyStep <= 1 && levelStep <= 1) {
+                        links.push({ track, p, cost: frequencyStep + levelStep });
+                    }
+                });
+            });
+            links.sort((a, b) => a.cost - b.cost);
+            links.forEach(({ track, p }) => {
+                if (claimed.has(p) || continued.has(track)) return;
+                claimed.add(p);
+                continued.add(track);
+                this._extend(track, m, times, peaks[p]);
+            });
+
+            // Tracks without a peak wait or die; unclaimed peaks are born as new tracks
+            live = live.filter(track => {
+                if (continued.has(track) || m - track.lastFrame <= maxGap) return true;
+                finished.push(track);
+                return false;
+            });
+            peaks.forEach((peak, p) => {
+                if (claimed.has(p)) return;
+                const track = {
+                    frames: [], times: [], frequencies: [], amplitudes: [], levelsDb: [], interpolated: [], detected: 0
+                };
+                this._extend(track, m, times, peak);
+                live.push(track);
+            });
+        });
+        finished.push(...live);
+
+        const tracks = finished
+            .filter(track => track.detected >= minLength)
+            .sort((a, b) => a.frames[0] - b.frames[0] || a.frequencies[0] - b.frequencies[0])
+            .map((track, i) => ({
+                id: i + 1,
+                birth: track.times[0],
+                death: track.times[track.times.length - 1],
+                frames: track.frames,
+                times: track.times,
+                frequencies: track.frequencies,
+                amplitudes: track.amplitudes,
+                levelsDb: track.levelsDb,
+                interpolated: track.interpolated
+            }));
+
+        return {
+            tracks,
+            times,
+            peakCount: peaksByFrame.reduce((sum, peaks) => sum + peaks.length, 0),
+            maxFrequencyJump,
+            maxLevelJump,
+            maxGap,
+            minLength,
+            resolution,
+            sampleRate
+        };
+    }
+
+    /**
+     * Peaks of every frame with amplitude and level
+     * @private
+     */
+    static _framePeaks(re, im, frequencies, window, detectOptions) {
+        const amplitudeScale = 2 / window.reduce((sum, w) => sum + w, 0);
+        const phases = new Float64Array(frequencies.length);
+        return re.map((frameRe, m) => {
+            const frameIm = im[m];
+            const amplitudes = Float64Array.from(frameRe, (value, k) => Math.hypot(value, frameIm[k]) * amplitudeScale);
+            return PeakDetector.detect(frequencies, amplitudes, phases, {
+                ...detectOptions,
+                threshold: 0,
+                spectrum: { re: frameRe, im: frameIm }
+            })
+                .filter(peak => peak.magnitude > 0)
+                .map(peak => ({
+                    frequency: peak.frequency,
+                    amplitude: peak.magnitude,
+                    level: 20 * Math.log10(peak.magnitude)
+                }));
+        });
+    }
+
+    /**
+     * Frequency a track is expected at in frame m, continuing the slope of its last two detections
+     * @private
+     */
+    static _predict(track, m) {
+        const count = track.frames.length;
+        const last = track.frequencies[count - 1];
+        if (count < 2) return last;
+        const slope = (last - track.frequencies[count - 2]) / (track.frames[count - 1] - track.frames[count - 2]);
+        return last + slope * (m - track.frames[count - 1]);
+    }
+
+    /**
+     * Append a detection to a track, interpolating across any missed frames
+     * @private
+     */
+    static _extend(track, m, times, peak) {
+        const count = track.frames.length;
+        if (count > 0) {
+            const from = track.lastFrame;
+            const startFrequency = track.frequencies[count - 1];
+            const startLevel = track.levelsDb[count - 1];
+            for (let k = from + 1; k < m; k++) {
+                const fraction = (k - from) / (m - from);
+                const level = startLevel + fraction * (peak.level - startLevel);
+                track.frames.push(k);
+                track.times.push(times[k]);
+                track.frequencies.push(startFrequency + fraction * (peak.frequency - startFrequency));
+                track.amplitudes.push(Math.pow(10, level / 20));
+                track.levelsDb.push(level);
+                track.interpolated.push(true);
+            }
+        }
+        track.frames.push(m);
+        track.times.push(times[m]);
+        track.frequencies.push(peak.frequency);
+        track.amplitudes.push(peak.amplitude);
+        track.levelsDb.push(peak.level);
+        track.interpolated.push(false);
+        track.lastFrame = m;
+        track.detected++;
+    }
+}
@@ -0,0 +1,372 @@
+/**
+ * Peak Detection Module
+ * Configurable spectral peak picking with sub-bin frequency and amplitude estimation
+ */
+import { WindowFunctions } from './windows.js';
+
+// Window kernels are tabulated from a window of at most this length
+const KERNEL_REFERENCE_LENGTH = 1024;
+
+// Kernel table covers offsets of +-KERNEL_SPAN bins with KERNEL_STEPS samples per bin
+const KERNEL_SPAN = 2;
+const KERNEL_STEPS = 256;
+
+// Kernel tables keyed by window type, options and bin scale
+const kernelCache = new Map();
+
+// Bias factor of the Jacobsen estimator per window: a tapered main lobe shrinks the raw offset by a nearly
+// constant ratio (exactly 2 for Hann, whose spectrum is the rectangular one convolved with [-1/4, 1/2, -1/4])
+const JACOBSEN_BIAS = {
+    none: 1,
+    rectangular: 1,
+    hanning: 2,
+    hamming: 1.81,
+    blackman: 2.5,
+    'blackman-harris': 3.16
+};
+
+export class PeakDetector {
+    /**
+     * Supported sub-bin interpolation methods
+     * @returns {Array} Method identifiers
+     */
+    static get methods() {
+        return ['none', 'parabolic', 'gaussian', 'jacobsen', 'window'];
+    }
+
+    /**
+     * Detect peaks in a one-sided spectrum
+     * @param {Array} frequencies - Frequency array (uniformly spaced)
+     * @param {Array} magnitudes - Linear magnitude array (amplitude or power)
+     * @param {Array} phases - Phase array in degrees
+     * @param {Object} options - Detection options
+     * @param {number} options.threshold - Relative threshold (percentage of max magnitude)
+     * @param {number} options.thresholdDb - Absolute threshold in dB (re 1 in magnitude units)
+     * @param {number} options.prominence - Minimum prominence in dB
+     * @param {number} options.minSeparation - Minimum distance between reported peaks in Hz
+     * @param {number} options.maxPeaks - Maximum number of peaks to report
+     * @param {string} options.interpolation - 'none', 'parabolic', 'gaussian', 'jacobsen' or 'window'
+     * @param {boolean} options.isPower - Magnitudes are power-like (squared) quantities
+     * @param {Object} options.spectrum - Complex spectrum { re, im } on the same bins (for 'jacobsen')
+     * @param {string} options.windowType - Analysis window (for 'window' and 'jacobsen')
+     * @param {Object} options.windowOptions - Analysis window parameters (for 'window' and 'jacobsen')
+     * @param {number} options.binScale - Bin spacing in units of sampleRate / signalLength (1 unless padded or zoomed)
+     * @returns {Array} Peaks sorted by magnitude (descending): { frequency, magnitude, phase, bin,
+     *                  binFrequency, frequencyError, prominence }
+     */
+    static detect(frequencies, magnitudes, phases, options = {}) {
+        const {
+            threshold = 10,
+            thresholdDb = null,
+            prominence = null,
+            minSeparation = 0,
+            maxPeaks = Infinity,
+            interpolation = 'none',
+            isPower = false
+        } = options;
+
+        const n = magnitudes.length;
+        if (n < 3) return [];
+
+        // Interpolation and dB figures work on amplitudes
+        const amplitudes = isPower ? magnitudes.map(m => Math.sqrt(Math.max(m, 0))) : magnitudes;
+        const levels = amplitudes.map(a => this._toDb(a));
+        const maxMagnitude = magnitudes.reduce((max, m) => m > max ? m : max, -Infinity);
+        const thresholdValue = maxMagnitude * (threshold / 100);
+        const binWidth = frequencies[1] - frequencies[0];
+        const noiseLevel = this._estimateNoiseLevel(amplitudes);
+
+        // Candidate local maxima (first and last points cannot be peaks)
+        let candidates = [];
+        for (let i = 1; i < n - 1; i++) {
+            if (magnitudes[i] > thresholdValue &&
+                magnitudes[i] > magnitudes[i - 1] &&
+                magnitudes[i] >= magnitudes[i + 1] &&
+                (thresholdDb === null || levels[i] >= thresholdDb)) {
+                candidates.push(i);
+            }
+        }
+
+        const prominences = new Map(candidates.map(i => [i, this.computeProminence(levels, i)]));
+        if (prominence !== null) {
+            candidates = candidates.filter(i => prominences.get(i) >= prominence);
+        }
+
+        // Keep the strongest peaks first so that separation and count limits drop weaker ones
+        candidates.sort((a, b) => magnitudes[b] - magnitudes[a]);
+
+        const peaks = [];
+        for (const i of candidates) {
+            if (peaks.length >= maxPeaks) break;
+
+            const estimate = this.interpolate(amplitudes, i, interpolation, options);
+            const frequency = frequencies[i] + estimate.offset * binWidth;
+            if (minSeparation > 0 && peaks.some(peak => Math.abs(peak.frequency - frequency) < minSeparation)) {
+                continue;
+            }
+
+            // Error: model bias (disagreement with the window fit, or the fit's own residual) plus noise
+            let frequencyError;
+            if (interpolation === 'none') {
+                frequencyError = binWidth / 2;
+            } else {
+                let bias;
+                if (estimate.modelError !== undefined) {
+                    bias = estimate.modelError;
+                } else {
+                    const reference = this.interpolate(amplitudes, i, this._referenceMethod(interpolation, options), options);
+                    bias = estimate.offset - reference.offset;
+                }
+                const noise = this._noiseError(amplitudes[i], noiseLevel, estimate.offset, options);
+                frequencyError = binWidth * Math.min(0.5, Math.sqrt(bias * bias + noise * noise));
+            }
+
+            peaks.push({
+                frequency,
+                magnitude: isPower ? estimate.amplitude * estimate.amplitude : estimate.amplitude,
+                phase: phases[i],
+                bin: i,
+                binFrequency: frequencies[i],
+                frequencyError,
+                prominence: prominences.get(i)
+            });
+        }
+
+        return peaks.sort((a, b) => b.magnitude - a.magnitude);
+    }
+
+    /**
+     * Estimate the sub-bin offset and amplitude of a peak
+     * @param {Array} amplitudes - Linear amplitude spectrum
+     * @param {number} i - Index of the local maximum
+     * @param {string} method - Interpolation method
+     * @param {Object} options - Detection options (spectrum / window information, see detect)
+     * @returns {Object} { offset (bins, within +-0.5), amplitude } and, for 'window', modelError (bins)
+     */
+    static interpolate(amplitudes, i, method, options = {}) {
+        const a = amplitudes[i - 1];
+        const b = amplitudes[i];
+        const c = amplitudes[i + 1];
+
+        switch (method) {
+            case 'parabolic': {
+                const denominator = a - 2 * b + c;
+                if (denominator === 0) return { offset: 0, amplitude: b };
+                const offset = this._clampOffset(0.5 * (a - c) / denominator);
+                return { offset, amplitude: b - 0.25 * (a - c) * offset };
+            }
+            case 'gaussian': {
+                // Parabola through the log-magnitudes, exact for a Gaussian main lobe
+                if (a <= 0 || b <= 0 || c <= 0) return this.interpolate(amplitudes, i, 'parabolic', options);
+                const la = Math.log(a);
+                const lb = Math.log(b);
+                const lc = Math.log(c);
+                const denominator = la - 2 * lb + lc;
+                if (denominator === 0) return { offset: 0, amplitude: b };
+                const offset = this._clampOffset(0.5 * (la - lc) / denominator);
+                return { offset, amplitude: Math.exp(lb - 0.25 * (la - lc) * offset) };
+            }
+            case 'jacobsen': {
+                const { spectrum } = options;
+                if (!spectrum) return this.interpolate(amplitudes, i, 'gaussian', options);
+                // offset = -P Re((X[k+1] - X[k-1]) / (2X[k] - X[k-1] - X[k+1])), exact for P = 1 on an unpadded
+                // rectangular window; windows without a bias factor and padded spectra use the kernel fit
+                const bias = JACOBSEN_BIAS[WindowFunctions.normalizeType(options.windowType)];
+                if (bias === undefined || (options.binScale || 1) !== 1) {
+                    return this._windowInterpolate(a, b, c, options);
+                }
+                const { re, im } = spectrum;
+                const numRe = re[i + 1] - re[i - 1];
+                const numIm = im[i + 1] - im[i - 1];
+                const denRe = 2 * re[i] - re[i - 1] - re[i + 1];
+                const denIm = 2 * im[i] - im[i - 1] - im[i + 1];
+                const denominator = denRe * denRe + denIm * denIm;
+                if (denominator === 0) return { offset: 0, amplitude: b };
+                const offset = this._clampOffset(-bias * (numRe * denRe + numIm * denIm) / denominator);
+
+                // Amplitude corrected for the window response at that offset (scalloping)
+                const kernel = this._getKernel(options.windowType || 'none', options.windowOptions || {}, 1);
+                return { offset, amplitude: b / kernel(-offset) };
+            }
+            case 'window':
+                return this._windowInterpolate(a, b, c, options);
+            case 'none':
+            default:
+                return { offset: 0, amplitude: b };
+        }
+    }
+
+    /**
+     * Prominence of a peak in dB: height above the higher of the lowest points
+     * between it and the nearest higher peak (or the spectrum edge) on each side
+     * @param {Array} levels - Spectrum in dB
+     * @param {number} i - Index of the peak
+     * @returns {number} Prominence in dB
+     */
+    static computeProminence(levels, i) {
+        const peak = levels[i];
+
+        let leftBase = peak;
+        for (let j = i - 1; j >= 0 && levels[j] <= peak; j--) {
+            leftBase = Math.min(leftBase, levels[j]);
+        }
+
+        let rightBase = peak;
+        for (let j = i + 1; j < levels.length && levels[j] <= peak; j++) {
+            rightBase = Math.min(rightBase, levels[j]);
+        }
+
+        return peak - Math.max(leftBase, rightBase);
+    }
+
+    /**
+     * Fit the analysis window's own main lobe to the three bins around the peak.
+     * The offset is found by bisection on (c - a) / b, which is monotonic over +-0.5 bin,
+     * and the amplitude is corrected for the window response at that offset (scalloping).
+     * The mismatch between the fitted lobe and the outer bins, divided by the slope of the
+     * ratio, is returned as modelError (in bins).
+     * @private
+     */
+    static _windowInterpolate(a, b, c, options) {
+        const { windowType } = options;
+        if (!windowType || b <= 0) {
+            return this.interpolate([a, b, c], 1, 'gaussian', options);
+        }
+
+        const kernel = this._getKernel(windowType, options.windowOptions || {}, options.binScale || 1);
+        const target = (c - a) / b;
+        const ratio = (offset) => this._kernelRatio(kernel, offset);
+
+        let low = -0.5;
+        let high = 0.5;
+        for (let iteration = 0; iteration < 50; iteration++) {
+            const mid = (low + high) / 2;
+            if (ratio(mid) < target) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        const offset = (low + high) / 2;
+        const amplitude = b / kernel(-offset);
+
+        const residual = (Math.abs(a - amplitude * kernel(-1 - offset)) +
+                          Math.abs(c - amplitude * kernel(1 - offset))) / (2 * b);
+        const slope = this._ratioSlope(kernel, offset);
+
+        return { offset, amplitude, modelError: slope > 0 ? residual / slope : 0.5 };
+    }
+
+    /**
+     * Bin ratio (c - a) / b of a window's main lobe for a tone at an offset
+     * @private
+     */
+    static _kernelRatio(kernel, offset) {
+        return (kernel(1 - offset) - kernel(-1 - offset)) / kernel(-offset);
+    }
+
+    /**
+     * Slope of the bin ratio with offset (per bin), from a central difference
+     * @private
+     */
+    static _ratioSlope(kernel, offset) {
+        const high = Math.min(offset + 0.01, 0.5);
+        const low = Math.max(offset - 0.01, -0.5);
+        return (this._kernelRatio(kernel, high) - this._kernelRatio(kernel, low)) / (high - low);
+    }
+
+    /**
+     * Offset error (bins) that noise of the given level on the three bins around a peak causes
+     * The offset follows from the bin ratio (c - a) / b, so noise on the outer bins moves it by
+     * sqrt(2) noise / b over the slope of that ratio, which is small for wide, flat-topped main lobes.
+     * @private
+     */
+    static _noiseError(b, noiseLevel, offset, options) {
+        if (!(b > 0)) return 0;
+        const kernel = this._getKernel(options.windowType || 'none', options.windowOptions || {}, options.binScale || 1);
+        const slope = this._ratioSlope(kernel, offset);
+        return slope > 0 ? (Math.SQRT2 * noiseLevel) / (b * slope) : 0.5;
+    }
+
+    /**
+     * Tabulated, peak-normalized magnitude response of a window
+     * @private
+     * @returns {Function} Kernel magnitude at an offset in bins (linear interpolation in the table)
+     */
+    static _getKernel(windowType, windowOptions, binScale) {
+        const key = `${windowType}:${JSON.stringify(windowOptions)}:${binScale}`;
+        let table = kernelCache.get(key);
+
+        if (!table) {
+            const window = WindowFunctions.generate(windowType, KERNEL_REFERENCE_LENGTH, windowOptions);
+            const size = 2 * KERNEL_SPAN * KERNEL_STEPS + 1;
+            table = new Float64Array(size);
+
+            let dc = 0;
+            for (let n = 0; n < window.length; n++) dc += window[n];
+
+            for (let j = 0; j < size; j++) {
+                // Offset in grid bins, converted to bins of the window itself
+                const offset = (j / KERNEL_STEPS - KERNEL_SPAN) * binScale;
+                let re = 0;
+                let im = 0;
+                for (let n = 0; n < window.length; n++) {
+                    const angle = -2 * Math.PI * offset * n / window.length;
+                    re += window[n] * Math.cos(angle);
+                    im += window[n] * Math.sin(angle);
+                }
+                table[j] = Math.hypot(re, im) / Math.abs(dc);
+            }
+            kernelCache.set(key, table);
+        }
+
+        return (offset) => {
+            const position = Math.max(0, Math.min(table.length - 1, (offset + KERNEL_SPAN) * KERNEL_STEPS));
+            const index = Math.min(Math.floor(position), table.length - 2);
+            const fraction = position - index;
+            return table[index] + fraction * (table[index + 1] - table[index]);
+        };
+    }
+
+    /**
+     * Independent estimator used to gauge the bias of the selected one
+     * @private
+     */
+    static _referenceMethod(method, options) {
+        if (options.windowType) return 'window';
+        if (method !== 'jacobsen' && options.spectrum) return 'jacobsen';
+        return method === 'gaussian' ? 'parabolic' : 'gaussian';
+    }
+
+    /**
+     * Noise floor estimate: median amplitude of the spectrum
+     * @private
+     */
+    static _estimateNoiseLevel(amplitudes) {
+        const sorted = Float64Array.from(amplitudes).sort();
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    /**
+     * Amplitude at an offset from the parabola through three points
+     * @private
+     */
+    static _parabolicAmplitude(a, b, c, offset) {
+        return b + 0.5 * offset * (c - a) + 0.5 * offset * offset * (a - 2 * b + c);
+    }
+
+    /**
+     * @private
+     */
+    static _clampOffset(offset) {
+        return isFinite(offset) ? Math.max(-0.5, Math.min(0.5, offset)) : 0;
+    }
+
+    /**
+     * @private
+     */
+    static _toDb(amplitude) {
+        return amplitude > 0 ? 20 * Math.log10(amplitude) : -300;
+    }
+}
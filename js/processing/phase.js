@@ -0,0 +1,150 @@
+/**
+ * Phase Analysis Module
+ * Magnitude-gated phase unwrapping, group delay and phase delay
+ */
+import { FFTProcessor } from './fft.js';
+
+// Default gate: bins more than this many dB below the spectral peak carry no usable phase
+const DEFAULT_GATE_DB = -60;
+
+export class PhaseAnalyzer {
+    /**
+     * Unwrap a phase sequence
+     * Masked-out bins are skipped and returned as NaN. Across a gap the phase is carried
+     * forward along the expected slope (or, without one, the slope of the last two valid
+     * bins), so a run of gated noise bins does not introduce a spurious cycle.
+     * @param {ArrayLike<number>} phases - Wrapped phase values
+     * @param {Object} options - Unwrapping options
+     * @param {ArrayLike<boolean>} options.mask - Bins to use (all when omitted)
+     * @param {ArrayLike<number>} options.slopes - Expected phase change per bin at each bin (optional)
+     * @param {number} options.period - Phase period (2 * PI for radians, 360 for degrees)
+     * @returns {Float64Array} Unwrapped phase
+     */
+    static unwrap(phases, options = {}) {
+        const { mask = null, slopes = null, period = 2 * Math.PI } = options;
+        const n = phases.length;
+        const unwrapped = new Float64Array(n).fill(NaN);
+
+        let lastIndex = -1;
+        let lastValue = 0;
+        let slope = 0;
+
+        for (let i = 0; i < n; i++) {
+            if ((mask && !mask[i]) || !isFinite(phases[i])) continue;
+
+            if (lastIndex < 0) {
+                unwrapped[i] = phases[i];
+            } else {
+                const step = slopes ? 0.5 * (slopes[lastIndex] + slopes[i]) : slope;
+                const predicted = lastValue + step * (i - lastIndex);
+                const cycles = Math.round((predicted - phases[i]) / period);
+                unwrapped[i] = phases[i] + cycles * period;
+                slope = (unwrapped[i] - lastValue) / (i - lastIndex);
+            }
+            lastIndex = i;
+            lastValue = unwrapped[i];
+        }
+
+        return unwrapped;
+    }
+
+    /**
+     * Phase, group delay and phase delay of a signal, referenced to its first sample
+     * Group delay uses tau(w) = Re{ DFT(n x[n]) / DFT(x[n]) }, which needs no unwrapping.
+     * The phase is unwrapped along the group delay and anchored so that its first valid bin
+     * lies within half a cycle of a straight line from DC; phase delay is then -phi(w) / w.
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - Analysis options
+     * @param {number} options.gateDb - Bins below the spectral peak by more than this are excluded
+     * @param {number} options.fftLength - Transform length (>= signal length, zero-padded)
+     * @returns {Object} { frequencies, magnitudes, wrappedPhase and unwrappedPhase (degrees),
+     *                   groupDelay and phaseDelay (seconds), valid, gateDb, fftLength };
+     *                   gated bins are NaN
+     */
+    static analyze(signal, sampleRate, options = {}) {
+        const { gateDb = DEFAULT_GATE_DB } = options;
+
+        if (!signal || signal.length < 2 || !sampleRate) {
+            console.error('Invalid input to PhaseAnalyzer.analyze');
+            return null;
+        }
+
+        try {
+            const n = Math.max(signal.length, Math.floor(options.fftLength || signal.length));
+            const x = new Float64Array(n);
+            const rampX = new Float64Array(n);
+            for (let i = 0; i < signal.length; i++) {
+                const value = isFinite(signal[i]) ? signal[i] : 0;
+                x[i] = value;
+                rampX[i] = i * value;
+            }
+
+            const spectrum = FFTProcessor.realTransform(x);
+            const rampSpectrum = FFTProcessor.realTransform(rampX);
+            const bins = spectrum.re.length;
+
+            const frequencies = new Float64Array(bins);
+            const magnitudes = new Float64Array(bins);
+            const wrapped = new Float64Array(bins);
+            let maxMagnitude = 0;
+            for (let k = 0; k < bins; k++) {
+                frequencies[k] = (k * sampleRate) / n;
+                magnitudes[k] = Math.hypot(spectrum.re[k], spectrum.im[k]) / n;
+                wrapped[k] = Math.atan2(spectrum.im[k], spectrum.re[k]);
+                if (magnitudes[k] > maxMagnitude) maxMagnitude = magnitudes[k];
+            }
+
+            const gateLevel = maxMagnitude * Math.pow(10, gateDb / 20);
+            const valid = new Uint8Array(bins);
+            for (let k = 0; k < bins; k++) {
+                valid[k] = maxMagnitude > 0 && magnitudes[k] >= gateLevel ? 1 : 0;
+            }
+
+            // Group delay in samples: Re{ (a + jb) / (c + jd) } = (ac + bd) / (c^2 + d^2)
+            const delaySamples = new Float64Array(bins).fill(NaN);
+            const slopes = new Float64Array(bins);
+            for (let k = 0; k < bins; k++) {
+                if (!valid[k]) continue;
+                const c = spectrum.re[k];
+                const d = spectrum.im[k];
+                delaySamples[k] = (rampSpectrum.re[k] * c + rampSpectrum.im[k] * d) / (c * c + d * d);
+                slopes[k] = -2 * Math.PI * delaySamples[k] / n;
+            }
+
+            const unwrapped = this.unwrap(wrapped, { mask: valid, slopes });
+            const first = valid.indexOf(1);
+            if (first > 0) {
+                const expected = slopes[first] * first;
+                const cycles = Math.round((expected - unwrapped[first]) / (2 * Math.PI));
+                for (let k = first; k < bins; k++) {
+                    unwrapped[k] += cycles * 2 * Math.PI;
+                }
+            }
+
+            const groupDelay = delaySamples.map(d => d / sampleRate);
+            const phaseDelay = new Float64Array(bins).fill(NaN);
+            for (let k = 1; k < bins; k++) {
+                if (valid[k]) {
+                    phaseDelay[k] = -unwrapped[k] / (2 * Math.PI * frequencies[k]);
+                }
+            }
+
+            const toDegrees = 180 / Math.PI;
+            return {
+                frequencies,
+                magnitudes,
+                wrappedPhase: wrapped.map(p => p * toDegrees),
+                unwrappedPhase: unwrapped.map(p => p * toDegrees),
+                groupDelay,
+                phaseDelay,
+                valid,
+                gateDb,
+                fftLength: n
+            };
+        } catch (err) {
+            console.error('Error in phase analysis:', err);
+            return null;
+        }
+    }
+}
@@ -0,0 +1,394 @@
+/**
+ * Pre-processing Module
+ * Gap repair, clipping detection, outlier removal, detrending and normalization,
+ * with a log of every change made to the signal
+ */
+import { Statistics } from '../utils/statistics.js';
+
+// Highest polynomial detrending order
+const MAX_DETREND_ORDER = 10;
+
+// Samples within this fraction of the signal range of its extreme count as sitting on the rail
+const CLIP_TOLERANCE = 1e-6;
+
+// Default shortest run of samples on a rail reported as clipping
+const DEFAULT_CLIP_RUN = 3;
+
+// Hampel filter defaults: half-width of the sliding window and threshold in robust standard deviations
+const DEFAULT_OUTLIER_HALF_WIDTH = 3;
+const DEFAULT_OUTLIER_THRESHOLD = 3;
+
+// Scales the median absolute deviation to the standard deviation of Gaussian data
+const MAD_SCALE = 1.4826;
+
+export class Preprocessor {
+    /**
+     * Supported gap repair methods
+     * @returns {Array} Method identifiers
+     */
+    static get gapMethods() {
+        return ['interpolate', 'hold', 'zero', 'drop'];
+    }
+
+    /**
+     * Supported detrending types
+     * @returns {Array} Detrend identifiers
+     */
+    static get detrendTypes() {
+        return ['none', 'mean', 'linear', 'polynomial'];
+    }
+
+    /**
+     * Supported normalizations
+     * @returns {Array} Normalization identifiers
+     */
+    static get normalizations() {
+        return ['none', 'peak', 'rms', 'zscore'];
+    }
+
+    /**
+     * Run the pre-processing chain: gap repair, clipping detection, outlier removal, detrending, normalization
+     * @param {Array|Float32Array} signal - Input signal (may contain NaN or other non-finite values)
+     * @param {Object} options - Chain options
+     * @param {string} options.gaps - Gap repair method (see repairGaps), default 'interpolate'
+     * @param {boolean} options.detectClipping - Look for runs of samples on the signal extremes
+     * @param {number} options.clipRun - Shortest run reported as clipping
+     * @param {boolean} options.removeOutliers - Replace outliers with the local median (Hampel filter)
+     * @param {number} options.outlierHalfWidth - Half-width of the outlier window in samples
+     * @param {number} options.outlierThreshold - Outlier threshold in robust standard deviations
+     * @param {string} options.detrend - 'none', 'mean', 'linear' or 'polynomial'
+     * @param {number} options.order - Polynomial order for 'polynomial' detrending
+     * @param {string} options.normalize - 'none', 'peak' (max |x| = 1), 'rms' (RMS = 1) or 'zscore' (zero mean, unit SD)
+     * @returns {Object} { signal, log (array of { step, message }), gaps, clipping, outliers, trend, normalization, kept }
+     *                   where kept holds the input index of every output sample
+     */
+    static process(signal, options = {}) {
+        const {
+            gaps = 'interpolate',
+            detectClipping = true,
+            clipRun = DEFAULT_CLIP_RUN,
+            removeOutliers = false,
+            outlierHalfWidth = DEFAULT_OUTLIER_HALF_WIDTH,
+            outlierThreshold = DEFAULT_OUTLIER_THRESHOLD,
+            detrend = 'none',
+            order = 2,
+            normalize = 'none'
+        } = options;
+
+        if (!signal || signal.length === 0) {
+            throw new Error('Cannot pre-process an empty signal');
+        }
+
+        const log = [];
+        const result = { log };
+
+        const gapResult = this.repairGaps(signal, gaps);
+        let current = gapResult.signal;
+        result.gaps = gapResult;
+        result.kept = gapResult.kept;
+        if (gapResult.count > 0) {
+            const action = {
+                interpolate: 'filled by linear interpolation',
+                hold: 'filled with the last valid value',
+                zero: 'set to zero',
+                drop: 'removed'
+            }[gaps];
+            log.push({
+                step: 'gaps',
+                message: `${gapResult.count} non-finite samples in ${gapResult.runs.length} gaps ${action}`
+            });
+        }
+
+        if (detectClipping) {
+            const clipping = this.detectClipping(current, { minRun: clipRun });
+            result.clipping = clipping;
+            if (clipping.clipped) {
+                log.push({
+                    step: 'clipping',
+                    message: `Possible clipping: ${clipping.samples} samples in ${clipping.runs.length} runs ` +
+                        `at ${clipping.low.toPrecision(4)} / ${clipping.high.toPrecision(4)}`
+                });
+            }
+        }
+
+        if (removeOutliers) {
+            const outliers = this.removeOutliers(current, {
+                halfWidth: outlierHalfWidth,
+                threshold: outlierThreshold
+            });
+            current = outliers.signal;
+            result.outliers = outliers;
+            if (outliers.indices.length > 0) {
+                log.push({
+                    step: 'outliers',
+                    message: `${outliers.indices.length} outliers beyond ${outlierThreshold} robust SD replaced with the local median`
+                });
+            }
+        }
+
+        if (detrend !== 'none') {
+            const degree = { mean: 0, linear: 1 }[detrend] ?? order;
+            const trend = this.detrend(current, degree);
+            current = trend.signal;
+            result.trend = trend;
+            const description = degree === 0 ? `mean ${trend.coefficients[0].toPrecision(4)}` :
+                degree === 1 ? `linear trend (slope ${trend.slope.toPrecision(4)} per sample)` :
+                `order-${degree} polynomial trend`;
+            log.push({ step: 'detrend', message: `Removed ${description}` });
+        }
+
+        if (normalize !== 'none') {
+            const normalization = this.normalize(current, normalize);
+            current = normalization.signal;
+            result.normalization = normalization;
+            log.push({
+                step: 'normalize',
+                message: `Normalized (${normalize}): offset ${normalization.offset.toPrecision(4)}, ` +
+                    `scale ${normalization.scale.toPrecision(4)}`
+            });
+        }
+
+        result.signal = current;
+        return result;
+    }
+
+    /**
+     * Repair non-finite samples (NaN, ±Infinity, missing cells)
+     * - interpolate: linear interpolation between the neighbouring valid samples (nearest value at the ends)
+     * - hold: last valid value (first valid value before it)
+     * - zero: 0
+     * - drop: remove the samples (the output is shorter and no longer uniformly sampled; kept gives the
+     *   input index, i.e. the time, of every output sample)
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {string} method - Repair method
+     * @returns {Object} { signal (Float64Array), count, runs: [{ start, length }], kept (input index of each output sample) }
+     */
+    static repairGaps(signal, method = 'interpolate') {
+        if (!this.gapMethods.includes(method)) {
+            throw new Error(`Unsupported gap repair method: ${method}`);
+        }
+
+        const n = signal.length;
+        const runs = [];
+        for (let i = 0; i < n; i++) {
+            if (!isFinite(signal[i])) {
+                const start = i;
+                while (i < n && !isFinite(signal[i])) i++;
+                runs.push({ start, length: i - start });
+            }
+        }
+        const count = runs.reduce((sum, run) => sum + run.length, 0);
+        if (count === n && method !== 'zero') {
+            throw new Error('The signal has no finite samples');
+        }
+
+        if (method === 'drop') {
+            const kept = [];
+            for (let i = 0; i < n; i++) {
+                if (isFinite(signal[i])) kept.push(i);
+            }
+            return { signal: Float64Array.from(kept, i => signal[i]), count, runs, kept: Int32Array.from(kept) };
+        }
+
+        const output = Float64Array.from(signal);
+        runs.forEach(({ start, length }) => {
+            const end = start + length;
+            const before = start > 0 ? output[start - 1] : null;
+            const after = end < n ? output[end] : null;
+            for (let i = start; i < end; i++) {
+                if (method === 'zero') {
+                    output[i] = 0;
+                } else if (method === 'hold' || after === null || before === null) {
+                    output[i] = before ?? after;
+                } else {
+                    output[i] = before + ((after - before) * (i - start + 1)) / (length + 1);
+                }
+            }
+        });
+        return { signal: output, count, runs, kept: Int32Array.from({ length: n }, (_, i) => i) };
+    }
+
+    /**
+     * Find runs of samples sitting on the signal's minimum or maximum
+     * A converter or amplifier driven past its range produces flat tops at both rails.
+     * @param {ArrayLike<number>} signal - Input signal
+     * @param {Object} options - Options
+     * @param {number} options.minRun - Shortest run counted as clipping
+     * @returns {Object} { clipped, runs: [{ start, length, value }], samples, low, high }
+     */
+    static detectClipping(signal, options = {}) {
+        const { minRun = DEFAULT_CLIP_RUN } = options;
+        let low = Infinity;
+        let high = -Infinity;
+        for (let i = 0; i < signal.length; i++) {
+            if (isFinite(signal[i])) {
+                low = Math.min(low, signal[i]);
+                high = Math.max(high, signal[i]);
+            }
+        }
+
+        const runs = [];
+        const tolerance = (high - low) * CLIP_TOLERANCE;
+        if (high > low) {
+            [low, high].forEach(rail => {
+                for (let i = 0; i < signal.length; i++) {
+                    if (Math.abs(signal[i] - rail) <= tolerance) {
+                        const start = i;
+                        while (i < signal.length && Math.abs(signal[i] - rail) <= tolerance) i++;
+                        if (i - start >= minRun) {
+                            runs.push({ start, length: i - start, value: rail });
+                        }
+                    }
+                }
+            });
+            runs.sort((a, b) => a.start - b.start);
+        }
+
+        const samples = runs.reduce((sum, run) => sum + run.length, 0);
+        return { clipped: runs.length > 0, runs, samples, low, high };
+    }
+
+    /**
+     * Replace outliers with the local median (Hampel filter)
+     * A sample is an outlier when it is further than threshold * 1.4826 * MAD from the median of the
+     * 2 * halfWidth + 1 samples around it.
+     * @param {ArrayLike<number>} signal - Input signal (finite values)
+     * @param {Object} options - Options
+     * @param {number} options.halfWidth - Window half-width in samples
+     * @param {number} options.threshold - Threshold in robust standard deviations
+     * @returns {Object} { signal (Float64Array), indices of the replaced samples }
+     */
+    static removeOutliers(signal, options = {}) {
+        const { halfWidth = DEFAULT_OUTLIER_HALF_WIDTH, threshold = DEFAULT_OUTLIER_THRESHOLD } = options;
+        const k = Math.max(1, Math.floor(halfWidth));
+        if (!(threshold > 0)) {
+            throw new Error('The outlier threshold must be positive');
+        }
+
+        const n = signal.length;
+        const output = Float64Array.from(signal);
+        const indices = [];
+        for (let i = 0; i < n; i++) {
+            const window = Array.prototype.slice.call(signal, Math.max(0, i - k), Math.min(n, i + k + 1));
+            const median = Statistics.median(window);
+            const mad = Statistics.median(window.map(v => Math.abs(v - median)));
+            if (mad > 0 && Math.abs(signal[i] - median) > threshold * MAD_SCALE * mad) {
+                output[i] = median;
+                indices.push(i);
+            }
+        }
+        return { signal: output, indices };
+    }
+
+    /**
+     * Remove a least-squares polynomial trend
+     * The sample index is mapped to [-1, 1] before fitting, which keeps the normal equations well conditioned.
+     * @param {ArrayLike<number>} signal - Input signal
+     * @param {number} order - Polynomial order (0 = mean, 1 = linear)
+     * @returns {Object} { signal (Float64Array), trend (Float64Array), coefficients (in the scaled abscissa),
+     *                   slope (per sample, linear term) }
+     */
+    static detrend(signal, order = 1) {
+        const degree = Math.floor(order);
+        if (!(degree >= 0 && degree <= MAX_DETREND_ORDER)) {
+            throw new Error(`Detrend order must be between 0 and ${MAX_DETREND_ORDER}`);
+        }
+
+        const n = signal.length;
+        const m = Math.min(degree, n - 1) + 1;
+        const x = (i) => (n > 1 ? (2 * i) / (n - 1) - 1 : 0);
+
+        // Normal equations A^T A c = A^T y with A[i][j] = x_i^j
+        const ata = Array.from({ length: m }, () => new Float64Array(m));
+        const aty = new Float64Array(m);
+        for (let i = 0; i < n; i++) {
+            const xi = x(i);
+            const powers = new Float64Array(2 * m - 1);
+            powers[0] = 1;
+            for (let p = 1; p < powers.length; p++) powers[p] = powers[p - 1] * xi;
+            for (let r = 0; r < m; r++) {
+                aty[r] += powers[r] * signal[i];
+                for (let c = 0; c < m; c++) ata[r][c] += powers[r + c];
+            }
+        }
+        const coefficients = this._solve(ata, aty);
+
+        const trend = new Float64Array(n);
+        const output = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            const xi = x(i);
+            let value = 0;
+            for (let j = m - 1; j >= 0; j--) value = value * xi + coefficients[j];
+            trend[i] = value;
+            output[i] = signal[i] - value;
+        }
+
+        return {
+            signal: output,
+            trend,
+            coefficients: Array.from(coefficients),
+            slope: m > 1 && n > 1 ? (2 * coefficients[1]) / (n - 1) : 0
+        };
+    }
+
+    /**
+     * Normalize a signal: y = (x - offset) / scale
+     * - peak: offset 0, largest |x| becomes 1
+     * - rms: offset 0, RMS becomes 1
+     * - zscore: zero mean and unit standard deviation
+     * @param {ArrayLike<number>} signal - Input signal
+     * @param {string} mode - 'peak', 'rms' or 'zscore'
+     * @returns {Object} { signal (Float64Array), offset, scale }
+     */
+    static normalize(signal, mode = 'peak') {
+        if (!this.normalizations.includes(mode)) {
+            throw new Error(`Unsupported normalization: ${mode}`);
+        }
+
+        const n = signal.length;
+        let offset = 0;
+        let scale = 1;
+        if (mode === 'peak') {
+            scale = signal.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+        } else if (mode === 'rms') {
+            scale = Math.sqrt(signal.reduce((sum, v) => sum + v * v, 0) / n);
+        } else if (mode === 'zscore') {
+            offset = signal.reduce((sum, v) => sum + v, 0) / n;
+            scale = Math.sqrt(signal.reduce((sum, v) => sum + (v - offset) * (v - offset), 0) / n);
+        }
+        if (!(scale > 0)) {
+            console.warn(`Cannot normalize a constant signal (${mode}); only the offset is removed`);
+            scale = 1;
+        }
+
+        return { signal: Float64Array.from(signal, v => (v - offset) / scale), offset, scale };
+    }
+
+    /**
+     * Solve a small symmetric positive definite system by Gaussian elimination with partial pivoting
+     * @private
+     */
+    static _solve(matrix, rhs) {
+        const m = rhs.length;
+        const a = matrix.map((row, r) => [...row, rhs[r]]);
+        for (let col = 0; col < m; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < m; r++) {
+                if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+            }
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+            for (let r = col + 1; r < m; r++) {
+                const factor = a[r][col] / a[col][col];
+                for (let c = col; c <= m; c++) a[r][c] -= factor * a[col][c];
+            }
+        }
+
+        const solution = new Float64Array(m);
+        for (let r = m - 1; r >= 0; r--) {
+            let sum = a[r][m];
+            for (let c = r + 1; c < m; c++) sum -= a[r][c] * solution[c];
+            solution[r] = sum / a[r][r];
+        }
+        return solution;
+    }
+}
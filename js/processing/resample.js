@@ -0,0 +1,237 @@
+/**
+ * Resampling Module
+ * Polyphase rational (L/M) resampling, integer decimation and band-limited interpolation
+ */
+import { DigitalFilter } from './filters.js';
+
+// Largest up/down factor accepted when approximating a rate ratio
+const MAX_RESAMPLE_FACTOR = 1000;
+
+// Relative error below which a rational approximation of the rate ratio is taken as exact
+const RATIO_TOLERANCE = 1e-9;
+
+// Anti-aliasing filter half-length in input samples per unit of the larger factor, and its Kaiser β
+const DEFAULT_HALF_LENGTH = 10;
+const DEFAULT_KAISER_BETA = 5;
+
+// Chebyshev I anti-aliasing filter for IIR decimation: order, passband ripple (dB) and
+// cutoff as a fraction of the output Nyquist frequency
+const DECIMATE_IIR_ORDER = 8;
+const DECIMATE_IIR_RIPPLE = 0.05;
+const DECIMATE_IIR_CUTOFF = 0.8;
+
+export class Resampler {
+    /**
+     * Approximate a sample-rate ratio by a fraction up/down
+     * Uses the continued-fraction expansion of toRate / fromRate.
+     * @param {number} fromRate - Original sampling rate in Hz
+     * @param {number} toRate - Target sampling rate in Hz
+     * @param {number} maxFactor - Largest allowed numerator or denominator
+     * @returns {Object} { up, down, sampleRate (achieved rate), exact }
+     */
+    static ratio(fromRate, toRate, maxFactor = MAX_RESAMPLE_FACTOR) {
+        if (!(fromRate > 0) || !(toRate > 0)) {
+            throw new Error('Sampling rates must be positive');
+        }
+
+        const target = toRate / fromRate;
+        let best = { up: Math.max(1, Math.round(target)), down: 1 };
+
+        // Convergents h/k of the continued fraction
+        let [h0, h1] = [0, 1];
+        let [k0, k1] = [1, 0];
+        let x = target;
+        for (let i = 0; i < 64; i++) {
+            const a = Math.floor(x);
+            [h0, h1] = [h1, a * h1 + h0];
+            [k0, k1] = [k1, a * k1 + k0];
+            if (h1 > maxFactor || k1 > maxFactor) break;
+            best = { up: h1, down: k1 };
+            const fraction = x - a;
+            if (Math.abs(h1 / k1 - target) <= RATIO_TOLERANCE * target || fraction < RATIO_TOLERANCE) break;
+            x = 1 / fraction;
+        }
+
+        const sampleRate = (fromRate * best.up) / best.down;
+        return {
+            ...best,
+            sampleRate,
+            exact: Math.abs(sampleRate - toRate) <= RATIO_TOLERANCE * toRate
+        };
+    }
+
+    /**
+     * Design the low-pass filter used by resamplePoly
+     * A Kaiser-windowed sinc at the lower of the two Nyquist frequencies, running at the upsampled rate,
+     * with a passband gain of up to make up for the inserted zeros.
+     * @param {number} up - Upsampling factor L
+     * @param {number} down - Downsampling factor M
+     * @param {Object} options - Design options
+     * @param {number} options.halfLength - Taps on each side per unit of max(up, down)
+     * @param {number} options.beta - Kaiser window β
+     * @returns {Object} FIR filter from DigitalFilter (odd length)
+     */
+    static designAntiAlias(up, down, options = {}) {
+        const { halfLength = DEFAULT_HALF_LENGTH, beta = DEFAULT_KAISER_BETA } = options;
+        const factor = Math.max(up, down);
+        const filter = DigitalFilter.designFIR({
+            response: 'lowpass',
+            cutoff: 0.5 / factor,
+            sampleRate: 1,
+            numTaps: 2 * Math.max(1, Math.round(halfLength)) * factor + 1,
+            windowType: 'kaiser',
+            windowOptions: { beta }
+        });
+        for (let i = 0; i < filter.b.length; i++) {
+            filter.b[i] *= up;
+        }
+        return filter;
+    }
+
+    /**
+     * Rational resampling by up/down with a polyphase FIR filter
+     * Upsample by inserting up - 1 zeros, low-pass filter, keep every down-th sample; only the filter taps
+     * that meet non-zero input samples are evaluated. The filter delay is compensated, so the output is
+     * aligned with the input (output sample m is at time m * down / up input samples).
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {number} up - Upsampling factor L
+     * @param {number} down - Downsampling factor M
+     * @param {Object} options - Options
+     * @param {Object} options.filter - FIR filter at the upsampled rate with odd length (default: designAntiAlias)
+     * @param {number} options.halfLength - See designAntiAlias
+     * @param {number} options.beta - See designAntiAlias
+     * @returns {Float64Array} Resampled signal of length ceil(N * up / down)
+     */
+    static resamplePoly(signal, up, down, options = {}) {
+        this._validateFactor(up, 'Upsampling');
+        this._validateFactor(down, 'Downsampling');
+        if (!signal || signal.length === 0) {
+            throw new Error('Cannot resample an empty signal');
+        }
+
+        // Work with the reduced fraction
+        const divisor = this._gcd(up, down);
+        up /= divisor;
+        down /= divisor;
+        if (up === 1 && down === 1 && !options.filter) {
+            return Float64Array.from(signal);
+        }
+
+        const filter = options.filter || this.designAntiAlias(up, down, options);
+        const h = filter.b;
+        if (h.length % 2 === 0) {
+            throw new Error('The resampling filter needs an odd number of taps');
+        }
+
+        const n = signal.length;
+        const delay = (h.length - 1) / 2;
+        const output = new Float64Array(Math.ceil((n * up) / down));
+        for (let m = 0; m < output.length; m++) {
+            // Index in the filtered upsampled stream; taps k with (t - k) divisible by up hit input samples
+            const t = m * down + delay;
+            let sum = 0;
+            for (let k = t % up; k < h.length; k += up) {
+                const j = (t - k) / up;
+                if (j < 0) break;
+                if (j < n) sum += h[k] * signal[j];
+            }
+            output[m] = sum;
+        }
+        return output;
+    }
+
+    /**
+     * Resample a signal to a new sampling rate
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {number} fromRate - Original sampling rate in Hz
+     * @param {number} toRate - Target sampling rate in Hz
+     * @param {Object} options - Options for resamplePoly, plus maxFactor for the rate ratio
+     * @returns {Object} { signal, sampleRate (achieved), up, down, exact }
+     */
+    static resample(signal, fromRate, toRate, options = {}) {
+        const { up, down, sampleRate, exact } = this.ratio(fromRate, toRate, options.maxFactor);
+        if (!exact) {
+            console.warn(`Rate ratio approximated by ${up}/${down}: ${sampleRate} Hz instead of ${toRate} Hz`);
+        }
+        return {
+            signal: this.resamplePoly(signal, up, down, options),
+            sampleRate,
+            up,
+            down,
+            exact
+        };
+    }
+
+    /**
+     * Reduce the sampling rate by an integer factor after anti-alias filtering
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {number} factor - Decimation factor q
+     * @param {Object} options - Options
+     * @param {string} options.type - 'fir' (linear-phase polyphase filter) or 'iir' (zero-phase
+     *                                Chebyshev I, order 8, cutoff at 0.8 of the new Nyquist frequency)
+     * @returns {Float64Array} Decimated signal of length ceil(N / q)
+     */
+    static decimate(signal, factor, options = {}) {
+        const { type = 'fir' } = options;
+        this._validateFactor(factor, 'Decimation');
+
+        if (type === 'fir') {
+            return this.resamplePoly(signal, 1, factor, options);
+        }
+        if (type !== 'iir') {
+            throw new Error(`Unsupported decimation filter: ${type}`);
+        }
+        if (factor === 1) {
+            return Float64Array.from(signal);
+        }
+
+        const filter = DigitalFilter.designIIR({
+            family: 'chebyshev1',
+            response: 'lowpass',
+            order: DECIMATE_IIR_ORDER,
+            ripple: DECIMATE_IIR_RIPPLE,
+            cutoff: DECIMATE_IIR_CUTOFF / (2 * factor),
+            sampleRate: 1
+        });
+        const filtered = DigitalFilter.filtfilt(filter, signal);
+        const output = new Float64Array(Math.ceil(filtered.length / factor));
+        for (let i = 0; i < output.length; i++) {
+            output[i] = filtered[i * factor];
+        }
+        return output;
+    }
+
+    /**
+     * Raise the sampling rate by an integer factor with band-limited (windowed-sinc) interpolation
+     * The original samples are kept up to the filter's passband accuracy.
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {number} factor - Interpolation factor
+     * @param {Object} options - Options for resamplePoly
+     * @returns {Float64Array} Interpolated signal of length N * factor
+     */
+    static interpolate(signal, factor, options = {}) {
+        this._validateFactor(factor, 'Interpolation');
+        return this.resamplePoly(signal, factor, 1, options);
+    }
+
+    /**
+     * Check that a resampling factor is a positive integer
+     * @private
+     */
+    static _validateFactor(factor, name) {
+        if (!Number.isInteger(factor) || factor < 1) {
+            throw new Error(`${name} factor must be a positive integer, got ${factor}`);
+        }
+    }
+
+    /**
+     * Greatest common divisor of two positive integers
+     * @private
+     */
+    static _gcd(a, b) {
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
+}
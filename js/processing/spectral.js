@@ -2,284 +2,932 @@
  * Advanced spectral analysis utilities
  */
 import { FFTProcessor } from './fft.js';
+import { WindowFunctions } from './windows.js';
+import { PhaseAnalyzer } from './phase.js';
+import { Correlator } from './correlation.js';
+import { FilterBank } from './filterbank.js';
+import { PartialTracker } from './partialTracker.js';
+import { Statistics } from '../utils/statistics.js';
+
+// Relative ripple below which a window/hop pair counts as constant-overlap-add
+const COLA_TOLERANCE = 1e-10;
+
+// Summed squared window below which samples cannot be resynthesized
+const NOLA_FLOOR = 1e-10;
+
+// Asymptotic efficiency of the median of exponentially distributed periodogram values against their mean,
+// (ln 2)^2: a median average has this fraction of the mean average's equivalent degrees of freedom
+const MEDIAN_DOF_EFFICIENCY = Math.LN2 * Math.LN2;
 
 export class SpectralAnalyzer {
-    constructor() {
+    /**
+     * @param {Object} options - Default STFT settings
+     * @param {number} options.fftSize - Frame size in samples
+     * @param {number} options.overlap - Fraction of a frame shared with the next one
+     * @param {string} options.windowType - Frame window
+     */
+    constructor(options = {}) {
         this.fftSize = 512; // Further reduced FFT size for more time points
         this.overlap = 0.9; // Higher overlap for smoother visualization and more time points
+        this.windowType = 'hanning';
+        this.setOptions(options);
     }
 
     /**
-     * Computes the power spectral density
-     * @param {Float32Array} signal - Input signal
-     * @param {number} sampleRate - Sampling rate in Hz
-     * @returns {Object} Power spectral density data
+     * Change the default STFT settings used by computeSTFT and computeSpectrogram
+     * @param {Object} options - fftSize, overlap and/or windowType
      */
-    computePSD(signal, sampleRate) {
-        const segments = this._segmentSignal(signal);
-        const windowedSegments = segments.map(seg => this._applyWindow(seg, 'hanning'));
-        const ffts = windowedSegments.map(seg => this._computeFFT(seg));
-        
-        // Average the periodograms
-        const psd = new Float32Array(this.fftSize / 2);
-        for (let i = 0; i < psd.length; i++) {
-            psd[i] = ffts.reduce((sum, fft) => sum + Math.pow(Math.abs(fft[i]), 2), 0) / ffts.length;
+    setOptions(options = {}) {
+        if (options.fftSize !== undefined) {
+            if (!(options.fftSize >= 2)) {
+                throw new Error('fftSize must be at least 2');
+            }
+            this.fftSize = Math.floor(options.fftSize);
         }
-
-        const frequencies = new Float32Array(psd.length);
-        for (let i = 0; i < frequencies.length; i++) {
-            frequencies[i] = (i * sampleRate) / this.fftSize;
+        if (options.overlap !== undefined) {
+            if (!(options.overlap >= 0 && options.overlap < 1)) {
+                throw new Error('overlap must be in [0, 1)');
+            }
+            this.overlap = options.overlap;
+        }
+        if (options.windowType !== undefined) {
+            this.windowType = options.windowType;
         }
-
-        return { frequencies, psd };
     }
 
     /**
-     * Computes the spectrogram
+     * Computes the power spectral density (Welch estimate)
      * @param {Float32Array} signal - Input signal
      * @param {number} sampleRate - Sampling rate in Hz
-     * @returns {Object} Spectrogram data
+     * @param {Object} options - Options passed to computeWelchPSD (segment length defaults to fftSize)
+     * @returns {Object} Power spectral density data
      */
-    computeSpectrogram(signal, sampleRate) {
-        if (!signal || !sampleRate) {
-            console.error('Invalid input to computeSpectrogram');
+    computePSD(signal, sampleRate, options = {}) {
+        return this.computeWelchPSD(signal, sampleRate, {
+            segmentLength: this.fftSize,
+            ...options
+        });
+    }
+
+    /**
+     * Welch power spectral density estimate with chi-squared confidence bounds
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - Estimator options
+     * @param {number} options.segmentLength - Samples per segment (clamped to the signal length)
+     * @param {number} options.overlap - Fraction of a segment shared with the next one, in [0, 1)
+     * @param {string} options.windowType - Segment window
+     * @param {Object} options.windowOptions - Window parameters (periodic by default)
+     * @param {number} options.nfft - FFT length per segment (>= segmentLength, zero-padded)
+     * @param {string} options.detrend - 'none', 'constant' (remove mean) or 'linear'
+     * @param {string} options.average - 'mean' or 'median' (bias corrected, robust to transients)
+     * @param {number} options.confidence - Confidence level of the bounds, e.g. 0.95
+     * @returns {Object} One-sided density in units²/Hz: { frequencies, psd, lower, upper, segmentLength,
+     *                   overlap, hop, nfft, segments, degreesOfFreedom, confidence, average, resolution }
+     */
+    computeWelchPSD(signal, sampleRate, options = {}) {
+        const {
+            detrend = 'constant',
+            average = 'mean',
+            confidence = 0.95
+        } = options;
+
+        if (!signal || signal.length < 2 || !sampleRate) {
+            console.error('Invalid input to computeWelchPSD');
             return null;
         }
 
         try {
-            // Convert signal to Float32Array if it isn't already
-            const signalArray = signal instanceof Float32Array ? signal : new Float32Array(signal);
-            
-            // Zero-pad signal if shorter than FFT size
-            let paddedSignal;
-            if (signalArray.length < this.fftSize) {
-                paddedSignal = new Float32Array(this.fftSize);
-                paddedSignal.set(signalArray);
-            } else {
-                paddedSignal = signalArray;
+            this._validateWelchOptions(options);
+            if (average !== 'mean' && average !== 'median') {
+                throw new Error(`Unsupported Welch averaging: ${average}`);
             }
-
-            // Use padded signal for segmentation
-            const segments = this._segmentSignal(paddedSignal);
-            if (!segments || segments.length === 0) {
-                console.error('Failed to segment signal');
-                return null;
+            if (!(confidence > 0 && confidence < 1)) {
+                throw new Error('Confidence level must be between 0 and 1');
             }
 
-            // Process segments with error handling and progress tracking
-            console.log(`Starting spectrogram computation with ${segments.length} segments`);
-            
-            let spectrogramData = [];
-            for (let i = 0; i < segments.length; i++) {
-                try {
-                    const windowed = this._applyWindow(segments[i], 'hanning');
-                    const result = FFTProcessor.computeFFT(windowed, {
-                        windowType: 'none',
-                        sampleRate: this.fftSize,
-                        peakThreshold: 0
-                    });
-
-                    if (!result || !result.magnitudes) {
-                        console.error(`FFT computation failed for segment ${i}`);
-                        continue;
-                    }
-
-                    const segment = result.magnitudes
-                        .slice(0, this.fftSize / 2)
-                        .map(magnitude => magnitude <= 1e-10 ? -100 : 20 * Math.log10(magnitude));
+            const layout = this._welchLayout(signal.length, sampleRate, options);
+            const { window, length, hop, nfft, segmentCount, bins, hasNyquist, density } = layout;
 
-                    spectrogramData.push(segment);
-                } catch (err) {
-                    console.error(`Error processing segment ${i}:`, err);
-                    continue;
+            // Periodogram of every segment, one-sided density scaling
+            const periodograms = [];
+            this._forEachWelchSegment([signal], layout, detrend, ([{ re, im }]) => {
+                const periodogram = new Float64Array(bins);
+                for (let k = 0; k < bins; k++) {
+                    periodogram[k] = density[k] * (re[k] * re[k] + im[k] * im[k]);
                 }
-            }
+                periodograms.push(periodogram);
+            });
 
-            if (spectrogramData.length === 0) {
-                console.error('No valid segments processed');
-                return null;
+            const psd = new Float64Array(bins);
+            if (average === 'median') {
+                const bias = this._medianBias(segmentCount);
+                const column = new Float64Array(segmentCount);
+                for (let k = 0; k < bins; k++) {
+                    for (let s = 0; s < segmentCount; s++) {
+                        column[s] = periodograms[s][k];
+                    }
+                    psd[k] = Statistics.median(column) / bias;
+                }
+            } else {
+                for (let k = 0; k < bins; k++) {
+                    let sum = 0;
+                    for (let s = 0; s < segmentCount; s++) {
+                        sum += periodograms[s][k];
+                    }
+                    psd[k] = sum / segmentCount;
+                }
             }
 
-            console.log(`Successfully processed ${spectrogramData.length} segments`);
+            // Confidence bounds from the equivalent degrees of freedom of the overlapped average (fewer for the
+            // median). DC and Nyquist periodogram values are real, so they carry half the degrees of freedom.
+            const dof = this._welchDegreesOfFreedom(window, hop, segmentCount) *
+                (average === 'median' ? MEDIAN_DOF_EFFICIENCY : 1);
+            const alpha = 1 - confidence;
+            const boundFactors = (nu) => ({
+                lower: nu / Statistics.chiSquaredQuantile(1 - alpha / 2, nu),
+                upper: nu / Statistics.chiSquaredQuantile(alpha / 2, nu)
+            });
+            const interior = boundFactors(dof);
+            const edge = boundFactors(dof / 2);
 
-            const timeSteps = spectrogramData.length;
-            const frequencies = new Float32Array(this.fftSize / 2);
-            for (let i = 0; i < frequencies.length; i++) {
-                frequencies[i] = (i * sampleRate) / this.fftSize;
+            const frequencies = new Float64Array(bins);
+            const lower = new Float64Array(bins);
+            const upper = new Float64Array(bins);
+            for (let k = 0; k < bins; k++) {
+                const factors = k === 0 || (hasNyquist && k === bins - 1) ? edge : interior;
+                frequencies[k] = (k * sampleRate) / nfft;
+                lower[k] = psd[k] * factors.lower;
+                upper[k] = psd[k] * factors.upper;
             }
 
+            const { enbw } = WindowFunctions.getGains(window);
+
             return {
-                data: spectrogramData,
                 frequencies,
-                timeSteps,
-                timeResolution: (this.fftSize * (1 - this.overlap)) / sampleRate
+                psd,
+                lower,
+                upper,
+                segmentLength: length,
+                overlap: (length - hop) / length,
+                hop,
+                nfft,
+                segments: segmentCount,
+                degreesOfFreedom: dof,
+                confidence,
+                average,
+                resolution: enbw * sampleRate / length
             };
         } catch (err) {
-            console.error('Error computing spectrogram:', err);
+            console.error('Error computing Welch PSD:', err);
             return null;
         }
     }
 
     /**
-     * Computes cross-correlation between two signals
-     * @param {Float32Array} signal1 - First input signal
-     * @param {Float32Array} signal2 - Second input signal
-     * @returns {Float32Array} Cross-correlation result
+     * Welch cross-spectral density S_xy = E{ conj(X) Y } of a reference x and a response y
+     * @param {Array|Float32Array} reference - Reference (input) signal x
+     * @param {Array|Float32Array} response - Response (output) signal y
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - segmentLength, overlap, windowType, windowOptions, nfft and detrend as in computeWelchPSD
+     * @returns {Object} One-sided densities in units²/Hz: { frequencies, csd: { re, im }, magnitude,
+     *                   phase (degrees, response relative to reference), psdReference, psdResponse,
+     *                   segmentLength, overlap, hop, nfft, segments, degreesOfFreedom }
      */
-    computeCrossCorrelation(signal1, signal2) {
-        const n = signal1.length;
-        const result = new Float32Array(2 * n - 1);
-        
-        for (let lag = -n + 1; lag < n; lag++) {
-            let sum = 0;
-            for (let i = 0; i < n; i++) {
-                if (i - lag >= 0 && i - lag < n) {
-                    sum += signal1[i] * signal2[i - lag];
+    computeCSD(reference, response, sampleRate, options = {}) {
+        const { detrend = 'constant' } = options;
+
+        if (!reference || !response || !sampleRate) {
+            console.error('Invalid input to computeCSD');
+            return null;
+        }
+
+        const signalLength = Math.min(reference.length, response.length);
+        if (signalLength < 2) {
+            console.error('computeCSD needs at least two samples in each channel');
+            return null;
+        }
+        if (reference.length !== response.length) {
+            console.warn(`Channel lengths differ (${reference.length} vs ${response.length}), using the first ${signalLength} samples`);
+        }
+
+        try {
+            this._validateWelchOptions(options);
+            const layout = this._welchLayout(signalLength, sampleRate, options);
+            const { window, length, hop, nfft, segmentCount, bins, density } = layout;
+
+            const sxx = new Float64Array(bins);
+            const syy = new Float64Array(bins);
+            const sxyRe = new Float64Array(bins);
+            const sxyIm = new Float64Array(bins);
+            const channels = [reference, response].map(signal =>
+                signal.length === signalLength ? signal : signal.slice(0, signalLength));
+
+            this._forEachWelchSegment(channels, layout, detrend, ([X, Y]) => {
+                for (let k = 0; k < bins; k++) {
+                    sxx[k] += X.re[k] * X.re[k] + X.im[k] * X.im[k];
+                    syy[k] += Y.re[k] * Y.re[k] + Y.im[k] * Y.im[k];
+                    sxyRe[k] += X.re[k] * Y.re[k] + X.im[k] * Y.im[k];
+                    sxyIm[k] += X.re[k] * Y.im[k] - X.im[k] * Y.re[k];
                 }
+            });
+
+            const frequencies = new Float64Array(bins);
+            const magnitude = new Float64Array(bins);
+            const phase = new Float64Array(bins);
+            for (let k = 0; k < bins; k++) {
+                const scale = density[k] / segmentCount;
+                sxx[k] *= scale;
+                syy[k] *= scale;
+                sxyRe[k] *= scale;
+                sxyIm[k] *= scale;
+                frequencies[k] = (k * sampleRate) / nfft;
+                magnitude[k] = Math.hypot(sxyRe[k], sxyIm[k]);
+                phase[k] = Math.atan2(sxyIm[k], sxyRe[k]) * 180 / Math.PI;
             }
-            result[lag + n - 1] = sum;
+
+            return {
+                frequencies,
+                csd: { re: sxyRe, im: sxyIm },
+                magnitude,
+                phase,
+                psdReference: sxx,
+                psdResponse: syy,
+                segmentLength: length,
+                overlap: (length - hop) / length,
+                hop,
+                nfft,
+                segments: segmentCount,
+                degreesOfFreedom: this._welchDegreesOfFreedom(window, hop, segmentCount)
+            };
+        } catch (err) {
+            console.error('Error computing cross-spectral density:', err);
+            return null;
         }
-        
-        return result;
     }
 
     /**
-     * Computes group delay
-     * @param {Float32Array} signal - Input signal
+     * Magnitude-squared coherence |S_xy|² / (S_xx S_yy) and cross-phase between two channels
+     * @param {Array|Float32Array} reference - Reference (input) signal x
+     * @param {Array|Float32Array} response - Response (output) signal y
      * @param {number} sampleRate - Sampling rate in Hz
-     * @returns {Object} Group delay data
+     * @param {Object} options - Welch options as in computeCSD, plus confidence
+     * @param {number} options.confidence - Level of the significance threshold, e.g. 0.95
+     * @returns {Object} computeCSD result plus coherence, crossPhase (degrees) and significance: the
+     *                   coherence that uncorrelated channels exceed with probability 1 - confidence
      */
-    computeGroupDelay(signal, sampleRate) {
-        try {
-            if (!signal || !sampleRate) {
-                console.error('Invalid input to computeGroupDelay');
-                return null;
+    computeCoherence(reference, response, sampleRate, options = {}) {
+        const { confidence = 0.95 } = options;
+        if (!(confidence > 0 && confidence < 1)) {
+            console.error('Confidence level must be between 0 and 1');
+            return null;
+        }
+
+        const spectra = this.computeCSD(reference, response, sampleRate, options);
+        if (!spectra) return null;
+
+        const { psdReference, psdResponse, magnitude, phase } = spectra;
+        const coherence = new Float64Array(magnitude.length);
+        for (let k = 0; k < coherence.length; k++) {
+            const denominator = psdReference[k] * psdResponse[k];
+            coherence[k] = denominator > 0 ? Math.min(1, magnitude[k] * magnitude[k] / denominator) : 0;
+        }
+
+        // Null distribution of the coherence estimate for n independent averages: P(C > c) = (1 - c)^(n - 1),
+        // with n taken as half the equivalent degrees of freedom of the overlapped average
+        const averages = Math.max(2, spectra.degreesOfFreedom / 2);
+        const significance = 1 - Math.pow(1 - confidence, 1 / (averages - 1));
+
+        return {
+            ...spectra,
+            coherence,
+            crossPhase: phase,
+            significance,
+            confidence
+        };
+    }
+
+    /**
+     * Frequency response function estimates between an excitation and a response
+     * H1 = S_xy / S_xx (noise on the response), H2 = S_yy / S_yx (noise on the excitation) and
+     * Hv, the total-least-squares estimate between them. Confidence bounds use the coherence:
+     * |H - Ĥ|² <= 2 / (n - 2) * F(2, 2n - 4) * (1 - γ²) / γ² * |Ĥ|² for n independent averages.
+     * @param {Array|Float32Array} excitation - Excitation (input) signal x
+     * @param {Array|Float32Array} response - Response (output) signal y
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - Welch options as in computeCSD, plus confidence
+     * @param {number} options.confidence - Confidence level of the bounds, e.g. 0.95
+     * @returns {Object} { frequencies, h1, h2, hv, coherence, significance, confidence, relativeError,
+     *                   segments, segmentLength, degreesOfFreedom }; each estimator holds re, im,
+     *                   magnitude, magnitudeDb, phase, unwrappedPhase (degrees, NaN where the coherence
+     *                   is not significant), magnitudeLower, magnitudeUpper and phaseError (degrees)
+     */
+    computeTransferFunction(excitation, response, sampleRate, options = {}) {
+        const spectra = this.computeCoherence(excitation, response, sampleRate, options);
+        if (!spectra) return null;
+
+        const { frequencies, csd, psdReference: sxx, psdResponse: syy, coherence, significance, confidence } = spectra;
+        const bins = frequencies.length;
+
+        // Relative radius of the confidence circle around each estimate
+        const averages = spectra.degreesOfFreedom / 2;
+        const relativeError = new Float64Array(bins).fill(Infinity);
+        if (averages > 2) {
+            const m = 2 * averages - 4;
+            const fQuantile = (m / 2) * (Math.pow(1 - confidence, -2 / m) - 1);
+            for (let k = 0; k < bins; k++) {
+                if (coherence[k] > 0) {
+                    relativeError[k] = Math.sqrt(2 / (averages - 2) * fQuantile * (1 - coherence[k]) / coherence[k]);
+                }
             }
+        }
 
-            const fft = this._computeFFT(signal);
-            if (!fft) {
-                console.error('FFT computation failed in computeGroupDelay');
-                return null;
+        const mask = Array.from(coherence, c => c > significance);
+        const estimator = (re, im) => {
+            const magnitude = new Float64Array(bins);
+            const phase = new Float64Array(bins);
+            const magnitudeLower = new Float64Array(bins);
+            const magnitudeUpper = new Float64Array(bins);
+            const phaseError = new Float64Array(bins);
+            for (let k = 0; k < bins; k++) {
+                magnitude[k] = Math.hypot(re[k], im[k]);
+                phase[k] = Math.atan2(im[k], re[k]) * 180 / Math.PI;
+                const radius = relativeError[k] * magnitude[k];
+                magnitudeLower[k] = Math.max(0, magnitude[k] - radius);
+                magnitudeUpper[k] = magnitude[k] + radius;
+                phaseError[k] = relativeError[k] < 1 ? Math.asin(relativeError[k]) * 180 / Math.PI : 180;
             }
+            return {
+                re,
+                im,
+                magnitude,
+                magnitudeDb: magnitude.map(m => m > 0 ? 20 * Math.log10(m) : -300),
+                phase,
+                unwrappedPhase: PhaseAnalyzer.unwrap(phase, { mask, period: 360 }),
+                magnitudeLower,
+                magnitudeUpper,
+                phaseError
+            };
+        };
 
-            // Check if FFT result has complex components
-            if (!fft.some(val => val.hasOwnProperty('imag') && val.hasOwnProperty('real'))) {
-                console.error('FFT result missing complex components');
-                return null;
+        const h1Re = new Float64Array(bins);
+        const h1Im = new Float64Array(bins);
+        const h2Re = new Float64Array(bins);
+        const h2Im = new Float64Array(bins);
+        const hvRe = new Float64Array(bins);
+        const hvIm = new Float64Array(bins);
+        for (let k = 0; k < bins; k++) {
+            const a = csd.re[k];
+            const b = csd.im[k];
+            const crossPower = a * a + b * b;
+            if (sxx[k] > 0) {
+                h1Re[k] = a / sxx[k];
+                h1Im[k] = b / sxx[k];
             }
+            if (crossPower > 0) {
+                // S_yy / conj(S_xy) = S_yy * S_xy / |S_xy|²
+                h2Re[k] = syy[k] * a / crossPower;
+                h2Im[k] = syy[k] * b / crossPower;
 
-            const phase = fft.map(c => Math.atan2(c.imag, c.real));
-            const groupDelay = new Float32Array(phase.length - 1);
-            
-            for (let i = 0; i < groupDelay.length; i++) {
-                groupDelay[i] = -(phase[i + 1] - phase[i]) /
-                               ((2 * Math.PI * sampleRate) / this.fftSize);
+                const crossMagnitude = Math.sqrt(crossPower);
+                const difference = syy[k] - sxx[k];
+                const hvMagnitude = (difference + Math.sqrt(difference * difference + 4 * crossPower)) / (2 * crossMagnitude);
+                hvRe[k] = hvMagnitude * a / crossMagnitude;
+                hvIm[k] = hvMagnitude * b / crossMagnitude;
             }
+        }
+
+        return {
+            frequencies,
+            h1: estimator(h1Re, h1Im),
+            h2: estimator(h2Re, h2Im),
+            hv: estimator(hvRe, hvIm),
+            coherence,
+            significance,
+            confidence,
+            relativeError,
+            segments: spectra.segments,
+            segmentLength: spectra.segmentLength,
+            degreesOfFreedom: spectra.degreesOfFreedom
+        };
+    }
+
+    /**
+     * Short-time Fourier transform
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - STFT options (defaults come from the analyzer settings)
+     * @param {number} options.frameSize - Samples per frame
+     * @param {number} options.hop - Samples between frame starts
+     * @param {string} options.windowType - Frame window
+     * @param {Object} options.windowOptions - Window parameters (periodic by default)
+     * @param {number} options.nfft - FFT length per frame (>= frameSize, zero-padded)
+     * @param {boolean} options.center - Pad frameSize/2 zeros at both ends so frame m is centred on m * hop
+     * @returns {Object} { re, im } matrices indexed [frame][bin] (unscaled DFT), frequencies, times
+     *                   (frame centres in seconds), window, frameSize, hop, nfft, center, sampleRate,
+     *                   signalLength and the overlap-add check from checkCOLA
+     */
+    computeSTFT(signal, sampleRate, options = {}) {
+        const {
+            frameSize = this.fftSize,
+            hop = Math.max(1, Math.round(frameSize * (1 - this.overlap))),
+            windowType = this.windowType,
+            windowOptions = {},
+            center = true
+        } = options;
+        const nfft = Math.max(frameSize, Math.floor(options.nfft || frameSize));
+
+        if (!signal || signal.length === 0 || !sampleRate) {
+            throw new Error('computeSTFT requires a non-empty signal and a sample rate');
+        }
+        if (!(frameSize >= 2) || !(hop >= 1) || hop > frameSize) {
+            throw new Error('STFT needs frameSize >= 2 and 1 <= hop <= frameSize');
+        }
+
+        const resolvedWindowOptions = { periodic: true, ...windowOptions };
+        const window = WindowFunctions.generate(windowType, frameSize, resolvedWindowOptions);
+        const padding = center ? Math.floor(frameSize / 2) : 0;
+        const paddedLength = signal.length + 2 * padding;
+
+        // Enough frames to cover every sample; samples past the end read as zeros
+        const frameCount = Math.max(1, Math.ceil(Math.max(0, paddedLength - frameSize) / hop) + 1);
+        const bins = Math.floor(nfft / 2) + 1;
 
-            const frequencies = new Float32Array(groupDelay.length);
-            for (let i = 0; i < frequencies.length; i++) {
-                frequencies[i] = (i * sampleRate) / this.fftSize;
+        const re = new Array(frameCount);
+        const im = new Array(frameCount);
+        const times = new Float64Array(frameCount);
+        const buffer = new Float64Array(nfft);
+
+        for (let m = 0; m < frameCount; m++) {
+            const start = m * hop - padding;
+            buffer.fill(0);
+            for (let i = 0; i < frameSize; i++) {
+                const index = start + i;
+                if (index >= 0 && index < signal.length) {
+                    const value = signal[index];
+                    buffer[i] = isFinite(value) ? value * window[i] : 0;
+                }
             }
+            const spectrum = FFTProcessor.realTransform(buffer);
+            re[m] = spectrum.re.slice(0, bins);
+            im[m] = spectrum.im.slice(0, bins);
+            times[m] = (start + frameSize / 2) / sampleRate;
+        }
+
+        const frequencies = new Float64Array(bins);
+        for (let k = 0; k < bins; k++) {
+            frequencies[k] = (k * sampleRate) / nfft;
+        }
+
+        return {
+            re,
+            im,
+            frequencies,
+            times,
+            window,
+            windowType,
+            windowOptions: resolvedWindowOptions,
+            frameSize,
+            hop,
+            nfft,
+            center,
+            sampleRate,
+            signalLength: signal.length,
+            cola: this.checkCOLA(window, hop)
+        };
+    }
+
+    /**
+     * Inverse short-time Fourier transform by weighted overlap-add
+     * Each frame is inverse transformed, multiplied by the analysis window again and
+     * overlap-added; dividing by the summed squared windows makes the round trip exact
+     * whenever the window satisfies the NOLA condition. Samples no window covers (e.g. the
+     * first sample of an uncentred STFT with a periodic Hann window) are returned as NaN.
+     * @param {Object} stft - Result of computeSTFT (its re/im matrices may have been modified)
+     * @param {Object} options - Resynthesis options
+     * @param {number} options.length - Output length in samples (defaults to the analysed signal length)
+     * @returns {Float64Array} Resynthesized signal
+     */
+    computeISTFT(stft, options = {}) {
+        const { re, im, window, frameSize, hop, nfft, center } = stft;
+        const length = options.length ?? stft.signalLength;
+        if (!re || !im || re.length !== im.length || !window) {
+            throw new Error('computeISTFT requires an STFT result from computeSTFT');
+        }
+
+        const padding = center ? Math.floor(frameSize / 2) : 0;
+        const frameCount = re.length;
+        const totalLength = (frameCount - 1) * hop + frameSize;
+        const output = new Float64Array(totalLength);
+        const normalization = new Float64Array(totalLength);
+
+        for (let m = 0; m < frameCount; m++) {
+            const full = FFTProcessor.expandHermitian(re[m], im[m], nfft);
+            const frame = FFTProcessor.ifft(full.re, full.im).re;
+            const offset = m * hop;
+            for (let i = 0; i < frameSize; i++) {
+                output[offset + i] += frame[i] * window[i];
+                normalization[offset + i] += window[i] * window[i];
+            }
+        }
+
+        const signal = new Float64Array(length);
+        for (let i = 0; i < length; i++) {
+            const index = i + padding;
+            const weight = index < totalLength ? normalization[index] : 0;
+            signal[i] = weight > NOLA_FLOOR ? output[index] / weight : NaN;
+        }
+        return signal;
+    }
+
+    /**
+     * Check the overlap-add conditions of a window at a given hop
+     * COLA (sum of shifted windows is constant) makes plain overlap-add of the frames reproduce
+     * the signal; NOLA (sum of shifted squared windows never vanishes) is what computeISTFT needs.
+     * @param {Float64Array} window - Frame window
+     * @param {number} hop - Samples between frame starts
+     * @returns {Object} { cola, nola, colaDeviation (relative peak-to-peak ripple), colaGain }
+     */
+    checkCOLA(window, hop) {
+        const frameSize = window.length;
+        let min = Infinity;
+        let max = -Infinity;
+        let minSquared = Infinity;
+
+        // The shifted sums are periodic in the hop, so one period describes them all
+        for (let n = 0; n < hop; n++) {
+            let sum = 0;
+            let sumSquared = 0;
+            for (let i = n; i < frameSize; i += hop) {
+                sum += window[i];
+                sumSquared += window[i] * window[i];
+            }
+            min = Math.min(min, sum);
+            max = Math.max(max, sum);
+            minSquared = Math.min(minSquared, sumSquared);
+        }
+
+        const colaGain = 0.5 * (min + max);
+        const colaDeviation = colaGain !== 0 ? (max - min) / Math.abs(colaGain) : Infinity;
+        return {
+            cola: colaDeviation < COLA_TOLERANCE,
+            nola: minSquared > NOLA_FLOOR,
+            colaDeviation,
+            colaGain
+        };
+    }
+
+    /**
+     * Computes the spectrogram
+     * @param {Float32Array} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - STFT options (see computeSTFT)
+     * @returns {Object} Spectrogram data: dB matrix indexed [frame][bin], frequencies, frame times and STFT layout
+     */
+    computeSpectrogram(signal, sampleRate, options = {}) {
+        if (!signal || !sampleRate) {
+            console.error('Invalid input to computeSpectrogram');
+            return null;
+        }
+
+        try {
+            const stft = this.computeSTFT(signal, sampleRate, options);
+            const { re, im, frameSize, hop, nfft } = stft;
 
-            return { frequencies, groupDelay };
+            const data = re.map((frameRe, m) => {
+                const frameIm = im[m];
+                const segment = new Array(frameRe.length);
+                for (let k = 0; k < frameRe.length; k++) {
+                    const magnitude = Math.sqrt(frameRe[k] * frameRe[k] + frameIm[k] * frameIm[k]) / frameSize;
+                    segment[k] = magnitude <= 1e-10 ? -100 : 20 * Math.log10(magnitude);
+                }
+                return segment;
+            });
+
+            return {
+                data,
+                frequencies: stft.frequencies,
+                times: stft.times,
+                timeSteps: data.length,
+                timeResolution: hop / sampleRate,
+                frameSize,
+                hop,
+                nfft,
+                cola: stft.cola
+            };
         } catch (err) {
-            console.error('Error computing group delay:', err);
+            console.error('Error computing spectrogram:', err);
             return null;
         }
     }
 
-    // Private helper methods
-    _segmentSignal(signal) {
+    /**
+     * Mel spectrogram: STFT power summed through a triangular mel filter bank
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - STFT options (see computeSTFT) and mel bank options (see FilterBank.melFilters):
+     *                           bands, minFrequency, maxFrequency, normalize
+     * @returns {Object} { data (dB, [frame][band]), power, frequencies (band centres), edges, times, bands, empty,
+     *                   scale: 'mel' } and the STFT layout
+     */
+    computeMelSpectrogram(signal, sampleRate, options = {}) {
+        if (!signal || !sampleRate) {
+            console.error('Invalid input to computeMelSpectrogram');
+            return null;
+        }
+
         try {
-            const segmentSize = this.fftSize;
-            const hopSize = Math.max(1, Math.floor(segmentSize * (1 - this.overlap)));
-            const segments = [];
-            
-            console.log(`Segmenting signal: length=${signal.length}, segmentSize=${segmentSize}, hopSize=${hopSize}`);
-            
-            if (signal.length <= segmentSize) {
-                // For very short signals, create overlapped copies
-                const numSegments = Math.max(10, Math.floor(signal.length / hopSize));
-                for (let i = 0; i < numSegments; i++) {
-                    const segment = new Float32Array(segmentSize);
-                    const start = Math.min(Math.max(0, i * hopSize), signal.length - 1);
-                    segment.set(signal.slice(start));
-                    segments.push(segment);
-                }
-            } else {
-                // For longer signals, use sliding window with high overlap
-                for (let i = 0; i < signal.length - hopSize; i += hopSize) {
-                    const segment = new Float32Array(segmentSize);
-                    const end = Math.min(i + segmentSize, signal.length);
-                    const data = signal.slice(i, end);
-                    segment.set(data);
-                    segments.push(segment);
-                }
-            }
-            
-            console.log(`Created ${segments.length} segments of size ${segmentSize}`);
-            return segments;
+            const stft = this.computeSTFT(signal, sampleRate, options);
+            const bank = FilterBank.melFilters(stft.nfft, sampleRate, options);
+            const power = FilterBank.apply(stft, bank);
+            return {
+                data: FilterBank.toDecibels(power),
+                power,
+                frequencies: bank.frequencies,
+                edges: bank.edges,
+                bands: bank.filters.length,
+                empty: bank.empty,
+                scale: bank.scale,
+                ...this._filterBankLayout(stft)
+            };
         } catch (err) {
-            console.error('Error in signal segmentation:', err);
-            return [signal]; // Return original signal as fallback
+            console.error('Error computing mel spectrogram:', err);
+            return null;
         }
     }
 
-    _applyWindow(segment, windowType) {
-        const windowed = new Float32Array(segment.length);
-        
-        for (let i = 0; i < segment.length; i++) {
-            let windowValue;
-            switch (windowType) {
-                case 'hanning':
-                    windowValue = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (segment.length - 1)));
-                    break;
-                // Add other window types as needed
-                default:
-                    windowValue = 1;
-            }
-            windowed[i] = segment[i] * windowValue;
+    /**
+     * Constant-Q spectrogram: STFT power summed through log-spaced kernels of constant relative bandwidth
+     * Low bins are only constant-Q when the frame is long enough: a bin needs frameSize >= Q sampleRate / f_k,
+     * and bins below that are reported as unresolved.
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - STFT options (see computeSTFT) and constant-Q options (see
+     *                           FilterBank.constantQFilters): binsPerOctave, minFrequency, maxFrequency
+     * @returns {Object} { data (dB, [frame][bin]), power, frequencies (bin centres), times, binsPerOctave, q,
+     *                   unresolved, scale: 'log' } and the STFT layout
+     */
+    computeConstantQSpectrogram(signal, sampleRate, options = {}) {
+        if (!signal || !sampleRate) {
+            console.error('Invalid input to computeConstantQSpectrogram');
+            return null;
+        }
+
+        try {
+            const stft = this.computeSTFT(signal, sampleRate, options);
+            const bank = FilterBank.constantQFilters(stft.nfft, sampleRate, options);
+            const power = FilterBank.apply(stft, bank);
+            return {
+                data: FilterBank.toDecibels(power),
+                power,
+                frequencies: bank.frequencies,
+                binsPerOctave: options.binsPerOctave ?? Math.round(1 / Math.log2(1 + 1 / bank.q)),
+                q: bank.q,
+                unresolved: bank.unresolved,
+                scale: bank.scale,
+                ...this._filterBankLayout(stft)
+            };
+        } catch (err) {
+            console.error('Error computing constant-Q spectrogram:', err);
+            return null;
         }
-        
-        return windowed;
     }
 
-    _computeFFT(signal) {
+    /**
+     * Mel-frequency cepstral coefficients per STFT frame
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - Options of computeMelSpectrogram plus coefficients (default 13, c_0 included)
+     *                           and lifter (see FilterBank.mfcc)
+     * @returns {Object} { coefficients ([frame][n]), mel (the computeMelSpectrogram result), times, count }
+     */
+    computeMFCC(signal, sampleRate, options = {}) {
+        const mel = this.computeMelSpectrogram(signal, sampleRate, options);
+        if (!mel) {
+            return null;
+        }
+
         try {
-            if (!signal || signal.length === 0) {
-                console.error('Invalid signal provided to FFT');
-                return null;
-            }
+            const coefficients = FilterBank.mfcc(mel.power, options);
+            return {
+                coefficients,
+                mel,
+                times: mel.times,
+                count: coefficients.length > 0 ? coefficients[0].length : 0
+            };
+        } catch (err) {
+            console.error('Error computing MFCCs:', err);
+            return null;
+        }
+    }
 
-            if (!(signal instanceof Float32Array)) {
-                signal = new Float32Array(signal);
-            }
+    /**
+     * Tracks spectral peaks through the STFT frames (see PartialTracker.track)
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - STFT options (see computeSTFT) and tracking options (see PartialTracker.track)
+     * @returns {Object} Partial tracks with their frame times and linking limits
+     */
+    computePartialTracks(signal, sampleRate, options = {}) {
+        if (!signal || !sampleRate) {
+            console.error('Invalid input to computePartialTracks');
+            return null;
+        }
+
+        try {
+            const stft = this.computeSTFT(signal, sampleRate, options);
+            return PartialTracker.track(stft, options);
+        } catch (err) {
+            console.error('Error tracking partials:', err);
+            return null;
+        }
+    }
 
-            const result = FFTProcessor.computeFFT(signal, {
-                windowType: 'none',
-                sampleRate: this.fftSize,
-                peakThreshold: 0
+    /**
+     * Computes cross-correlation between two signals (FFT based, see Correlator.crossCorrelate)
+     * @param {Float32Array} signal1 - First input signal
+     * @param {Float32Array} signal2 - Second input signal
+     * @param {Object} options - sampleRate, scaling, weighting, maxLag, removeMean
+     * @returns {Object} Correlation with lag axis and delay estimate
+     */
+    computeCrossCorrelation(signal1, signal2, options = {}) {
+        try {
+            return Correlator.crossCorrelate(signal1, signal2, options);
+        } catch (err) {
+            console.error('Error computing cross-correlation:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Computes the autocorrelation of a signal (FFT based, see Correlator.autoCorrelate)
+     * @param {Float32Array} signal - Input signal
+     * @param {Object} options - sampleRate, scaling, weighting, maxLag, removeMean
+     * @returns {Object} Correlation with lag axis
+     */
+    computeAutoCorrelation(signal, options = {}) {
+        try {
+            return Correlator.autoCorrelate(signal, options);
+        } catch (err) {
+            console.error('Error computing autocorrelation:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Computes group delay, phase delay and the unwrapped phase (see PhaseAnalyzer.analyze)
+     * @param {Float32Array} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - Phase analysis options (gateDb, fftLength)
+     * @returns {Object} Phase data with groupDelay and phaseDelay in seconds
+     */
+    computeGroupDelay(signal, sampleRate, options = {}) {
+        if (!signal || !sampleRate) {
+            console.error('Invalid input to computeGroupDelay');
+            return null;
+        }
+        return PhaseAnalyzer.analyze(signal, sampleRate, options);
+    }
+
+    // Private helper methods
+    _validateWelchOptions(options) {
+        const { overlap = 0.5, detrend = 'constant' } = options;
+        if (!(overlap >= 0 && overlap < 1)) {
+            throw new Error('Welch overlap must be in [0, 1)');
+        }
+        if (!['none', 'constant', 'linear'].includes(detrend)) {
+            throw new Error(`Unsupported detrend type: ${detrend}`);
+        }
+    }
+
+    _filterBankLayout(stft) {
+        return {
+            times: stft.times,
+            timeSteps: stft.times.length,
+            timeResolution: stft.hop / stft.sampleRate,
+            frameSize: stft.frameSize,
+            hop: stft.hop,
+            nfft: stft.nfft
+        };
+    }
+
+    _welchLayout(signalLength, sampleRate, options) {
+        const {
+            segmentLength = 256,
+            overlap = 0.5,
+            windowType = 'hanning',
+            windowOptions = {}
+        } = options;
+
+        let length = Math.floor(segmentLength);
+        if (length > signalLength) {
+            console.warn(`Welch segment length ${length} exceeds signal length, using ${signalLength}`);
+            length = signalLength;
+        }
+        length = Math.max(2, length);
+        const nfft = Math.max(length, Math.floor(options.nfft || length));
+        const hop = Math.max(1, length - Math.round(overlap * length));
+        const segmentCount = Math.floor((signalLength - length) / hop) + 1;
+
+        // Periodic (DFT-even) by default, as in computeSTFT
+        const window = WindowFunctions.generate(windowType, length, { periodic: true, ...windowOptions });
+        let sumOfSquares = 0;
+        for (let i = 0; i < length; i++) {
+            sumOfSquares += window[i] * window[i];
+        }
+
+        // One-sided density scale per bin: DC and Nyquist are not doubled
+        const bins = Math.floor(nfft / 2) + 1;
+        const hasNyquist = nfft % 2 === 0;
+        const density = new Float64Array(bins);
+        for (let k = 0; k < bins; k++) {
+            const edge = k === 0 || (hasNyquist && k === bins - 1);
+            density[k] = (edge ? 1 : 2) / (sampleRate * sumOfSquares);
+        }
+
+        return { window, length, hop, nfft, segmentCount, bins, hasNyquist, density };
+    }
+
+    _forEachWelchSegment(signals, layout, detrend, callback) {
+        const { window, length, hop, nfft, segmentCount } = layout;
+        const buffer = new Float64Array(nfft);
+        for (let s = 0; s < segmentCount; s++) {
+            const spectra = signals.map(signal => {
+                const segment = this._detrend(signal, s * hop, length, detrend);
+                buffer.fill(0);
+                for (let i = 0; i < length; i++) {
+                    buffer[i] = segment[i] * window[i];
+                }
+                return FFTProcessor.realTransform(buffer);
             });
+            callback(spectra, s);
+        }
+    }
 
-            if (!result || !result.magnitudes) {
-                console.error('FFT computation failed to return magnitudes');
-                return null;
+    _detrend(signal, start, length, type) {
+        const segment = new Float64Array(length);
+        for (let i = 0; i < length; i++) {
+            const value = signal[start + i];
+            segment[i] = isFinite(value) ? value : 0;
+        }
+        if (type === 'none') {
+            return segment;
+        }
+
+        let mean = 0;
+        for (let i = 0; i < length; i++) {
+            mean += segment[i];
+        }
+        mean /= length;
+
+        if (type === 'constant') {
+            for (let i = 0; i < length; i++) {
+                segment[i] -= mean;
             }
+            return segment;
+        }
+        // Least-squares line about the segment centre
+        const center = (length - 1) / 2;
+        let numerator = 0;
+        let denominator = 0;
+        for (let i = 0; i < length; i++) {
+            numerator += (i - center) * (segment[i] - mean);
+            denominator += (i - center) * (i - center);
+        }
+        const slope = denominator > 0 ? numerator / denominator : 0;
+        for (let i = 0; i < length; i++) {
+            segment[i] -= mean + slope * (i - center);
+        }
+        return segment;
+    }
 
-            // For spectrogram, we need complex values
-            const complexResult = [];
-            for(let i = 0; i < result.magnitudes.length; i++) {
-                const mag = result.magnitudes[i];
-                const phase = result.phases[i] * Math.PI / 180; // Convert degrees to radians
-                complexResult.push({
-                    real: mag * Math.cos(phase),
-                    imag: mag * Math.sin(phase)
-                });
+    _medianBias(count) {
+        // Ratio of the median to the mean of chi-squared(2) samples, as used by scipy.signal.welch
+        let bias = 1;
+        for (let i = 2; i <= count - 1; i += 2) {
+            bias += 1 / (i + 1) - 1 / i;
+        }
+        return bias;
+    }
+
+    _welchDegreesOfFreedom(window, hop, segmentCount) {
+        // Welch (1967): nu = 2K / (1 + 2 * sum_j (1 - j/K) * rho(j)^2), rho = window overlap correlation
+        const length = window.length;
+        let energy = 0;
+        for (let i = 0; i < length; i++) {
+            energy += window[i] * window[i];
+        }
+
+        let correlationSum = 0;
+        for (let j = 1; j < segmentCount && j * hop < length; j++) {
+            const shift = j * hop;
+            let overlapSum = 0;
+            for (let i = 0; i + shift < length; i++) {
+                overlapSum += window[i] * window[i + shift];
             }
-            return complexResult;
-        } catch (err) {
-            console.error('Error in FFT computation:', err);
-            return null;
+            const rho = overlapSum / energy;
+            correlationSum += (1 - j / segmentCount) * rho * rho;
         }
+        return 2 * segmentCount / (1 + 2 * correlationSum);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,200 @@
+/**
+ * Wavelet Module
+ * Continuous wavelet transform (Morlet, Mexican hat, Paul) on log-spaced scales, computed by FFT
+ * convolution, with the cone of influence
+ */
+import { FFTProcessor } from './fft.js';
+
+// Default Morlet centre frequency (rad per unit scale) and Paul order
+const DEFAULT_MORLET_OMEGA0 = 6;
+const DEFAULT_PAUL_ORDER = 4;
+
+// Default scale density and frequency range (as fractions of the sample rate / cycles per record)
+const DEFAULT_VOICES_PER_OCTAVE = 12;
+const DEFAULT_MAX_FREQUENCY_FRACTION = 0.4;
+const DEFAULT_MIN_CYCLES = 4;
+
+// Level reported for (near) zero coefficients in the dB matrix
+const DB_FLOOR = -300;
+
+export class WaveletTransform {
+    /**
+     * Supported mother wavelets
+     * @returns {Array} Wavelet identifiers
+     */
+    static get wavelets() {
+        return ['morlet', 'mexican-hat', 'paul'];
+    }
+
+    /**
+     * Continuous wavelet transform
+     * Each scale s is applied as a filter ψ̂(sω) on the signal's spectrum (Torrence & Compo, 1998), with the
+     * filter scaled so that a sinusoid of amplitude A at the scale's frequency gives |W| = A. The frequency of
+     * a scale is the one the wavelet responds to most, so the rows read directly as frequency. Morlet and
+     * Paul are analytic (complex, positive frequencies only); the Mexican hat is real, so its magnitude
+     * follows the oscillation of the signal. The signal mean is removed and the record zero-padded to
+     * avoid wrap-around; coefficients outside the cone of influence are affected by the record edges.
+     * @param {Array|Float32Array} signal - Input signal
+     * @param {number} sampleRate - Sampling rate in Hz
+     * @param {Object} options - Options
+     * @param {string} options.wavelet - 'morlet', 'mexican-hat' or 'paul'
+     * @param {number} options.omega0 - Morlet centre frequency (default 6)
+     * @param {number} options.order - Paul order (default 4)
+     * @param {number} options.minFrequency - Lowest analysis frequency in Hz (default: 4 cycles per record)
+     * @param {number} options.maxFrequency - Highest analysis frequency in Hz (default 0.4 x sample rate)
+     * @param {number} options.voicesPerOctave - Scales per octave (default 12)
+     * @param {number} options.step - Keep every step-th time sample (default 1)
+     * @returns {Object} { magnitude ([scale][time], lowest frequency first), frequencies, scales (s), times (s),
+     *                   coi (per time: frequency below which the edges interfere), wavelet, voicesPerOctave,
+     *                   step, sampleRate }
+     */
+    static transform(signal, sampleRate, options = {}) {
+        const {
+            wavelet = 'morlet',
+            voicesPerOctave = DEFAULT_VOICES_PER_OCTAVE
+        } = options;
+        const n = signal ? signal.length : 0;
+        if (n < 4) {
+            throw new Error('The wavelet transform needs at least 4 samples');
+        }
+        if (!(sampleRate > 0)) {
+            throw new Error('Invalid sample rate');
+        }
+        if (!this.wavelets.includes(wavelet)) {
+            throw new Error(`Unsupported wavelet: ${wavelet}`);
+        }
+        if (!(voicesPerOctave >= 1)) {
+            throw new Error('At least one voice per octave is needed');
+        }
+
+        const shape = this._shape(wavelet, options);
+        const maxFrequency = Math.min(options.maxFrequency || DEFAULT_MAX_FREQUENCY_FRACTION * sampleRate, sampleRate / 2);
+        const minFrequency = options.minFrequency || (DEFAULT_MIN_CYCLES * sampleRate) / n;
+        if (!(minFrequency > 0) || !(maxFrequency > minFrequency)) {
+            throw new Error('The frequency range needs 0 < minimum < maximum <= Nyquist');
+        }
+        const step = Math.max(1, Math.floor(options.step || 1));
+
+        // Log-spaced frequencies, lowest first, and the matching scales
+        const count = Math.floor(voicesPerOctave * Math.log2(maxFrequency / minFrequency)) + 1;
+        const frequencies = Float64Array.from({ length: count },
+            (_, j) => minFrequency * Math.pow(2, j / voicesPerOctave));
+        const scales = frequencies.map(f => shape.peak / (2 * Math.PI * f));
+
+        // Spectrum of the mean-removed, zero-padded signal
+        const length = FFTProcessor.nextPowerOf2(2 * n);
+        let mean = 0;
+        let valid = 0;
+        for (let i = 0; i < n; i++) {
+            if (isFinite(signal[i])) {
+                mean += signal[i];
+                valid++;
+            }
+        }
+        mean = valid > 0 ? mean / valid : 0;
+        const padded = new Float64Array(length);
+        for (let i = 0; i < n; i++) {
+            padded[i] = isFinite(signal[i]) ? signal[i] - mean : 0;
+        }
+        const half = FFTProcessor.realTransform(padded);
+        const spectrum = FFTProcessor.expandHermitian(half.re, half.im, length);
+
+        // Angular frequency of each bin, negative above Nyquist
+        const omega = Float64Array.from({ length },
+            (_, k) => (2 * Math.PI * sampleRate * (k <= length / 2 ? k : k - length)) / length);
+
+        const outputs = Math.ceil(n / step);
+        const filteredRe = new Float64Array(length);
+        const filteredIm = new Float64Array(length);
+        const magnitude = Array.from(scales, s => {
+            for (let k = 0; k < length; k++) {
+                const h = shape.filter(s * omega[k]);
+                filteredRe[k] = spectrum.re[k] * h;
+                filteredIm[k] = spectrum.im[k] * h;
+            }
+            const { re, im } = FFTProcessor.ifft(filteredRe, filteredIm);
+            const row = new Float64Array(outputs);
+            for (let m = 0; m < outputs; m++) {
+                row[m] = Math.hypot(re[m * step], im[m * step]);
+            }
+            return row;
+        });
+
+        // Cone of influence: the scale whose e-folding time reaches the nearer edge
+        const duration = (n - 1) / sampleRate;
+        const times = Float64Array.from({ length: outputs }, (_, m) => (m * step) / sampleRate);
+        const coi = times.map(t => {
+            const distance = Math.min(t, duration - t);
+            return distance > 0 ? (shape.peak * shape.efolding) / (2 * Math.PI * distance) : Infinity;
+        });
+
+        return {
+            magnitude,
+            frequencies,
+            scales,
+            times,
+            coi,
+            wavelet,
+            voicesPerOctave,
+            step,
+            sampleRate
+        };
+    }
+
+    /**
+     * Scalogram in dB as a [time][frequency] matrix (lowest frequency first), for the Spectrogram view
+     * @param {Object} result - Result of transform
+     * @returns {Array} Array of per-time arrays of 20 log10 |W|
+     */
+    static toDecibels(result) {
+        const { magnitude, times } = result;
+        return Array.from(times, (_, m) => magnitude.map(row => {
+            const value = row[m];
+            return value > 0 ? Math.max(DB_FLOOR, 20 * Math.log10(value)) : DB_FLOOR;
+        }));
+    }
+
+    /**
+     * Frequency-domain shape of a mother wavelet
+     * filter(sω) is the ψ̂ used as a filter, normalized to a peak of 2 for analytic wavelets (the negative
+     * frequency half of a real sinusoid is dropped) and 1 for real ones; peak is the sω of that maximum and
+     * efolding the e-folding time of the edge response per unit scale.
+     * @private
+     */
+    static _shape(wavelet, options) {
+        switch (wavelet) {
+            case 'morlet': {
+                const omega0 = options.omega0 ?? DEFAULT_MORLET_OMEGA0;
+                if (!(omega0 > 0)) {
+                    throw new Error('The Morlet centre frequency must be positive');
+                }
+                return {
+                    peak: omega0,
+                    efolding: Math.SQRT2,
+                    filter: (x) => (x > 0 ? 2 * Math.exp(-0.5 * (x - omega0) * (x - omega0)) : 0)
+                };
+            }
+            case 'paul': {
+                const order = options.order ?? DEFAULT_PAUL_ORDER;
+                if (!Number.isInteger(order) || order < 1) {
+                    throw new Error('The Paul order must be a positive integer');
+                }
+                // (x / m)^m e^{m - x} peaks at 1 for x = m
+                return {
+                    peak: order,
+                    efolding: Math.SQRT1_2,
+                    filter: (x) => (x > 0 ? 2 * Math.exp(order * Math.log(x / order) + order - x) : 0)
+                };
+            }
+            case 'mexican-hat':
+                // Second derivative of a Gaussian: x^2 e^{-x^2/2}, peak 2/e at x = sqrt(2)
+                return {
+                    peak: Math.SQRT2,
+                    efolding: Math.SQRT2,
+                    filter: (x) => (x * x * Math.exp(1 - 0.5 * x * x)) / 2
+                };
+            default:
+                throw new Error(`Unsupported wavelet: ${wavelet}`);
+        }
+    }
+}
@@ -0,0 +1,386 @@
+/**
+ * Window Functions Module
+ * Parameterized window functions and their spectral figures of merit,
+ * shared by the FFT and spectral analysis code
+ */
+import { FFTProcessor } from './fft.js';
+
+// Adjustable parameter of each parameterized window
+const WINDOW_PARAMETERS = {
+    kaiser: { name: 'beta', label: 'Kaiser β', defaultValue: 8.6, min: 0, step: 0.1 },
+    tukey: { name: 'alpha', label: 'Tukey α (taper fraction)', defaultValue: 0.5, min: 0, max: 1, step: 0.05 },
+    gaussian: { name: 'sigma', label: 'Gaussian σ (fraction of half-length)', defaultValue: 0.4, min: 0.01, step: 0.01 },
+    chebyshev: { name: 'attenuation', label: 'Sidelobe attenuation (dB)', defaultValue: 100, min: 20, step: 1 }
+};
+
+// Cosine-sum coefficients a0 - a1*cos(x) + a2*cos(2x) - ...
+const COSINE_SUM_COEFFICIENTS = {
+    hamming: [0.54, 0.46],
+    hanning: [0.5, 0.5],
+    blackman: [0.42, 0.5, 0.08],
+    'blackman-harris': [0.35875, 0.48829, 0.14128, 0.01168],
+    nuttall: [0.3635819, 0.4891775, 0.1365995, 0.0106411],
+    flattop: [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368]
+};
+
+// Sidelobe levels are measured on a window of at most this length, zero-padded by SIDELOBE_OVERSAMPLING
+const SIDELOBE_REFERENCE_LENGTH = 1024;
+const SIDELOBE_OVERSAMPLING = 16;
+
+export class WindowFunctions {
+    /**
+     * Supported window types
+     * @returns {Array} Window type identifiers
+     */
+    static get types() {
+        return [
+            'none', 'rectangular', 'hamming', 'hanning', 'blackman', 'kaiser', 'tukey', 'gaussian',
+            'flattop', 'blackman-harris', 'nuttall', 'chebyshev', 'bartlett'
+        ];
+    }
+
+    /**
+     * Describe the adjustable parameter of a window type
+     * @param {string} windowType - Type of window function
+     * @returns {Object|null} Parameter description { name, label, defaultValue, min, max, step } or null
+     */
+    static getParameter(windowType) {
+        return WINDOW_PARAMETERS[this.normalizeType(windowType)] || null;
+    }
+
+    /**
+     * Map aliases to the canonical window type
+     * @param {string} windowType - Type of window function
+     * @returns {string} Canonical window type
+     */
+    static normalizeType(windowType) {
+        const type = (windowType || 'none').toLowerCase();
+        switch (type) {
+            case 'hann':
+                return 'hanning';
+            case 'blackmanharris':
+                return 'blackman-harris';
+            case 'chebwin':
+            case 'dolph-chebyshev':
+                return 'chebyshev';
+            case 'triangular':
+                return 'bartlett';
+            default:
+                return type;
+        }
+    }
+
+    /**
+     * Generate window coefficients
+     * @param {string} windowType - Type of window function
+     * @param {number} n - Window length
+     * @param {Object} options - Window options
+     * @param {boolean} options.periodic - Periodic (DFT-even) instead of symmetric variant
+     * @param {number} options.beta - Kaiser shape parameter
+     * @param {number} options.alpha - Tukey taper fraction (0 = rectangular, 1 = Hann)
+     * @param {number} options.sigma - Gaussian standard deviation as a fraction of the half-length
+     * @param {number} options.attenuation - Dolph-Chebyshev sidelobe attenuation in dB
+     * @returns {Float64Array} Window coefficients
+     */
+    static generate(windowType, n, options = {}) {
+        const type = this.normalizeType(windowType);
+        const { periodic = false } = options;
+
+        if (!Number.isInteger(n) || n < 0) {
+            throw new Error(`Invalid window length: ${n}`);
+        }
+        if (n === 0) return new Float64Array(0);
+        if (n === 1) return new Float64Array([1]);
+
+        // A periodic window is the symmetric window of length n + 1 without its last sample
+        if (periodic) {
+            return this.generate(type, n + 1, { ...options, periodic: false }).slice(0, n);
+        }
+
+        if (COSINE_SUM_COEFFICIENTS[type]) {
+            return this._cosineSum(COSINE_SUM_COEFFICIENTS[type], n);
+        }
+
+        const value = (name) => options[name] ?? WINDOW_PARAMETERS[type].defaultValue;
+        switch (type) {
+            case 'none':
+            case 'rectangular':
+                return new Float64Array(n).fill(1);
+            case 'kaiser':
+                return this._kaiser(n, value('beta'));
+            case 'tukey':
+                return this._tukey(n, value('alpha'));
+            case 'gaussian':
+                return this._gaussian(n, value('sigma'));
+            case 'chebyshev':
+                return this._chebyshev(n, value('attenuation'));
+            case 'bartlett':
+                return this._bartlett(n);
+            default:
+                throw new Error(`Unsupported window type: ${windowType}`);
+        }
+    }
+
+    /**
+     * Multiply a signal by a window
+     * @param {ArrayLike<number>} signal - Input signal
+     * @param {string} windowType - Type of window function
+     * @param {Object} options - Window options (see generate)
+     * @returns {ArrayLike<number>} Windowed signal (the input itself for 'none')
+     */
+    static apply(signal, windowType, options = {}) {
+        if (this.normalizeType(windowType) === 'none') {
+            return signal;
+        }
+
+        const window = this.generate(windowType, signal.length, options);
+        const windowed = new Array(signal.length);
+        for (let i = 0; i < signal.length; i++) {
+            windowed[i] = signal[i] * window[i];
+        }
+        return windowed;
+    }
+
+    /**
+     * Compute the spectral figures of merit of a window
+     * @param {string} windowType - Type of window function
+     * @param {number} n - Window length
+     * @param {Object} options - Window options (see generate)
+     * @returns {Object} coherentGain, enbw (bins), scallopingLoss (dB), highestSidelobe (dB re main lobe)
+     *                   and mainLobeHalfWidth (bins, DC to first null)
+     */
+    static getMetrics(windowType, n, options = {}) {
+        const window = this.generate(windowType, n, options);
+        const sidelobes = this._measureSidelobes(windowType, Math.min(n, SIDELOBE_REFERENCE_LENGTH), options);
+
+        return {
+            ...this.getGains(window),
+            highestSidelobe: sidelobes.highestSidelobe,
+            mainLobeHalfWidth: sidelobes.mainLobeHalfWidth
+        };
+    }
+
+    /**
+     * Compute the gains of a set of window coefficients
+     * @param {ArrayLike<number>} window - Window coefficients
+     * @returns {Object} coherentGain (mean value), enbw (bins), scallopingLoss (dB), sum and sumOfSquares
+     */
+    static getGains(window) {
+        const n = window.length;
+        let sum = 0;
+        let sumOfSquares = 0;
+        // Response half a bin off-center
+        let halfBinRe = 0;
+        let halfBinIm = 0;
+
+        for (let i = 0; i < n; i++) {
+            sum += window[i];
+            sumOfSquares += window[i] * window[i];
+            const angle = -Math.PI * i / n;
+            halfBinRe += window[i] * Math.cos(angle);
+            halfBinIm += window[i] * Math.sin(angle);
+        }
+
+        return {
+            coherentGain: sum / n,
+            enbw: n * sumOfSquares / (sum * sum),
+            scallopingLoss: -20 * Math.log10(Math.hypot(halfBinRe, halfBinIm) / Math.abs(sum)),
+            sum,
+            sumOfSquares
+        };
+    }
+
+    /**
+     * Zeroth-order modified Bessel function of the first kind
+     * @param {number} x - Argument
+     * @returns {number} I0(x)
+     */
+    static besselI0(x) {
+        // Power series sum ((x/2)^k / k!)^2, converges for all x
+        const halfX = x / 2;
+        let term = 1;
+        let sum = 1;
+        for (let k = 1; k < 500; k++) {
+            term *= halfX / k;
+            const squared = term * term;
+            sum += squared;
+            if (squared < sum * 1e-17) break;
+        }
+        return sum;
+    }
+
+    /**
+     * Generalized cosine-sum window
+     * @private
+     */
+    static _cosineSum(coefficients, n) {
+        const window = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            const x = 2 * Math.PI * i / (n - 1);
+            let value = 0;
+            for (let k = 0; k < coefficients.length; k++) {
+                value += (k % 2 === 0 ? 1 : -1) * coefficients[k] * Math.cos(k * x);
+            }
+            window[i] = value;
+        }
+        return window;
+    }
+
+    /**
+     * Kaiser window I0(beta * sqrt(1 - r^2)) / I0(beta)
+     * @private
+     */
+    static _kaiser(n, beta) {
+        const window = new Float64Array(n);
+        const denominator = this.besselI0(beta);
+        for (let i = 0; i < n; i++) {
+            const r = 2 * i / (n - 1) - 1;
+            window[i] = this.besselI0(beta * Math.sqrt(Math.max(0, 1 - r * r))) / denominator;
+        }
+        return window;
+    }
+
+    /**
+     * Tukey (tapered cosine) window
+     * @private
+     */
+    static _tukey(n, alpha) {
+        const window = new Float64Array(n).fill(1);
+        if (alpha <= 0) return window;
+
+        const a = Math.min(alpha, 1);
+        const taper = a * (n - 1) / 2;
+        for (let i = 0; i < n; i++) {
+            const distance = Math.min(i, n - 1 - i);
+            if (distance < taper) {
+                window[i] = 0.5 * (1 - Math.cos(Math.PI * distance / taper));
+            }
+        }
+        return window;
+    }
+
+    /**
+     * Gaussian window
+     * @private
+     */
+    static _gaussian(n, sigma) {
+        const window = new Float64Array(n);
+        const center = (n - 1) / 2;
+        const width = sigma * center;
+        for (let i = 0; i < n; i++) {
+            const r = (i - center) / width;
+            window[i] = Math.exp(-0.5 * r * r);
+        }
+        return window;
+    }
+
+    /**
+     * Bartlett (triangular, zero end points) window
+     * @private
+     */
+    static _bartlett(n) {
+        const window = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            window[i] = 1 - Math.abs(2 * i / (n - 1) - 1);
+        }
+        return window;
+    }
+
+    /**
+     * Dolph-Chebyshev window: equiripple sidelobes at -attenuation dB
+     * Samples the Chebyshev polynomial response on the DFT grid and transforms it back.
+     * @private
+     */
+    static _chebyshev(n, attenuation) {
+        const order = n - 1;
+        const beta = Math.cosh(Math.acosh(Math.pow(10, Math.abs(attenuation) / 20)) / order);
+
+        const re = new Float64Array(n);
+        const im = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            const x = beta * Math.cos(Math.PI * k / n);
+            let p;
+            if (x > 1) {
+                p = Math.cosh(order * Math.acosh(x));
+            } else if (x < -1) {
+                p = (n % 2 === 1 ? 1 : -1) * Math.cosh(order * Math.acosh(-x));
+            } else {
+                p = Math.cos(order * Math.acos(x));
+            }
+
+            if (n % 2 === 1) {
+                re[k] = p;
+            } else {
+                // Half-sample shift so the even-length window is symmetric
+                re[k] = p * Math.cos(Math.PI * k / n);
+                im[k] = p * Math.sin(Math.PI * k / n);
+            }
+        }
+        FFTProcessor.transform(re, im);
+
+        const window = new Float64Array(n);
+        if (n % 2 === 1) {
+            const half = (n + 1) / 2;
+            for (let i = 0; i < half; i++) {
+                window[half - 1 + i] = re[i];
+                window[half - 1 - i] = re[i];
+            }
+        } else {
+            const half = n / 2;
+            for (let i = 1; i <= half; i++) {
+                window[half - 1 + i] = re[i];
+                window[half - i] = re[i];
+            }
+        }
+
+        let max = 0;
+        for (let i = 0; i < n; i++) max = Math.max(max, window[i]);
+        for (let i = 0; i < n; i++) window[i] /= max;
+        return window;
+    }
+
+    /**
+     * Measure main lobe width and highest sidelobe from an oversampled response
+     * @private
+     */
+    static _measureSidelobes(windowType, n, options) {
+        if (n < 2) {
+            return { highestSidelobe: -Infinity, mainLobeHalfWidth: Infinity };
+        }
+
+        const window = this.generate(windowType, n, options);
+        const length = FFTProcessor.nextPowerOf2(n * SIDELOBE_OVERSAMPLING);
+        const padded = new Float64Array(length);
+        padded.set(window);
+
+        const { re, im } = FFTProcessor.realTransform(padded);
+        const magnitude = new Float64Array(re.length);
+        for (let k = 0; k < re.length; k++) {
+            magnitude[k] = Math.hypot(re[k], im[k]);
+        }
+        const peak = magnitude[0];
+        const binsPerSample = length / n;
+
+        // End of the main lobe: first local minimum once the response is well below the peak
+        let firstNull = -1;
+        for (let k = 1; k < magnitude.length - 1; k++) {
+            if (magnitude[k] < peak / 2 && magnitude[k] <= magnitude[k - 1] && magnitude[k] <= magnitude[k + 1]) {
+                firstNull = k;
+                break;
+            }
+        }
+        if (firstNull < 0) {
+            return { highestSidelobe: -Infinity, mainLobeHalfWidth: magnitude.length / binsPerSample };
+        }
+
+        let sidelobe = 0;
+        for (let k = firstNull; k < magnitude.length; k++) {
+            sidelobe = Math.max(sidelobe, magnitude[k]);
+        }
+
+        return {
+            highestSidelobe: sidelobe > 0 ? 20 * Math.log10(sidelobe / peak) : -Infinity,
+            mainLobeHalfWidth: firstNull / binsPerSample
+        };
+    }
+}
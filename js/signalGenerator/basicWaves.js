@@ -131,6 +131,47 @@ export class SignalGenerator {
         return { timePoints, signal };
     }
 
+    /**
+     * Generate Gaussian white noise
+     * @param {number} length - Number of samples
+     * @param {number} rms - RMS level
+     * @returns {Array} Noise samples
+     */
+    static generateWhiteNoise(length, rms) {
+        const noise = new Array(length);
+        for (let i = 0; i < length; i += 2) {
+            // Box-Muller transform yields two independent samples per pair of uniforms
+            const radius = rms * Math.sqrt(-2 * Math.log(1 - Math.random()));
+            const angle = 2 * Math.PI * Math.random();
+            noise[i] = radius * Math.cos(angle);
+            if (i + 1 < length) {
+                noise[i + 1] = radius * Math.sin(angle);
+            }
+        }
+        return noise;
+    }
+
+    /**
+     * Generate a response channel from a reference signal: scaled, delayed copy plus noise
+     * @param {Array} signal - Reference signal
+     * @param {Object} params - Response parameters
+     * @param {number} params.gain - Gain applied to the reference
+     * @param {number} params.delay - Delay in seconds (rounded to whole samples)
+     * @param {number} params.noiseLevel - RMS level of added white noise
+     * @param {number} params.sampleRate - Sample rate in Hz
+     * @returns {Array} Response signal of the same length as the reference
+     */
+    static generateResponse(signal, params) {
+        const { gain = 1, delay = 0, noiseLevel = 0, sampleRate } = params;
+        const delaySamples = Math.max(0, Math.round(delay * sampleRate));
+        const noise = noiseLevel > 0 ? this.generateWhiteNoise(signal.length, noiseLevel) : null;
+
+        return Array.from(signal, (_, i) => {
+            const delayed = i >= delaySamples ? gain * signal[i - delaySamples] : 0;
+            return noise ? delayed + noise[i] : delayed;
+        });
+    }
+
     /**
      * Generate signal based on wave type
      * @param {string} type - Wave type (sine, multiSine, square, triangle, sawtooth)
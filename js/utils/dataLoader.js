@@ -20,6 +20,48 @@ export class DataLoader {
             .filter(value => !isNaN(value));
     }
 
+    /**
+     * Parse delimited text into numeric columns
+     * Commas, semicolons, tabs or whitespace separate the columns; a first line that is not
+     * numeric is taken as the header row.
+     * @param {string} content - CSV or TXT file content
+     * @returns {Object} { headers, columns, hasHeader } with one numeric array per column (NaN for unparsable
+     *                   cells); headers are "Column n" when the content has no header row
+     */
+    static parseColumns(content) {
+        const lines = content
+            .trim()
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line.length > 0 && !line.startsWith('#'));
+        if (lines.length === 0) {
+            return { headers: [], columns: [], hasHeader: false };
+        }
+
+        const delimiter = [',', ';', '\t'].find(d => lines[0].includes(d)) || /\s+/;
+        const split = (line) => line.split(delimiter).map(cell => cell.trim());
+
+        let headers = null;
+        const firstCells = split(lines[0]);
+        if (firstCells.some(cell => cell !== '' && isNaN(parseFloat(cell)))) {
+            headers = firstCells;
+            lines.shift();
+        }
+
+        const rows = lines.map(split);
+        const columnCount = rows.reduce((max, row) => Math.max(max, row.length), headers ? headers.length : 0);
+        const columns = Array.from({ length: columnCount }, (_, c) =>
+            rows.map(row => c < row.length ? parseFloat(row[c]) : NaN));
+
+        // Drop columns without any numeric values (e.g. timestamps or labels)
+        const keep = columns.map(column => column.some(value => !isNaN(value)));
+        return {
+            headers: (headers || columns.map((_, c) => `Column ${c + 1}`)).filter((_, c) => keep[c]),
+            columns: columns.filter((_, c) => keep[c]),
+            hasHeader: headers !== null
+        };
+    }
+
     /**
      * Parse TXT data
      * @param {string} content - TXT file content
@@ -137,6 +179,200 @@ export class DataLoader {
         });
     }
 
+    /**
+     * Load a file as numeric columns (e.g. time, excitation and response channels)
+     * JSON files contribute one column per numeric array property (or a single column for a plain array).
+     * @param {File} file - File object to load
+     * @returns {Promise} Promise resolving to { headers, columns }
+     */
+    static async loadColumns(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            const fileType = file.name.split('.').pop().toLowerCase();
+
+            reader.onload = (event) => {
+                try {
+                    const content = event.target.result;
+                    let table;
+
+                    switch (fileType) {
+                        case 'csv':
+                            table = this.parseColumns(content);
+                            break;
+                        case 'txt':
+                            table = this.parseColumns(content);
+                            // A single line of values is one signal, not one sample per column
+                            if (table.columns.length > 1 && table.columns[0].length === 1) {
+                                table = { headers: ['Signal'], columns: [this.parseTXT(content)] };
+                            }
+                            break;
+                        case 'json': {
+                            const data = JSON.parse(content);
+                            const arrays = data && !Array.isArray(data) && typeof data === 'object' ?
+                                Object.keys(data).filter(key =>
+                                    Array.isArray(data[key]) && data[key].every(item => typeof item === 'number')) :
+                                [];
+                            table = arrays.length > 0 ?
+                                { headers: arrays, columns: arrays.map(key => data[key]) } :
+                                { headers: ['Signal'], columns: [this.parseJSON(content)] };
+                            break;
+                        }
+                        default:
+                            throw new Error(`Unsupported file type: ${fileType}`);
+                    }
+
+                    if (table.columns.length === 0) {
+                        throw new Error('No valid numeric data found in file');
+                    }
+
+                    resolve(table);
+                } catch (error) {
+                    reject(error);
+                }
+            };
+
+            reader.onerror = () => {
+                reject(new Error('Error reading file'));
+            };
+
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Parse filter coefficients
+     * JSON: { "b": [...], "a": [...] } or { "sos": [[b0, b1, b2, a0, a1, a2], ...] }; a plain array is an
+     * FIR filter and an array of 6-element rows is a list of sections.
+     * CSV/TXT: columns headed b and a, six columns (one section per row), two columns (b, a)
+     * or a single column / line of FIR taps. A headerless single line is always read as taps,
+     * so one-, two- and six-tap lines are not taken for (b, a) or a section. Empty cells end a column.
+     * @param {string} content - File content
+     * @param {string} fileType - 'csv', 'txt' or 'json'
+     * @returns {Object} { b, a } or { sos }
+     */
+    static parseCoefficients(content, fileType) {
+        const trimColumn = (column) => {
+            const end = column.findIndex(value => isNaN(value));
+            return end < 0 ? column : column.slice(0, end);
+        };
+
+        if (fileType === 'json') {
+            const data = JSON.parse(content);
+            const isSections = (rows) => Array.isArray(rows) && rows.length > 0 &&
+                rows.every(row => Array.isArray(row) && row.length === 6);
+            if (isSections(data)) {
+                return { sos: data };
+            }
+            if (Array.isArray(data)) {
+                return { b: data, a: [1] };
+            }
+            if (data && isSections(data.sos)) {
+                return { sos: data.sos };
+            }
+            if (data && Array.isArray(data.b)) {
+                return { b: data.b, a: Array.isArray(data.a) ? data.a : [1] };
+            }
+            throw new Error('Expected "b"/"a" coefficient arrays or an "sos" array of 6-element rows');
+        }
+
+        if (fileType !== 'csv' && fileType !== 'txt') {
+            throw new Error(`Unsupported file type: ${fileType}`);
+        }
+
+        const table = this.parseColumns(content);
+        const names = table.headers.map(header => header.trim().toLowerCase());
+        const bIndex = names.indexOf('b');
+        if (bIndex >= 0) {
+            const aIndex = names.indexOf('a');
+            return {
+                b: trimColumn(table.columns[bIndex]),
+                a: aIndex >= 0 ? trimColumn(table.columns[aIndex]) : [1]
+            };
+        }
+
+        // A single line without a header holds FIR taps, whatever their count
+        if (!table.hasHeader && table.columns.length > 0 && table.columns[0].length === 1) {
+            return { b: table.columns.map(column => column[0]), a: [1] };
+        }
+
+        switch (table.columns.length) {
+            case 0:
+                throw new Error('No coefficients found in file');
+            case 1:
+                return { b: trimColumn(table.columns[0]), a: [1] };
+            case 2:
+                return { b: trimColumn(table.columns[0]), a: trimColumn(table.columns[1]) };
+            case 6: {
+                const rows = table.columns[0].length;
+                const sos = Array.from({ length: rows }, (_, r) => table.columns.map(column => column[r]));
+                return { sos };
+            }
+            default:
+                throw new Error('Expected b and a columns, six SOS columns or a single column of taps');
+        }
+    }
+
+    /**
+     * Load filter coefficients from a file
+     * @param {File} file - File object to load
+     * @returns {Promise} Promise resolving to { b, a } or { sos } (see parseCoefficients)
+     */
+    static async loadCoefficients(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            const fileType = file.name.split('.').pop().toLowerCase();
+
+            reader.onload = (event) => {
+                try {
+                    resolve(this.parseCoefficients(event.target.result, fileType));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+
+            reader.onerror = () => {
+                reject(new Error('Error reading file'));
+            };
+
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Extract columns from a loaded table, keeping only rows where every selected column is numeric
+     * With keepGaps, every row is kept and missing cells become NaN, so the gaps can be repaired
+     * later (see Preprocessor.repairGaps) without shifting the samples that follow them.
+     * @param {Object} table - Result of loadColumns / parseColumns
+     * @param {Array} indices - Column indices to extract
+     * @param {Object} options - Options
+     * @param {boolean} options.keepGaps - Keep rows with missing values as NaN
+     * @returns {Array} One array per selected column, all of the same length
+     */
+    static selectColumns(table, indices, options = {}) {
+        const selected = indices.map(index => {
+            if (!table.columns[index]) {
+                throw new Error(`Column ${index + 1} does not exist`);
+            }
+            return table.columns[index];
+        });
+        const rowCount = Math.min(...selected.map(column => column.length));
+        if (options.keepGaps) {
+            return selected.map(column => Array.from({ length: rowCount }, (_, i) =>
+                typeof column[i] === 'number' ? column[i] : NaN));
+        }
+
+        const rows = [];
+        for (let i = 0; i < rowCount; i++) {
+            if (selected.every(column => typeof column[i] === 'number' && !isNaN(column[i]))) {
+                rows.push(i);
+            }
+        }
+        if (rows.length < rowCount) {
+            console.warn(`${rowCount - rows.length} rows with missing values were skipped`);
+        }
+        return selected.map(column => rows.map(i => column[i]));
+    }
+
     /**
      * Generate time points for loaded data
      * @param {number} dataLength - Length of data array
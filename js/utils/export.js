@@ -44,12 +44,13 @@ export class ExportUtils {
      * @param {Array} frequencies - Frequency array
      * @param {Array} magnitudes - Magnitude array
      * @param {Array} phases - Phase array (optional)
+     * @param {string} magnitudeLabel - Header of the magnitude column, including its unit
      * @returns {Object} Formatted data object
      */
-    static formatFFTData(frequencies, magnitudes, phases = null) {
+    static formatFFTData(frequencies, magnitudes, phases = null, magnitudeLabel = 'Magnitude') {
         const headers = phases ? 
-            ['Frequency (Hz)', 'Magnitude', 'Phase (degrees)'] :
-            ['Frequency (Hz)', 'Magnitude'];
+            ['Frequency (Hz)', magnitudeLabel, 'Phase (degrees)'] :
+            ['Frequency (Hz)', magnitudeLabel];
 
         const rows = frequencies.map((freq, i) => {
             const row = [freq, magnitudes[i]];
@@ -65,18 +66,178 @@ export class ExportUtils {
         };
     }
 
+    /**
+     * Format Welch PSD data for export
+     * @param {Object} psdResult - Result of SpectralAnalyzer.computeWelchPSD
+     * @returns {Object} Formatted data object
+     */
+    static formatPSDData(psdResult) {
+        const confidence = Math.round(psdResult.confidence * 1000) / 10;
+        return {
+            headers: [
+                'Frequency (Hz)',
+                'PSD (units²/Hz)',
+                `Lower ${confidence}% Bound (units²/Hz)`,
+                `Upper ${confidence}% Bound (units²/Hz)`
+            ],
+            rows: Array.from(psdResult.frequencies, (freq, i) => [
+                freq,
+                psdResult.psd[i],
+                psdResult.lower[i],
+                psdResult.upper[i]
+            ])
+        };
+    }
+
+    /**
+     * Format transfer function data for export
+     * @param {Object} transferFunction - Result of SpectralAnalyzer.computeTransferFunction
+     * @returns {Object} Formatted data object
+     */
+    static formatTransferFunctionData(transferFunction) {
+        const { frequencies, h1, h2, hv, coherence, confidence } = transferFunction;
+        const level = Math.round(confidence * 1000) / 10;
+        return {
+            headers: [
+                'Frequency (Hz)',
+                'H1 Magnitude', 'H1 Phase (degrees)',
+                `H1 Magnitude Lower ${level}%`, `H1 Magnitude Upper ${level}%`, `H1 Phase Error ${level}% (degrees)`,
+                'H2 Magnitude', 'H2 Phase (degrees)',
+                'Hv Magnitude', 'Hv Phase (degrees)',
+                'Coherence'
+            ],
+            rows: Array.from(frequencies, (freq, i) => [
+                freq,
+                h1.magnitude[i], h1.phase[i],
+                h1.magnitudeLower[i], h1.magnitudeUpper[i], h1.phaseError[i],
+                h2.magnitude[i], h2.phase[i],
+                hv.magnitude[i], hv.phase[i],
+                coherence[i]
+            ])
+        };
+    }
+
+    /**
+     * Format dynamic performance metrics for export
+     * @param {Object} metrics - Result of DynamicMetrics.measure
+     * @returns {Object} Formatted data object
+     */
+    static formatMetricsData(metrics) {
+        const { fundamental, spur } = metrics;
+        const rows = [
+            ['Fundamental amplitude', fundamental.frequency, fundamental.amplitude, 'peak'],
+            ['THD', '', metrics.thd, 'dBc'],
+            ['THD', '', metrics.thdPercent, '%'],
+            ['THD+N', '', metrics.thdN, 'dBc'],
+            ['THD+N', '', metrics.thdNPercent, '%'],
+            ['SNR', '', metrics.snr, 'dB'],
+            ['SINAD', '', metrics.sinad, 'dB'],
+            ['SFDR', spur ? spur.frequency : '', metrics.sfdr, 'dBc'],
+            ['ENOB', '', metrics.enob, 'bits'],
+            ['Noise floor', '', metrics.noiseFloor, 'dBc/bin']
+        ];
+        if (fundamental.levelDbfs !== null) {
+            rows.splice(1, 0, ['Fundamental level', fundamental.frequency, fundamental.levelDbfs, 'dBFS']);
+            rows.push(['ENOB (full scale)', '', metrics.enobFullScale, 'bits']);
+        }
+        metrics.harmonics.forEach(harmonic => {
+            rows.push([
+                `H${harmonic.order}${harmonic.aliased ? ' (aliased)' : ''}`,
+                harmonic.frequency,
+                harmonic.overlapping ? '' : harmonic.levelDbc,
+                'dBc'
+            ]);
+        });
+
+        return {
+            headers: ['Quantity', 'Frequency (Hz)', 'Value', 'Unit'],
+            rows
+        };
+    }
+
+    /**
+     * Format fractional-octave band levels for export
+     * @param {Object} result - Result of OctaveBandAnalyzer.analyze
+     * @returns {Object} Formatted data object, one row per band and a final overall row
+     */
+    static formatOctaveBandData(result) {
+        const { bands, overall, weighting, reference } = result;
+        const unit = `dB re ${reference}`;
+        return {
+            headers: [
+                'Band',
+                'Nominal Frequency (Hz)',
+                'Midband Frequency (Hz)',
+                'Lower Edge (Hz)',
+                'Upper Edge (Hz)',
+                `L${weighting}eq (${unit})`,
+                `L${weighting}max (${unit})`,
+                'Resolved'
+            ],
+            rows: bands.map(band => [
+                band.index,
+                band.nominal,
+                band.center,
+                band.lower,
+                band.upper,
+                band.leq,
+                band.lmax,
+                band.resolved
+            ]).concat([[
+                'Overall',
+                '',
+                '',
+                bands[0].lower,
+                bands[bands.length - 1].upper,
+                overall.leq,
+                overall.lmax,
+                ''
+            ]])
+        };
+    }
+
+    /**
+     * Format partial tracks for export
+     * @param {Object} result - Result of PartialTracker.track
+     * @returns {Object} Formatted data object, one row per track point
+     */
+    static formatPartialTrackData(result) {
+        return {
+            headers: ['Track', 'Time (s)', 'Frequency (Hz)', 'Amplitude (peak)', 'Level (dB re 1 peak)', 'Interpolated'],
+            rows: result.tracks.flatMap(track => track.times.map((time, i) => [
+                track.id,
+                time,
+                track.frequencies[i],
+                track.amplitudes[i],
+                track.levelsDb[i],
+                track.interpolated[i]
+            ]))
+        };
+    }
+
     /**
      * Format peak data for export
      * @param {Array} peaks - Array of peak objects
+     * @param {string} magnitudeLabel - Header of the magnitude column, including its unit
      * @returns {Object} Formatted data object
      */
-    static formatPeakData(peaks) {
+    static formatPeakData(peaks, magnitudeLabel = 'Magnitude') {
         return {
-            headers: ['Frequency (Hz)', 'Magnitude', 'Phase (degrees)'],
+            headers: [
+                'Frequency (Hz)',
+                'Frequency Error (Hz)',
+                'Bin Frequency (Hz)',
+                magnitudeLabel,
+                'Phase (degrees)',
+                'Prominence (dB)'
+            ],
             rows: peaks.map(peak => [
                 peak.frequency,
+                peak.frequencyError,
+                peak.binFrequency,
                 peak.magnitude,
-                peak.phase
+                peak.phase,
+                peak.prominence
             ])
         };
     }
@@ -105,7 +266,7 @@ export class ExportUtils {
     /**
      * Export signal data
      * @param {Object} data - Signal data to export
-     * @param {string} type - Export type ('fft' or 'peaks')
+     * @param {string} type - Export type ('fft', 'peaks', 'psd', 'frf', 'metrics', 'octave' or 'partials')
      */
     static exportSignalData(data, type) {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -114,16 +275,41 @@ export class ExportUtils {
         try {
             switch (type) {
                 case 'fft': {
-                    const { frequencies, magnitudes, phases } = data;
-                    const formattedData = this.formatFFTData(frequencies, magnitudes, phases);
+                    const { frequencies, magnitudes, phases, magnitudeLabel } = data;
+                    const formattedData = this.formatFFTData(frequencies, magnitudes, phases, magnitudeLabel);
                     this.exportToCSV(formattedData, `fft_data_${timestamp}.${format}`);
                     break;
                 }
                 case 'peaks': {
-                    const formattedData = this.formatPeakData(data.peaks);
+                    const formattedData = this.formatPeakData(data.peaks, data.magnitudeLabel);
                     this.exportToCSV(formattedData, `peak_data_${timestamp}.${format}`);
                     break;
                 }
+                case 'psd': {
+                    const formattedData = this.formatPSDData(data.psd);
+                    this.exportToCSV(formattedData, `psd_data_${timestamp}.${format}`);
+                    break;
+                }
+                case 'frf': {
+                    const formattedData = this.formatTransferFunctionData(data.transferFunction);
+                    this.exportToCSV(formattedData, `frf_data_${timestamp}.${format}`);
+                    break;
+                }
+                case 'metrics': {
+                    const formattedData = this.formatMetricsData(data.metrics);
+                    this.exportToCSV(formattedData, `dynamic_metrics_${timestamp}.${format}`);
+                    break;
+                }
+                case 'octave': {
+                    const formattedData = this.formatOctaveBandData(data.octaveBands);
+                    this.exportToCSV(formattedData, `octave_bands_${timestamp}.${format}`);
+                    break;
+                }
+                case 'partials': {
+                    const formattedData = this.formatPartialTrackData(data.partials);
+                    this.exportToCSV(formattedData, `partial_tracks_${timestamp}.${format}`);
+                    break;
+                }
                 default:
                     throw new Error(`Unsupported export type: ${type}`);
             }
@@ -0,0 +1,134 @@
+/**
+ * Statistics Utilities Module
+ * Distribution functions used for spectral confidence intervals
+ */
+
+// Convergence tolerance and iteration cap for the incomplete gamma evaluation
+const GAMMA_EPSILON = 1e-14;
+const GAMMA_MAX_ITERATIONS = 500;
+
+// Lanczos approximation coefficients (g = 7, n = 9)
+const LANCZOS_COEFFICIENTS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+export class Statistics {
+    /**
+     * Median of a set of values
+     * @param {Array} values - Input values (not modified)
+     * @returns {number} Median, or NaN for an empty input
+     */
+    static median(values) {
+        const n = values.length;
+        if (n === 0) return NaN;
+        const sorted = Array.from(values).sort((a, b) => a - b);
+        const mid = Math.floor(n / 2);
+        return n % 2 === 1 ? sorted[mid] : 0.5 * (sorted[mid - 1] + sorted[mid]);
+    }
+
+    /**
+     * Natural logarithm of the gamma function
+     * @param {number} x - Argument (> 0)
+     * @returns {number} ln(Gamma(x))
+     */
+    static logGamma(x) {
+        if (x < 0.5) {
+            // Reflection formula
+            return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - this.logGamma(1 - x);
+        }
+        const z = x - 1;
+        let sum = LANCZOS_COEFFICIENTS[0];
+        for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+            sum += LANCZOS_COEFFICIENTS[i] / (z + i);
+        }
+        const t = z + 7.5;
+        return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+    }
+
+    /**
+     * Regularized lower incomplete gamma function P(a, x)
+     * @param {number} a - Shape parameter (> 0)
+     * @param {number} x - Upper integration limit (>= 0)
+     * @returns {number} P(a, x) in [0, 1]
+     */
+    static gammaP(a, x) {
+        if (x <= 0) return 0;
+        if (!isFinite(x)) return 1;
+
+        const logPrefactor = a * Math.log(x) - x - this.logGamma(a);
+
+        if (x < a + 1) {
+            // Series expansion
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < GAMMA_MAX_ITERATIONS; n++) {
+                term *= x / (a + n);
+                sum += term;
+                if (Math.abs(term) < Math.abs(sum) * GAMMA_EPSILON) break;
+            }
+            return Math.min(1, sum * Math.exp(logPrefactor));
+        }
+
+        // Continued fraction for Q(a, x) (modified Lentz)
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let n = 1; n < GAMMA_MAX_ITERATIONS; n++) {
+            const an = -n * (n - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < GAMMA_EPSILON) break;
+        }
+        return Math.max(0, 1 - Math.exp(logPrefactor) * h);
+    }
+
+    /**
+     * Chi-squared cumulative distribution function
+     * @param {number} x - Value
+     * @param {number} dof - Degrees of freedom (> 0, need not be an integer)
+     * @returns {number} Probability P(X <= x)
+     */
+    static chiSquaredCdf(x, dof) {
+        return this.gammaP(dof / 2, x / 2);
+    }
+
+    /**
+     * Chi-squared quantile (inverse CDF)
+     * @param {number} p - Probability in (0, 1)
+     * @param {number} dof - Degrees of freedom (> 0, need not be an integer)
+     * @returns {number} x such that P(X <= x) = p
+     */
+    static chiSquaredQuantile(p, dof) {
+        if (!(p > 0 && p < 1) || !(dof > 0)) {
+            throw new Error('chiSquaredQuantile requires 0 < p < 1 and dof > 0');
+        }
+
+        // Bracket the root, then bisect (the CDF is monotonic)
+        let low = 0;
+        let high = Math.max(1, dof);
+        while (this.chiSquaredCdf(high, dof) < p) {
+            low = high;
+            high *= 2;
+        }
+        for (let i = 0; i < 200; i++) {
+            const mid = 0.5 * (low + high);
+            if (this.chiSquaredCdf(mid, dof) < p) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+            if (high - low <= 1e-12 * high) break;
+        }
+        return 0.5 * (low + high);
+    }
+}
@@ -6,6 +6,13 @@ export class PlotManager {
     constructor() {
         this.timeChart = null;
         this.freqChart = null;
+        this.psdChart = null;
+        this.phaseChart = null;
+        this.correlationChart = null;
+        this.coherenceChart = null;
+        this.bodeMagnitudeChart = null;
+        this.bodePhaseChart = null;
+        this.bandSelection = null;
         this.initializePlots();
     }
 
@@ -25,8 +32,501 @@ export class PlotManager {
                     borderColor: 'rgb(75, 192, 192)',
                     borderWidth: 1,
                     pointRadius: 0
+                }, {
+                    label: 'Envelope',
+                    data: [],
+                    borderColor: 'rgb(255, 99, 132)',
+                    borderWidth: 1.5,
+                    pointRadius: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                return `Time: ${context.parsed.x.toFixed(3)}s, Amplitude: ${context.parsed.y.toFixed(3)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Time (s)'
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Amplitude'
+                        }
+                    }
+                }
+            }
+        });
+
+        // Frequency domain plot
+        const freqCtx = document.getElementById('freqCanvas').getContext('2d');
+        this.freqChart = new Chart(freqCtx, {
+            type: 'line',
+            plugins: [{
+                // Shade the band being dragged out for the zoom FFT
+                id: 'bandSelection',
+                afterDatasetsDraw: (chart) => {
+                    if (!this.bandSelection) return;
+                    const { ctx, chartArea, scales } = chart;
+                    const x1 = scales.x.getPixelForValue(this.bandSelection.start);
+                    const x2 = scales.x.getPixelForValue(this.bandSelection.end);
+                    ctx.save();
+                    ctx.fillStyle = 'rgba(54, 162, 235, 0.2)';
+                    ctx.fillRect(Math.min(x1, x2), chartArea.top, Math.abs(x2 - x1), chartArea.bottom - chartArea.top);
+                    ctx.restore();
+                }
+            }],
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Frequency Spectrum',
+                    data: [],
+                    borderColor: 'rgb(255, 99, 132)',
+                    borderWidth: 1,
+                    pointRadius: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const dataIndex = context.dataIndex;
+                                const phase = context.dataset.phases?.[dataIndex];
+                                const valueLabel = this.freqChart.data.datasets[0].valueLabel || 'Magnitude';
+                                return [
+                                    `Frequency: ${context.parsed.x.toFixed(2)} Hz`,
+                                    `${valueLabel}: ${context.parsed.y.toFixed(3)}`,
+                                    phase !== undefined ? `Phase: ${phase.toFixed(2)}°` : ''
+                                ].filter(Boolean);
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Frequency (Hz)'
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Magnitude'
+                        }
+                    }
+                }
+            }
+        });
+
+        this.initializePSDPlot();
+        this.initializeOctaveBandPlot();
+        this.initializePhasePlot();
+        this.initializeCorrelationPlot();
+        this.initializeTonePlot();
+        this.initializeCoherencePlot();
+        this.initializeBodePlot();
+        this.initializeFilterPlots();
+        this.initializeCepstrumPlots();
+    }
+
+    /**
+     * Create the Welch PSD plot (estimate with a shaded confidence band)
+     */
+    initializePSDPlot() {
+        const psdCanvas = document.getElementById('psdCanvas');
+        if (!psdCanvas) return;
+
+        this.psdChart = new Chart(psdCanvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: 'PSD',
+                    data: [],
+                    borderColor: 'rgb(153, 102, 255)',
+                    borderWidth: 1,
+                    pointRadius: 0
+                }, {
+                    label: 'Upper bound',
+                    data: [],
+                    borderColor: 'rgba(153, 102, 255, 0.3)',
+                    backgroundColor: 'rgba(153, 102, 255, 0.15)',
+                    borderWidth: 0,
+                    pointRadius: 0,
+                    fill: '+1'
+                }, {
+                    label: 'Lower bound',
+                    data: [],
+                    borderColor: 'rgba(153, 102, 255, 0.3)',
+                    borderWidth: 0,
+                    pointRadius: 0,
+                    fill: false
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    legend: {
+                        labels: {
+                            filter: (item) => item.datasetIndex === 0
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                return `Frequency: ${context.parsed.x.toFixed(2)} Hz, ${context.dataset.label}: ${context.parsed.y.toFixed(2)} dB`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Frequency (Hz)'
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'PSD (dB re 1 units²/Hz)'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Update the Welch PSD plot
+     * @param {Object} psdResult - Result of SpectralAnalyzer.computeWelchPSD
+     */
+    updatePSDPlot(psdResult) {
+        if (!this.psdChart) return;
+
+        const toDb = (value) => value > 0 ? 10 * Math.log10(value) : -300;
+        const series = (values) => Array.from(psdResult.frequencies, (f, i) => ({ x: f, y: toDb(values[i]) }));
+        const [estimate, upper, lower] = this.psdChart.data.datasets;
+
+        estimate.data = series(psdResult.psd);
+        upper.data = series(psdResult.upper);
+        lower.data = series(psdResult.lower);
+        const confidence = Math.round(psdResult.confidence * 1000) / 10;
+        estimate.label = `PSD (${psdResult.average}, ${confidence}% confidence band)`;
+        upper.label = `Upper ${confidence}% bound`;
+        lower.label = `Lower ${confidence}% bound`;
+
+        this.psdChart.update();
+    }
+
+    /**
+     * Create the fractional-octave band plot (Leq and Lmax bars per band)
+     */
+    initializeOctaveBandPlot() {
+        const octaveCanvas = document.getElementById('octaveCanvas');
+        if (!octaveCanvas) return;
+
+        this.octaveChart = new Chart(octaveCanvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Leq',
+                    data: [],
+                    backgroundColor: 'rgba(54, 162, 235, 0.8)'
+                }, {
+                    label: 'Lmax',
+                    data: [],
+                    backgroundColor: 'rgba(255, 99, 132, 0.6)'
                 }]
             },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            // Bars float up from the axis floor, so the level is the top of the bar
+                            label: (context) => {
+                                return `${context.dataset.label}: ${context.raw[1].toFixed(1)} dB`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Band Nominal Frequency (Hz)'
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Level (dB re 1)'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Update the fractional-octave band plot; unresolved bands are drawn faded and the overall
+     * level closes the chart
+     * @param {Object} result - Result of OctaveBandAnalyzer.analyze
+     */
+    updateOctaveBandPlot(result) {
+        if (!this.octaveChart) return;
+
+        const { bands, overall, weighting, reference } = result;
+        // Bars start 10 dB below the quietest band, but no more than 100 dB below the loudest level
+        const levels = bands.flatMap(band => [band.leq, band.lmax]).filter(v => v > -300);
+        const top = Math.max(overall.lmax, ...levels);
+        const floor = 10 * Math.floor(Math.max(Math.min(top, ...levels) - 10, top - 100) / 10);
+        const [leq, lmax] = this.octaveChart.data.datasets;
+        const colors = (rgb, alpha) => bands.map(band => `rgba(${rgb}, ${band.resolved ? alpha : 0.2})`);
+
+        this.octaveChart.data.labels = bands.map(band => this.formatBandLabel(band.nominal)).concat('Overall');
+        leq.label = `L${weighting}eq`;
+        leq.data = bands.map(band => [floor, band.leq]).concat([[floor, overall.leq]]);
+        leq.backgroundColor = colors('54, 162, 235', 0.8).concat('rgba(0, 83, 156, 0.9)');
+        lmax.label = `L${weighting}max`;
+        lmax.data = bands.map(band => [floor, band.lmax]).concat([[floor, overall.lmax]]);
+        lmax.backgroundColor = colors('255, 99, 132', 0.6).concat('rgba(180, 30, 60, 0.8)');
+        this.octaveChart.options.scales.y.min = floor;
+        this.octaveChart.options.scales.y.title.text = `Level (dB re ${reference})`;
+
+        this.octaveChart.update();
+    }
+
+    /**
+     * Compact band label (k for thousands)
+     * @param {number} frequency - Nominal frequency in Hz
+     * @returns {string} Label
+     */
+    formatBandLabel(frequency) {
+        return frequency >= 1000 ? `${+(frequency / 1000).toPrecision(3)}k` : `${frequency}`;
+    }
+
+    /**
+     * Create the phase plot (unwrapped phase on the left axis, delays on the right axis)
+     */
+    initializePhasePlot() {
+        const phaseCanvas = document.getElementById('phaseCanvas');
+        if (!phaseCanvas) return;
+
+        this.phaseChart = new Chart(phaseCanvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: 'Unwrapped Phase (degrees)',
+                    data: [],
+                    borderColor: 'rgb(255, 159, 64)',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    yAxisID: 'y'
+                }, {
+                    label: 'Group Delay (ms)',
+                    data: [],
+                    borderColor: 'rgb(54, 162, 235)',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    yAxisID: 'y1'
+                }, {
+                    label: 'Phase Delay (ms)',
+                    data: [],
+                    borderColor: 'rgb(75, 192, 192)',
+                    borderWidth: 1,
+                    borderDash: [4, 2],
+                    pointRadius: 0,
+                    yAxisID: 'y1'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                spanGaps: false,
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                return `Frequency: ${context.parsed.x.toFixed(2)} Hz, ${context.dataset.label}: ${context.parsed.y.toFixed(3)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Frequency (Hz)'
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        position: 'left',
+                        title: {
+                            display: true,
+                            text: 'Phase (degrees)'
+                        }
+                    },
+                    y1: {
+                        type: 'linear',
+                        position: 'right',
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        title: {
+                            display: true,
+                            text: 'Delay (ms)'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Update the phase plot; gated (NaN) bins are left as gaps
+     * @param {Object} phaseData - Result of PhaseAnalyzer.analyze
+     */
+    updatePhasePlot(phaseData) {
+        if (!this.phaseChart) return;
+
+        const series = (values, scale) => Array.from(phaseData.frequencies, (f, i) => ({
+            x: f,
+            y: isFinite(values[i]) ? values[i] * scale : null
+        }));
+        const [phase, groupDelay, phaseDelay] = this.phaseChart.data.datasets;
+
+        phase.data = series(phaseData.unwrappedPhase, 1);
+        groupDelay.data = series(phaseData.groupDelay, 1000);
+        phaseDelay.data = series(phaseData.phaseDelay, 1000);
+
+        this.phaseChart.update();
+    }
+
+    /**
+     * Create the correlation plot
+     */
+    initializeCorrelationPlot() {
+        const correlationCanvas = document.getElementById('correlationCanvas');
+        if (!correlationCanvas) return;
+
+        this.correlationChart = new Chart(correlationCanvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: 'Correlation',
+                    data: [],
+                    borderColor: 'rgb(201, 203, 207)',
+                    borderWidth: 1,
+                    pointRadius: 0
+                }, {
+                    label: 'Delay estimate',
+                    data: [],
+                    backgroundColor: 'red',
+                    borderColor: 'red',
+                    pointRadius: 5,
+                    pointStyle: 'triangle',
+                    showLine: false
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                return `Lag: ${context.parsed.x.toFixed(3)} ms, ${context.dataset.label}: ${context.parsed.y.toFixed(4)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Lag (ms)'
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Correlation'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Update the correlation plot
+     * @param {Object} correlationResult - Result of Correlator.crossCorrelate / autoCorrelate
+     */
+    updateCorrelationPlot(correlationResult) {
+        if (!this.correlationChart) return;
+
+        const { lagTimes, correlation, scaling, weighting } = correlationResult;
+        const peak = correlationResult.delay || correlationResult.period;
+        const [curve, marker] = this.correlationChart.data.datasets;
+
+        curve.data = Array.from(lagTimes, (t, i) => ({ x: t * 1000, y: correlation[i] }));
+        curve.label = weighting === 'phat' ? 'GCC-PHAT' : `Correlation (${scaling})`;
+        marker.label = correlationResult.delay ? 'Delay estimate' : 'Period';
+        marker.data = peak ? [{ x: peak.time * 1000, y: peak.peak }] : [];
+
+        this.correlationChart.options.scales.y.title.text =
+            weighting === 'phat' ? 'GCC-PHAT' : (scaling === 'normalized' ? 'Correlation Coefficient' : 'Correlation');
+        this.correlationChart.update();
+    }
+
+    /**
+     * Create the tone tracking plot (one level trace per tracked frequency)
+     */
+    initializeTonePlot() {
+        const toneCanvas = document.getElementById('toneCanvas');
+        if (!toneCanvas) return;
+
+        this.toneChart = new Chart(toneCanvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: []
+            },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
@@ -35,7 +535,7 @@ export class PlotManager {
                     tooltip: {
                         callbacks: {
                             label: (context) => {
-                                return `Time: ${context.parsed.x.toFixed(3)}s, Amplitude: ${context.parsed.y.toFixed(3)}`;
+                                return `Time: ${context.parsed.x.toFixed(3)} s, ${context.dataset.label}: ${context.parsed.y.toFixed(1)} dB`;
                             }
                         }
                     }
@@ -52,25 +552,71 @@ export class PlotManager {
                         type: 'linear',
                         title: {
                             display: true,
-                            text: 'Amplitude'
+                            text: 'Tone Level (dB re 1 peak)'
                         }
                     }
                 }
             }
         });
+    }
 
-        // Frequency domain plot
-        const freqCtx = document.getElementById('freqCanvas').getContext('2d');
-        this.freqChart = new Chart(freqCtx, {
+    /**
+     * Update the tone tracking plot
+     * @param {Object} trackResult - Result of GoertzelDetector.track or slidingDFT
+     */
+    updateTonePlot(trackResult) {
+        if (!this.toneChart) return;
+
+        const colors = [
+            'rgb(255, 99, 132)', 'rgb(54, 162, 235)', 'rgb(255, 159, 64)', 'rgb(75, 192, 192)',
+            'rgb(153, 102, 255)', 'rgb(201, 203, 207)', 'rgb(255, 205, 86)', 'rgb(0, 128, 0)'
+        ];
+        const { times, frequencies, levelsDb } = trackResult;
+
+        // Levels far below the strongest trace only flatten the plot
+        const top = levelsDb.reduce((max, values) => values.reduce((m, v) => Math.max(m, v), max), -Infinity);
+        this.toneChart.data.datasets = frequencies.map((frequency, f) => ({
+            label: `${frequency} Hz`,
+            data: Array.from(times, (t, i) => ({ x: t, y: Math.max(levelsDb[f][i], top - 80) })),
+            borderColor: colors[f % colors.length],
+            borderWidth: 1,
+            pointRadius: 0
+        }));
+        this.toneChart.update();
+    }
+
+    /**
+     * Create the coherence plot (coherence on the left axis, cross-phase on the right axis)
+     */
+    initializeCoherencePlot() {
+        const coherenceCanvas = document.getElementById('coherenceCanvas');
+        if (!coherenceCanvas) return;
+
+        this.coherenceChart = new Chart(coherenceCanvas.getContext('2d'), {
             type: 'line',
             data: {
-                labels: [],
                 datasets: [{
-                    label: 'Frequency Spectrum',
+                    label: 'Coherence',
                     data: [],
-                    borderColor: 'rgb(255, 99, 132)',
+                    borderColor: 'rgb(54, 162, 235)',
                     borderWidth: 1,
-                    pointRadius: 0
+                    pointRadius: 0,
+                    yAxisID: 'y'
+                }, {
+                    label: 'Significance threshold',
+                    data: [],
+                    borderColor: 'rgba(255, 99, 132, 0.8)',
+                    borderWidth: 1,
+                    borderDash: [6, 3],
+                    pointRadius: 0,
+                    yAxisID: 'y'
+                }, {
+                    label: 'Cross-Phase (degrees)',
+                    data: [],
+                    borderColor: 'rgba(255, 159, 64, 0.6)',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    yAxisID: 'y1'
                 }]
             },
             options: {
@@ -81,13 +627,7 @@ export class PlotManager {
                     tooltip: {
                         callbacks: {
                             label: (context) => {
-                                const dataIndex = context.dataIndex;
-                                const phase = this.freqChart.data.datasets[0].phases?.[dataIndex];
-                                return [
-                                    `Frequency: ${context.parsed.x.toFixed(2)} Hz`,
-                                    `Magnitude: ${context.parsed.y.toFixed(3)}`,
-                                    phase !== undefined ? `Phase: ${phase.toFixed(2)}°` : ''
-                                ].filter(Boolean);
+                                return `Frequency: ${context.parsed.x.toFixed(2)} Hz, ${context.dataset.label}: ${context.parsed.y.toFixed(3)}`;
                             }
                         }
                     }
@@ -102,27 +642,507 @@ export class PlotManager {
                     },
                     y: {
                         type: 'linear',
+                        position: 'left',
+                        min: 0,
+                        max: 1,
                         title: {
                             display: true,
-                            text: 'Magnitude'
+                            text: 'Magnitude-Squared Coherence'
+                        }
+                    },
+                    y1: {
+                        type: 'linear',
+                        position: 'right',
+                        min: -180,
+                        max: 180,
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        title: {
+                            display: true,
+                            text: 'Cross-Phase (degrees)'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Update the coherence plot
+     * @param {Object} coherenceResult - Result of SpectralAnalyzer.computeCoherence
+     */
+    updateCoherencePlot(coherenceResult) {
+        if (!this.coherenceChart) return;
+
+        const { frequencies, coherence, crossPhase, significance, confidence } = coherenceResult;
+        const [coherenceSet, thresholdSet, phaseSet] = this.coherenceChart.data.datasets;
+        const last = frequencies.length - 1;
+
+        coherenceSet.data = Array.from(frequencies, (f, i) => ({ x: f, y: coherence[i] }));
+        thresholdSet.data = [
+            { x: frequencies[0], y: significance },
+            { x: frequencies[last], y: significance }
+        ];
+        thresholdSet.label = `${Math.round(confidence * 1000) / 10}% significance threshold`;
+        phaseSet.data = Array.from(frequencies, (f, i) => ({ x: f, y: crossPhase[i] }));
+
+        this.coherenceChart.update();
+    }
+
+    /**
+     * Create the Bode plots (magnitude and phase of a transfer function, with confidence bands)
+     */
+    initializeBodePlot() {
+        const magnitudeCanvas = document.getElementById('bodeMagnitudeCanvas');
+        const phaseCanvas = document.getElementById('bodePhaseCanvas');
+        if (!magnitudeCanvas || !phaseCanvas) return;
+
+        const bandDatasets = (color, band) => [{
+            label: 'Estimate',
+            data: [],
+            borderColor: color,
+            borderWidth: 1,
+            pointRadius: 0
+        }, {
+            label: 'Upper bound',
+            data: [],
+            borderWidth: 0,
+            backgroundColor: band,
+            pointRadius: 0,
+            fill: '+1'
+        }, {
+            label: 'Lower bound',
+            data: [],
+            borderWidth: 0,
+            pointRadius: 0,
+            fill: false
+        }];
+        const options = (yTitle) => ({
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            spanGaps: false,
+            plugins: {
+                legend: {
+                    labels: {
+                        filter: (item) => item.datasetIndex === 0
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => {
+                            return `Frequency: ${context.parsed.x.toFixed(2)} Hz, ${context.dataset.label}: ${context.parsed.y.toFixed(2)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: {
+                        display: true,
+                        text: 'Frequency (Hz)'
+                    }
+                },
+                y: {
+                    type: 'linear',
+                    title: {
+                        display: true,
+                        text: yTitle
+                    }
+                }
+            }
+        });
+
+        this.bodeMagnitudeChart = new Chart(magnitudeCanvas.getContext('2d'), {
+            type: 'line',
+            data: { datasets: bandDatasets('rgb(54, 162, 235)', 'rgba(54, 162, 235, 0.15)') },
+            options: options('Magnitude (dB)')
+        });
+        this.bodePhaseChart = new Chart(phaseCanvas.getContext('2d'), {
+            type: 'line',
+            data: { datasets: bandDatasets('rgb(255, 159, 64)', 'rgba(255, 159, 64, 0.15)') },
+            options: options('Unwrapped Phase (degrees)')
+        });
+    }
+
+    /**
+     * Update the Bode plots
+     * @param {Object} transferFunction - Result of SpectralAnalyzer.computeTransferFunction
+     * @param {string} estimatorKey - 'h1', 'h2' or 'hv'
+     */
+    updateBodePlot(transferFunction, estimatorKey = 'h1') {
+        if (!this.bodeMagnitudeChart || !this.bodePhaseChart) return;
+
+        const { frequencies, confidence } = transferFunction;
+        const estimate = transferFunction[estimatorKey];
+        const toDb = (value) => value > 0 ? 20 * Math.log10(value) : null;
+        const series = (values, map = (v) => v) => Array.from(frequencies, (f, i) => {
+            const y = isFinite(values[i]) ? map(values[i]) : null;
+            return { x: f, y };
+        });
+        const label = `${estimatorKey.toUpperCase()} (${Math.round(confidence * 1000) / 10}% confidence band)`;
+
+        const [magnitude, magnitudeUpper, magnitudeLower] = this.bodeMagnitudeChart.data.datasets;
+        magnitude.label = label;
+        magnitude.data = series(estimate.magnitude, toDb);
+        magnitudeUpper.data = series(estimate.magnitudeUpper, toDb);
+        magnitudeLower.data = series(estimate.magnitudeLower, toDb);
+
+        const phaseBound = (sign) => Array.from(frequencies, (f, i) => {
+            const phase = estimate.unwrappedPhase[i];
+            return { x: f, y: isFinite(phase) ? phase + sign * estimate.phaseError[i] : null };
+        });
+        const [phase, phaseUpper, phaseLower] = this.bodePhaseChart.data.datasets;
+        phase.label = label;
+        phase.data = series(estimate.unwrappedPhase);
+        phaseUpper.data = phaseBound(1);
+        phaseLower.data = phaseBound(-1);
+
+        this.bodeMagnitudeChart.update();
+        this.bodePhaseChart.update();
+    }
+
+    /**
+     * Initialize the filter analysis plots: magnitude, phase/group delay, pole-zero diagram
+     * and impulse/step responses
+     */
+    initializeFilterPlots() {
+        const magnitudeCanvas = document.getElementById('filterMagnitudeCanvas');
+        const phaseCanvas = document.getElementById('filterPhaseCanvas');
+        const poleZeroCanvas = document.getElementById('poleZeroCanvas');
+        const timeCanvas = document.getElementById('filterTimeCanvas');
+        if (!magnitudeCanvas || !phaseCanvas || !poleZeroCanvas || !timeCanvas) return;
+
+        const line = (label, color, yAxisID = 'y') => ({
+            label,
+            data: [],
+            borderColor: color,
+            borderWidth: 1,
+            pointRadius: 0,
+            yAxisID
+        });
+        const axis = (text, extra = {}) => ({
+            type: 'linear',
+            title: {
+                display: true,
+                text
+            },
+            ...extra
+        });
+        const options = (xTitle, scales, unit) => ({
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            spanGaps: false,
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: (context) => {
+                            return `${context.parsed.x.toPrecision(4)} ${unit}, ${context.dataset.label}: ${context.parsed.y.toFixed(3)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: axis(xTitle),
+                ...scales
+            }
+        });
+
+        this.filterMagnitudeChart = new Chart(magnitudeCanvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [line('Magnitude (dB)', 'rgb(255, 99, 132)')]
+            },
+            options: options('Frequency (Hz)', { y: axis('Magnitude (dB)') }, 'Hz')
+        });
+
+        this.filterPhaseChart = new Chart(phaseCanvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [
+                    line('Unwrapped Phase (degrees)', 'rgb(54, 162, 235)'),
+                    line('Group Delay (samples)', 'rgb(75, 192, 192)', 'y1')
+                ]
+            },
+            options: options('Frequency (Hz)', {
+                y: axis('Phase (degrees)', { position: 'left' }),
+                y1: axis('Group Delay (samples)', { position: 'right', grid: { drawOnChartArea: false } })
+            }, 'Hz')
+        });
+
+        // Unit circle as a closed polyline
+        const circle = Array.from({ length: 181 }, (_, i) => {
+            const angle = (2 * Math.PI * i) / 180;
+            return { x: Math.cos(angle), y: Math.sin(angle) };
+        });
+        this.poleZeroChart = new Chart(poleZeroCanvas.getContext('2d'), {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Unit circle',
+                    data: circle,
+                    showLine: true,
+                    borderColor: 'rgba(128, 128, 128, 0.6)',
+                    borderWidth: 1,
+                    pointRadius: 0
+                }, {
+                    label: 'Zeros',
+                    data: [],
+                    borderColor: 'rgb(54, 162, 235)',
+                    backgroundColor: 'rgba(0, 0, 0, 0)',
+                    pointStyle: 'circle',
+                    pointRadius: 5
+                }, {
+                    label: 'Poles',
+                    data: [],
+                    borderColor: 'rgb(255, 99, 132)',
+                    pointStyle: 'crossRot',
+                    pointRadius: 6,
+                    borderWidth: 2
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const { x, y } = context.parsed;
+                                return `${context.dataset.label}: ${x.toFixed(4)} ${y < 0 ? '-' : '+'} ${Math.abs(y).toFixed(4)}j`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: axis('Real', { min: -1.5, max: 1.5 }),
+                    y: axis('Imaginary', { min: -1.5, max: 1.5 })
+                }
+            }
+        });
+
+        this.filterTimeChart = new Chart(timeCanvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [
+                    line('Impulse Response', 'rgb(255, 99, 132)'),
+                    line('Step Response', 'rgb(54, 162, 235)')
+                ]
+            },
+            options: options('Time (s)', { y: axis('Amplitude') }, 's')
+        });
+    }
+
+    /**
+     * Update the filter analysis plots
+     * @param {Object} analysis - Result of FilterAnalyzer.analyze
+     */
+    updateFilterPlots(analysis) {
+        if (!this.filterMagnitudeChart) return;
+
+        const { response, zeros, poles, time, impulse, step } = analysis;
+        const series = (x, values) => Array.from(x, (v, i) => ({ x: v, y: isFinite(values[i]) ? values[i] : null }));
+
+        this.filterMagnitudeChart.data.datasets[0].data = series(response.frequencies, response.magnitudeDb);
+        this.filterMagnitudeChart.update();
+
+        const [phase, groupDelay] = this.filterPhaseChart.data.datasets;
+        phase.data = series(response.frequencies, response.unwrappedPhase);
+        groupDelay.data = series(response.frequencies, response.groupDelay);
+        this.filterPhaseChart.update();
+
+        // Keep every root in view, with the unit circle as the minimum extent
+        const toPoints = (roots) => roots.map(r => ({ x: r.re, y: r.im }));
+        const extent = [...zeros, ...poles].reduce((max, r) => Math.max(max, Math.abs(r.re), Math.abs(r.im)), 1);
+        const limit = Math.ceil(extent * 1.1 * 10) / 10;
+        const [, zeroSet, poleSet] = this.poleZeroChart.data.datasets;
+        zeroSet.data = toPoints(zeros);
+        poleSet.data = toPoints(poles);
+        ['x', 'y'].forEach(key => {
+            this.poleZeroChart.options.scales[key].min = -limit;
+            this.poleZeroChart.options.scales[key].max = limit;
+        });
+        this.poleZeroChart.update();
+
+        const [impulseSet, stepSet] = this.filterTimeChart.data.datasets;
+        impulseSet.data = series(time, impulse);
+        stepSet.data = series(time, step);
+        this.filterTimeChart.update();
+    }
+
+    /**
+     * Create the cepstrum plots: cepstrum over quefrency, log spectrum with its liftered version,
+     * and the F0 tracks of the pitch estimators
+     */
+    initializeCepstrumPlots() {
+        const cepstrumCanvas = document.getElementById('cepstrumCanvas');
+        const lifterCanvas = document.getElementById('lifterCanvas');
+        const pitchCanvas = document.getElementById('pitchCanvas');
+        if (!cepstrumCanvas || !lifterCanvas || !pitchCanvas) return;
+
+        const line = (label, color) => ({
+            label,
+            data: [],
+            borderColor: color,
+            borderWidth: 1,
+            pointRadius: 0
+        });
+        const options = (xTitle, yTitle, unit) => ({
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            spanGaps: false,
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: (context) => {
+                            return `${context.parsed.x.toPrecision(4)} ${unit}, ${context.dataset.label}: ${context.parsed.y.toFixed(3)}`;
                         }
                     }
                 }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: {
+                        display: true,
+                        text: xTitle
+                    }
+                },
+                y: {
+                    type: 'linear',
+                    title: {
+                        display: true,
+                        text: yTitle
+                    }
+                }
             }
         });
+
+        this.cepstrumChart = new Chart(cepstrumCanvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [line('Real cepstrum', 'rgb(153, 102, 255)'), {
+                    label: 'Lifter cutoff',
+                    data: [],
+                    borderColor: 'rgba(128, 128, 128, 0.8)',
+                    borderDash: [4, 4],
+                    borderWidth: 1,
+                    pointRadius: 0
+                }]
+            },
+            options: options('Quefrency (ms)', 'Cepstrum', 'ms')
+        });
+
+        this.lifterChart = new Chart(lifterCanvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [
+                    line('Log spectrum (dB)', 'rgb(201, 203, 207)'),
+                    line('Liftered (dB)', 'rgb(255, 99, 132)')
+                ]
+            },
+            options: options('Frequency (Hz)', 'Magnitude (dB)', 'Hz')
+        });
+
+        // Tracks are drawn as points so unvoiced gaps stay visible
+        const track = (label, color, pointStyle) => ({
+            label,
+            data: [],
+            borderColor: color,
+            backgroundColor: color,
+            pointStyle,
+            pointRadius: 2,
+            showLine: false
+        });
+        this.pitchChart = new Chart(pitchCanvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [
+                    track('Cepstrum', 'rgb(153, 102, 255)', 'circle'),
+                    track('HPS', 'rgb(255, 159, 64)', 'rect'),
+                    track('YIN', 'rgb(75, 192, 192)', 'triangle')
+                ]
+            },
+            options: options('Time (s)', 'F0 (Hz)', 's')
+        });
+    }
+
+    /**
+     * Update the cepstrum and liftered-spectrum plots
+     * @param {Object} cepstrumResult - Result of CepstrumAnalyzer.cepstrum
+     * @param {Object} liftered - Result of CepstrumAnalyzer.lifter
+     */
+    updateCepstrumPlot(cepstrumResult, liftered) {
+        if (!this.cepstrumChart) return;
+
+        const { quefrencies, cepstrum, type, frequencies, spectrumDb } = cepstrumResult;
+        const [curve, cutoffLine] = this.cepstrumChart.data.datasets;
+
+        // Skip quefrency 0 (the mean log level), which would dwarf the rest
+        curve.data = Array.from(quefrencies, (q, i) => ({ x: q * 1000, y: cepstrum[i] })).slice(1);
+        curve.label = type === 'power' ? 'Power cepstrum' : 'Real cepstrum';
+        const peak = curve.data.reduce((max, p) => Math.max(max, Math.abs(p.y)), 0);
+        cutoffLine.data = liftered ? [
+            { x: liftered.cutoff * 1000, y: type === 'power' ? 0 : -peak },
+            { x: liftered.cutoff * 1000, y: peak }
+        ] : [];
+        this.cepstrumChart.options.scales.y.title.text = type === 'power' ? 'Power Cepstrum' : 'Cepstrum';
+        this.cepstrumChart.update();
+
+        const [spectrumSet, lifteredSet] = this.lifterChart.data.datasets;
+        spectrumSet.data = Array.from(frequencies, (f, i) => ({ x: f, y: spectrumDb[i] }));
+        lifteredSet.data = liftered ?
+            Array.from(frequencies, (f, i) => ({ x: f, y: liftered.spectrumDb[i] })) : [];
+        lifteredSet.label = liftered && liftered.type === 'highpass' ?
+            'High-quefrency lifter (dB)' : 'Low-quefrency lifter (dB)';
+        this.lifterChart.update();
+    }
+
+    /**
+     * Update the F0 track plot
+     * @param {Array} tracks - Results of CepstrumAnalyzer.pitchTrack, one per method
+     */
+    updatePitchPlot(tracks) {
+        if (!this.pitchChart) return;
+
+        const labels = { cepstrum: 'Cepstrum', hps: 'HPS', yin: 'YIN' };
+        this.pitchChart.data.datasets.forEach(dataset => {
+            dataset.data = [];
+        });
+        tracks.forEach(({ method, times, f0 }) => {
+            const dataset = this.pitchChart.data.datasets.find(d => d.label === labels[method]);
+            if (!dataset) return;
+            dataset.data = Array.from(times, (t, i) => ({ x: t, y: isFinite(f0[i]) ? f0[i] : null }));
+        });
+        this.pitchChart.update();
     }
 
     /**
      * Update time domain plot
      * @param {Array} timePoints - Array of time points
      * @param {Array} signal - Array of signal values
+     * @param {Object} options - Plot options
+     * @param {string} options.label - Legend label of the signal
+     * @param {Object} options.envelope - Envelope to overlay { values, label } (e.g. from HilbertTransform)
      */
-    updateTimePlot(timePoints, signal) {
+    updateTimePlot(timePoints, signal, options = {}) {
+        const { label = 'Time Domain Signal', envelope = null } = options;
+        const [signalSet, envelopeSet] = this.timeChart.data.datasets;
+
         this.timeChart.data.labels = timePoints;
-        this.timeChart.data.datasets[0].data = signal.map((y, i) => ({
+        signalSet.label = label;
+        signalSet.data = signal.map((y, i) => ({
             x: timePoints[i],
             y: y
         }));
+        envelopeSet.label = envelope && envelope.label ? envelope.label : 'Envelope';
+        envelopeSet.data = envelope ?
+            Array.from(envelope.values, (y, i) => ({ x: timePoints[i], y })) : [];
         this.timeChart.update();
     }
 
@@ -134,58 +1154,232 @@ export class PlotManager {
      * @param {Array} options.phases - Array of phase values
      * @param {boolean} options.logScale - Whether to use logarithmic scale
      * @param {Array} options.peaks - Array of peak objects
+     * @param {Object} options.scale - Scale description from FFTProcessor.getScaleInfo
+     * @param {string} options.label - Legend label of the spectrum
+     * @param {Object} options.reference - Spectrum to overlay for comparison { frequencies, magnitudes, phases, label }
      */
     updateFreqPlot(frequencies, magnitudes, options = {}) {
-        const { phases, logScale = false, peaks = [] } = options;
+        const {
+            phases,
+            logScale = false,
+            peaks = [],
+            scale = null,
+            label = 'Frequency Spectrum',
+            reference = null
+        } = options;
+        const toDisplay = this.getDisplayTransform(scale, logScale);
 
         // Update main frequency data
         this.freqChart.data.labels = frequencies;
+        this.freqChart.data.datasets[0].label = label;
         this.freqChart.data.datasets[0].data = magnitudes.map((y, i) => ({
             x: frequencies[i],
-            y: logScale ? (y > 0 ? 20 * Math.log10(y) : -100) : y
+            y: toDisplay(y)
         }));
 
-        // Store phases for tooltip
+        // Store phases and value label for tooltip
         this.freqChart.data.datasets[0].phases = phases;
+        const axisLabel = this.getAxisLabel(scale, logScale);
+        this.freqChart.data.datasets[0].valueLabel = axisLabel;
 
-        // Update y-axis scale and label
-        this.freqChart.options.scales.y.type = logScale ? 'logarithmic' : 'linear';
-        this.freqChart.options.scales.y.title.text = logScale ? 'Magnitude (dB)' : 'Magnitude';
+        // Values are converted to dB above, so the axis itself stays linear
+        this.freqChart.options.scales.y.type = 'linear';
+        this.freqChart.options.scales.y.title.text = axisLabel;
+
+        this.freqChart.data.datasets = this.freqChart.data.datasets.slice(0, 1);
 
         // Add peak markers if available
         if (peaks.length > 0) {
-            this.freqChart.data.datasets[1] = {
+            this.freqChart.data.datasets.push({
                 label: 'Peaks',
                 data: peaks.map(peak => ({
                     x: peak.frequency,
-                    y: logScale ? (peak.magnitude > 0 ? 20 * Math.log10(peak.magnitude) : -100) : peak.magnitude
+                    y: toDisplay(peak.magnitude)
                 })),
                 backgroundColor: 'red',
                 borderColor: 'red',
                 pointRadius: 5,
                 pointStyle: 'triangle',
                 showLine: false
-            };
-        } else {
-            this.freqChart.data.datasets = this.freqChart.data.datasets.slice(0, 1);
+            });
+        }
+
+        // Overlay the comparison spectrum behind the main one
+        if (reference) {
+            this.freqChart.data.datasets.push({
+                label: reference.label || 'Reference',
+                data: reference.magnitudes.map((y, i) => ({
+                    x: reference.frequencies[i],
+                    y: toDisplay(y)
+                })),
+                phases: reference.phases,
+                borderColor: 'rgba(128, 128, 128, 0.6)',
+                borderWidth: 1,
+                pointRadius: 0,
+                order: 1
+            });
         }
 
         this.freqChart.update();
     }
 
+    /**
+     * Let the user drag across the frequency plot to select a band
+     * @param {Function} onSelect - Called with (f1, f2) in Hz when a band has been selected
+     */
+    enableBandSelection(onSelect) {
+        const canvas = this.freqChart.canvas;
+        const xScale = () => this.freqChart.scales.x;
+        let startPixel = null;
+
+        canvas.addEventListener('mousedown', (event) => {
+            startPixel = event.offsetX;
+            const value = xScale().getValueForPixel(startPixel);
+            this.bandSelection = { start: value, end: value };
+        });
+
+        canvas.addEventListener('mousemove', (event) => {
+            if (startPixel === null) return;
+            this.bandSelection.end = xScale().getValueForPixel(event.offsetX);
+            this.freqChart.draw();
+        });
+
+        const finishSelection = (event) => {
+            if (startPixel === null) return;
+            const dragged = Math.abs(event.offsetX - startPixel) > 5;
+            const { start } = this.bandSelection;
+            const end = xScale().getValueForPixel(event.offsetX);
+
+            startPixel = null;
+            this.bandSelection = null;
+            this.freqChart.draw();
+
+            if (dragged) {
+                onSelect(Math.min(start, end), Math.max(start, end));
+            }
+        };
+        canvas.addEventListener('mouseup', finishSelection);
+        canvas.addEventListener('mouseleave', finishSelection);
+    }
+
+    /**
+     * Build the function that maps spectrum values to plotted values
+     * @param {Object} scale - Scale description from FFTProcessor.getScaleInfo
+     * @param {boolean} logScale - Whether to plot in dB
+     * @returns {Function} Value transform
+     */
+    getDisplayTransform(scale, logScale) {
+        const kind = scale ? scale.kind : 'amplitude';
+        if (!logScale || kind === 'decibel') {
+            return y => y;
+        }
+        // Power quantities use 10*log10, amplitudes 20*log10
+        const factor = kind === 'power' ? 10 : 20;
+        return y => y > 0 ? factor * Math.log10(y) : -100;
+    }
+
+    /**
+     * Build the y-axis label for a spectrum scale
+     * @param {Object} scale - Scale description from FFTProcessor.getScaleInfo
+     * @param {boolean} logScale - Whether values are plotted in dB
+     * @returns {string} Axis label
+     */
+    getAxisLabel(scale, logScale) {
+        if (!scale) {
+            return logScale ? 'Magnitude (dB)' : 'Magnitude';
+        }
+        if (scale.kind === 'decibel') {
+            return `${scale.label} (${scale.unit})`;
+        }
+        if (logScale) {
+            return scale.unit ? `${scale.label} (dB re 1 ${scale.unit})` : `${scale.label} (dB)`;
+        }
+        return scale.unit ? `${scale.label} (${scale.unit})` : scale.label;
+    }
+
     /**
      * Update peak table
      * @param {Array} peaks - Array of peak objects
+     * @param {Object} scale - Scale description used for the magnitude column header
      */
-    updatePeakTable(peaks) {
+    updatePeakTable(peaks, scale = null) {
         const tableBody = document.getElementById('peakTableBody');
         if (!tableBody) return;
 
+        const magnitudeHeader = document.getElementById('peakMagnitudeHeader');
+        if (magnitudeHeader) {
+            magnitudeHeader.textContent = this.getAxisLabel(scale, false);
+        }
+
+        const formatOptional = (value, digits) =>
+            typeof value === 'number' && isFinite(value) ? value.toFixed(digits) : '-';
+
         tableBody.innerHTML = peaks.map(peak => `
             <tr>
-                <td>${peak.frequency.toFixed(2)}</td>
+                <td>${peak.frequency.toFixed(3)}</td>
+                <td>${formatOptional(peak.frequencyError, 3)}</td>
                 <td>${peak.magnitude.toFixed(3)}</td>
                 <td>${peak.phase.toFixed(2)}</td>
+                <td>${formatOptional(peak.prominence, 1)}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Update the detected tone table
+     * @param {Array} detections - Detections from GoertzelDetector.decode
+     */
+    updateToneTable(detections) {
+        const tableBody = document.getElementById('toneTableBody');
+        if (!tableBody) return;
+
+        tableBody.innerHTML = detections.map(detection => `
+            <tr>
+                <td>${detection.symbol}</td>
+                <td>${detection.start.toFixed(3)}</td>
+                <td>${(detection.duration * 1000).toFixed(1)}</td>
+                <td>${detection.frequencies.join(' + ')}</td>
+                <td>${detection.levelsDb.map(level => level.toFixed(1)).join(' / ')}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Update the dynamic performance tables
+     * @param {Object} metrics - Result of DynamicMetrics.measure
+     */
+    updateMetricsTable(metrics) {
+        const metricsBody = document.getElementById('metricsTableBody');
+        const harmonicsBody = document.getElementById('harmonicsTableBody');
+        if (!metricsBody || !harmonicsBody) return;
+
+        const formatDb = (value, unit) => isFinite(value) ? `${value.toFixed(2)} ${unit}` : '-';
+        const { fundamental, spur } = metrics;
+        const rows = [
+            ['Fundamental', `${fundamental.frequency.toFixed(3)} Hz, ${fundamental.amplitude.toPrecision(4)} peak` +
+                (fundamental.levelDbfs !== null ? ` (${fundamental.levelDbfs.toFixed(2)} dBFS)` : '')],
+            ['THD', `${formatDb(metrics.thd, 'dBc')} (${metrics.thdPercent.toPrecision(3)}%)`],
+            ['THD+N', `${formatDb(metrics.thdN, 'dBc')} (${metrics.thdNPercent.toPrecision(3)}%)`],
+            ['SNR', formatDb(metrics.snr, 'dB')],
+            ['SINAD', formatDb(metrics.sinad, 'dB')],
+            ['SFDR', formatDb(metrics.sfdr, 'dBc') +
+                (spur ? ` at ${spur.frequency.toFixed(1)} Hz${spur.harmonic ? ` (H${spur.harmonic})` : ''}` : '')],
+            ['ENOB', `${metrics.enob.toFixed(2)} bits` +
+                (metrics.enobFullScale !== null ? ` (${metrics.enobFullScale.toFixed(2)} referred to full scale)` : '')],
+            ['Noise Floor', formatDb(metrics.noiseFloor, 'dBc/bin')]
+        ];
+        metricsBody.innerHTML = rows.map(([name, value]) => `
+            <tr>
+                <td>${name}</td>
+                <td>${value}</td>
+            </tr>
+        `).join('');
+
+        harmonicsBody.innerHTML = metrics.harmonics.map(harmonic => `
+            <tr>
+                <td>H${harmonic.order}${harmonic.aliased ? ' (aliased)' : ''}</td>
+                <td>${harmonic.frequency.toFixed(1)}</td>
+                <td>${harmonic.overlapping ? 'on DC/fundamental' : isFinite(harmonic.levelDbc) ? harmonic.levelDbc.toFixed(2) : '-'}</td>
             </tr>
         `).join('');
     }
@@ -195,17 +1389,44 @@ export class PlotManager {
      */
     clearPlots() {
         this.timeChart.data.labels = [];
-        this.timeChart.data.datasets[0].data = [];
+        this.timeChart.data.datasets.forEach(dataset => {
+            dataset.data = [];
+        });
         this.freqChart.data.labels = [];
         this.freqChart.data.datasets[0].data = [];
         
         this.timeChart.update();
         this.freqChart.update();
 
-        const tableBody = document.getElementById('peakTableBody');
-        if (tableBody) {
-            tableBody.innerHTML = '';
-        }
+        [
+            this.psdChart,
+            this.octaveChart,
+            this.phaseChart,
+            this.correlationChart,
+            this.toneChart,
+            this.coherenceChart,
+            this.bodeMagnitudeChart,
+            this.bodePhaseChart,
+            this.filterMagnitudeChart,
+            this.filterPhaseChart,
+            this.filterTimeChart,
+            this.cepstrumChart,
+            this.lifterChart,
+            this.pitchChart
+        ].forEach(chart => {
+            if (!chart) return;
+            chart.data.datasets.forEach(dataset => {
+                dataset.data = [];
+            });
+            chart.update();
+        });
+
+        ['peakTableBody', 'toneTableBody'].forEach(id => {
+            const tableBody = document.getElementById(id);
+            if (tableBody) {
+                tableBody.innerHTML = '';
+            }
+        });
     }
 
     /**
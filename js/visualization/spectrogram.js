@@ -44,6 +44,7 @@ export class Spectrogram {
         };
 
         this.spectrogramData = [];
+        this.axis = {};
         this.initColormap();
     }
 
@@ -131,10 +132,24 @@ export class Spectrogram {
 
     /**
      * Updates the spectrogram with new frequency data
-     * @param {Float32Array} frequencyData - Frequency domain data
+     * @param {Array} spectrogramMatrix - Levels in dB, one array per time step (lowest frequency first)
      * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} axis - Optional axis description
+     * @param {Array} axis.frequencies - Frequency of each row in Hz (enables frequency ticks)
+     * @param {Array} axis.times - Time of each column in seconds (enables time ticks)
+     * @param {string} axis.frequencyScale - Spacing of the rows: 'linear' (default), 'log' or 'mel'; ticks
+     *                                       are placed by interpolating between the row frequencies on that scale
+     * @param {string} axis.label - Vertical axis label (default 'Frequency (Hz)')
+     * @param {Array} axis.coi - Per column, the frequency below which the values are unreliable
+     *                           (cone of influence); shaded over the image
+     * @param {number} axis.dynamicRange - Show this many dB below the matrix maximum instead of
+     *                                     the fixed minDecibels..maxDecibels range
+     * @param {boolean} axis.autoScale - Map the matrix minimum..maximum onto the colormap (for values
+     *                                   that are not levels in dB, such as cepstral coefficients)
+     * @param {Array} axis.tracks - Lines drawn over the image, each { times, frequencies } in s and Hz
+     *                              (needs axis.frequencies and axis.times)
      */
-    update(spectrogramMatrix, sampleRate) {
+    update(spectrogramMatrix, sampleRate, axis = {}) {
         try {
             if (!spectrogramMatrix || !Array.isArray(spectrogramMatrix)) {
                 console.error('Invalid spectrogram matrix provided:', spectrogramMatrix);
@@ -152,6 +167,19 @@ export class Spectrogram {
             }
 
             console.log(`Updating spectrogram with ${spectrogramMatrix.length} time steps`);
+            this.axis = axis;
+
+            let { minDecibels, maxDecibels } = this.options;
+            if (axis.dynamicRange > 0) {
+                maxDecibels = spectrogramMatrix.reduce((max, column) =>
+                    column.reduce((m, v) => (isFinite(v) && v > m ? v : m), max), -Infinity);
+                minDecibels = maxDecibels - axis.dynamicRange;
+            } else if (axis.autoScale) {
+                const finite = spectrogramMatrix.flat().filter(v => isFinite(v));
+                minDecibels = finite.reduce((min, v) => Math.min(min, v), Infinity);
+                maxDecibels = finite.reduce((max, v) => Math.max(max, v), -Infinity);
+                if (!(maxDecibels > minDecibels)) maxDecibels = minDecibels + 1;
+            }
 
             // Initialize spectrogramData with normalized values
             this.spectrogramData = spectrogramMatrix.map((column, i) => {
@@ -165,8 +193,7 @@ export class Spectrogram {
                         return 0;
                     }
                     // Value is already in dB from spectralAnalyzer
-                    const normalized = (value - this.options.minDecibels) /
-                                     (this.options.maxDecibels - this.options.minDecibels);
+                    const normalized = (value - minDecibels) / (maxDecibels - minDecibels);
                     return Math.max(0, Math.min(1, normalized));
                 });
             });
@@ -214,8 +241,8 @@ export class Spectrogram {
             }
 
             // Calculate dimensions for rendering
-            const columnWidth = Math.ceil(width / numTimeSteps);
-            const rowHeight = Math.ceil(height / numFreqBins);
+            const columnWidth = width / numTimeSteps;
+            const rowHeight = height / numFreqBins;
 
             // Set image smoothing
             this.ctx.imageSmoothingEnabled = true;
@@ -251,11 +278,25 @@ export class Spectrogram {
                 }
             }
 
+            // Shade the cells outside the cone of influence
+            const { coi, frequencies } = this.axis;
+            if (coi && frequencies) {
+                offCtx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+                for (let i = 0; i < numTimeSteps; i++) {
+                    const rows = frequencies.findIndex(f => f >= coi[i]);
+                    const shaded = rows < 0 ? numFreqBins : rows;
+                    if (shaded > 0) {
+                        offCtx.fillRect(i * columnWidth, height - shaded * rowHeight, columnWidth + 1, shaded * rowHeight);
+                    }
+                }
+            }
+
             // Copy the off-screen canvas to the visible canvas
-            this.ctx.drawImage(offscreen, 0, 0);
+            this.ctx.drawImage(offscreen, 0, 0, width, height);
 
-            // Draw axes on top
+            // Draw axes and track overlays on top
             this.drawAxes();
+            this.drawTracks();
             
             console.log('Spectrogram drawing completed');
         } catch (err) {
@@ -290,10 +331,171 @@ export class Spectrogram {
         this.ctx.save();
         this.ctx.translate(15, height / 2);
         this.ctx.rotate(-Math.PI / 2);
-        this.ctx.fillText('Frequency (Hz)', 0, 0);
+        this.ctx.fillText(this.axis.label || 'Frequency (Hz)', 0, 0);
+        this.ctx.restore();
+
+        this.drawTicks();
+    }
+
+    /**
+     * Draws frequency and time ticks when the axis values are known
+     */
+    drawTicks() {
+        const { width, height } = this.options;
+        const { frequencies, times, frequencyScale = 'linear' } = this.axis;
+        const rows = this.spectrogramData[0]?.length;
+        const columns = this.spectrogramData.length;
+        const tickLength = 5;
+
+        this.ctx.save();
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        if (frequencies && frequencies.length === rows && rows > 1) {
+            const row = this.rowPosition(frequencies, frequencyScale);
+            const toY = (f) => height - (row(f) + 0.5) * (height / rows);
+            const positive = frequencies.find(f => f > 0);
+            const first = frequencyScale === 'linear' ? frequencies[0] : positive;
+
+            this.niceTicks(first, frequencies[rows - 1], frequencyScale !== 'linear').forEach(f => {
+                const y = toY(f);
+                if (!isFinite(y)) return;
+                this.ctx.beginPath();
+                this.ctx.moveTo(0, y);
+                this.ctx.lineTo(tickLength, y);
+                this.ctx.stroke();
+                this.ctx.fillText(this.formatTick(f), 22, y);
+            });
+        }
+
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        if (times && times.length === columns && columns > 1) {
+            const first = times[0];
+            const last = times[columns - 1];
+            const toX = (t) => (((t - first) / (last - first)) * (columns - 1) + 0.5) * (width / columns);
+
+            this.niceTicks(first, last, false).forEach(t => {
+                const x = toX(t);
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, height);
+                this.ctx.lineTo(x, height - tickLength);
+                this.ctx.stroke();
+                this.ctx.fillText(this.formatTick(t), x, height - tickLength - 14);
+            });
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * Draws the track overlays (e.g. partial tracks) as lines over the image
+     */
+    drawTracks() {
+        const { width, height } = this.options;
+        const { tracks, frequencies, times, frequencyScale = 'linear' } = this.axis;
+        const rows = this.spectrogramData[0]?.length;
+        const columns = this.spectrogramData.length;
+        if (!tracks || !frequencies || !times || frequencies.length !== rows || times.length !== columns ||
+            rows < 2 || columns < 2) {
+            return;
+        }
+
+        const row = this.rowPosition(frequencies, frequencyScale);
+        const first = times[0];
+        const last = times[columns - 1];
+        const toX = (t) => (((t - first) / (last - first)) * (columns - 1) + 0.5) * (width / columns);
+        const toY = (f) => height - (row(f) + 0.5) * (height / rows);
+        const colors = ['#ff4d4d', '#ffffff', '#4dd2ff', '#ffd24d', '#ff66ff', '#66ff66'];
+
+        this.ctx.save();
+        this.ctx.lineWidth = 1.5;
+        tracks.forEach((track, i) => {
+            this.ctx.strokeStyle = colors[i % colors.length];
+            this.ctx.beginPath();
+            // Points off the frequency axis break the line
+            let drawing = false;
+            track.times.forEach((t, j) => {
+                const x = toX(t);
+                const y = toY(track.frequencies[j]);
+                if (!isFinite(x) || !isFinite(y)) {
+                    drawing = false;
+                } else if (drawing) {
+                    this.ctx.lineTo(x, y);
+                } else {
+                    this.ctx.moveTo(x, y);
+                    drawing = true;
+                }
+            });
+            this.ctx.stroke();
+        });
         this.ctx.restore();
     }
 
+    /**
+     * Fractional row index of a frequency, interpolated between the row frequencies on the given scale
+     * (linear, log or mel), so rows need not be evenly spaced on that scale
+     * @param {Array} frequencies - Increasing frequency of each row
+     * @param {string} scale - 'linear', 'log' or 'mel'
+     * @returns {Function} Frequency to row position (NaN outside the rows)
+     */
+    rowPosition(frequencies, scale) {
+        const warp = {
+            log: (f) => Math.log(f),
+            mel: (f) => Math.log1p(f / 700)
+        }[scale] || ((f) => f);
+        const warped = Array.from(frequencies, warp);
+
+        return (f) => {
+            const w = warp(f);
+            for (let j = 0; j < warped.length - 1; j++) {
+                if (w >= warped[j] && w <= warped[j + 1]) {
+                    return j + (w - warped[j]) / (warped[j + 1] - warped[j]);
+                }
+            }
+            return NaN;
+        };
+    }
+
+    /**
+     * Tick values inside [min, max]: 1-2-5 steps, or 1-2-5 per decade on a log axis
+     * @param {number} min - Lowest axis value
+     * @param {number} max - Highest axis value
+     * @param {boolean} log - Logarithmic axis
+     * @returns {Array} Tick values
+     */
+    niceTicks(min, max, log) {
+        const ticks = [];
+        if (!(max > min)) return ticks;
+
+        if (log && min > 0) {
+            for (let decade = Math.floor(Math.log10(min)); Math.pow(10, decade) <= max; decade++) {
+                [1, 2, 5].forEach(m => {
+                    const value = m * Math.pow(10, decade);
+                    if (value >= min && value <= max) ticks.push(value);
+                });
+            }
+            return ticks;
+        }
+
+        // About six ticks with a 1, 2 or 5 x 10^k step
+        const rough = (max - min) / 6;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].find(m => m * magnitude >= rough) * magnitude;
+        for (let value = Math.ceil(min / step) * step; value <= max; value += step) {
+            ticks.push(value);
+        }
+        return ticks;
+    }
+
+    /**
+     * Compact tick label (k for thousands)
+     * @param {number} value - Tick value
+     * @returns {string} Label
+     */
+    formatTick(value) {
+        if (Math.abs(value) >= 1000) return `${+(value / 1000).toPrecision(3)}k`;
+        return `${+value.toPrecision(3)}`;
+    }
+
     /**
      * Updates the spectrogram options
      * @param {Object} newOptions - New options to apply
@@ -335,6 +537,7 @@ export class Spectrogram {
      */
     clear() {
         this.spectrogramData = [];
+        this.axis = {};
         this.ctx.clearRect(0, 0, this.options.width, this.options.height);
     }
 }
\ No newline at end of file
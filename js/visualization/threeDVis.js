@@ -115,7 +115,7 @@ export class ThreeDVisualizer {
 
     /**
      * Creates a phase delay visualization
-     * @param {Object} phaseData - Phase delay data
+     * @param {Object} phaseData - Phase data from PhaseAnalyzer.analyze (gated bins are NaN)
      */
     createPhaseDelayVis(phaseData) {
         this.clearVisualization();
@@ -125,11 +125,15 @@ export class ThreeDVisualizer {
         const vertices = [];
         const colors = [];
 
+        // Heights are scaled to the largest delay so that the spiral stays in view
+        const maxDelay = Array.from(phaseDelay).reduce((max, d) => isFinite(d) ? Math.max(max, Math.abs(d)) : max, 0);
+        const heightScale = maxDelay > 0 ? 2 / maxDelay : 0;
+
         // Create spiral visualization for phase delay
-        for (let i = 0; i < frequencies.length; i++) {
+        const turns = 5;
+        const addVertex = (i) => {
             const radius = 1 + (i / frequencies.length);
-            const height = phaseDelay[i] * 2;
-            const turns = 5;
+            const height = phaseDelay[i] * heightScale;
             const angle = (i / frequencies.length) * Math.PI * 2 * turns;
 
             vertices.push(
@@ -141,6 +145,13 @@ export class ThreeDVisualizer {
             // Color based on frequency
             const color = new THREE.Color().setHSL(i / frequencies.length, 1, 0.5);
             colors.push(color.r, color.g, color.b);
+        };
+
+        // One segment per pair of neighbouring valid bins, so the spiral breaks at gated bins
+        for (let i = 0; i + 1 < frequencies.length; i++) {
+            if (!isFinite(phaseDelay[i]) || !isFinite(phaseDelay[i + 1])) continue;
+            addVertex(i);
+            addVertex(i + 1);
         }
 
         geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
@@ -151,7 +162,7 @@ export class ThreeDVisualizer {
             linewidth: 2
         });
 
-        const line = new THREE.Line(geometry, material);
+        const line = new THREE.LineSegments(geometry, material);
         this.scene.add(line);
     }
 